@@ -0,0 +1,180 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+
+/**
+ * @title CrossRateOracle
+ * @dev Chainlink-compatible feed for a synthetic pair, e.g. ETH / BTC, derived from two USD feeds
+ * (ETH / USD divided by BTC / USD). Both feeds must be fresh within their own staleness limit, and
+ * the answer is normalised to 8 decimals, so options and stop-losses on any two USD-priced assets
+ * can use the pair wherever they take an oracle.
+ * @notice Round IDs are the timestamps at which the cross rate changed, i.e. the later of the two
+ * feed updates. getRoundData(roundId - 1) therefore returns the rate just before that change, and
+ * stop-loss windows walk the merged history of both feeds.
+ */
+contract CrossRateOracle is AggregatorV3Interface {
+
+    AggregatorV3Interface public immutable baseFeed;
+    AggregatorV3Interface public immutable quoteFeed;
+    uint256 public immutable baseMaxPriceAge;  // Oldest base answer accepted, in seconds
+    uint256 public immutable quoteMaxPriceAge; // Oldest quote answer accepted, in seconds
+    uint8 private immutable _baseDecimals;
+    uint8 private immutable _quoteDecimals;
+    string private _description;
+
+    // Constants
+    uint8 public constant override decimals = 8;
+    uint256 public constant override version = 1;
+    uint256 private constant MAX_FEED_ROUNDS = 64; // Bounds the gas of looking up historical answers
+
+    // Errors
+    error InvalidFeedConfig();
+    error InvalidPrice(address feed);
+    error StalePrice(address feed);
+    error RoundNotFound(uint80 roundId);
+
+    /**
+     * @param _baseFeed USD feed of the priced asset (numerator)
+     * @param _baseMaxPriceAge Staleness limit for the base feed (seconds)
+     * @param _quoteFeed USD feed of the asset prices are quoted in (denominator)
+     * @param _quoteMaxPriceAge Staleness limit for the quote feed (seconds)
+     * @param description_ Pair description, e.g. "ETH / BTC"
+     */
+    constructor(
+        address _baseFeed,
+        uint256 _baseMaxPriceAge,
+        address _quoteFeed,
+        uint256 _quoteMaxPriceAge,
+        string memory description_
+    ) {
+        if (_baseFeed == address(0) || _quoteFeed == address(0) || _baseFeed == _quoteFeed) {
+            revert InvalidFeedConfig();
+        }
+        if (_baseMaxPriceAge == 0 || _quoteMaxPriceAge == 0) revert InvalidFeedConfig();
+
+        baseFeed = AggregatorV3Interface(_baseFeed);
+        quoteFeed = AggregatorV3Interface(_quoteFeed);
+        baseMaxPriceAge = _baseMaxPriceAge;
+        quoteMaxPriceAge = _quoteMaxPriceAge;
+        _baseDecimals = AggregatorV3Interface(_baseFeed).decimals();
+        _quoteDecimals = AggregatorV3Interface(_quoteFeed).decimals();
+        _description = description_;
+    }
+
+    function description() external view override returns (string memory) {
+        return _description;
+    }
+
+    /**
+     * @dev Latest cross rate. Reverts with StalePrice or InvalidPrice naming the feed at fault.
+     */
+    function latestRoundData()
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        (, int256 baseAnswer, , uint256 baseUpdatedAt, ) = baseFeed.latestRoundData();
+        _validate(address(baseFeed), baseAnswer, baseUpdatedAt, baseMaxPriceAge);
+
+        (, int256 quoteAnswer, , uint256 quoteUpdatedAt, ) = quoteFeed.latestRoundData();
+        _validate(address(quoteFeed), quoteAnswer, quoteUpdatedAt, quoteMaxPriceAge);
+
+        return _round(baseAnswer, baseUpdatedAt, quoteAnswer, quoteUpdatedAt);
+    }
+
+    /**
+     * @dev Cross rate in effect at a point in time
+     * @param _roundId Timestamp, e.g. a round ID returned earlier minus one
+     */
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        (int256 baseAnswer, uint256 baseUpdatedAt) = _answerAt(baseFeed, _roundId);
+        (int256 quoteAnswer, uint256 quoteUpdatedAt) = _answerAt(quoteFeed, _roundId);
+
+        return _round(baseAnswer, baseUpdatedAt, quoteAnswer, quoteUpdatedAt);
+    }
+
+    /**
+     * @dev Latest answer a feed had published at a timestamp, searching back a bounded number of rounds
+     * @param feed Base or quote feed
+     * @param timestamp Point in time
+     * @return answer Feed answer at that time
+     * @return updatedAt When the answer was published
+     */
+    function _answerAt(AggregatorV3Interface feed, uint80 timestamp)
+        internal
+        view
+        returns (int256 answer, uint256 updatedAt)
+    {
+        uint80 feedRoundId;
+        (feedRoundId, answer, , updatedAt, ) = feed.latestRoundData();
+
+        for (uint256 i = 0; i < MAX_FEED_ROUNDS; i++) {
+            if (updatedAt <= timestamp) {
+                if (answer <= 0 || updatedAt == 0) break;
+                return (answer, updatedAt);
+            }
+            if (feedRoundId == 0) break;
+
+            try feed.getRoundData(feedRoundId - 1) returns (
+                uint80 previousRoundId,
+                int256 previousAnswer,
+                uint256,
+                uint256 previousUpdatedAt,
+                uint80
+            ) {
+                (feedRoundId, answer, updatedAt) = (previousRoundId, previousAnswer, previousUpdatedAt);
+            } catch {
+                break;
+            }
+        }
+
+        revert RoundNotFound(timestamp);
+    }
+
+    /**
+     * @dev Builds the round for a pair of feed answers; it starts with the later of the two updates
+     */
+    function _round(int256 baseAnswer, uint256 baseUpdatedAt, int256 quoteAnswer, uint256 quoteUpdatedAt)
+        internal
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)
+    {
+        updatedAt = baseUpdatedAt > quoteUpdatedAt ? baseUpdatedAt : quoteUpdatedAt;
+        roundId = uint80(updatedAt);
+        answer = _crossRate(baseAnswer, quoteAnswer);
+        startedAt = updatedAt;
+        answeredInRound = roundId;
+    }
+
+    /**
+     * @dev Base answer divided by quote answer, scaled to 8 decimals
+     */
+    function _crossRate(int256 baseAnswer, int256 quoteAnswer) internal view returns (int256) {
+        return (baseAnswer * int256(10 ** (uint256(decimals) + _quoteDecimals)))
+            / (quoteAnswer * int256(10 ** uint256(_baseDecimals)));
+    }
+
+    function _validate(address feed, int256 answer, uint256 updatedAt, uint256 maxPriceAge) internal view {
+        if (answer <= 0) revert InvalidPrice(feed);
+        if (updatedAt == 0 || block.timestamp - updatedAt > maxPriceAge) revert StalePrice(feed);
+    }
+}
@@ -59,10 +59,11 @@ contract OneinchProtectedOptionsIntegration is Ownable {
     }
     
     /**
-     * @dev Calculates making amount for 1inch orders with option payoff logic
+     * @dev Calculates making amount for 1inch orders with option payoff logic. The result is not
+     * capped at the remaining making amount: the protocol detects that itself and reprices the
+     * fill for the remainder, while a capped answer would charge the taker the full taking amount.
      * @param taker Taker address
      * @param takingAmount Amount being taken
-     * @param remainingMakingAmount Remaining making amount
      * @param extraData Encoded ProtectedOptionData
      * @return makingAmount Calculated making amount based on option payoff
      */
@@ -72,7 +73,7 @@ contract OneinchProtectedOptionsIntegration is Ownable {
         bytes32 /* orderHash */,
         address taker,
         uint256 takingAmount,
-        uint256 remainingMakingAmount,
+        uint256 /* remainingMakingAmount */,
         bytes calldata extraData
     ) external view returns (uint256 makingAmount) {
         // Decode protected option data
@@ -95,11 +96,6 @@ contract OneinchProtectedOptionsIntegration is Ownable {
             revert InsufficientPayoff();
         }
         
-        // Ensure we don't exceed remaining amount
-        if (makingAmount > remainingMakingAmount) {
-            makingAmount = remainingMakingAmount;
-        }
-        
         // Note: Event emission removed for view function compatibility
     }
     
@@ -309,13 +305,15 @@ contract OneinchProtectedOptionsIntegration is Ownable {
     }
 }
 
-// Required struct for IAmountGetter interface compatibility
+// Required struct for IAmountGetter interface compatibility. The Limit Order Protocol declares the
+// address fields and makerTraits as uint256 user-defined value types, so they must be uint256 here
+// too: with `address` fields the getter selectors would not match the ones the protocol calls.
 struct Order {
     uint256 salt;
-    address maker;
-    address receiver;
-    address makerAsset;
-    address takerAsset;
+    uint256 maker;
+    uint256 receiver;
+    uint256 makerAsset;
+    uint256 takerAsset;
     uint256 makingAmount;
     uint256 takingAmount;
     uint256 makerTraits;
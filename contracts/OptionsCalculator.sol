@@ -3,6 +3,8 @@ pragma solidity 0.8.24;
 
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "./libraries/BlackScholes.sol";
+import "./libraries/PriceScaling.sol";
 
 /**
  * @title OptionsCalculator
@@ -12,12 +14,14 @@ contract OptionsCalculator is Ownable {
     
     struct OptionParams {
         bool isCall;           // true for call, false for put
-        uint256 strikePrice;   // Strike price in USD (8 decimals)
-        uint256 premium;       // Option premium amount
+        uint256 strikePrice;   // Strike price in the oracle's quote asset (8 decimals)
+        uint256 premium;       // Premium the buyer pays, in taker token decimals
         uint256 expiration;    // Option expiration timestamp
-        address oracle;        // Chainlink price feed address
+        address oracle;        // Chainlink price feed, OracleAdapter or CrossRateOracle address
         uint256 multiplier;    // Position size multiplier
         bool isActive;         // Whether this option configuration is active
+        uint8 makerDecimals;   // Decimals of the collateral (maker) token
+        uint8 takerDecimals;   // Decimals of the payment (taker) token
     }
     
     // Events
@@ -29,15 +33,17 @@ contract OptionsCalculator is Ownable {
     mapping(address => bool) public authorizedCallers;
     
     // Constants
-    uint256 private constant PRICE_DECIMALS = 8;
-    uint256 private constant MAX_PRICE_AGE = 3600; // 1 hour
-    uint256 private constant MIN_INTRINSIC_VALUE = 1e6; // Minimum intrinsic value for 8-decimal price feeds
+    uint256 private constant MAX_PRICE_AGE = 3600; // 1 hour, on top of an OracleAdapter's per-feed limits
+    uint256 private constant MIN_INTRINSIC_DIVISOR = 200000; // Intrinsic values up to strike / 200000 (~$0.01 at $2000) are dust
+    uint256 private constant MAX_VOLATILITY = 10e18; // 1000% annualised
     
     // Errors
     error InvalidOptionConfig();
     error OptionExpired();
     error StalePrice();
     error UnauthorizedCaller();
+    error InvalidVolatility();
+    error OptionOutOfMoney();
     
     modifier onlyAuthorized() {
         if (!authorizedCallers[msg.sender] && msg.sender != owner()) {
@@ -54,6 +60,19 @@ contract OptionsCalculator is Ownable {
         authorizedCallers[caller] = authorized;
     }
     
+    /**
+     * @dev Configures an option. Prices use 8 decimals whatever the feed reports; token decimals
+     * convert between collateral and payment amounts
+     * @param optionId Option configuration identifier
+     * @param isCall Whether the option is a call (true) or put (false)
+     * @param strikePrice Strike price in the oracle's quote asset (8 decimals)
+     * @param premium Premium the buyer pays, in taker token decimals
+     * @param expiration Option expiration timestamp
+     * @param oracle Chainlink price feed, OracleAdapter or CrossRateOracle address
+     * @param multiplier Position size multiplier
+     * @param makerDecimals Decimals of the collateral (maker) token
+     * @param takerDecimals Decimals of the payment (taker) token
+     */
     function setOptionConfig(
         bytes32 optionId,
         bool isCall,
@@ -61,7 +80,9 @@ contract OptionsCalculator is Ownable {
         uint256 premium,
         uint256 expiration,
         address oracle,
-        uint256 multiplier
+        uint256 multiplier,
+        uint8 makerDecimals,
+        uint8 takerDecimals
     ) external onlyAuthorized {
         require(strikePrice > 0, "Invalid strike price");
         require(multiplier > 0 && multiplier <= 100, "Invalid multiplier");
@@ -75,12 +96,22 @@ contract OptionsCalculator is Ownable {
             expiration: expiration,
             oracle: oracle,
             multiplier: multiplier,
-            isActive: true
+            isActive: true,
+            makerDecimals: makerDecimals,
+            takerDecimals: takerDecimals
         });
         
         emit OptionParamsUpdated(optionId, isCall, strikePrice);
     }
     
+    /**
+     * @dev Collateral paid out for an amount of payment token. Each collateral token costs
+     * strike * 100 / (intrinsic value * multiplier) payment tokens, so fills get cheaper the deeper
+     * the option is in the money. Out of the money there is nothing to fill.
+     * @param optionId Option configuration identifier
+     * @param takingAmount Payment amount, in taker token decimals
+     * @return makingAmount Collateral amount, in maker token decimals
+     */
     function getMakingAmount(
         bytes32 optionId,
         uint256 takingAmount
@@ -93,15 +124,23 @@ contract OptionsCalculator is Ownable {
         uint256 currentPrice = _getCurrentPrice(option.oracle);
         uint256 intrinsicValue = _calculateIntrinsicValue(option, currentPrice);
         
-        if (intrinsicValue > MIN_INTRINSIC_VALUE) {
-            makingAmount = (takingAmount * intrinsicValue * option.multiplier) / (option.strikePrice * 100);
-        } else {
-            makingAmount = (takingAmount * option.premium) / 1e18;
-        }
+        uint256 makerUnit = 10 ** option.makerDecimals;
+        uint256 takerUnit = 10 ** option.takerDecimals;
+        
+        if (intrinsicValue <= _minIntrinsicValue(option)) revert OptionOutOfMoney();
+        
+        makingAmount = (takingAmount * intrinsicValue * option.multiplier * makerUnit)
+            / (option.strikePrice * 100 * takerUnit);
         
         // Note: Event emission removed for view function compatibility
     }
     
+    /**
+     * @dev Payment token charged for an amount of collateral, priced like getMakingAmount
+     * @param optionId Option configuration identifier
+     * @param makingAmount Collateral amount, in maker token decimals
+     * @return takingAmount Payment amount, in taker token decimals
+     */
     function getTakingAmount(
         bytes32 optionId,
         uint256 makingAmount
@@ -114,11 +153,13 @@ contract OptionsCalculator is Ownable {
         uint256 currentPrice = _getCurrentPrice(option.oracle);
         uint256 intrinsicValue = _calculateIntrinsicValue(option, currentPrice);
         
-        if (intrinsicValue > MIN_INTRINSIC_VALUE) {
-            takingAmount = (makingAmount * option.strikePrice * 100) / (intrinsicValue * option.multiplier);
-        } else {
-            takingAmount = (makingAmount * 1e18) / option.premium;
-        }
+        uint256 makerUnit = 10 ** option.makerDecimals;
+        uint256 takerUnit = 10 ** option.takerDecimals;
+        
+        if (intrinsicValue <= _minIntrinsicValue(option)) revert OptionOutOfMoney();
+        
+        takingAmount = (makingAmount * option.strikePrice * 100 * takerUnit)
+            / (intrinsicValue * option.multiplier * makerUnit);
         
         // Note: Event emission removed for view function compatibility
     }
@@ -130,14 +171,14 @@ contract OptionsCalculator is Ownable {
         uint256 currentPrice = _getCurrentPrice(option.oracle);
         uint256 intrinsicValue = _calculateIntrinsicValue(option, currentPrice);
         
-        return intrinsicValue > MIN_INTRINSIC_VALUE;
+        return intrinsicValue > _minIntrinsicValue(option);
     }
     
     /**
      * @dev Gets the current intrinsic value of an option
      * @param optionId Option configuration identifier
-     * @return intrinsicValue Current intrinsic value of the option
-     * @return currentPrice Current asset price from oracle
+     * @return intrinsicValue Current intrinsic value of the option (8 decimals)
+     * @return currentPrice Current asset price from oracle (8 decimals)
      */
     function getIntrinsicValue(bytes32 optionId) 
         external 
@@ -151,6 +192,51 @@ contract OptionsCalculator is Ownable {
         intrinsicValue = _calculateIntrinsicValue(option, currentPrice);
     }
     
+    /**
+     * @dev Black-Scholes fair premium of an option from the oracle price and its time to expiration
+     * @param optionId Option configuration identifier
+     * @param volatility Annualised implied volatility (1e18 = 100%)
+     * @return premium Fair premium per unit of underlying (8 decimals)
+     */
+    function getFairPremium(bytes32 optionId, uint256 volatility) external view returns (uint256 premium) {
+        OptionParams memory option = optionConfigs[optionId];
+        
+        if (!option.isActive) revert InvalidOptionConfig();
+        if (block.timestamp >= option.expiration) revert OptionExpired();
+        if (volatility > MAX_VOLATILITY) revert InvalidVolatility();
+        
+        uint256 currentPrice = _getCurrentPrice(option.oracle);
+        premium = BlackScholes.price(
+            option.isCall,
+            currentPrice,
+            option.strikePrice,
+            option.expiration - block.timestamp,
+            volatility
+        );
+    }
+    
+    /**
+     * @dev Black-Scholes fair premium from explicit inputs, e.g. to quote an option before creating it
+     * @param isCall Whether the option is a call (true) or put (false)
+     * @param spot Current price of the underlying
+     * @param strikePrice Strike price, in the same decimals as spot
+     * @param timeToExpiry Seconds until expiration
+     * @param volatility Annualised implied volatility (1e18 = 100%)
+     * @return premium Fair premium per unit of underlying, in the decimals of spot
+     */
+    function quotePremium(
+        bool isCall,
+        uint256 spot,
+        uint256 strikePrice,
+        uint256 timeToExpiry,
+        uint256 volatility
+    ) external pure returns (uint256 premium) {
+        if (spot == 0 || strikePrice == 0) revert InvalidOptionConfig();
+        if (volatility > MAX_VOLATILITY) revert InvalidVolatility();
+        
+        premium = BlackScholes.price(isCall, spot, strikePrice, timeToExpiry, volatility);
+    }
+    
     /**
      * @dev Deactivates an option configuration
      * @param optionId Option identifier to deactivate
@@ -159,6 +245,9 @@ contract OptionsCalculator is Ownable {
         optionConfigs[optionId].isActive = false;
     }
     
+    /**
+     * @dev Reads the oracle and scales its answer to 8 decimals
+     */
     function _getCurrentPrice(address oracle) internal view returns (uint256 price) {
         AggregatorV3Interface priceFeed = AggregatorV3Interface(oracle);
         
@@ -167,7 +256,15 @@ contract OptionsCalculator is Ownable {
         if (block.timestamp - updatedAt > MAX_PRICE_AGE) revert StalePrice();
         require(answer > 0, "Invalid price");
         
-        price = uint256(answer);
+        price = PriceScaling.toPriceDecimals(uint256(answer), priceFeed.decimals());
+    }
+    
+    /**
+     * @dev Smallest intrinsic value that counts as in the money. Relative to the strike, so options
+     * quoted in BTC or ETH are treated like options quoted in USD
+     */
+    function _minIntrinsicValue(OptionParams memory option) internal pure returns (uint256) {
+        return option.strikePrice / MIN_INTRINSIC_DIVISOR;
     }
     
     function _calculateIntrinsicValue(
@@ -0,0 +1,276 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title OracleAdapter
+ * @dev Chainlink-compatible price feed that reads a primary and a secondary feed. The primary
+ * answer is used while it is fresh; a stale, paused or non-positive primary falls back to the
+ * secondary. When both are fresh they must agree within maxDeviation. Answers are normalised to
+ * 8 decimals, so options and stop-losses can use the adapter wherever they take an oracle.
+ * @notice Round IDs of the secondary feed are returned with SECONDARY_ROUND_FLAG set, so walking
+ * rounds backwards with getRoundData stays on the feed the latest answer came from
+ * @notice The per-feed staleness limits only choose which feed answers. OptionsCalculator (1 hour)
+ * and StopLossProtection (5 minutes) still reject answers older than their own limit, so a feed
+ * limit above the consumer's means a primary the adapter still trusts is rejected as stale instead
+ * of falling back to the secondary. Keep the primary limit at or below the consumer's.
+ */
+contract OracleAdapter is AggregatorV3Interface, Ownable {
+
+    struct FeedConfig {
+        AggregatorV3Interface feed; // Chainlink aggregator (or proxy)
+        uint256 maxPriceAge;        // Oldest answer accepted from this feed, in seconds
+        uint8 decimals;             // Feed decimals, read when the feed is configured
+    }
+
+    struct RoundData {
+        uint80 roundId;
+        int256 answer;
+        uint256 startedAt;
+        uint256 updatedAt;
+        uint80 answeredInRound;
+    }
+
+    // Events
+    event FeedsConfigured(
+        address indexed primaryFeed,
+        address indexed secondaryFeed,
+        uint256 primaryMaxPriceAge,
+        uint256 secondaryMaxPriceAge
+    );
+
+    event MaxDeviationUpdated(uint256 maxDeviation);
+
+    // State variables
+    FeedConfig public primary;
+    FeedConfig public secondary;
+    uint256 public maxDeviation; // Basis points the feeds may disagree by
+    string private _description;
+
+    // Constants
+    uint8 public constant override decimals = 8;
+    uint256 public constant override version = 1;
+    uint80 public constant SECONDARY_ROUND_FLAG = uint80(1) << 79;
+    uint256 private constant BASIS_POINTS = 10000;
+
+    // Errors
+    error InvalidFeedConfig();
+    error NoValidPrice();
+    error PriceDeviationTooHigh(int256 primaryAnswer, int256 secondaryAnswer);
+
+    /**
+     * @param primaryFeed Feed used while it is fresh
+     * @param primaryMaxPriceAge Staleness limit for the primary feed (seconds)
+     * @param secondaryFeed Fallback feed, or the zero address for none
+     * @param secondaryMaxPriceAge Staleness limit for the secondary feed (seconds)
+     * @param _maxDeviation Basis points the two feeds may disagree by
+     * @param description_ Feed description, e.g. "ETH / USD"
+     */
+    constructor(
+        address primaryFeed,
+        uint256 primaryMaxPriceAge,
+        address secondaryFeed,
+        uint256 secondaryMaxPriceAge,
+        uint256 _maxDeviation,
+        string memory description_
+    ) Ownable(msg.sender) {
+        _description = description_;
+        _setFeeds(primaryFeed, primaryMaxPriceAge, secondaryFeed, secondaryMaxPriceAge);
+        _setMaxDeviation(_maxDeviation);
+    }
+
+    /**
+     * @dev Replaces both feeds and their staleness limits
+     * @param primaryFeed Feed used while it is fresh
+     * @param primaryMaxPriceAge Staleness limit for the primary feed (seconds)
+     * @param secondaryFeed Fallback feed, or the zero address for none
+     * @param secondaryMaxPriceAge Staleness limit for the secondary feed (seconds)
+     */
+    function setFeeds(
+        address primaryFeed,
+        uint256 primaryMaxPriceAge,
+        address secondaryFeed,
+        uint256 secondaryMaxPriceAge
+    ) external onlyOwner {
+        _setFeeds(primaryFeed, primaryMaxPriceAge, secondaryFeed, secondaryMaxPriceAge);
+    }
+
+    /**
+     * @dev Sets how far apart (basis points of the primary answer) the two feeds may be
+     * @param _maxDeviation Maximum deviation in basis points
+     */
+    function setMaxDeviation(uint256 _maxDeviation) external onlyOwner {
+        _setMaxDeviation(_maxDeviation);
+    }
+
+    function description() external view override returns (string memory) {
+        return _description;
+    }
+
+    /**
+     * @dev Latest answer of the primary feed, or of the secondary one if the primary is unusable.
+     * Reverts with NoValidPrice when neither feed has a fresh answer and with PriceDeviationTooHigh
+     * when both do but disagree.
+     */
+    function latestRoundData()
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        (bool primaryValid, RoundData memory primaryRound) = _latestRound(primary, false);
+        (bool secondaryValid, RoundData memory secondaryRound) = _latestRound(secondary, true);
+
+        RoundData memory round;
+        if (primaryValid) {
+            if (secondaryValid && _deviation(primaryRound.answer, secondaryRound.answer) > maxDeviation) {
+                revert PriceDeviationTooHigh(primaryRound.answer, secondaryRound.answer);
+            }
+            round = primaryRound;
+        } else if (secondaryValid) {
+            round = secondaryRound;
+        } else {
+            revert NoValidPrice();
+        }
+
+        return (round.roundId, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
+    }
+
+    /**
+     * @dev Historical round of the feed encoded in the round ID, normalised to 8 decimals
+     * @param _roundId Round ID as returned by latestRoundData or an earlier getRoundData call
+     */
+    function getRoundData(uint80 _roundId)
+        external
+        view
+        override
+        returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        )
+    {
+        bool isSecondary = _roundId & SECONDARY_ROUND_FLAG != 0;
+        FeedConfig memory config = isSecondary ? secondary : primary;
+        if (address(config.feed) == address(0)) revert InvalidFeedConfig();
+
+        (roundId, answer, startedAt, updatedAt, answeredInRound) =
+            config.feed.getRoundData(_roundId & ~SECONDARY_ROUND_FLAG);
+
+        answer = _normalise(answer, config.decimals);
+        if (isSecondary) {
+            roundId |= SECONDARY_ROUND_FLAG;
+            answeredInRound |= SECONDARY_ROUND_FLAG;
+        }
+    }
+
+    /**
+     * @dev Current answers of both feeds, for monitoring which one the adapter is using
+     * @return primaryAnswer Normalised primary answer (zero if the feed reverted)
+     * @return primaryValid Whether the primary answer is positive and fresh
+     * @return secondaryAnswer Normalised secondary answer (zero if unset or reverted)
+     * @return secondaryValid Whether the secondary answer is positive and fresh
+     */
+    function getFeedStatus()
+        external
+        view
+        returns (int256 primaryAnswer, bool primaryValid, int256 secondaryAnswer, bool secondaryValid)
+    {
+        RoundData memory round;
+        (primaryValid, round) = _latestRound(primary, false);
+        primaryAnswer = round.answer;
+        (secondaryValid, round) = _latestRound(secondary, true);
+        secondaryAnswer = round.answer;
+    }
+
+    /**
+     * @dev Reads the latest round of a feed without reverting
+     * @param config Feed to read
+     * @param isSecondary Whether to flag the round IDs as secondary
+     * @return valid Whether the answer is positive, not in the future and within the feed's staleness limit
+     * @return round Latest round with the answer normalised to 8 decimals
+     */
+    function _latestRound(FeedConfig memory config, bool isSecondary) internal view returns (bool valid, RoundData memory round) {
+        if (address(config.feed) == address(0)) return (false, round);
+
+        try config.feed.latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256 startedAt,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            round = RoundData(roundId, _normalise(answer, config.decimals), startedAt, updatedAt, answeredInRound);
+            // An answer timestamped in the future is unusable, not a reason to revert
+            valid = answer > 0 && updatedAt != 0 && updatedAt <= block.timestamp &&
+                block.timestamp - updatedAt <= config.maxPriceAge;
+        } catch {
+            return (false, round);
+        }
+
+        if (isSecondary) {
+            round.roundId |= SECONDARY_ROUND_FLAG;
+            round.answeredInRound |= SECONDARY_ROUND_FLAG;
+        }
+    }
+
+    /**
+     * @dev Distance between two answers in basis points of the first
+     */
+    function _deviation(int256 base, int256 other) internal pure returns (uint256) {
+        uint256 difference = base > other ? uint256(base - other) : uint256(other - base);
+        return (difference * BASIS_POINTS) / uint256(base);
+    }
+
+    /**
+     * @dev Scales an answer from the feed's decimals to 8
+     */
+    function _normalise(int256 answer, uint8 feedDecimals) internal pure returns (int256) {
+        if (feedDecimals > decimals) return answer / int256(10 ** (feedDecimals - decimals));
+        if (feedDecimals < decimals) return answer * int256(10 ** (decimals - feedDecimals));
+        return answer;
+    }
+
+    function _setFeeds(
+        address primaryFeed,
+        uint256 primaryMaxPriceAge,
+        address secondaryFeed,
+        uint256 secondaryMaxPriceAge
+    ) internal {
+        if (primaryFeed == address(0) || primaryFeed == secondaryFeed || primaryMaxPriceAge == 0) {
+            revert InvalidFeedConfig();
+        }
+        if (secondaryFeed != address(0) && secondaryMaxPriceAge == 0) revert InvalidFeedConfig();
+
+        primary = FeedConfig({
+            feed: AggregatorV3Interface(primaryFeed),
+            maxPriceAge: primaryMaxPriceAge,
+            decimals: AggregatorV3Interface(primaryFeed).decimals()
+        });
+        secondary = FeedConfig({
+            feed: AggregatorV3Interface(secondaryFeed),
+            maxPriceAge: secondaryMaxPriceAge,
+            decimals: secondaryFeed != address(0) ? AggregatorV3Interface(secondaryFeed).decimals() : 0
+        });
+
+        emit FeedsConfigured(primaryFeed, secondaryFeed, primaryMaxPriceAge, secondaryMaxPriceAge);
+    }
+
+    function _setMaxDeviation(uint256 _maxDeviation) internal {
+        if (_maxDeviation == 0 || _maxDeviation > BASIS_POINTS) revert InvalidFeedConfig();
+
+        maxDeviation = _maxDeviation;
+
+        emit MaxDeviationUpdated(_maxDeviation);
+    }
+}
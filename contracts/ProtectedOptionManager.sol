@@ -3,9 +3,13 @@ pragma solidity 0.8.24;
 
 import "./OptionsCalculator.sol";
 import "./StopLossProtection.sol";
+import "./ProtectedOptionPosition.sol";
+import "./interfaces/ISignatureTransfer.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
@@ -19,9 +23,11 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         bytes32 optionId;           // Option configuration ID
         bytes32 stopLossId;         // Stop-loss configuration ID
         address maker;              // Option creator
+        address holder;             // Owner of the position token, zero until bought
         address makerAsset;         // Asset being sold
         address takerAsset;         // Asset being bought
         uint256 makingAmount;       // Amount of maker asset
+        uint256 remainingMakingAmount; // Maker asset still in escrow and open to fills
         uint256 minTakingAmount;    // Minimum taking amount
         uint256 createdAt;          // Creation timestamp
         uint256 expiresAt;          // Expiration timestamp
@@ -29,6 +35,35 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         bool isCall;                // true for call, false for put
     }
     
+    // How the maker signed for the collateral in createProtectedOptionWithPermit
+    enum PermitType {
+        ERC2612,                    // The token's own permit(), for this contract and the making amount
+        Permit2                     // Permit2 SignatureTransfer, for this contract and the making amount
+    }
+    
+    struct CollateralPermit {
+        PermitType permitType;
+        uint256 nonce;              // Permit2 nonce; ERC-2612 tokens track their own
+        uint256 deadline;           // Signature expiry timestamp
+        bytes signature;            // 65-byte r, s, v signature
+    }
+    
+    // One option of createProtectedOptionBatch, with the arguments of createProtectedOption
+    struct OptionRequest {
+        bool isCall;
+        uint256 strikePrice;        // 8 decimals
+        uint256 premium;
+        uint256 optionDuration;
+        address makerAsset;
+        address takerAsset;
+        uint256 makingAmount;
+        uint256 minTakingAmount;
+        bool isTrailing;            // Trailing stop instead of a fixed stopLossPrice
+        uint256 stopLossPrice;      // 8 decimals; ignored for trailing stops
+        uint256 maxLoss;            // Basis points; the trailing distance for trailing stops
+        address oracle;
+    }
+    
     // Events
     event ProtectedOptionCreated(
         bytes32 indexed protectedOptionId,
@@ -45,6 +80,33 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         uint256 takingAmount
     );
     
+    event ProtectedOptionPurchased(
+        bytes32 indexed protectedOptionId,
+        address indexed holder,
+        uint256 premium
+    );
+    
+    event ProtectedOptionTransferred(
+        bytes32 indexed protectedOptionId,
+        address indexed from,
+        address indexed to
+    );
+    
+    event ProtectedOptionFilled(
+        bytes32 indexed protectedOptionId,
+        address indexed taker,
+        uint256 makingAmount,
+        uint256 takingAmount,
+        uint256 remainingMakingAmount
+    );
+    
+    event CollateralWithdrawn(
+        bytes32 indexed protectedOptionId,
+        address maker,
+        uint256 amount,
+        uint256 remainingMakingAmount
+    );
+    
     event ProtectedOptionCancelled(
         bytes32 indexed protectedOptionId,
         address maker,
@@ -57,17 +119,27 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         uint256 timestamp
     );
     
+    event StopLossWindowUpdated(uint256 timeWindow, StopLossProtection.TriggerMode triggerMode);
+    
+    event PositionTokenUpdated(address positionToken);
+    
     // State variables
     OptionsCalculator public immutable optionsCalculator;
     StopLossProtection public immutable stopLossProtection;
+    ProtectedOptionPosition public positionToken;
     
     mapping(bytes32 => ProtectedOption) public protectedOptions;
     mapping(address => bytes32[]) public userOptions;
     mapping(bytes32 => bool) public executedOptions;
     
     uint256 public protectedOptionCounter;
+    uint256 public stopLossTimeWindow = 1 hours;
+    StopLossProtection.TriggerMode public stopLossTriggerMode;
     uint256 public constant MAX_OPTION_DURATION = 30 days;
     uint256 public constant MIN_OPTION_DURATION = 1 hours;
+    uint256 public constant MAX_BATCH_SIZE = 20; // Options per createProtectedOptionBatch call
+    // Uniswap Permit2, deployed at the same address on every chain
+    ISignatureTransfer public constant PERMIT2 = ISignatureTransfer(0x000000000022D473030F116dDEE9F6B43aC78BA3);
     
     // Errors
     error InvalidOptionDuration();
@@ -78,6 +150,9 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
     error StopLossTriggered();
     error InsufficientAmount();
     error InvalidConfiguration();
+    error OptionAlreadySold();
+    error InvalidPermit();
+    error InvalidBatchSize();
     
     constructor(
         address _optionsCalculator,
@@ -90,16 +165,17 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
     /**
      * @dev Creates a new protected option strategy
      * @param isCall Whether this is a call (true) or put (false) option
-     * @param strikePrice Strike price for the option
+     * @param strikePrice Strike price for the option (8 decimals)
      * @param premium Premium amount for the option
      * @param optionDuration Duration of the option in seconds
      * @param makerAsset Asset being sold by the maker
      * @param takerAsset Asset being bought by the maker
      * @param makingAmount Amount of maker asset
      * @param minTakingAmount Minimum amount of taker asset
-     * @param stopLossPrice Price at which to trigger stop-loss
+     * @param stopLossPrice Price at which to trigger stop-loss (8 decimals)
      * @param maxLoss Maximum loss percentage (basis points)
-     * @param oracle Price oracle address
+     * @param oracle Chainlink feed, OracleAdapter with a fallback feed, or CrossRateOracle for pairs
+     * without a direct feed, pricing the option
      * @return protectedOptionId ID of the created protected option
      */
     function createProtectedOption(
@@ -115,72 +191,213 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         uint256 maxLoss,
         address oracle
     ) external nonReentrant returns (bytes32 protectedOptionId) {
-        // Validate inputs
-        if (optionDuration < MIN_OPTION_DURATION || optionDuration > MAX_OPTION_DURATION) {
-            revert InvalidOptionDuration();
-        }
-        if (makingAmount == 0 || minTakingAmount == 0) revert InsufficientAmount();
-        if (makerAsset == address(0) || takerAsset == address(0)) revert InvalidConfiguration();
-        
-        // Generate unique IDs
-        protectedOptionId = keccak256(abi.encodePacked(
-            msg.sender,
-            block.timestamp,
-            protectedOptionCounter++
-        ));
-        
-        bytes32 optionId = keccak256(abi.encodePacked(protectedOptionId, "option"));
-        bytes32 stopLossId = keccak256(abi.encodePacked(protectedOptionId, "stoploss"));
-        
-        uint256 expiresAt = block.timestamp + optionDuration;
-        
-        // Configure option in calculator
-        optionsCalculator.setOptionConfig(
-            optionId,
+        protectedOptionId = _createFixedStopOption(
             isCall,
             strikePrice,
             premium,
-            expiresAt,
-            oracle,
-            1 // Default multiplier
+            optionDuration,
+            makerAsset,
+            takerAsset,
+            makingAmount,
+            minTakingAmount,
+            stopLossPrice,
+            maxLoss,
+            oracle
         );
         
-        // Configure stop-loss
-        stopLossProtection.configureStopLoss(
-            stopLossId,
+        _escrowAndEmit(protectedOptionId);
+    }
+    
+    /**
+     * @dev Creates a protected option like createProtectedOption, pulling the collateral with a
+     * signature instead of a prior approval, so the option is created in one transaction
+     * @param isCall Whether this is a call (true) or put (false) option
+     * @param strikePrice Strike price for the option (8 decimals)
+     * @param premium Premium amount for the option
+     * @param optionDuration Duration of the option in seconds
+     * @param makerAsset Asset being sold by the maker
+     * @param takerAsset Asset being bought by the maker
+     * @param makingAmount Amount of maker asset
+     * @param minTakingAmount Minimum amount of taker asset
+     * @param stopLossPrice Price at which to trigger stop-loss (8 decimals)
+     * @param maxLoss Maximum loss percentage (basis points)
+     * @param oracle Chainlink feed, OracleAdapter with a fallback feed, or CrossRateOracle for pairs
+     * without a direct feed, pricing the option
+     * @param permit ERC-2612 or Permit2 signature of the maker for exactly `makingAmount` of the
+     * maker asset, with this contract as spender
+     * @return protectedOptionId ID of the created protected option
+     */
+    function createProtectedOptionWithPermit(
+        bool isCall,
+        uint256 strikePrice,
+        uint256 premium,
+        uint256 optionDuration,
+        address makerAsset,
+        address takerAsset,
+        uint256 makingAmount,
+        uint256 minTakingAmount,
+        uint256 stopLossPrice,
+        uint256 maxLoss,
+        address oracle,
+        CollateralPermit calldata permit
+    ) external nonReentrant returns (bytes32 protectedOptionId) {
+        protectedOptionId = _createFixedStopOption(
+            isCall,
+            strikePrice,
+            premium,
+            optionDuration,
+            makerAsset,
+            takerAsset,
+            makingAmount,
+            minTakingAmount,
             stopLossPrice,
             maxLoss,
-            3600, // 1 hour time window
-            oracle,
-            isCall ? true : false // Call uses lower bound, put uses upper bound
+            oracle
         );
         
-        // Create protected option
-        protectedOptions[protectedOptionId] = ProtectedOption({
-            optionId: optionId,
-            stopLossId: stopLossId,
-            maker: msg.sender,
-            makerAsset: makerAsset,
-            takerAsset: takerAsset,
-            makingAmount: makingAmount,
-            minTakingAmount: minTakingAmount,
-            createdAt: block.timestamp,
-            expiresAt: expiresAt,
-            isActive: true,
-            isCall: isCall
-        });
+        _escrowWithPermitAndEmit(protectedOptionId, permit);
+    }
+    
+    /**
+     * @dev Creates a protected option whose stop-loss trails the best observed oracle price
+     * @param isCall Whether this is a call (true) or put (false) option
+     * @param strikePrice Strike price for the option (8 decimals)
+     * @param premium Premium amount for the option
+     * @param optionDuration Duration of the option in seconds
+     * @param makerAsset Asset being sold by the maker
+     * @param takerAsset Asset being bought by the maker
+     * @param makingAmount Amount of maker asset
+     * @param minTakingAmount Minimum amount of taker asset
+     * @param trailingDistance Distance between the best observed price and the stop (basis points)
+     * @param oracle Chainlink feed, OracleAdapter with a fallback feed, or CrossRateOracle for pairs
+     * without a direct feed, pricing the option
+     * @return protectedOptionId ID of the created protected option
+     */
+    function createTrailingProtectedOption(
+        bool isCall,
+        uint256 strikePrice,
+        uint256 premium,
+        uint256 optionDuration,
+        address makerAsset,
+        address takerAsset,
+        uint256 makingAmount,
+        uint256 minTakingAmount,
+        uint256 trailingDistance,
+        address oracle
+    ) external nonReentrant returns (bytes32 protectedOptionId) {
+        protectedOptionId = _createTrailingStopOption(
+            isCall,
+            strikePrice,
+            premium,
+            optionDuration,
+            makerAsset,
+            takerAsset,
+            makingAmount,
+            minTakingAmount,
+            trailingDistance,
+            oracle
+        );
         
-        // Add to user's options
-        userOptions[msg.sender].push(protectedOptionId);
+        _escrowAndEmit(protectedOptionId);
+    }
+    
+    /**
+     * @dev Creates several protected options in one transaction, e.g. a ladder of strikes and
+     * expiries. Each option is validated, escrowed and announced exactly as if it had been created
+     * on its own, and any failure reverts the whole batch. The caller must have approved the total
+     * collateral of each maker asset.
+     * @param requests Options to create, at most MAX_BATCH_SIZE
+     * @return protectedOptionIds IDs of the created options, in request order
+     */
+    function createProtectedOptionBatch(OptionRequest[] calldata requests)
+        external
+        nonReentrant
+        returns (bytes32[] memory protectedOptionIds)
+    {
+        if (requests.length == 0 || requests.length > MAX_BATCH_SIZE) revert InvalidBatchSize();
         
-        // Transfer maker asset to this contract for escrow
-        IERC20(makerAsset).safeTransferFrom(msg.sender, address(this), makingAmount);
+        protectedOptionIds = new bytes32[](requests.length);
+        for (uint256 i = 0; i < requests.length; i++) {
+            OptionRequest calldata request = requests[i];
+            protectedOptionIds[i] = request.isTrailing
+                ? _createTrailingStopOption(
+                    request.isCall,
+                    request.strikePrice,
+                    request.premium,
+                    request.optionDuration,
+                    request.makerAsset,
+                    request.takerAsset,
+                    request.makingAmount,
+                    request.minTakingAmount,
+                    request.maxLoss,
+                    request.oracle
+                )
+                : _createFixedStopOption(
+                    request.isCall,
+                    request.strikePrice,
+                    request.premium,
+                    request.optionDuration,
+                    request.makerAsset,
+                    request.takerAsset,
+                    request.makingAmount,
+                    request.minTakingAmount,
+                    request.stopLossPrice,
+                    request.maxLoss,
+                    request.oracle
+                );
+            _escrowAndEmit(protectedOptionIds[i]);
+        }
+    }
+    
+    /**
+     * @dev Buys a protected option: the caller pays the premium in the taker asset to the maker
+     * and receives the position token. Whoever owns the token is the holder, the only account
+     * that may execute the option
+     * @param protectedOptionId ID of the protected option to buy
+     */
+    function buyProtectedOption(bytes32 protectedOptionId) external nonReentrant {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        
+        if (!option.isActive) revert OptionNotActive();
+        if (block.timestamp >= option.expiresAt) revert OptionExpired();
+        if (option.holder != address(0)) revert OptionAlreadySold();
+        if (msg.sender == option.maker) revert UnauthorizedAccess();
+        if (address(positionToken) == address(0)) revert InvalidConfiguration();
         
-        emit ProtectedOptionCreated(protectedOptionId, optionId, stopLossId, msg.sender, isCall);
+        // A stopped-out option has no upside left to sell
+        if (!stopLossProtection.stopLossPredicate(option.stopLossId)) {
+            revert StopLossTriggered();
+        }
+        
+        (, , uint256 premium, , , , , , ) = optionsCalculator.optionConfigs(option.optionId);
+        
+        option.holder = msg.sender;
+        
+        IERC20(option.takerAsset).safeTransferFrom(msg.sender, option.maker, premium);
+        positionToken.mint(msg.sender, protectedOptionId);
+        
+        emit ProtectedOptionPurchased(protectedOptionId, msg.sender, premium);
     }
     
     /**
-     * @dev Executes a protected option if conditions are met
+     * @dev Hands the holder role to the new owner of a position token (position token only)
+     * @param protectedOptionId ID of the protected option
+     * @param to New owner of the position
+     */
+    function onPositionTransfer(bytes32 protectedOptionId, address to) external {
+        if (msg.sender != address(positionToken)) revert UnauthorizedAccess();
+        
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        address from = option.holder;
+        option.holder = to;
+        
+        emit ProtectedOptionTransferred(protectedOptionId, from, to);
+    }
+    
+    /**
+     * @dev Fills a protected option, fully or in part, if conditions are met. Only the holder may execute. A fill that asks for
+     * more than the remaining collateral is repriced for the remainder. The option stays open until
+     * its collateral is exhausted; ProtectedOptionExecuted is emitted with the fill that exhausts it.
      * @param protectedOptionId ID of the protected option to execute
      * @param takingAmount Amount of taker asset being provided
      */
@@ -193,7 +410,7 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         if (!option.isActive) revert OptionNotActive();
         if (block.timestamp >= option.expiresAt) revert OptionExpired();
         if (executedOptions[protectedOptionId]) revert OptionNotActive();
-        if (takingAmount < option.minTakingAmount) revert InsufficientAmount();
+        if (msg.sender != option.holder) revert UnauthorizedAccess();
         
         // Check stop-loss conditions
         if (!stopLossProtection.stopLossPredicate(option.stopLossId)) {
@@ -205,30 +422,72 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
             revert OptionNotActive();
         }
         
-        // Calculate actual making amount based on option payoff
-        uint256 actualMakingAmount = optionsCalculator.getMakingAmount(
-            option.optionId,
-            takingAmount
-        );
+        uint256 actualMakingAmount;
+        (actualMakingAmount, takingAmount) = _quoteFill(option, takingAmount);
+        if (actualMakingAmount == 0) revert InsufficientAmount();
         
-        // Ensure we have enough maker asset
-        if (actualMakingAmount > option.makingAmount) {
-            actualMakingAmount = option.makingAmount;
+        // minTakingAmount is the price floor for the whole position, applied pro rata to each fill
+        if (takingAmount * option.makingAmount < option.minTakingAmount * actualMakingAmount) {
+            revert InsufficientAmount();
+        }
+        
+        option.remainingMakingAmount -= actualMakingAmount;
+        
+        // Mark as executed once the collateral is exhausted
+        if (option.remainingMakingAmount == 0) {
+            executedOptions[protectedOptionId] = true;
+            option.isActive = false;
         }
         
         // Transfer assets
         IERC20(option.takerAsset).safeTransferFrom(msg.sender, option.maker, takingAmount);
         IERC20(option.makerAsset).safeTransfer(msg.sender, actualMakingAmount);
         
-        // Mark as executed
-        executedOptions[protectedOptionId] = true;
-        option.isActive = false;
+        emit ProtectedOptionFilled(
+            protectedOptionId,
+            msg.sender,
+            actualMakingAmount,
+            takingAmount,
+            option.remainingMakingAmount
+        );
+        if (!option.isActive) {
+            emit ProtectedOptionExecuted(protectedOptionId, msg.sender, actualMakingAmount, takingAmount);
+        }
+    }
+    
+    /**
+     * @dev Returns part of the remaining collateral to the maker. The rest stays open to fills;
+     * withdrawing all of it closes the option. Sold options keep their collateral for the holder.
+     * @param protectedOptionId ID of the protected option
+     * @param amount Amount of maker asset to withdraw
+     */
+    function withdrawCollateral(bytes32 protectedOptionId, uint256 amount) external nonReentrant {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        
+        if (!option.isActive) revert OptionNotActive();
+        if (msg.sender != option.maker) revert UnauthorizedAccess();
+        if (option.holder != address(0)) revert OptionAlreadySold();
+        if (amount == 0 || amount > option.remainingMakingAmount) revert InsufficientAmount();
+        
+        option.remainingMakingAmount -= amount;
+        
+        if (option.remainingMakingAmount == 0) {
+            optionsCalculator.deactivateOption(option.optionId);
+            stopLossProtection.deactivateStopLoss(option.stopLossId);
+            option.isActive = false;
+        }
         
-        emit ProtectedOptionExecuted(protectedOptionId, msg.sender, actualMakingAmount, takingAmount);
+        IERC20(option.makerAsset).safeTransfer(option.maker, amount);
+        
+        emit CollateralWithdrawn(protectedOptionId, option.maker, amount, option.remainingMakingAmount);
+        if (!option.isActive) {
+            emit ProtectedOptionCancelled(protectedOptionId, option.maker, "withdrawn");
+        }
     }
     
     /**
-     * @dev Cancels a protected option (only by maker or if stop-loss triggered)
+     * @dev Cancels a protected option (by the maker until it is sold, or by anyone once expired or
+     * stopped out)
      * @param protectedOptionId ID of the protected option to cancel
      */
     function cancelProtectedOption(bytes32 protectedOptionId) external nonReentrant {
@@ -240,21 +499,43 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         bool isExpired = block.timestamp >= option.expiresAt;
         bool stopLossTriggered = !stopLossProtection.stopLossPredicate(option.stopLossId);
         
-        if (!isOwner && !isExpired && !stopLossTriggered) {
-            revert UnauthorizedAccess();
+        if (!isExpired && !stopLossTriggered) {
+            if (!isOwner) revert UnauthorizedAccess();
+            if (option.holder != address(0)) revert OptionAlreadySold();
+        }
+        
+        // A fired stop-loss is recorded on chain rather than just switched off
+        if (stopLossTriggered && !isExpired) {
+            _triggerStopLoss(protectedOptionId);
+            return;
         }
         
         // Deactivate configurations
         optionsCalculator.deactivateOption(option.optionId);
         stopLossProtection.deactivateStopLoss(option.stopLossId);
         
-        // Return maker asset to maker
-        IERC20(option.makerAsset).safeTransfer(option.maker, option.makingAmount);
-        
+        // Return the unfilled maker asset to maker
+        uint256 refund = option.remainingMakingAmount;
+        option.remainingMakingAmount = 0;
         option.isActive = false;
         
-        string memory reason = isExpired ? "expired" : stopLossTriggered ? "stop-loss" : "cancelled";
-        emit ProtectedOptionCancelled(protectedOptionId, option.maker, reason);
+        IERC20(option.makerAsset).safeTransfer(option.maker, refund);
+        
+        emit ProtectedOptionCancelled(protectedOptionId, option.maker, isExpired ? "expired" : "cancelled");
+    }
+    
+    /**
+     * @dev Fires the stop-loss of an option: records the trigger, deactivates the option and
+     * refunds the maker. Anyone may call it once the stop-loss is triggered.
+     * @param protectedOptionId ID of the protected option
+     */
+    function triggerStopLoss(bytes32 protectedOptionId) external nonReentrant {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        
+        if (!option.isActive) revert OptionNotActive();
+        if (block.timestamp >= option.expiresAt) revert OptionExpired();
+        
+        _triggerStopLoss(protectedOptionId);
     }
     
     /**
@@ -270,6 +551,25 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         option = protectedOptions[protectedOptionId];
     }
     
+    /**
+     * @dev Quotes a fill of a protected option at the current oracle price; (0, 0) when the
+     * option is inactive or out of the money
+     * @param protectedOptionId ID of the protected option
+     * @param takingAmount Amount of taker asset the taker offers
+     * @return makingAmount Maker asset the fill would pay out
+     * @return actualTakingAmount Taker asset the fill would charge, repriced if the offer exceeds the remaining collateral
+     */
+    function quoteExecution(bytes32 protectedOptionId, uint256 takingAmount)
+        external
+        view
+        returns (uint256 makingAmount, uint256 actualTakingAmount)
+    {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        if (!option.isActive || !optionsCalculator.isInTheMoney(option.optionId)) return (0, 0);
+        
+        return _quoteFill(option, takingAmount);
+    }
+    
     /**
      * @dev Gets all protected options for a user
      * @param user User address
@@ -304,6 +604,8 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
             return (false, "Option out of the money");
         }
         
+        if (option.holder == address(0)) return (false, "Not purchased");
+        
         return (true, "Can execute");
     }
     
@@ -334,6 +636,43 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
         }
     }
     
+    /**
+     * @dev Sets the stop-loss time window and trigger mode used for newly created options. A window
+     * is read at most StopLossProtection.MAX_WINDOW_ROUNDS (64) oracle rounds back: on a feed that
+     * updates more often than every timeWindow / 64 seconds, only its latest 64 rounds decide, so the
+     * stop effectively uses a shorter window.
+     * @param timeWindow How long the price must stay beyond the stop (or the TWAP period), in seconds
+     * @param triggerMode Sustained or Twap evaluation of the window
+     */
+    function setStopLossWindow(
+        uint256 timeWindow,
+        StopLossProtection.TriggerMode triggerMode
+    ) external onlyOwner {
+        if (timeWindow < stopLossProtection.MIN_TIME_WINDOW() || timeWindow > MAX_OPTION_DURATION) {
+            revert InvalidConfiguration();
+        }
+        
+        stopLossTimeWindow = timeWindow;
+        stopLossTriggerMode = triggerMode;
+        
+        emit StopLossWindowUpdated(timeWindow, triggerMode);
+    }
+    
+    /**
+     * @dev Sets the ERC-721 contract that represents bought positions. It can only be set once,
+     * as existing positions would otherwise lose their tokens.
+     * @param _positionToken Position token address
+     */
+    function setPositionToken(address _positionToken) external onlyOwner {
+        if (_positionToken == address(0) || address(positionToken) != address(0)) {
+            revert InvalidConfiguration();
+        }
+        
+        positionToken = ProtectedOptionPosition(_positionToken);
+        
+        emit PositionTokenUpdated(_positionToken);
+    }
+    
     /**
      * @dev Emergency function to recover tokens (only owner)
      * @param token Token address to recover
@@ -342,4 +681,274 @@ contract ProtectedOptionManager is Ownable, ReentrancyGuard {
     function emergencyRecover(address token, uint256 amount) external onlyOwner {
         IERC20(token).safeTransfer(owner(), amount);
     }
-} 
\ No newline at end of file
+    
+    /**
+     * @dev Validates inputs, configures the option in the calculator and records the position
+     * @return protectedOptionId ID of the created protected option
+     * @return stopLossId Stop-loss ID to configure for the option
+     */
+    function _createProtectedOption(
+        bool isCall,
+        uint256 strikePrice,
+        uint256 premium,
+        uint256 optionDuration,
+        address makerAsset,
+        address takerAsset,
+        uint256 makingAmount,
+        uint256 minTakingAmount,
+        address oracle
+    ) internal returns (bytes32 protectedOptionId, bytes32 stopLossId) {
+        // Validate inputs
+        if (optionDuration < MIN_OPTION_DURATION || optionDuration > MAX_OPTION_DURATION) {
+            revert InvalidOptionDuration();
+        }
+        if (makingAmount == 0 || minTakingAmount == 0) revert InsufficientAmount();
+        if (makerAsset == address(0) || takerAsset == address(0)) revert InvalidConfiguration();
+        
+        // Generate unique IDs
+        protectedOptionId = keccak256(abi.encodePacked(
+            msg.sender,
+            block.timestamp,
+            protectedOptionCounter++
+        ));
+        
+        bytes32 optionId = keccak256(abi.encodePacked(protectedOptionId, "option"));
+        stopLossId = keccak256(abi.encodePacked(protectedOptionId, "stoploss"));
+        
+        uint256 expiresAt = block.timestamp + optionDuration;
+        
+        // Configure option in calculator
+        optionsCalculator.setOptionConfig(
+            optionId,
+            isCall,
+            strikePrice,
+            premium,
+            expiresAt,
+            oracle,
+            1, // Default multiplier
+            IERC20Metadata(makerAsset).decimals(),
+            IERC20Metadata(takerAsset).decimals()
+        );
+        
+        // Create protected option
+        protectedOptions[protectedOptionId] = ProtectedOption({
+            optionId: optionId,
+            stopLossId: stopLossId,
+            maker: msg.sender,
+            holder: address(0),
+            makerAsset: makerAsset,
+            takerAsset: takerAsset,
+            makingAmount: makingAmount,
+            remainingMakingAmount: makingAmount,
+            minTakingAmount: minTakingAmount,
+            createdAt: block.timestamp,
+            expiresAt: expiresAt,
+            isActive: true,
+            isCall: isCall
+        });
+        
+        // Add to user's options
+        userOptions[msg.sender].push(protectedOptionId);
+    }
+    
+    /**
+     * @dev Applies the manager's trigger mode to a freshly configured stop-loss
+     * @param stopLossId Stop-loss ID of the new option
+     */
+    function _setTriggerMode(bytes32 stopLossId) internal {
+        // Sustained is the stop-loss default, skip the call for it
+        if (stopLossTriggerMode != StopLossProtection.TriggerMode.Sustained) {
+            stopLossProtection.setTriggerMode(stopLossId, stopLossTriggerMode);
+        }
+    }
+    
+    /**
+     * @dev Records the stop-loss trigger, closes the option and returns the escrow to the maker.
+     * Reverts with StopLossNotTriggered unless the stop-loss has fired.
+     * @param protectedOptionId ID of the protected option
+     */
+    function _triggerStopLoss(bytes32 protectedOptionId) internal {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        
+        uint256 triggerPrice = stopLossProtection.triggerStopLoss(option.stopLossId);
+        optionsCalculator.deactivateOption(option.optionId);
+        uint256 refund = option.remainingMakingAmount;
+        option.remainingMakingAmount = 0;
+        option.isActive = false;
+        
+        IERC20(option.makerAsset).safeTransfer(option.maker, refund);
+        
+        emit StopLossActivated(protectedOptionId, triggerPrice, block.timestamp);
+        emit ProtectedOptionCancelled(protectedOptionId, option.maker, "stop-loss");
+    }
+    
+    /**
+     * @dev Prices a fill from the option payoff, capped at the remaining collateral
+     * @param option Protected option being filled
+     * @param takingAmount Amount of taker asset offered
+     * @return makingAmount Maker asset paid out
+     * @return actualTakingAmount Taker asset charged for it
+     */
+    function _quoteFill(ProtectedOption storage option, uint256 takingAmount)
+        internal
+        view
+        returns (uint256 makingAmount, uint256 actualTakingAmount)
+    {
+        makingAmount = optionsCalculator.getMakingAmount(option.optionId, takingAmount);
+        actualTakingAmount = takingAmount;
+        
+        // Only charge for the collateral that is left
+        if (makingAmount > option.remainingMakingAmount) {
+            makingAmount = option.remainingMakingAmount;
+            actualTakingAmount = optionsCalculator.getTakingAmount(option.optionId, makingAmount);
+        }
+    }
+    
+    /**
+     * @dev Creates an option with a fixed stop-loss, without escrowing the collateral yet
+     * @return protectedOptionId ID of the created protected option
+     */
+    function _createFixedStopOption(
+        bool isCall,
+        uint256 strikePrice,
+        uint256 premium,
+        uint256 optionDuration,
+        address makerAsset,
+        address takerAsset,
+        uint256 makingAmount,
+        uint256 minTakingAmount,
+        uint256 stopLossPrice,
+        uint256 maxLoss,
+        address oracle
+    ) internal returns (bytes32 protectedOptionId) {
+        bytes32 stopLossId;
+        (protectedOptionId, stopLossId) = _createProtectedOption(
+            isCall,
+            strikePrice,
+            premium,
+            optionDuration,
+            makerAsset,
+            takerAsset,
+            makingAmount,
+            minTakingAmount,
+            oracle
+        );
+        
+        // Configure stop-loss
+        stopLossProtection.configureStopLoss(
+            stopLossId,
+            stopLossPrice,
+            maxLoss,
+            stopLossTimeWindow,
+            oracle,
+            isCall ? true : false // Call uses lower bound, put uses upper bound
+        );
+        _setTriggerMode(stopLossId);
+    }
+    
+    /**
+     * @dev Creates an option with a trailing stop-loss, without escrowing the collateral yet
+     * @return protectedOptionId ID of the created protected option
+     */
+    function _createTrailingStopOption(
+        bool isCall,
+        uint256 strikePrice,
+        uint256 premium,
+        uint256 optionDuration,
+        address makerAsset,
+        address takerAsset,
+        uint256 makingAmount,
+        uint256 minTakingAmount,
+        uint256 trailingDistance,
+        address oracle
+    ) internal returns (bytes32 protectedOptionId) {
+        bytes32 stopLossId;
+        (protectedOptionId, stopLossId) = _createProtectedOption(
+            isCall,
+            strikePrice,
+            premium,
+            optionDuration,
+            makerAsset,
+            takerAsset,
+            makingAmount,
+            minTakingAmount,
+            oracle
+        );
+        
+        // Stop starts trailingDistance below (call) or above (put) the current price
+        stopLossProtection.configureTrailingStopLoss(
+            stopLossId,
+            trailingDistance,
+            stopLossTimeWindow,
+            oracle,
+            isCall
+        );
+        _setTriggerMode(stopLossId);
+    }
+    
+    /**
+     * @dev Pulls the maker asset into escrow and announces the new option
+     * @param protectedOptionId ID of the created protected option
+     */
+    function _escrowAndEmit(bytes32 protectedOptionId) internal {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        
+        // Transfer maker asset to this contract for escrow
+        IERC20(option.makerAsset).safeTransferFrom(msg.sender, address(this), option.makingAmount);
+        
+        emit ProtectedOptionCreated(protectedOptionId, option.optionId, option.stopLossId, msg.sender, option.isCall);
+    }
+    
+    /**
+     * @dev Escrows the maker asset with the maker's signature and announces the new option
+     * @param protectedOptionId ID of the created protected option
+     * @param permit ERC-2612 or Permit2 signature for the making amount
+     */
+    function _escrowWithPermitAndEmit(bytes32 protectedOptionId, CollateralPermit calldata permit) internal {
+        ProtectedOption storage option = protectedOptions[protectedOptionId];
+        if (permit.signature.length != 65) revert InvalidPermit();
+        
+        if (permit.permitType == PermitType.Permit2) {
+            // Permit2 moves the collateral itself; the signature is spent with the transfer
+            PERMIT2.permitTransferFrom(
+                ISignatureTransfer.PermitTransferFrom({
+                    permitted: ISignatureTransfer.TokenPermissions({
+                        token: option.makerAsset,
+                        amount: option.makingAmount
+                    }),
+                    nonce: permit.nonce,
+                    deadline: permit.deadline
+                }),
+                ISignatureTransfer.SignatureTransferDetails({
+                    to: address(this),
+                    requestedAmount: option.makingAmount
+                }),
+                msg.sender,
+                permit.signature
+            );
+            emit ProtectedOptionCreated(protectedOptionId, option.optionId, option.stopLossId, msg.sender, option.isCall);
+            return;
+        }
+        
+        bytes32 r = bytes32(permit.signature[0:32]);
+        bytes32 s = bytes32(permit.signature[32:64]);
+        uint8 v = uint8(permit.signature[64]);
+        
+        // A permit copied from the mempool may already have been used; the allowance it set still counts
+        try IERC20Permit(option.makerAsset).permit(
+            msg.sender,
+            address(this),
+            option.makingAmount,
+            permit.deadline,
+            v,
+            r,
+            s
+        ) {} catch {
+            if (IERC20(option.makerAsset).allowance(msg.sender, address(this)) < option.makingAmount) {
+                revert InvalidPermit();
+            }
+        }
+        
+        _escrowAndEmit(protectedOptionId);
+    }
+}
@@ -0,0 +1,131 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "./OptionsCalculator.sol";
+import "./StopLossProtection.sol";
+import "./ProtectedOptionManager.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @title ProtectedOptionPosition
+ * @dev ERC-721 token for the holder side of a protected option. The token ID is the protected
+ * option ID; the manager mints it to the buyer and every transfer hands the right to execute
+ * the option to the new owner. Metadata is generated on chain from the option state.
+ */
+contract ProtectedOptionPosition is ERC721Enumerable {
+    using Strings for uint256;
+
+    ProtectedOptionManager public immutable protectedOptionManager;
+    OptionsCalculator public immutable optionsCalculator;
+    StopLossProtection public immutable stopLossProtection;
+
+    // Oracle prices, strikes and stop-loss levels all use 8 decimals
+    uint256 private constant PRICE_DECIMALS = 8;
+
+    // Errors
+    error UnauthorizedMinter();
+
+    constructor(address _protectedOptionManager)
+        ERC721("Protected Option Position", "POP")
+    {
+        protectedOptionManager = ProtectedOptionManager(_protectedOptionManager);
+        optionsCalculator = protectedOptionManager.optionsCalculator();
+        stopLossProtection = protectedOptionManager.stopLossProtection();
+    }
+
+    /**
+     * @dev Mints the position of a freshly bought option (manager only)
+     * @param to Buyer of the option
+     * @param protectedOptionId ID of the protected option
+     */
+    function mint(address to, bytes32 protectedOptionId) external {
+        if (msg.sender != address(protectedOptionManager)) revert UnauthorizedMinter();
+        _mint(to, uint256(protectedOptionId));
+    }
+
+    /**
+     * @dev Gets all protected options whose position is owned by an account
+     * @param owner Position owner
+     * @return optionIds Array of protected option IDs
+     */
+    function getPositions(address owner) external view returns (bytes32[] memory optionIds) {
+        uint256 count = balanceOf(owner);
+        optionIds = new bytes32[](count);
+        for (uint256 i = 0; i < count; i++) {
+            optionIds[i] = bytes32(tokenOfOwnerByIndex(owner, i));
+        }
+    }
+
+    /**
+     * @dev Returns a base64 JSON data URI describing the option: type, strike, stop-loss,
+     * expiry and current status
+     * @param tokenId Position token ID (the protected option ID)
+     * @return uri Data URI with the token metadata
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory uri) {
+        _requireOwned(tokenId);
+        bytes32 protectedOptionId = bytes32(tokenId);
+
+        ProtectedOptionManager.ProtectedOption memory option =
+            protectedOptionManager.getProtectedOption(protectedOptionId);
+        (, uint256 strikePrice, , , , , , , ) = optionsCalculator.optionConfigs(option.optionId);
+        (uint256 stopLossPrice, , , , , , ) = stopLossProtection.stopLossConfigs(option.stopLossId);
+
+        string memory optionType = option.isCall ? "Call" : "Put";
+        string memory strike = _formatPrice(strikePrice);
+
+        bytes memory json = abi.encodePacked(
+            '{"name":"Protected ', optionType, " @ ", strike,
+            '","description":"Holder position of protected option ', Strings.toHexString(tokenId, 32),
+            '","attributes":[{"trait_type":"Type","value":"', optionType,
+            '"},{"trait_type":"Strike","value":"', strike,
+            '"},{"trait_type":"Stop-Loss","value":"', _formatPrice(stopLossPrice),
+            '"},{"display_type":"date","trait_type":"Expiry","value":', option.expiresAt.toString(),
+            '},{"trait_type":"Status","value":"', _status(protectedOptionId, option), '"}]}'
+        );
+
+        uri = string.concat("data:application/json;base64,", Base64.encode(json));
+    }
+
+    /**
+     * @dev Moves the holder role along with the token; mints are recorded by the manager itself
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from != address(0)) {
+            protectedOptionManager.onPositionTransfer(bytes32(tokenId), to);
+        }
+    }
+
+    /**
+     * @dev Derives the lifecycle status of an option, like the dashboard does
+     */
+    function _status(bytes32 protectedOptionId, ProtectedOptionManager.ProtectedOption memory option)
+        internal
+        view
+        returns (string memory)
+    {
+        if (protectedOptionManager.executedOptions(protectedOptionId)) return "Executed";
+        if (!option.isActive) {
+            (, uint256 triggeredAt) = stopLossProtection.triggerRecords(option.stopLossId);
+            return triggeredAt != 0 ? "Stopped Out" : "Cancelled";
+        }
+        if (block.timestamp >= option.expiresAt) return "Expired";
+        return "Active";
+    }
+
+    /**
+     * @dev Formats an 8-decimal price as a dollar amount with two decimals, e.g. "2100.00"
+     */
+    function _formatPrice(uint256 price) internal pure returns (string memory) {
+        uint256 cents = price / 10 ** (PRICE_DECIMALS - 2);
+        uint256 fraction = cents % 100;
+        return string.concat(
+            (cents / 100).toString(),
+            fraction < 10 ? ".0" : ".",
+            fraction.toString()
+        );
+    }
+}
@@ -3,15 +3,19 @@ pragma solidity 0.8.24;
 
 import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/structs/Checkpoints.sol";
+import "./libraries/PriceScaling.sol";
 
 /**
  * @title StopLossProtection
  * @dev Implements stop-loss predicates for protected option strategies
  */
 contract StopLossProtection is Ownable {
+    using Checkpoints for Checkpoints.Trace208;
     
     struct StopLossConfig {
-        uint256 stopLossPrice;      // Price at which to trigger stop-loss
+        uint256 stopLossPrice;      // Price at which to trigger stop-loss (8 decimals)
         uint256 maxLoss;            // Maximum loss percentage (in basis points)
         uint256 timeWindow;         // Time window for price checks
         address oracle;             // Price oracle address
@@ -20,6 +24,31 @@ contract StopLossProtection is Ownable {
         uint256 createdAt;          // When the stop-loss was created
     }
     
+    struct TrailingStop {
+        bool isTrailing;            // Whether stopLossPrice follows the best observed price
+        uint256 referencePrice;     // Best observed price: highest for lower bound, lowest for upper bound
+    }
+    
+    struct TriggerRecord {
+        uint256 currentPrice;       // Oracle price when the stop-loss fired
+        uint256 triggeredAt;        // When the stop-loss fired
+    }
+    
+    // Oracle rounds inside a stop's time window, as evaluated by the trigger modes
+    struct WindowState {
+        uint256 twapPrice;          // Time-weighted average price over the covered part of the window
+        uint256 twapLevel;          // Time-weighted average stop level over the same period
+        bool breachSustained;       // Whether every covered round is beyond its stop level
+        uint256 coveredFrom;        // Start of the covered part of the window
+        bool roundCapped;           // Whether the window holds more than MAX_WINDOW_ROUNDS rounds
+    }
+    
+    // How the price history inside a stop's time window is evaluated
+    enum TriggerMode {
+        Sustained,                  // Every oracle round in the window is beyond the stop
+        Twap                        // The time-weighted average price over the window is beyond the stop
+    }
+    
     // Events
     event StopLossConfigured(
         bytes32 indexed stopLossId,
@@ -37,14 +66,28 @@ contract StopLossProtection is Ownable {
     
     event StopLossDeactivated(bytes32 indexed stopLossId);
     
+    event TrailingStopUpdated(
+        bytes32 indexed stopLossId,
+        uint256 referencePrice,
+        uint256 stopLossPrice
+    );
+    
+    event TriggerModeUpdated(bytes32 indexed stopLossId, TriggerMode triggerMode);
+    
     // State variables
     mapping(bytes32 => StopLossConfig) public stopLossConfigs;
+    mapping(bytes32 => TrailingStop) public trailingStops;
+    mapping(bytes32 => TriggerMode) public triggerModes;
+    mapping(bytes32 => TriggerRecord) public triggerRecords;
+    // Levels a trailing stop has had, keyed by the time they took effect
+    mapping(bytes32 => Checkpoints.Trace208) private _trailingLevels;
     mapping(address => bool) public authorizedCallers;
     
     // Constants
     uint256 private constant BASIS_POINTS = 10000;
-    uint256 private constant MAX_PRICE_AGE = 300; // 5 minutes for stop-loss
-    uint256 private constant MIN_TIME_WINDOW = 60; // 1 minute minimum
+    uint256 private constant MAX_PRICE_AGE = 300; // 5 minutes for stop-loss, on top of an OracleAdapter's per-feed limits
+    uint256 public constant MIN_TIME_WINDOW = 60; // 1 minute minimum
+    uint256 public constant MAX_WINDOW_ROUNDS = 64; // Bounds the gas of walking round history
     uint256 private constant MAX_LOSS_BP = 9000; // 90% max loss
     
     // Errors
@@ -54,6 +97,8 @@ contract StopLossProtection is Ownable {
     error UnauthorizedCaller();
     error InvalidMaxLoss();
     error InvalidTimeWindow();
+    error NotTrailingStop();
+    error StopLossNotTriggered();
     
     modifier onlyAuthorized() {
         if (!authorizedCallers[msg.sender] && msg.sender != owner()) {
@@ -105,6 +150,94 @@ contract StopLossProtection is Ownable {
         emit StopLossConfigured(stopLossId, stopLossPrice, maxLoss, isLowerBound);
     }
     
+    /**
+     * @dev Configures a trailing stop-loss that starts `trailingDistance` away from the current price
+     * @param stopLossId Unique identifier for the stop-loss
+     * @param trailingDistance Distance between the best observed price and the stop, in basis points
+     * @param timeWindow Time window for price validation
+     * @param oracle Price oracle address
+     * @param isLowerBound Whether this is a lower bound stop-loss
+     * @return stopLossPrice Initial stop-loss price
+     */
+    function configureTrailingStopLoss(
+        bytes32 stopLossId,
+        uint256 trailingDistance,
+        uint256 timeWindow,
+        address oracle,
+        bool isLowerBound
+    ) external onlyAuthorized returns (uint256 stopLossPrice) {
+        if (trailingDistance == 0 || trailingDistance > MAX_LOSS_BP) revert InvalidMaxLoss();
+        if (timeWindow < MIN_TIME_WINDOW) revert InvalidTimeWindow();
+        if (oracle == address(0)) revert InvalidStopLossConfig();
+        
+        uint256 currentPrice = _getCurrentPrice(oracle);
+        stopLossPrice = _trailingLevel(currentPrice, trailingDistance, isLowerBound);
+        
+        stopLossConfigs[stopLossId] = StopLossConfig({
+            stopLossPrice: stopLossPrice,
+            maxLoss: trailingDistance,
+            timeWindow: timeWindow,
+            oracle: oracle,
+            isActive: true,
+            isLowerBound: isLowerBound,
+            createdAt: block.timestamp
+        });
+        trailingStops[stopLossId] = TrailingStop({
+            isTrailing: true,
+            referencePrice: currentPrice
+        });
+        _recordTrailingLevel(stopLossId, stopLossPrice);
+        
+        emit StopLossConfigured(stopLossId, stopLossPrice, trailingDistance, isLowerBound);
+        emit TrailingStopUpdated(stopLossId, currentPrice, stopLossPrice);
+    }
+    
+    /**
+     * @dev Ratchets a trailing stop towards the current oracle price. Permissionless: the stop
+     * only ever moves in the position's favour, so anyone may pay to keep it up to date.
+     * @param stopLossId Trailing stop-loss identifier
+     * @return stopLossPrice Stop-loss price after the update
+     */
+    function poke(bytes32 stopLossId) external returns (uint256 stopLossPrice) {
+        StopLossConfig storage config = stopLossConfigs[stopLossId];
+        TrailingStop storage trailing = trailingStops[stopLossId];
+        
+        if (!config.isActive) revert StopLossNotActive();
+        if (!trailing.isTrailing) revert NotTrailingStop();
+        
+        uint256 currentPrice = _getCurrentPrice(config.oracle);
+        stopLossPrice = config.stopLossPrice;
+        
+        bool isNewBest = config.isLowerBound
+            ? currentPrice > trailing.referencePrice
+            : currentPrice < trailing.referencePrice;
+        if (!isNewBest) return stopLossPrice;
+        
+        trailing.referencePrice = currentPrice;
+        uint256 newLevel = _trailingLevel(currentPrice, config.maxLoss, config.isLowerBound);
+        
+        // Never loosen the stop, even if rounding would move it back
+        if (config.isLowerBound ? newLevel > stopLossPrice : newLevel < stopLossPrice) {
+            stopLossPrice = newLevel;
+            config.stopLossPrice = newLevel;
+            _recordTrailingLevel(stopLossId, newLevel);
+        }
+        
+        emit TrailingStopUpdated(stopLossId, currentPrice, stopLossPrice);
+    }
+    
+    /**
+     * @dev Selects how the price history inside the time window triggers a stop-loss
+     * @param stopLossId Stop-loss identifier
+     * @param triggerMode Sustained (default) or Twap
+     */
+    function setTriggerMode(bytes32 stopLossId, TriggerMode triggerMode) external onlyAuthorized {
+        if (!stopLossConfigs[stopLossId].isActive) revert StopLossNotActive();
+        
+        triggerModes[stopLossId] = triggerMode;
+        emit TriggerModeUpdated(stopLossId, triggerMode);
+    }
+    
     /**
      * @dev Deactivates a stop-loss configuration
      * @param stopLossId Stop-loss identifier to deactivate
@@ -124,24 +257,37 @@ contract StopLossProtection is Ownable {
         
         if (!config.isActive) revert StopLossNotActive();
         
-        uint256 currentPrice = _getCurrentPrice(config.oracle);
+        shouldTrigger = _isTriggered(stopLossId, config);
+    }
+    
+    /**
+     * @dev Fires a triggered stop-loss: records the trigger price and time, deactivates the
+     * stop-loss and emits StopLossTriggered
+     * @param stopLossId Stop-loss configuration identifier
+     * @return currentPrice Oracle price the stop-loss fired at
+     */
+    function triggerStopLoss(bytes32 stopLossId) external onlyAuthorized returns (uint256 currentPrice) {
+        StopLossConfig storage config = stopLossConfigs[stopLossId];
         
-        if (config.isLowerBound) {
-            // Stop-loss triggers when price goes below threshold
-            shouldTrigger = currentPrice <= config.stopLossPrice;
-        } else {
-            // Stop-loss triggers when price goes above threshold
-            shouldTrigger = currentPrice >= config.stopLossPrice;
-        }
+        if (!config.isActive) revert StopLossNotActive();
+        if (!_isTriggered(stopLossId, config)) revert StopLossNotTriggered();
+        
+        currentPrice = _getCurrentPrice(config.oracle);
+        config.isActive = false;
+        triggerRecords[stopLossId] = TriggerRecord({
+            currentPrice: currentPrice,
+            triggeredAt: block.timestamp
+        });
         
-        // Note: Event emission removed for view function compatibility
-        // if (shouldTrigger) {
-        //     emit StopLossTriggered(stopLossId, currentPrice, config.stopLossPrice, block.timestamp);
-        // }
+        emit StopLossTriggered(stopLossId, currentPrice, config.stopLossPrice, block.timestamp);
     }
     
     /**
-     * @dev Predicate function for 1inch limit orders - checks if stop-loss is NOT triggered
+     * @dev Predicate function for 1inch limit orders - checks if stop-loss is NOT triggered.
+     * A single oracle round beyond the stop is not enough: the price has to stay beyond it for
+     * the whole time window, or its TWAP over the window has to breach it (see TriggerMode).
+     * Each round of a trailing stop's window is checked against the level in force when it began,
+     * so a poke only applies to rounds after it.
      * @param stopLossId Stop-loss configuration identifier encoded in predicate data
      * @return isValid True if stop-loss is NOT triggered (order can proceed)
      */
@@ -152,15 +298,7 @@ contract StopLossProtection is Ownable {
             return true; // If stop-loss is not active, allow order
         }
         
-        uint256 currentPrice = _getCurrentPrice(config.oracle);
-        
-        if (config.isLowerBound) {
-            // Order is valid if price is above stop-loss threshold
-            isValid = currentPrice > config.stopLossPrice;
-        } else {
-            // Order is valid if price is below stop-loss threshold  
-            isValid = currentPrice < config.stopLossPrice;
-        }
+        isValid = !_isTriggered(stopLossId, config);
     }
     
     /**
@@ -208,22 +346,13 @@ contract StopLossProtection is Ownable {
         
         if (!config.isActive) revert StopLossNotActive();
         
-        // Calculate stop-loss price based on max loss percentage
-        if (config.isLowerBound) {
-            // For lower bound, subtract max loss from entry price
-            dynamicStopPrice = currentEntryPrice - 
-                (currentEntryPrice * config.maxLoss) / BASIS_POINTS;
-        } else {
-            // For upper bound, add max loss to entry price
-            dynamicStopPrice = currentEntryPrice + 
-                (currentEntryPrice * config.maxLoss) / BASIS_POINTS;
-        }
+        dynamicStopPrice = _trailingLevel(currentEntryPrice, config.maxLoss, config.isLowerBound);
     }
     
     /**
      * @dev Gets the current price and age from oracle
      * @param stopLossId Stop-loss configuration identifier
-     * @return price Current price from oracle
+     * @return price Current price from oracle (8 decimals)
      * @return priceAge Age of the price data in seconds
      */
     function getPriceInfo(bytes32 stopLossId) 
@@ -239,14 +368,196 @@ contract StopLossProtection is Ownable {
         
         require(answer > 0, "Invalid price");
         
-        price = uint256(answer);
+        price = PriceScaling.toPriceDecimals(uint256(answer), priceFeed.decimals());
         priceAge = block.timestamp - updatedAt;
     }
     
+    /**
+     * @dev Summarises the oracle rounds inside the stop-loss time window
+     * @param stopLossId Stop-loss configuration identifier
+     * @return twapPrice Time-weighted average price over the window
+     * @return breachSustained Whether every round in the window is beyond the stop
+     * @return coveredFrom Start of the evaluated history, later than the window start if the feed has fewer
+     * rounds or more than MAX_WINDOW_ROUNDS of them
+     * @return twapLevel Time-weighted average stop-loss level over the window, which Twap mode
+     * compares twapPrice with; the stop-loss price unless a trailing stop moved inside the window
+     * @return roundCapped Whether the window holds more than MAX_WINDOW_ROUNDS rounds, in which case
+     * only the latest of them are evaluated
+     */
+    function getWindowState(bytes32 stopLossId)
+        external
+        view
+        returns (uint256 twapPrice, bool breachSustained, uint256 coveredFrom, uint256 twapLevel, bool roundCapped)
+    {
+        StopLossConfig memory config = stopLossConfigs[stopLossId];
+        if (!config.isActive) revert StopLossNotActive();
+        
+        WindowState memory state = _windowState(stopLossId, config);
+        return (state.twapPrice, state.breachSustained, state.coveredFrom, state.twapLevel, state.roundCapped);
+    }
+    
+    /**
+     * @dev Stop-loss price `distance` basis points away from a reference price
+     * @param referencePrice Entry or best observed price
+     * @param distance Distance in basis points
+     * @param isLowerBound Whether the stop sits below (true) or above (false) the reference
+     * @return level Stop-loss price
+     */
+    function _trailingLevel(
+        uint256 referencePrice,
+        uint256 distance,
+        bool isLowerBound
+    ) internal pure returns (uint256 level) {
+        uint256 offset = (referencePrice * distance) / BASIS_POINTS;
+        // For lower bound, subtract max loss from the reference; for upper bound, add it
+        level = isLowerBound ? referencePrice - offset : referencePrice + offset;
+    }
+    
+    /**
+     * @dev Evaluates the stop against the price history of its time window. Only a history that
+     * reaches back to the window start can trigger: a few rounds at its end say nothing about the
+     * rest of the window, and one wick among them would otherwise count as a sustained breach.
+     * The exception is a window holding more than MAX_WINDOW_ROUNDS rounds. Its latest rounds decide,
+     * so a fast feed cannot switch the stop off.
+     * @param stopLossId Stop-loss configuration identifier
+     * @param config Stop-loss configuration
+     * @return triggered Whether the stop-loss is triggered
+     */
+    function _isTriggered(bytes32 stopLossId, StopLossConfig memory config) internal view returns (bool triggered) {
+        WindowState memory state = _windowState(stopLossId, config);
+        if (state.coveredFrom != _windowStart(config) && !state.roundCapped) return false;
+        
+        if (triggerModes[stopLossId] == TriggerMode.Twap) {
+            triggered = _isBeyond(state.twapPrice, state.twapLevel, config.isLowerBound);
+        } else {
+            triggered = state.breachSustained;
+        }
+    }
+    
+    /**
+     * @dev Walks Chainlink rounds backwards from the latest one until the window start is covered.
+     * Each round's answer holds from its update until the next round. History ends early at
+     * MAX_WINDOW_ROUNDS (flagged as roundCapped), or at a round the feed cannot return (e.g. before a
+     * phase change); the result then covers only the rounds that were read, and coveredFrom is after
+     * the window start.
+     * A round is held against the stop level in force when it began. For a trailing stop that is the
+     * loosest level during the round, as pokes only tighten it.
+     * @param stopLossId Stop-loss configuration identifier
+     * @param config Stop-loss configuration
+     * @return state Averages and breach over the covered part of the window
+     */
+    function _windowState(bytes32 stopLossId, StopLossConfig memory config)
+        internal
+        view
+        returns (WindowState memory state)
+    {
+        AggregatorV3Interface priceFeed = AggregatorV3Interface(config.oracle);
+        
+        (uint80 roundId, int256 answer, , uint256 updatedAt, ) = priceFeed.latestRoundData();
+        
+        if (block.timestamp - updatedAt > MAX_PRICE_AGE) revert StalePrice();
+        require(answer > 0, "Invalid price");
+        
+        uint8 feedDecimals = priceFeed.decimals();
+        uint256 windowStart = _windowStart(config);
+        uint256 segmentEnd = block.timestamp;
+        state.breachSustained = true;
+        
+        for (uint256 i = 0; i < MAX_WINDOW_ROUNDS; i++) {
+            uint256 price = PriceScaling.toPriceDecimals(uint256(answer), feedDecimals);
+            state.coveredFrom = updatedAt > windowStart ? updatedAt : windowStart;
+            uint256 level = _levelAt(stopLossId, config, state.coveredFrom);
+            
+            // Time-weighted sums, divided into averages below
+            state.twapPrice += price * (segmentEnd - state.coveredFrom);
+            state.twapLevel += level * (segmentEnd - state.coveredFrom);
+            if (!_isBeyond(price, level, config.isLowerBound)) state.breachSustained = false;
+            
+            if (state.coveredFrom == windowStart || roundId == 0) break;
+            segmentEnd = updatedAt;
+            
+            try priceFeed.getRoundData(roundId - 1) returns (
+                uint80 previousRoundId,
+                int256 previousAnswer,
+                uint256,
+                uint256 previousUpdatedAt,
+                uint80
+            ) {
+                // Missing or out-of-order rounds end the usable history
+                if (previousAnswer <= 0 || previousUpdatedAt == 0 || previousUpdatedAt > updatedAt) break;
+                
+                roundId = previousRoundId;
+                answer = previousAnswer;
+                updatedAt = previousUpdatedAt;
+                // The window goes on with a round there is no budget left to read
+                if (i == MAX_WINDOW_ROUNDS - 1) state.roundCapped = true;
+            } catch {
+                break;
+            }
+        }
+        
+        if (block.timestamp > state.coveredFrom) {
+            state.twapPrice /= block.timestamp - state.coveredFrom;
+            state.twapLevel /= block.timestamp - state.coveredFrom;
+        } else {
+            // No time has passed since the latest round: use its price and level
+            state.twapPrice = PriceScaling.toPriceDecimals(uint256(answer), feedDecimals);
+            state.twapLevel = _levelAt(stopLossId, config, state.coveredFrom);
+        }
+    }
+    
+    /**
+     * @dev Stop-loss level in force at a point in time. Fixed stops keep their configured price;
+     * trailing stops are looked up in their level history, and before it starts the initial level applies.
+     * @param stopLossId Stop-loss configuration identifier
+     * @param config Stop-loss configuration
+     * @param timestamp Point in time to look up
+     * @return level Stop-loss price at that time
+     */
+    function _levelAt(
+        bytes32 stopLossId,
+        StopLossConfig memory config,
+        uint256 timestamp
+    ) internal view returns (uint256 level) {
+        Checkpoints.Trace208 storage levels = _trailingLevels[stopLossId];
+        if (levels.length() == 0) return config.stopLossPrice;
+        
+        level = levels.upperLookupRecent(SafeCast.toUint48(timestamp));
+        if (level == 0) level = levels.at(0)._value;
+    }
+    
+    /**
+     * @dev Appends a trailing stop's new level to its history
+     * @param stopLossId Stop-loss configuration identifier
+     * @param level Stop-loss price taking effect now
+     */
+    function _recordTrailingLevel(bytes32 stopLossId, uint256 level) internal {
+        _trailingLevels[stopLossId].push(SafeCast.toUint48(block.timestamp), SafeCast.toUint208(level));
+    }
+    
+    /**
+     * @dev Start of the stop-loss time window ending now
+     */
+    function _windowStart(StopLossConfig memory config) internal view returns (uint256) {
+        return block.timestamp > config.timeWindow ? block.timestamp - config.timeWindow : 0;
+    }
+    
+    /**
+     * @dev Whether a price is at or beyond a stop-loss level
+     * @param price Oracle price
+     * @param level Stop-loss price
+     * @param isLowerBound Whether the stop sits below (true) or above (false) the price
+     * @return beyond True if the price is at or past the stop
+     */
+    function _isBeyond(uint256 price, uint256 level, bool isLowerBound) internal pure returns (bool beyond) {
+        // Lower bound stops trigger at or below the threshold, upper bound stops at or above it
+        beyond = isLowerBound ? price <= level : price >= level;
+    }
+    
     /**
      * @dev Internal function to get current price from oracle
      * @param oracle Oracle address
-     * @return price Current price
+     * @return price Current price (8 decimals)
      */
     function _getCurrentPrice(address oracle) internal view returns (uint256 price) {
         AggregatorV3Interface priceFeed = AggregatorV3Interface(oracle);
@@ -256,6 +567,6 @@ contract StopLossProtection is Ownable {
         if (block.timestamp - updatedAt > MAX_PRICE_AGE) revert StalePrice();
         require(answer > 0, "Invalid price");
         
-        price = uint256(answer);
+        price = PriceScaling.toPriceDecimals(uint256(answer), priceFeed.decimals());
     }
 } 
\ No newline at end of file
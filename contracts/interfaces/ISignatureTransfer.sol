@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @title ISignatureTransfer
+ * @dev The part of Uniswap's Permit2 (SignatureTransfer) used to pull collateral with a one-time
+ * signature. Permit2 is deployed at the same address on every chain, and the maker must have
+ * approved the token to it once.
+ */
+interface ISignatureTransfer {
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;      // Unordered: any unused value works
+        uint256 deadline;
+    }
+
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @dev Transfers `requestedAmount` of the permitted token from `owner`, who signed `permit`
+     * for msg.sender as spender
+     */
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+
+    function nonceBitmap(address owner, uint256 wordPosition) external view returns (uint256);
+}
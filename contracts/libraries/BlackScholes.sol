@@ -0,0 +1,141 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/utils/math/Math.sol";
+
+/**
+ * @title BlackScholes
+ * @dev Fixed-point (1e18) Black-Scholes approximation for European options at a zero interest rate.
+ * The normal CDF uses Abramowitz & Stegun 26.2.17 (absolute error below 1e-7), so quotes track the
+ * client-side pricing library to a few parts per million of the spot price.
+ */
+library BlackScholes {
+
+    int256 private constant WAD = 1e18;
+    uint256 private constant SECONDS_PER_YEAR = 365 days;
+    int256 private constant LN_2 = 693147180559945309;
+    int256 private constant INV_SQRT_2PI = 398942280401432678;
+    int256 private constant MAX_CDF_INPUT = 10e18; // N(x) is 0 or 1 to 18 decimals beyond this
+
+    // Abramowitz & Stegun 26.2.17 coefficients
+    int256 private constant P = 231641900000000000;
+    int256 private constant B1 = 319381530000000000;
+    int256 private constant B2 = -356563782000000000;
+    int256 private constant B3 = 1781477937000000000;
+    int256 private constant B4 = -1821255978000000000;
+    int256 private constant B5 = 1330274429000000000;
+
+    /**
+     * @dev Fair premium of one unit of underlying
+     * @param isCall Whether the option is a call (true) or put (false)
+     * @param spot Current price of the underlying
+     * @param strike Strike price, in the same decimals as spot
+     * @param timeToExpiry Seconds until expiration
+     * @param volatility Annualised implied volatility (1e18 = 100%)
+     * @return premium Premium in the decimals of spot and strike
+     */
+    function price(
+        bool isCall,
+        uint256 spot,
+        uint256 strike,
+        uint256 timeToExpiry,
+        uint256 volatility
+    ) internal pure returns (uint256 premium) {
+        uint256 years_ = (timeToExpiry * uint256(WAD)) / SECONDS_PER_YEAR;
+        uint256 variance = (((volatility * volatility) / uint256(WAD)) * years_) / uint256(WAD);
+        int256 volSqrtT = int256(Math.sqrt(variance * uint256(WAD)));
+
+        if (volSqrtT == 0) {
+            // No time value left (or too little to represent in 18 decimals), only intrinsic value
+            if (isCall) return spot > strike ? spot - strike : 0;
+            return strike > spot ? strike - spot : 0;
+        }
+
+        int256 d1 = ((ln(int256((spot * uint256(WAD)) / strike)) + int256(variance) / 2) * WAD) / volSqrtT;
+        int256 d2 = d1 - volSqrtT;
+
+        int256 value = isCall
+            ? (int256(spot) * normCdf(d1) - int256(strike) * normCdf(d2)) / WAD
+            : (int256(strike) * normCdf(-d2) - int256(spot) * normCdf(-d1)) / WAD;
+
+        // Rounding can push deep out-of-the-money quotes marginally below zero
+        premium = value > 0 ? uint256(value) : 0;
+    }
+
+    /**
+     * @dev Standard normal cumulative distribution function
+     * @param x Input (1e18 = 1)
+     * @return Probability (1e18 = 1)
+     */
+    function normCdf(int256 x) internal pure returns (int256) {
+        if (x >= MAX_CDF_INPUT) return WAD;
+        if (x <= -MAX_CDF_INPUT) return 0;
+        if (x < 0) return WAD - normCdf(-x);
+
+        int256 t = (WAD * WAD) / (WAD + (P * x) / WAD);
+        int256 polynomial = B5;
+        polynomial = B4 + (polynomial * t) / WAD;
+        polynomial = B3 + (polynomial * t) / WAD;
+        polynomial = B2 + (polynomial * t) / WAD;
+        polynomial = B1 + (polynomial * t) / WAD;
+        polynomial = (polynomial * t) / WAD;
+
+        int256 density = (INV_SQRT_2PI * exp(-(x * x) / (2 * WAD))) / WAD;
+        return WAD - (density * polynomial) / WAD;
+    }
+
+    /**
+     * @dev Natural logarithm, via the binary logarithm computed by repeated squaring
+     * @param x Positive input (1e18 = 1)
+     * @return result ln(x) (1e18 = 1)
+     */
+    function ln(int256 x) internal pure returns (int256 result) {
+        require(x > 0, "ln of non-positive");
+
+        // Normalise x = y * 2^n with y in [1, 2)
+        uint256 y = uint256(x);
+        int256 n;
+        while (y >= 2 * uint256(WAD)) {
+            y >>= 1;
+            n++;
+        }
+        while (y < uint256(WAD)) {
+            y <<= 1;
+            n--;
+        }
+
+        int256 log2 = n * WAD;
+        for (int256 delta = WAD / 2; delta > 0; delta >>= 1) {
+            y = (y * y) / uint256(WAD);
+            if (y >= 2 * uint256(WAD)) {
+                log2 += delta;
+                y >>= 1;
+            }
+        }
+
+        result = (log2 * LN_2) / WAD;
+    }
+
+    /**
+     * @dev Exponential function, as 2^k * e^r with r in [0, ln 2) summed as a Taylor series
+     * @param x Input (1e18 = 1), at most 130
+     * @return result e^x (1e18 = 1)
+     */
+    function exp(int256 x) internal pure returns (int256 result) {
+        if (x < -41 * WAD) return 0; // Below 1e-18
+        require(x <= 130 * WAD, "exp overflow");
+
+        int256 k = x / LN_2;
+        if (x < 0 && x % LN_2 != 0) k--;
+        int256 r = x - k * LN_2;
+
+        int256 term = WAD;
+        result = WAD;
+        for (int256 i = 1; i < 20 && term > 0; i++) {
+            term = (term * r) / (i * WAD);
+            result += term;
+        }
+
+        result = k >= 0 ? result << uint256(k) : result >> uint256(-k);
+    }
+}
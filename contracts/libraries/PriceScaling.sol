@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+/**
+ * @title PriceScaling
+ * @dev Strikes, stop-loss levels and intrinsic values use 8 decimals, like most Chainlink USD feeds.
+ * Feeds reporting with other decimals are scaled to that precision as they are read.
+ */
+library PriceScaling {
+
+    uint8 internal constant PRICE_DECIMALS = 8;
+
+    /**
+     * @dev Scales a feed answer to PRICE_DECIMALS
+     * @param price Positive feed answer
+     * @param feedDecimals Decimals reported by the feed
+     * @return Price with 8 decimals
+     */
+    function toPriceDecimals(uint256 price, uint8 feedDecimals) internal pure returns (uint256) {
+        if (feedDecimals > PRICE_DECIMALS) return price / 10 ** (feedDecimals - PRICE_DECIMALS);
+        if (feedDecimals < PRICE_DECIMALS) return price * 10 ** (PRICE_DECIMALS - feedDecimals);
+        return price;
+    }
+}
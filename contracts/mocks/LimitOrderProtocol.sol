@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.23;
+
+// Pulls the 1inch Limit Order Protocol v4 into the Hardhat build so tests and local
+// deployments can fill real orders. The protocol pins solc 0.8.23, hence the separate
+// compiler entry in hardhat.config.js.
+import "@1inch/limit-order-protocol-contract/contracts/LimitOrderProtocol.sol";
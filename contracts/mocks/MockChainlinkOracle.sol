@@ -8,11 +8,18 @@ import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
  * @dev Mock Chainlink oracle for testing purposes
  */
 contract MockChainlinkOracle is AggregatorV3Interface {
+    struct Round {
+        int256 answer;
+        uint256 updatedAt;
+    }
+
     int256 private _latestPrice;
     uint256 private _latestTimestamp;
     uint8 private _decimals;
     uint80 private _latestRoundId;
     bool private _isStale;
+    bool private _isPaused; // Reverts every read, like a feed taken offline
+    mapping(uint80 => Round) private _rounds; // Superseded rounds, for getRoundData
 
     string private constant _description = "Mock Oracle";
     uint256 private constant _version = 1;
@@ -49,16 +56,19 @@ contract MockChainlinkOracle is AggregatorV3Interface {
             uint80 answeredInRound
         )
     {
+        require(!_isPaused, "Feed paused");
         if (_roundId == _latestRoundId) {
             return latestRoundData();
         }
-        
-        // Return mock historical data
+
+        Round memory round = _rounds[_roundId];
+        require(round.updatedAt != 0, "No data present");
+
         return (
             _roundId,
-            _latestPrice,
-            _latestTimestamp,
-            _latestTimestamp,
+            round.answer,
+            round.updatedAt,
+            round.updatedAt,
             _roundId
         );
     }
@@ -75,6 +85,7 @@ contract MockChainlinkOracle is AggregatorV3Interface {
             uint80 answeredInRound
         )
     {
+        require(!_isPaused, "Feed paused");
         uint256 timestamp = _isStale ? block.timestamp - 7200 : _latestTimestamp; // 2 hours ago if stale
         
         return (
@@ -88,6 +99,7 @@ contract MockChainlinkOracle is AggregatorV3Interface {
 
     // Test helper functions
     function setLatestPrice(int256 newPrice) external {
+        _rounds[_latestRoundId] = Round(_latestPrice, _latestTimestamp);
         _latestPrice = newPrice;
         _latestTimestamp = block.timestamp;
         _latestRoundId++;
@@ -103,6 +115,10 @@ contract MockChainlinkOracle is AggregatorV3Interface {
         _latestTimestamp = block.timestamp;
     }
 
+    function setPaused(bool paused) external {
+        _isPaused = paused;
+    }
+
     function setLatestTimestamp(uint256 timestamp) external {
         _latestTimestamp = timestamp;
     }
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.24;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "./MockERC20.sol";
+
+/**
+ * @title MockERC20Permit
+ * @dev Mock ERC20 token with EIP-2612 permit for testing signature-based approvals
+ */
+contract MockERC20Permit is MockERC20, ERC20Permit {
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 decimals_
+    ) MockERC20(name, symbol, decimals_) ERC20Permit(name) {}
+
+    function decimals() public view override(ERC20, MockERC20) returns (uint8) {
+        return MockERC20.decimals();
+    }
+}
@@ -3,7 +3,7 @@ import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import { WagmiConfig, createConfig } from 'wagmi';
 import { getDefaultWallets, RainbowKitProvider, lightTheme, connectorsForWallets } from '@rainbow-me/rainbowkit';
 import { injectedWallet, metaMaskWallet } from '@rainbow-me/rainbowkit/wallets';
-import { mainnet, goerli, sepolia, base, baseSepolia, polygon } from 'wagmi/chains';
+import { mainnet, goerli, sepolia, base, baseSepolia, polygon, hardhat } from 'wagmi/chains';
 import { configureChains } from 'wagmi';
 import { publicProvider } from 'wagmi/providers/public';
 import { jsonRpcProvider } from 'wagmi/providers/jsonRpc';
@@ -14,6 +14,7 @@ import Header from './components/Header';
 import Dashboard from './components/Dashboard';
 import CreateOption from './components/CreateOption';
 import OptionDetails from './components/OptionDetails';
+import LadderBuilder from './components/LadderBuilder';
 import './index.css';
 
 import '@rainbow-me/rainbowkit/styles.css';
@@ -27,7 +28,7 @@ const { chains, publicClient } = configureChains(
     baseSepolia, // Base testnet - very cheap
     sepolia,     // Ethereum testnet
     base,        // Base mainnet
-    ...(process.env.NODE_ENV === 'development' ? [mainnet, goerli] : []),
+    ...(process.env.NODE_ENV === 'development' ? [hardhat, mainnet, goerli] : []),
   ],
   [
     // Multiple Polygon RPC providers for reliability
@@ -102,6 +103,7 @@ function App() {
                 <Routes>
                   <Route path="/" element={<Dashboard />} />
                   <Route path="/create" element={<CreateOption />} />
+                  <Route path="/ladder" element={<LadderBuilder />} />
                   <Route path="/option/:id" element={<OptionDetails />} />
                 </Routes>
               </main>
@@ -1,33 +1,73 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { useAccount, useContractWrite, useContractRead, useNetwork, usePrepareContractWrite } from 'wagmi';
+import React, { useState, useEffect, useMemo } from 'react';
+import { useAccount, useContractWrite, useContractRead, useContractReads, useNetwork, usePrepareContractWrite } from 'wagmi';
 import { parseUnits, formatUnits } from 'ethers';
-import { toast } from 'react-hot-toast';
+import { useNavigate } from 'react-router-dom';
 import { InformationCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
-import { getContractAddress, PROTECTED_OPTION_MANAGER_ABI, MOCK_ERC20_ABI } from '../contracts';
+import {
+  CHAIN_NAMES,
+  getAsset,
+  getAvailablePairs,
+  getContractAddress,
+  getPairOracle,
+  getPairOracleKey,
+  isChainSupported,
+  isContractDeployed,
+  isUsdQuoted,
+  oracleAdapter,
+  PROTECTED_OPTION_MANAGER_ABI,
+  MOCK_ERC20_ABI,
+  MOCK_ORACLE_ABI,
+  SUPPORTED_CHAINS,
+  ZERO_ADDRESS,
+} from '../contracts';
+import { blackScholes, secondsToYears } from '../utils/blackScholes';
+import { resultOf } from '../hooks/useProtectedOptions';
+import useTransaction, { findEvent } from '../hooks/useTransaction';
+import useApproval from '../hooks/useApproval';
+import { defaultMinFillPrice, fillLimitPrice, minTakingAmountFor, simulationErrors, validateOption } from '../utils/validation';
+
+// Why a field would make the transaction revert, shown under it
+const FieldError = ({ error }) => (error ? (
+  <div className="text-sm text-red-600 mt-1">
+    {error.message}{error.fix ? `. ${error.fix}` : ''}
+  </div>
+) : null);
 
 const CreateOption = () => {
   const { address, isConnected } = useAccount();
   const { chain } = useNetwork();
+  const navigate = useNavigate();
   
   // Form state
   const [formData, setFormData] = useState({
     optionType: 'call',
     strikePrice: '2100',
     premium: '50',
+    impliedVolatility: '80', // Annualised, in percent
     duration: '3600', // 1 hour in seconds
     collateralAmount: '1',
+    stopLossMode: 'fixed', // 'fixed' or 'trailing'
     stopLossPrice: '1950',
-    maxLoss: '500', // 5% in basis points
+    maxLoss: '500', // 5% in basis points (trailing distance in trailing mode)
+    minFillPrice: '', // Minimum payment per collateral token; blank uses the suggested one
+    priceSource: 'adapter', // 'adapter' (primary + fallback feed) or 'feed' (single Chainlink feed)
   });
 
+  const isTrailing = formData.stopLossMode === 'trailing';
+
   const [selectedAssets, setSelectedAssets] = useState({
     collateral: 'WETH',
     payment: 'USDC'
   });
+  const { collateral: collateralSymbol, payment: paymentSymbol } = selectedAssets;
+
+  // Strikes and stop-losses are quoted in dollars, or in the payment asset for cross pairs
+  const priceUnit = isUsdQuoted(paymentSymbol) ? 'USD' : paymentSymbol;
+  const priceDigits = isUsdQuoted(paymentSymbol) ? 2 : 6;
+  const formatPrice = (value) => (isUsdQuoted(paymentSymbol) ? `$${value}` : `${value} ${paymentSymbol}`);
 
   const [loading, setLoading] = useState(false);
   const [estimatedCost, setEstimatedCost] = useState('0');
-  const [retryCount, setRetryCount] = useState(0);
 
   // Safe parsing function to handle empty values
   const safeParseUnits = (value, decimals = 18) => {
@@ -40,25 +80,33 @@ const CreateOption = () => {
     }
   };
 
-  // Validate all required form fields
-  const isFormValid = () => {
-    return formData.strikePrice && 
-           formData.premium && 
-           formData.collateralAmount && 
-           formData.stopLossPrice && 
-           formData.duration && 
-           formData.maxLoss &&
-           parseFloat(formData.strikePrice) > 0 &&
-           parseFloat(formData.premium) > 0 &&
-           parseFloat(formData.collateralAmount) > 0 &&
-           parseFloat(formData.stopLossPrice) > 0;
-  };
-
   // Contract addresses
   const managerAddress = getContractAddress(chain?.id, 'PROTECTED_OPTION_MANAGER');
-  const wethAddress = getContractAddress(chain?.id, 'WETH') || getContractAddress(chain?.id, 'MOCK_WETH');
-  const usdcAddress = getContractAddress(chain?.id, 'USDC') || getContractAddress(chain?.id, 'MOCK_USDC');
-  const oracleAddress = getContractAddress(chain?.id, 'ETH_USD_ORACLE') || getContractAddress(chain?.id, 'MOCK_ORACLE');
+  const collateralAsset = getAsset(chain?.id, collateralSymbol);
+  const paymentAsset = getAsset(chain?.id, paymentSymbol);
+  const collateralAddress = collateralAsset?.address ?? ZERO_ADDRESS;
+  const paymentAddress = paymentAsset?.address ?? ZERO_ADDRESS;
+
+  // Pairs with both tokens and a price feed (a USD feed, or a cross rate of two) on this chain
+  const availablePairs = useMemo(() => getAvailablePairs(chain?.id), [chain?.id]);
+  const isPairAvailable = availablePairs.some((pair) => pair.collateral === collateralSymbol && pair.payment === paymentSymbol);
+  const collateralOptions = [...new Set(availablePairs.map((pair) => pair.collateral))];
+  const paymentOptions = availablePairs.filter((pair) => pair.collateral === collateralSymbol).map((pair) => pair.payment);
+
+  // Fall back to the chain's first priced pair when the selected one is not deployed there
+  useEffect(() => {
+    if (!isPairAvailable && availablePairs.length > 0) {
+      setSelectedAssets(availablePairs[0]);
+    }
+  }, [availablePairs, isPairAvailable]);
+
+  const pairOracleKey = getPairOracleKey(collateralSymbol, paymentSymbol);
+  const feedAddress = getPairOracle(chain?.id, collateralSymbol, paymentSymbol);
+  const adapterAddress = getContractAddress(chain?.id, `${pairOracleKey}_ADAPTER`);
+  const hasAdapter = isContractDeployed(chain?.id, `${pairOracleKey}_ADAPTER`);
+  const useAdapter = hasAdapter && formData.priceSource === 'adapter';
+  // The option and its stop-loss read whichever source the maker picks
+  const oracleAddress = useAdapter ? adapterAddress : feedAddress;
 
   // Standard ERC20 ABI for real tokens
   const ERC20_ABI = [
@@ -91,148 +139,213 @@ const CreateOption = () => {
       console.log('🔍 Debug Info:', {
         chainId: chain?.id,
         address,
-        wethAddress,
-        usdcAddress,
+        collateralAddress,
+        paymentAddress,
         managerAddress,
         isConnected: !!address
       });
     }
-  }, [address, chain?.id, wethAddress, usdcAddress, managerAddress]);
+  }, [address, chain?.id, collateralAddress, paymentAddress, managerAddress]);
 
   // Read token balances
-  const { data: wethBalance, error: wethError } = useContractRead({
-    address: wethAddress,
+  const { data: collateralBalance, error: collateralError } = useContractRead({
+    address: collateralAddress,
     abi: ERC20_ABI,
     functionName: 'balanceOf',
     args: [address],
-    enabled: !!address && !!wethAddress,
+    enabled: !!address && !!collateralAsset,
     watch: true,
   });
 
-  const { data: usdcBalance, error: usdcError } = useContractRead({
-    address: usdcAddress, 
+  const { data: paymentBalance, error: paymentError } = useContractRead({
+    address: paymentAddress, 
     abi: ERC20_ABI,
     functionName: 'balanceOf',
     args: [address],
-    enabled: !!address && !!usdcAddress,
+    enabled: !!address && !!paymentAsset,
     watch: true,
   });
 
-  // Check allowances
-  const { data: wethAllowance } = useContractRead({
-    address: wethAddress,
-    abi: ERC20_ABI,
-    functionName: 'allowance',
-    args: [address, managerAddress],
-    enabled: !!address && !!wethAddress && !!managerAddress,
+  // Token and feed decimals are read on chain rather than assumed
+  const { data: decimalResults } = useContractReads({
+    contracts: [
+      { address: collateralAddress, abi: MOCK_ERC20_ABI, functionName: 'decimals' },
+      { address: paymentAddress, abi: MOCK_ERC20_ABI, functionName: 'decimals' },
+      { address: oracleAddress, abi: MOCK_ORACLE_ABI, functionName: 'decimals' },
+    ],
+    enabled: isPairAvailable && oracleAddress !== ZERO_ADDRESS,
+  });
+
+  const collateralDecimals = resultOf(decimalResults?.[0]) ?? collateralAsset?.decimals ?? 18;
+  const paymentDecimals = resultOf(decimalResults?.[1]) ?? paymentAsset?.decimals ?? 18;
+  const feedDecimals = resultOf(decimalResults?.[2]) ?? 8;
+
+  // Spot price for the premium quote, in the feed's own decimals
+  const { data: oracleRound } = useContractRead({
+    address: oracleAddress,
+    abi: MOCK_ORACLE_ABI,
+    functionName: 'latestRoundData',
+    enabled: !!oracleAddress,
+    watch: true,
+  });
+
+  const spotPrice = oracleRound ? parseFloat(formatUnits(oracleRound[1], feedDecimals)) : null;
+
+  // Which of the adapter's feeds is currently usable
+  const { data: feedStatus } = useContractRead({
+    address: adapterAddress,
+    ...oracleAdapter.getFeedStatus(),
+    enabled: useAdapter,
     watch: true,
   });
 
+  // Black-Scholes fair value for the whole collateral amount, Greeks per unit of collateral
+  const premiumQuote = useMemo(() => {
+    const strike = parseFloat(formData.strikePrice);
+    const volatility = parseFloat(formData.impliedVolatility) / 100;
+    const amount = parseFloat(formData.collateralAmount);
+    if (!spotPrice || !(strike > 0) || !(volatility >= 0) || !(amount > 0)) return null;
+
+    const quote = blackScholes({
+      isCall: formData.optionType === 'call',
+      spot: spotPrice,
+      strike,
+      timeToExpiry: secondsToYears(parseInt(formData.duration) || 0),
+      volatility,
+    });
+    return { ...quote, total: quote.premium * amount };
+  }, [spotPrice, formData.optionType, formData.strikePrice, formData.impliedVolatility, formData.collateralAmount, formData.duration]);
+
   // Debug balance info (reduced frequency)
   useEffect(() => {
-    if (wethBalance || usdcBalance) {
+    if (collateralBalance || paymentBalance) {
       console.log('💰 Balance Info:', {
-        wethBalance: wethBalance ? formatUnits(wethBalance, 18) : 'none',
-        usdcBalance: usdcBalance ? formatUnits(usdcBalance, 6) : 'none', 
-        wethError: wethError?.message,
-        usdcError: usdcError?.message
+        collateralBalance: collateralBalance ? formatUnits(collateralBalance, collateralDecimals) : 'none',
+        paymentBalance: paymentBalance ? formatUnits(paymentBalance, paymentDecimals) : 'none', 
+        collateralError: collateralError?.message,
+        paymentError: paymentError?.message
       });
     }
-  }, [wethBalance, usdcBalance, wethError, usdcError]);
+  }, [collateralBalance, paymentBalance, collateralDecimals, paymentDecimals, collateralError, paymentError]);
+
+  // Minimum payment per collateral token, 8 decimals: the maker's own, or the calculator's price
+  // where the intrinsic value reaches the strike. Fills stop clearing it beyond fillLimit.
+  const strikePriceArg = safeParseUnits(formData.strikePrice, 8);
+  const suggestedMinFillPrice = strikePriceArg > 0n ? defaultMinFillPrice({ strikePrice: strikePriceArg }) : 0n;
+  const minFillPriceArg = formData.minFillPrice === '' ? suggestedMinFillPrice : safeParseUnits(formData.minFillPrice, 8);
+  const fillLimit = strikePriceArg > 0n && minFillPriceArg > 0n
+    ? fillLimitPrice({ isCall: formData.optionType === 'call', strikePrice: strikePriceArg, minFillPrice: minFillPriceArg })
+    : undefined;
 
   // Prepare contract write
-  const { config } = usePrepareContractWrite({
-    address: managerAddress,
-    abi: PROTECTED_OPTION_MANAGER_ABI,
-    functionName: 'createProtectedOption',
-    args: [
-      formData.optionType === 'call',
-      safeParseUnits(formData.strikePrice, 8), // Strike price with 8 decimals
-      safeParseUnits(formData.premium, selectedAssets.payment === 'USDC' ? 6 : 18), // Premium with proper decimals
-      parseInt(formData.duration) || 0,
-      selectedAssets.collateral === 'WETH' ? wethAddress : usdcAddress,
-      selectedAssets.payment === 'USDC' ? usdcAddress : wethAddress,
-      safeParseUnits(formData.collateralAmount, 18),
-      safeParseUnits((parseFloat(formData.strikePrice || 0) * parseFloat(formData.collateralAmount || 0)).toString(), 18),
-      safeParseUnits(formData.stopLossPrice, 8),
-      parseInt(formData.maxLoss) || 0,
-      oracleAddress
-    ],
-    enabled: !!managerAddress && !!wethAddress && !!usdcAddress && !!oracleAddress && isFormValid() && !!address && chain?.id === 137,
-  });
+  const optionArgs = [
+    formData.optionType === 'call',
+    strikePriceArg, // Strike price with 8 decimals
+    safeParseUnits(formData.premium, paymentDecimals), // Premium in the payment token
+    parseInt(formData.duration) || 0,
+    collateralAddress,
+    paymentAddress,
+    safeParseUnits(formData.collateralAmount, collateralDecimals),
+    // Minimum payment for the whole collateral, checked pro rata on each fill
+    minTakingAmountFor({
+      makingAmount: safeParseUnits(formData.collateralAmount, collateralDecimals),
+      minFillPrice: minFillPriceArg,
+      collateralDecimals,
+      paymentDecimals,
+    }),
+  ];
 
-  const { write: createOption, isLoading: isCreating } = useContractWrite({
-    ...config,
-    onSuccess: (data) => {
-      toast.success('Protected option created successfully!');
-      console.log('Transaction hash:', data.hash);
-    },
-    onError: (error) => {
-      toast.error('Failed to create option: ' + error.message);
-      console.error('Error:', error);
-    },
+  const stopLossPriceArg = safeParseUnits(formData.stopLossPrice, 8);
+  const maxLossArg = parseInt(formData.maxLoss) || 0;
+
+  // Blank inputs first, then the rules the contracts enforce, checked against the latest oracle round
+  const requiredFields = [
+    'strikePrice',
+    'premium',
+    'collateralAmount',
+    ...(isTrailing ? [] : ['stopLossPrice']),
+    ...(formData.minFillPrice === '' ? [] : ['minFillPrice']),
+  ];
+  const fieldErrors = {
+    ...validateOption(
+      {
+        isCall: optionArgs[0],
+        strikePrice: optionArgs[1],
+        optionDuration: optionArgs[3],
+        makerAsset: collateralAddress,
+        takerAsset: paymentAddress,
+        makingAmount: optionArgs[6],
+        minTakingAmount: optionArgs[7],
+        stopLossPrice: isTrailing ? undefined : stopLossPriceArg,
+        maxLoss: maxLossArg,
+        oracle: oracleAddress,
+        isTrailing,
+        collateralDecimals,
+        paymentDecimals,
+      },
+      oracleRound && { answer: oracleRound[1], updatedAt: oracleRound[3], decimals: feedDecimals, now: Math.floor(Date.now() / 1000) }
+    ),
+    ...Object.fromEntries(requiredFields
+      .filter((field) => !(parseFloat(formData[field]) > 0))
+      .map((field) => [field, { code: 'REQUIRED', message: 'Enter a value above zero' }])),
+  };
+
+  const isFormValid = () => Object.keys(fieldErrors).length === 0;
+
+  // Collateral is approved by permit where the token allows it; trailing stops have no permit
+  // variant, so they always go through an allowance
+  const approval = useApproval({
+    token: collateralAddress,
+    symbol: collateralSymbol,
+    owner: address,
+    spender: managerAddress,
+    amount: optionArgs[6],
+    chainId: chain?.id,
+    allowPermit: !isTrailing,
   });
+  const withPermit = !isTrailing && !!approval.permit;
 
-  // WETH Approval Configuration
-  const { config: approveConfig } = usePrepareContractWrite({
-    address: wethAddress,
-    abi: ERC20_ABI,
-    functionName: 'approve',
-    args: [managerAddress, safeParseUnits(formData.collateralAmount, 18)],
-    enabled: !!wethAddress && !!managerAddress && !!address && isFormValid(),
+  // Preparing the write simulates it with eth_call, so reverts surface before the wallet is opened
+  const { config, error: simulationError } = usePrepareContractWrite({
+    address: managerAddress,
+    abi: PROTECTED_OPTION_MANAGER_ABI,
+    // Trailing stops start maxLoss below (call) / above (put) the oracle price, so no fixed price is sent
+    functionName: isTrailing ? 'createTrailingProtectedOption' : withPermit ? 'createProtectedOptionWithPermit' : 'createProtectedOption',
+    args: isTrailing
+      ? [...optionArgs, maxLossArg, oracleAddress]
+      : [...optionArgs, stopLossPriceArg, maxLossArg, oracleAddress, ...(withPermit ? [approval.permit] : [])],
+    enabled: !!managerAddress && isPairAvailable && oracleAddress !== ZERO_ADDRESS && isFormValid() && !!address && isChainSupported(chain?.id),
   });
 
-  const { write: approveWeth, isLoading: isApproving } = useContractWrite({
-    ...approveConfig,
-    onSuccess: (data) => {
-      toast.success('WETH approval successful! You can now create the option.');
-      console.log('WETH approved:', data.hash);
-      setRetryCount(0); // Reset retry count on success
-    },
-    onError: (error) => {
-      console.error('Approval error:', error);
-      
-      // Handle specific circuit breaker error
-      if (error.message.includes('circuit breaker is open') || 
-          error.message.includes('internal error') ||
-          error.message.includes('rate limit')) {
-        
-        if (retryCount < 2) {
-          toast.error(`⚠️ Network congestion detected. Retrying in ${(retryCount + 1) * 2} seconds... (${retryCount + 1}/3)`, {
-            duration: 3000,
-          });
-          
-          setTimeout(() => {
-            setRetryCount(prev => prev + 1);
-            approveWeth?.();
-          }, (retryCount + 1) * 2000); // Exponential backoff: 2s, 4s, 6s
-        } else {
-          toast.error('⚠️ Network is very congested. Please try again in a few minutes. Check status.polygon.technology for network issues.', {
-            duration: 10000,
-          });
-          setRetryCount(0);
-        }
-      } else if (error.message.includes('user rejected')) {
-        toast.error('Transaction cancelled by user.');
-        setRetryCount(0);
-      } else {
-        toast.error('Failed to approve WETH: ' + (error.shortMessage || error.message));
-        setRetryCount(0);
-      }
-    },
+  // Once mined, the new ID is read from ProtectedOptionCreated and the option's page opened
+  const createTx = useTransaction('Create option', (receipt) => {
+    approval.reset();
+    const created = findEvent(receipt, managerAddress, PROTECTED_OPTION_MANAGER_ABI, 'ProtectedOptionCreated');
+    if (created) navigate(`/option/${created.protectedOptionId}`);
   });
 
-  // Manual retry function for button click
-  const handleApproveWithRetry = useCallback(() => {
-    setRetryCount(0);
-    approveWeth?.();
-  }, [approveWeth]);
+  const { write: createOption, isLoading: isCreating } = useContractWrite({
+    ...config,
+    onSuccess: ({ hash }) => createTx.track(hash),
+    onError: createTx.fail,
+  });
 
   // Handle form changes
   const handleInputChange = (field, value) => {
     setFormData(prev => ({ ...prev, [field]: value }));
   };
 
+  // Switching collateral keeps the payment asset when the new pair is priced, else picks one that is
+  const handleAssetChange = (field, symbol) => {
+    setSelectedAssets(prev => {
+      const next = { ...prev, [field]: symbol };
+      if (field === 'collateral' && !availablePairs.some((pair) => pair.collateral === symbol && pair.payment === prev.payment)) {
+        next.payment = availablePairs.find((pair) => pair.collateral === symbol)?.payment ?? prev.payment;
+      }
+      return next;
+    });
+  };
+
   // Calculate estimated costs
   useEffect(() => {
     const collateralValue = parseFloat(formData.collateralAmount) * parseFloat(formData.strikePrice);
@@ -245,39 +358,38 @@ const CreateOption = () => {
     return parseFloat(formatUnits(balance, decimals)).toFixed(4);
   };
 
-  // Check if user has sufficient balance
+  // Check if user has sufficient balance. The writer only posts collateral; the premium is
+  // paid to them by the buyer, so no payment token is needed to create an option
   const hasEnoughBalance = () => {
     if (!isFormValid()) return false;
     
     // Handle cases where balances might be undefined or zero
-    const wethBal = wethBalance || 0n;
-    const usdcBal = usdcBalance || 0n; 
+    const collateralBal = collateralBalance || 0n;
     
-    const requiredWeth = safeParseUnits(formData.collateralAmount, 18);
-    const requiredUsdc = safeParseUnits(formData.premium, 6); // USDC has 6 decimals
+    const requiredCollateral = safeParseUnits(formData.collateralAmount, collateralDecimals);
     
     // Only log balance checks when there's an issue or when form is first validated
-    const hasEnough = wethBal >= requiredWeth && usdcBal >= requiredUsdc;
+    const hasEnough = collateralBal >= requiredCollateral;
     if (!hasEnough || !window.lastBalanceCheck || Date.now() - window.lastBalanceCheck > 5000) {
       console.log('💰 Balance Check:', {
-        wethBalance: formatUnits(wethBal, 18),
-        usdcBalance: formatUnits(usdcBal, 6),
-        requiredWeth: formatUnits(requiredWeth, 18),
-        requiredUsdc: formatUnits(requiredUsdc, 6),
-        hasEnoughWeth: wethBal >= requiredWeth,
-        hasEnoughUsdc: usdcBal >= requiredUsdc
+        collateralBalance: formatUnits(collateralBal, collateralDecimals),
+        requiredCollateral: formatUnits(requiredCollateral, collateralDecimals),
+        hasEnoughCollateral: hasEnough
       });
       window.lastBalanceCheck = Date.now();
     }
     
-    return wethBal >= requiredWeth && usdcBal >= requiredUsdc;
+    return hasEnough;
   };
 
-  // Check if allowance is sufficient
-  const hasEnoughAllowance = () => {
-    if (!wethAllowance || !isFormValid()) return false;
-    const requiredAllowance = safeParseUnits(formData.collateralAmount, 18);
-    return wethAllowance >= requiredAllowance;
+  // Check if the collateral is approved, or a permit for it signed
+  const hasEnoughAllowance = () => isFormValid() && approval.isReady;
+
+  // Without the collateral or its approval the simulation reverts on the transfer, which the
+  // balance and approval prompts already cover
+  const errors = {
+    ...(simulationError && isFormValid() && hasEnoughBalance() && hasEnoughAllowance() ? simulationErrors(simulationError) : {}),
+    ...fieldErrors,
   };
 
   if (!isConnected) {
@@ -344,10 +456,50 @@ const CreateOption = () => {
             </div>
           </div>
 
+          {/* Assets */}
+          <div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Collateral
+                </label>
+                <select
+                  value={collateralSymbol}
+                  onChange={(e) => handleAssetChange('collateral', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {(collateralOptions.includes(collateralSymbol) ? collateralOptions : [collateralSymbol, ...collateralOptions]).map((symbol) => (
+                    <option key={symbol} value={symbol}>{symbol}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Payment
+                </label>
+                <select
+                  value={paymentSymbol}
+                  onChange={(e) => handleAssetChange('payment', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {(paymentOptions.includes(paymentSymbol) ? paymentOptions : [paymentSymbol, ...paymentOptions]).map((symbol) => (
+                    <option key={symbol} value={symbol}>{symbol}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            {!isPairAvailable && (
+              <div className="text-sm text-red-600 mt-1">
+                No price feed is configured for {collateralSymbol} / {paymentSymbol} on this network
+              </div>
+            )}
+            {isPairAvailable && <FieldError error={errors.assets ?? errors.oracle} />}
+          </div>
+
           {/* Strike Price */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Strike Price (USD)
+              Strike Price ({priceUnit})
             </label>
             <input
               type="number"
@@ -357,12 +509,13 @@ const CreateOption = () => {
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               placeholder="2100.00"
             />
+            <FieldError error={errors.strikePrice} />
           </div>
 
           {/* Collateral Amount */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Collateral Amount (WETH)
+              Collateral Amount ({collateralSymbol})
             </label>
             <div className="relative">
               <input
@@ -373,51 +526,162 @@ const CreateOption = () => {
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 placeholder="1.0"
               />
-              {wethBalance && (
+              {collateralBalance && (
                 <div className="text-sm text-gray-500 mt-1">
-                  Balance: {formatBalance(wethBalance)} WETH
+                  Balance: {formatBalance(collateralBalance, collateralDecimals)} {collateralSymbol}
                 </div>
               )}
+              <FieldError error={errors.collateralAmount} />
             </div>
           </div>
 
-          {/* Premium */}
+          {/* Minimum Payment */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Premium (USDC)
+              Minimum Price ({paymentSymbol} per {collateralSymbol})
             </label>
             <input
               type="number"
               step="0.01"
-              value={formData.premium}
-              onChange={(e) => handleInputChange('premium', e.target.value)}
+              min="0"
+              value={formData.minFillPrice}
+              onChange={(e) => handleInputChange('minFillPrice', e.target.value)}
               className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              placeholder="50.00"
+              placeholder={suggestedMinFillPrice > 0n ? `${formatUnits(suggestedMinFillPrice, 8)} (suggested)` : ''}
             />
+            <div className="text-sm text-gray-500 mt-1">
+              Fills get cheaper the deeper the option is in the money.{' '}
+              {fillLimit === undefined
+                ? (minFillPriceArg > 0n ? 'This minimum holds all the way down to zero.' : '')
+                : `Fills at this minimum clear until the price ${formData.optionType === 'call' ? 'rises above' : 'falls below'} ${formatPrice(Number(formatUnits(fillLimit, 8)).toFixed(priceDigits))}.`}
+            </div>
+            <FieldError error={errors.minFillPrice} />
           </div>
 
-          {/* Stop-Loss Price */}
+          {/* Premium */}
+          <div>
+            <div className="grid grid-cols-3 gap-3">
+              <div className="col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Premium ({paymentSymbol}, paid to you by the buyer)
+                </label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={formData.premium}
+                  onChange={(e) => handleInputChange('premium', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="50.00"
+                />
+                <FieldError error={errors.premium} />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Implied Vol (%)
+                </label>
+                <input
+                  type="number"
+                  step="1"
+                  min="0"
+                  value={formData.impliedVolatility}
+                  onChange={(e) => handleInputChange('impliedVolatility', e.target.value)}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  placeholder="80"
+                />
+              </div>
+            </div>
+
+            {premiumQuote ? (
+              <div className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-600">
+                    Suggested premium (Black-Scholes, spot {formatPrice(spotPrice.toFixed(priceDigits))}):
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => handleInputChange('premium', premiumQuote.total.toFixed(priceDigits))}
+                    className="font-medium text-blue-600 hover:text-blue-700"
+                  >
+                    {formatPrice(premiumQuote.total.toFixed(priceDigits))} — use
+                  </button>
+                </div>
+                <div className="grid grid-cols-4 gap-2 mt-2 text-xs text-gray-500">
+                  <div>Delta <span className="font-mono text-gray-900">{premiumQuote.delta.toFixed(3)}</span></div>
+                  <div>Gamma <span className="font-mono text-gray-900">{premiumQuote.gamma.toFixed(5)}</span></div>
+                  <div>Theta <span className="font-mono text-gray-900">{premiumQuote.theta.toFixed(2)}</span>/day</div>
+                  <div>Vega <span className="font-mono text-gray-900">{premiumQuote.vega.toFixed(2)}</span>/vol pt</div>
+                </div>
+                <div className="text-xs text-gray-400 mt-1">Greeks per {collateralSymbol} of collateral</div>
+              </div>
+            ) : (
+              <div className="text-sm text-gray-500 mt-1">
+                Suggested premium appears once the oracle price is available
+              </div>
+            )}
+          </div>
+
+          {/* Stop-Loss Mode */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Stop-Loss Price (USD)
+              Stop-Loss Mode
             </label>
-            <input
-              type="number"
-              step="0.01"
-              value={formData.stopLossPrice}
-              onChange={(e) => handleInputChange('stopLossPrice', e.target.value)}
-              className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-              placeholder="1950.00"
-            />
-            <div className="text-sm text-gray-500 mt-1">
-              Option will be automatically cancelled if price hits this level
+            <div className="grid grid-cols-2 gap-3">
+              <button
+                type="button"
+                onClick={() => handleInputChange('stopLossMode', 'fixed')}
+                className={`p-3 rounded-lg border-2 transition-colors ${
+                  !isTrailing
+                    ? 'border-blue-500 bg-blue-50 text-blue-700'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <div className="text-center">
+                  <div className="font-medium">Fixed</div>
+                  <div className="text-xs text-gray-500 mt-1">Stop at a set price</div>
+                </div>
+              </button>
+              <button
+                type="button"
+                onClick={() => handleInputChange('stopLossMode', 'trailing')}
+                className={`p-3 rounded-lg border-2 transition-colors ${
+                  isTrailing
+                    ? 'border-blue-500 bg-blue-50 text-blue-700'
+                    : 'border-gray-200 hover:border-gray-300'
+                }`}
+              >
+                <div className="text-center">
+                  <div className="font-medium">Trailing</div>
+                  <div className="text-xs text-gray-500 mt-1">Stop follows the best price</div>
+                </div>
+              </button>
             </div>
           </div>
 
+          {/* Stop-Loss Price */}
+          {!isTrailing && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Stop-Loss Price ({priceUnit})
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                value={formData.stopLossPrice}
+                onChange={(e) => handleInputChange('stopLossPrice', e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                placeholder="1950.00"
+              />
+              <FieldError error={errors.stopLossPrice} />
+              <div className="text-sm text-gray-500 mt-1">
+                Option will be automatically cancelled if price hits this level
+              </div>
+            </div>
+          )}
+
           {/* Max Loss */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Maximum Loss (%)
+              {isTrailing ? 'Trailing Distance (%)' : 'Maximum Loss (%)'}
             </label>
             <select
               value={formData.maxLoss}
@@ -429,8 +693,38 @@ const CreateOption = () => {
               <option value="750">7.5%</option>
               <option value="1000">10%</option>
             </select>
+            <FieldError error={errors.maxLoss} />
+            {isTrailing && (
+              <div className="text-sm text-gray-500 mt-1">
+                The stop starts this far {formData.optionType === 'call' ? 'below' : 'above'} the oracle price and
+                ratchets with the best price seen. Anyone can update it from the option page.
+              </div>
+            )}
           </div>
 
+          {/* Price Source */}
+          {hasAdapter && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Price Source
+              </label>
+              <select
+                value={formData.priceSource}
+                onChange={(e) => handleInputChange('priceSource', e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                <option value="adapter">Oracle adapter (with fallback feed)</option>
+                <option value="feed">Single Chainlink feed</option>
+              </select>
+              {useAdapter && feedStatus && (
+                <div className="text-sm text-gray-500 mt-1">
+                  Primary feed {feedStatus[1] ? formatPrice(parseFloat(formatUnits(feedStatus[0], 8)).toFixed(priceDigits)) : 'unavailable'} ·
+                  Fallback feed {feedStatus[3] ? formatPrice(parseFloat(formatUnits(feedStatus[2], 8)).toFixed(priceDigits)) : 'unavailable'}
+                </div>
+              )}
+            </div>
+          )}
+
           {/* Duration */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -447,6 +741,7 @@ const CreateOption = () => {
               <option value="86400">1 Day</option>
               <option value="604800">1 Week</option>
             </select>
+            <FieldError error={errors.duration} />
           </div>
 
           {/* Summary */}
@@ -459,19 +754,21 @@ const CreateOption = () => {
               </div>
               <div className="flex justify-between">
                 <span>Strike Price:</span>
-                <span className="font-medium">${formData.strikePrice}</span>
+                <span className="font-medium">{formatPrice(formData.strikePrice)}</span>
               </div>
               <div className="flex justify-between">
                 <span>Collateral:</span>
-                <span className="font-medium">{formData.collateralAmount} WETH</span>
+                <span className="font-medium">{formData.collateralAmount} {collateralSymbol}</span>
               </div>
               <div className="flex justify-between">
                 <span>Stop-Loss:</span>
-                <span className="font-medium">${formData.stopLossPrice}</span>
+                <span className="font-medium">
+                  {isTrailing ? `Trailing ${parseInt(formData.maxLoss) / 100}%` : formatPrice(formData.stopLossPrice)}
+                </span>
               </div>
               <div className="flex justify-between">
                 <span>Estimated Value:</span>
-                <span className="font-medium">${estimatedCost}</span>
+                <span className="font-medium">{formatPrice(estimatedCost)}</span>
               </div>
             </div>
           </div>
@@ -481,56 +778,39 @@ const CreateOption = () => {
             <h3 className="text-sm font-medium text-blue-900 mb-2">Your Balances</h3>
             <div className="grid grid-cols-2 gap-4 text-sm">
               <div>
-                <span className="text-blue-700">WETH:</span>
+                <span className="text-blue-700">{collateralSymbol}:</span>
                 <span className="ml-2 font-mono">
-                  {wethBalance ? formatUnits(wethBalance, 18) : '0'} WETH
+                  {collateralBalance ? formatUnits(collateralBalance, collateralDecimals) : '0'} {collateralSymbol}
                 </span>
-                {wethError && <p className="text-red-500 text-xs">Error: {wethError.message}</p>}
+                {collateralError && <p className="text-red-500 text-xs">Error: {collateralError.message}</p>}
               </div>
               <div>
-                <span className="text-blue-700">USDC:</span>
+                <span className="text-blue-700">{paymentSymbol}:</span>
                 <span className="ml-2 font-mono">
-                  {usdcBalance ? formatUnits(usdcBalance, 6) : '0'} USDC
+                  {paymentBalance ? formatUnits(paymentBalance, paymentDecimals) : '0'} {paymentSymbol}
                 </span>
-                {usdcError && <p className="text-red-500 text-xs">Error: {usdcError.message}</p>}
+                {paymentError && <p className="text-red-500 text-xs">Error: {paymentError.message}</p>}
               </div>
             </div>
             <div className="mt-2 text-xs text-blue-600">
               <div>Chain: {chain?.name || 'Unknown'} (ID: {chain?.id || 'N/A'})</div>
-              <div>WETH: {wethAddress || 'Not found'}</div>
-              <div>USDC: {usdcAddress || 'Not found'}</div>
+              <div>{collateralSymbol}: {collateralAddress !== ZERO_ADDRESS ? collateralAddress : 'Not found'}</div>
+              <div>{paymentSymbol}: {paymentAddress !== ZERO_ADDRESS ? paymentAddress : 'Not found'}</div>
               <div>Manager: {managerAddress || 'Not found'}</div>
             </div>
           </div>
 
           {/* Network Warning */}
-          {chain?.id !== 137 && (
+          {chain && !isChainSupported(chain.id) && (
             <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-4">
               <div className="flex">
                 <InformationCircleIcon className="w-5 h-5 text-yellow-400" />
                 <div className="ml-3">
                   <p className="text-sm text-yellow-700">
-                    ⚠️ You're not on Polygon network. Please switch to Polygon for real trading.
+                    ⚠️ Protected Options are not deployed on {CHAIN_NAMES[chain.id] || chain.name}. Switch networks from the banner above to create an option.
                   </p>
                   <p className="text-xs text-yellow-600 mt-1">
-                    Current: {chain?.name} (ID: {chain?.id}). Required: Polygon (ID: 137)
-                  </p>
-                </div>
-              </div>
-            </div>
-          )}
-
-          {/* Network Status */}
-          {chain?.id === 137 && retryCount > 0 && (
-            <div className="bg-orange-50 border-l-4 border-orange-400 p-4 mb-4">
-              <div className="flex">
-                <InformationCircleIcon className="w-5 h-5 text-orange-400" />
-                <div className="ml-3">
-                  <p className="text-sm text-orange-700">
-                    🌐 Polygon network is experiencing congestion. Transactions may take longer than usual.
-                  </p>
-                  <p className="text-xs text-orange-600 mt-1">
-                    Retry {retryCount}/3 - Auto-retrying with exponential backoff
+                    Current: {chain.name} (ID: {chain.id}). Supported: {SUPPORTED_CHAINS.map((chainId) => CHAIN_NAMES[chainId] || chainId).join(', ') || 'none yet'}
                   </p>
                 </div>
               </div>
@@ -544,38 +824,77 @@ const CreateOption = () => {
                 <ExclamationTriangleIcon className="w-5 h-5 text-red-400" />
                 <div className="ml-3">
                   <p className="text-sm text-red-700">
-                    Insufficient balance. Required: {formData.collateralAmount} WETH and {formData.premium} USDC
+                    Insufficient balance. Required: {formData.collateralAmount} {collateralSymbol} collateral
                   </p>
                   <p className="text-xs text-red-600 mt-1">
-                    Your balance: {wethBalance ? formatUnits(wethBalance, 18) : '0'} WETH, {usdcBalance ? formatUnits(usdcBalance, 6) : '0'} USDC
+                    Your balance: {collateralBalance ? formatUnits(collateralBalance, collateralDecimals) : '0'} {collateralSymbol}
                   </p>
                 </div>
               </div>
             </div>
           )}
 
-          {!hasEnoughAllowance() && hasEnoughBalance() && (
+          {!hasEnoughAllowance() && hasEnoughBalance() && approval.method && (
             <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4">
               <div className="flex justify-between items-start">
                 <div className="flex">
                   <InformationCircleIcon className="w-5 h-5 text-yellow-400" />
                   <div className="ml-3">
-                    <p className="text-sm text-yellow-700">
-                      You need to approve WETH spending first.
-                    </p>
-                    <p className="text-xs text-yellow-600 mt-1">
-                      This allows the contract to use your WETH for creating options.
-                    </p>
+                    {approval.method === 'approve' ? (
+                      <>
+                        <p className="text-sm text-yellow-700">
+                          You need to approve {formData.collateralAmount} {collateralSymbol} first.
+                        </p>
+                        <p className="text-xs text-yellow-600 mt-1">
+                          The approval covers exactly this option's collateral.
+                        </p>
+                      </>
+                    ) : (
+                      <>
+                        <p className="text-sm text-yellow-700">
+                          Sign a permit for {formData.collateralAmount} {collateralSymbol}.
+                        </p>
+                        <p className="text-xs text-yellow-600 mt-1">
+                          {approval.method === 'permit2' ? 'Uses your existing Permit2 approval; no' : 'No'} approval
+                          transaction needed: the {collateralSymbol} moves with the create transaction.
+                        </p>
+                      </>
+                    )}
                   </div>
                 </div>
-                <button
-                  type="button"
-                  onClick={handleApproveWithRetry}
-                  disabled={!approveWeth || isApproving}
-                  className="bg-yellow-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-yellow-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
-                >
-                  {isApproving ? (retryCount > 0 ? `Retrying... (${retryCount}/3)` : 'Approving...') : 'Approve WETH'}
-                </button>
+                {approval.method === 'approve' ? (
+                  <button
+                    type="button"
+                    onClick={() => approval.approve?.()}
+                    disabled={!approval.approve || approval.isApproving}
+                    className="bg-yellow-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-yellow-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {approval.isApproving ? 'Approving...' : `Approve ${collateralSymbol}`}
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={approval.sign}
+                    disabled={approval.isSigning}
+                    className="bg-yellow-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-yellow-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {approval.isSigning ? 'Check your wallet...' : 'Sign permit'}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {errors.form && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-4">
+              <div className="flex">
+                <ExclamationTriangleIcon className="w-5 h-5 text-red-400" />
+                <div className="ml-3">
+                  <p className="text-sm text-red-700">
+                    This transaction would revert: {errors.form.message}
+                  </p>
+                  {errors.form.fix && <p className="text-xs text-red-600 mt-1">{errors.form.fix}</p>}
+                </div>
               </div>
             </div>
           )}
@@ -584,10 +903,10 @@ const CreateOption = () => {
           <button
             type="button"
             onClick={() => createOption?.()}
-            disabled={!createOption || isCreating || !hasEnoughBalance() || !hasEnoughAllowance()}
+            disabled={!createOption || isCreating || createTx.isPending || !hasEnoughBalance() || !hasEnoughAllowance()}
             className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
           >
-            {isCreating ? 'Creating Option...' : 'Create Protected Option'}
+            {isCreating ? 'Creating Option...' : createTx.isPending ? 'Waiting for confirmation...' : 'Create Protected Option'}
           </button>
         </form>
       </div>
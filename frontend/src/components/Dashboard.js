@@ -1,70 +1,31 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { useAccount, useContractRead, useNetwork } from 'wagmi';
-import { formatEther, parseUnits } from 'ethers';
-import { ArrowUpIcon, ArrowDownIcon, ClockIcon, CheckCircleIcon, XCircleIcon } from '@heroicons/react/24/outline';
-import { getContractAddress, PROTECTED_OPTION_MANAGER_ABI, OPTIONS_CALCULATOR_ABI } from '../contracts';
+import { useAccount, useNetwork } from 'wagmi';
+import { ArrowUpIcon, ArrowDownIcon, ClockIcon, CheckCircleIcon, XCircleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { CHAIN_NAMES } from '../contracts';
+import useProtectedOptions from '../hooks/useProtectedOptions';
 
 const Dashboard = () => {
   const { address, isConnected } = useAccount();
   const { chain } = useNetwork();
-  const [options, setOptions] = useState([]);
-  const [loading, setLoading] = useState(false);
-
-  // Mock data for demonstration (in real app, this would come from events/subgraph)
-  // Sample options data - will be replaced with real blockchain data on Polygon
-  const sampleOptions = [
-    {
-      id: '0x1234...abcd',
-      type: 'CALL',
-      strikePrice: '3400', // ETH price in USD
-      currentPrice: '3350',
-      premium: '50',
-      collateral: '1.0',
-      asset: 'WETH/USDC', // Real Polygon tokens
-      expires: new Date(Date.now() + 3600000), // 1 hour from now
-      status: 'ACTIVE',
-      isInMoney: false,
-      stopLossPrice: '3200',
-      stopLossTriggered: false,
-      intrinsicValue: '0'
-    },
-    {
-      id: '0x5678...efgh',
-      type: 'PUT',
-      strikePrice: '0.85', // MATIC price in USD  
-      currentPrice: '0.90',
-      premium: '0.05',
-      collateral: '100',
-      asset: 'WMATIC/USDC', // Real Polygon tokens
-      expires: new Date(Date.now() + 7200000), // 2 hours from now
-      status: 'ACTIVE',
-      isInMoney: false,
-      stopLossPrice: '0.95',
-      stopLossTriggered: false,
-      intrinsicValue: '0'
-    }
-  ];
-
-  useEffect(() => {
-    if (isConnected && chain) {
-      setOptions(sampleOptions);
-    }
-  }, [isConnected, chain]);
+  // Writers see the options they collateralised, buyers the ones they paid a premium for
+  const [role, setRole] = useState('writer');
+  const { options, isDeployed, isLoading, error, refetch } = useProtectedOptions(address, chain?.id, role);
 
   const formatPrice = (price) => {
+    if (price === undefined) return '—';
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
       currency: 'USD',
       minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
+      maximumFractionDigits: parseFloat(price) < 10 ? 4 : 0,
     }).format(price);
   };
 
   const getStatusColor = (status, isInMoney, stopLossTriggered) => {
     if (stopLossTriggered) return 'text-red-600 bg-red-50';
     if (status === 'EXECUTED') return 'text-green-600 bg-green-50';
-    if (status === 'EXPIRED') return 'text-gray-600 bg-gray-50';
+    if (status === 'EXPIRED' || status === 'CANCELLED') return 'text-gray-600 bg-gray-50';
     if (isInMoney) return 'text-green-600 bg-green-50';
     return 'text-blue-600 bg-blue-50';
   };
@@ -73,6 +34,7 @@ const Dashboard = () => {
     if (stopLossTriggered) return <XCircleIcon className="w-4 h-4" />;
     if (status === 'EXECUTED') return <CheckCircleIcon className="w-4 h-4" />;
     if (status === 'EXPIRED') return <ClockIcon className="w-4 h-4" />;
+    if (status === 'CANCELLED') return <XCircleIcon className="w-4 h-4" />;
     return <ClockIcon className="w-4 h-4" />;
   };
 
@@ -154,7 +116,9 @@ const Dashboard = () => {
             <div className="ml-4">
               <p className="text-sm font-medium text-gray-600">Total Value</p>
               <p className="text-2xl font-semibold text-gray-900">
-                {formatPrice(options.reduce((sum, o) => sum + parseFloat(o.collateral) * parseFloat(o.currentPrice), 0))}
+                {formatPrice(options
+                  .filter(o => o.currentPrice !== undefined)
+                  .reduce((sum, o) => sum + parseFloat(o.collateral) * parseFloat(o.currentPrice), 0))}
               </p>
             </div>
           </div>
@@ -163,23 +127,82 @@ const Dashboard = () => {
 
       {/* Options List */}
       <div className="bg-white shadow-sm rounded-lg border border-gray-200">
-        <div className="px-6 py-4 border-b border-gray-200">
-          <h2 className="text-lg font-medium text-gray-900">Your Protected Options</h2>
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center space-x-4">
+            <h2 className="text-lg font-medium text-gray-900">Your Protected Options</h2>
+            <div className="inline-flex rounded-md border border-gray-300 overflow-hidden">
+              {[['writer', 'Written'], ['buyer', 'Held']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => setRole(value)}
+                  className={`px-3 py-1 text-sm font-medium ${
+                    role === value ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {isDeployed && (
+            <button
+              onClick={() => refetch()}
+              disabled={isLoading}
+              className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              {isLoading ? 'Loading...' : 'Refresh'}
+            </button>
+          )}
         </div>
 
-        {options.length === 0 ? (
+        {!isDeployed ? (
+          <div className="text-center py-12">
+            <div className="w-12 h-12 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <ExclamationTriangleIcon className="w-6 h-6 text-yellow-600" />
+            </div>
+            <h3 className="text-sm font-medium text-gray-900 mb-1">Not deployed on this network</h3>
+            <p className="text-sm text-gray-500">
+              Protected Options contracts are not configured for {CHAIN_NAMES[chain?.id] || chain?.name || 'this network'}.
+            </p>
+          </div>
+        ) : error && options.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="w-12 h-12 bg-red-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <XCircleIcon className="w-6 h-6 text-red-600" />
+            </div>
+            <h3 className="text-sm font-medium text-gray-900 mb-1">Failed to load options</h3>
+            <p className="text-sm text-gray-500 mb-4">{error.shortMessage || error.message}</p>
+            <button
+              onClick={() => refetch()}
+              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-blue-600 bg-blue-100 hover:bg-blue-200"
+            >
+              Try Again
+            </button>
+          </div>
+        ) : isLoading && options.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="w-8 h-8 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin mx-auto mb-4"></div>
+            <p className="text-sm text-gray-500">Loading your positions...</p>
+          </div>
+        ) : options.length === 0 ? (
           <div className="text-center py-12">
             <div className="w-12 h-12 bg-gray-100 rounded-full flex items-center justify-center mx-auto mb-4">
               <ClockIcon className="w-6 h-6 text-gray-400" />
             </div>
             <h3 className="text-sm font-medium text-gray-900 mb-1">No options yet</h3>
-            <p className="text-sm text-gray-500 mb-4">Create your first protected option to get started.</p>
-            <Link
-              to="/create"
-              className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-blue-600 bg-blue-100 hover:bg-blue-200"
-            >
-              Create Option
-            </Link>
+            {role === 'buyer' ? (
+              <p className="text-sm text-gray-500">Buy an option from its writer's link, or receive a position token from its holder.</p>
+            ) : (
+              <>
+                <p className="text-sm text-gray-500 mb-4">Create your first protected option to get started.</p>
+                <Link
+                  to="/create"
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-blue-600 bg-blue-100 hover:bg-blue-200"
+                >
+                  Create Option
+                </Link>
+              </>
+            )}
           </div>
         ) : (
           <div className="overflow-hidden">
@@ -215,7 +238,12 @@ const Dashboard = () => {
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div>
                         <div className="text-sm font-medium text-gray-900">{option.asset}</div>
-                        <div className="text-sm text-gray-500">ID: {option.id}</div>
+                        <div className="text-sm text-gray-500" title={option.id}>ID: {option.shortId}</div>
+                        {role === 'writer' && (
+                          <div className="text-xs text-gray-500" title={option.holder}>
+                            {option.isSold ? 'Sold' : 'Awaiting buyer'}
+                          </div>
+                        )}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
@@ -230,6 +258,9 @@ const Dashboard = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       {formatPrice(option.currentPrice)}
+                      {option.priceError && (
+                        <div className="text-xs text-yellow-600" title={option.priceError}>Price unavailable</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm text-gray-900">{formatPrice(option.stopLossPrice)}</div>
@@ -255,10 +286,10 @@ const Dashboard = () => {
                       >
                         View
                       </Link>
-                      {option.status === 'ACTIVE' && option.isInMoney && !option.stopLossTriggered && (
-                        <button className="text-green-600 hover:text-green-900">
+                      {role === 'buyer' && option.status === 'ACTIVE' && option.isInMoney && !option.stopLossTriggered && (
+                        <Link to={`/option/${option.id}`} className="text-green-600 hover:text-green-900">
                           Execute
-                        </button>
+                        </Link>
                       )}
                     </td>
                   </tr>
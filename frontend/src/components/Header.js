@@ -1,11 +1,19 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
-import { useAccount } from 'wagmi';
+import { useAccount, useNetwork, useSwitchNetwork } from 'wagmi';
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { CHAIN_NAMES, isChainSupported } from '../contracts';
 
 const Header = () => {
   const location = useLocation();
   const { isConnected } = useAccount();
+  const { chain } = useNetwork();
+  const { chains, switchNetwork, isLoading: isSwitching, pendingChainId } = useSwitchNetwork();
+
+  const isUnsupported = isConnected && !!chain && !isChainSupported(chain.id);
+  // Configured wallet chains that have a deployment to switch to
+  const switchTargets = chains.filter((target) => isChainSupported(target.id));
 
   const isActive = (path) => location.pathname === path;
 
@@ -46,24 +54,71 @@ const Header = () => {
               >
                 Create Option
               </Link>
+              <Link
+                to="/ladder"
+                className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+                  isActive('/ladder')
+                    ? 'text-blue-600 bg-blue-50'
+                    : 'text-gray-700 hover:text-blue-600 hover:bg-gray-50'
+                }`}
+              >
+                Ladder
+              </Link>
             </nav>
           </div>
 
           {/* Wallet Connection */}
           <div className="flex items-center space-x-4">
             {/* Network Status Indicator */}
-            {isConnected && (
+            {isConnected && !isUnsupported && (
               <div className="flex items-center space-x-2 px-3 py-1 bg-green-50 rounded-full">
                 <div className="w-2 h-2 bg-green-500 rounded-full"></div>
                 <span className="text-sm text-green-700 font-medium">Connected</span>
               </div>
             )}
+            {isUnsupported && (
+              <div className="flex items-center space-x-2 px-3 py-1 bg-yellow-50 rounded-full">
+                <div className="w-2 h-2 bg-yellow-500 rounded-full"></div>
+                <span className="text-sm text-yellow-700 font-medium">Unsupported network</span>
+              </div>
+            )}
             
             {/* RainbowKit Connect Button */}
             <ConnectButton />
           </div>
         </div>
       </div>
+
+      {/* Unsupported Network Banner */}
+      {isUnsupported && (
+        <div className="bg-yellow-50 border-t border-yellow-200">
+          <div className="container mx-auto px-4 py-3 flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center space-x-2">
+              <ExclamationTriangleIcon className="w-5 h-5 text-yellow-600" />
+              <p className="text-sm text-yellow-800">
+                Protected Options are not deployed on {CHAIN_NAMES[chain.id] || chain.name}.
+                {switchTargets.length > 0
+                  ? ' Switch to a supported network to create or trade options.'
+                  : ' None of the configured networks has a deployment yet.'}
+              </p>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {switchTargets.map((target) => (
+                <button
+                  key={target.id}
+                  onClick={() => switchNetwork?.(target.id)}
+                  disabled={!switchNetwork || isSwitching}
+                  className="px-3 py-1 text-sm font-medium rounded-md text-yellow-800 bg-yellow-100 hover:bg-yellow-200 disabled:opacity-50"
+                >
+                  {isSwitching && pendingChainId === target.id
+                    ? 'Switching...'
+                    : `Switch to ${CHAIN_NAMES[target.id] || target.name}`}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
     </header>
   );
 };
@@ -0,0 +1,469 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useAccount, useContractRead, useContractReads, useContractWrite, useNetwork, usePrepareContractWrite } from 'wagmi';
+import { formatUnits } from 'ethers';
+import { useNavigate } from 'react-router-dom';
+import { ExclamationTriangleIcon, InformationCircleIcon } from '@heroicons/react/24/outline';
+import {
+  getAsset,
+  getAvailablePairs,
+  getContractAddress,
+  getPairOracle,
+  getPairOracleKey,
+  isChainSupported,
+  isContractDeployed,
+  isUsdQuoted,
+  MOCK_ERC20_ABI,
+  MOCK_ORACLE_ABI,
+  PROTECTED_OPTION_MANAGER_ABI,
+  ZERO_ADDRESS,
+} from '../contracts';
+import { resultOf } from '../hooks/useProtectedOptions';
+import useTransaction from '../hooks/useTransaction';
+import useApproval from '../hooks/useApproval';
+import {
+  CSV_COLUMNS,
+  MAX_BATCH_SIZE,
+  batchCollateral,
+  buildLadder,
+  parseLadderCsv,
+  toBatchRequests,
+  validateBatch,
+} from '../utils/ladder';
+import { simulationErrors } from '../utils/validation';
+
+// Expiries offered by the builder, in seconds
+const EXPIRY_PRESETS = [
+  { label: '1 hour', value: 60 * 60 },
+  { label: '1 day', value: 24 * 60 * 60 },
+  { label: '7 days', value: 7 * 24 * 60 * 60 },
+  { label: '14 days', value: 14 * 24 * 60 * 60 },
+  { label: '30 days', value: 30 * 24 * 60 * 60 },
+];
+
+const formatDuration = (seconds) => (seconds % 86400 === 0 ? `${seconds / 86400}d` : `${seconds / 3600}h`);
+
+const inputClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const LadderBuilder = () => {
+  const { address, isConnected } = useAccount();
+  const { chain } = useNetwork();
+  const navigate = useNavigate();
+
+  // 'builder' spreads a strike range over expiries; 'csv' imports the rows instead
+  const [source, setSource] = useState('builder');
+  const [csvText, setCsvText] = useState('');
+
+  const [ladder, setLadder] = useState({
+    optionType: 'call',
+    strikeFrom: '2100',
+    strikeTo: '2500',
+    strikeStep: '100',
+    durations: [7 * 24 * 60 * 60],
+    collateralAmount: '0.5', // Per option
+    impliedVolatility: '80', // Annualised, in percent; prices every option with Black-Scholes
+    stopLossMode: 'fixed', // 'fixed' or 'trailing'
+    stopDistance: '500', // Basis points from the spot price (the trail in trailing mode)
+    maxLoss: '500', // Basis points, fixed stops only
+    minFillPrice: '', // Minimum payment per collateral token; blank uses each strike's suggested one
+  });
+
+  const [selectedAssets, setSelectedAssets] = useState({ collateral: 'WETH', payment: 'USDC' });
+  const { collateral: collateralSymbol, payment: paymentSymbol } = selectedAssets;
+  const formatPrice = (value) => (isUsdQuoted(paymentSymbol) ? `$${value}` : `${value} ${paymentSymbol}`);
+
+  const managerAddress = getContractAddress(chain?.id, 'PROTECTED_OPTION_MANAGER');
+  const collateralAsset = getAsset(chain?.id, collateralSymbol);
+  const paymentAsset = getAsset(chain?.id, paymentSymbol);
+  const collateralAddress = collateralAsset?.address ?? ZERO_ADDRESS;
+  const paymentAddress = paymentAsset?.address ?? ZERO_ADDRESS;
+
+  const availablePairs = useMemo(() => getAvailablePairs(chain?.id), [chain?.id]);
+  const isPairAvailable = availablePairs.some((pair) => pair.collateral === collateralSymbol && pair.payment === paymentSymbol);
+
+  useEffect(() => {
+    if (!isPairAvailable && availablePairs.length > 0) {
+      setSelectedAssets(availablePairs[0]);
+    }
+  }, [availablePairs, isPairAvailable]);
+
+  // The whole ladder reads the pair's adapter where one is deployed, like the create form's default
+  const pairOracleKey = getPairOracleKey(collateralSymbol, paymentSymbol);
+  const oracleAddress = isContractDeployed(chain?.id, `${pairOracleKey}_ADAPTER`)
+    ? getContractAddress(chain?.id, `${pairOracleKey}_ADAPTER`)
+    : getPairOracle(chain?.id, collateralSymbol, paymentSymbol);
+
+  const { data: pairResults } = useContractReads({
+    contracts: [
+      { address: collateralAddress, abi: MOCK_ERC20_ABI, functionName: 'decimals' },
+      { address: paymentAddress, abi: MOCK_ERC20_ABI, functionName: 'decimals' },
+      { address: oracleAddress, abi: MOCK_ORACLE_ABI, functionName: 'decimals' },
+      { address: collateralAddress, abi: MOCK_ERC20_ABI, functionName: 'balanceOf', args: [address] },
+    ],
+    enabled: isPairAvailable && oracleAddress !== ZERO_ADDRESS && !!address,
+    watch: true,
+  });
+
+  const collateralDecimals = resultOf(pairResults?.[0]) ?? collateralAsset?.decimals ?? 18;
+  const paymentDecimals = resultOf(pairResults?.[1]) ?? paymentAsset?.decimals ?? 18;
+  const feedDecimals = resultOf(pairResults?.[2]) ?? 8;
+  const collateralBalance = resultOf(pairResults?.[3]) ?? 0n;
+
+  const { data: oracleRound } = useContractRead({
+    address: oracleAddress,
+    abi: MOCK_ORACLE_ABI,
+    functionName: 'latestRoundData',
+    enabled: oracleAddress !== ZERO_ADDRESS,
+    watch: true,
+  });
+
+  const spotPrice = oracleRound ? parseFloat(formatUnits(oracleRound[1], feedDecimals)) : null;
+
+  // Rows in display units, from the builder or the CSV, and why any of them could not be made
+  const { rows, rowErrors } = useMemo(() => {
+    if (source === 'csv') {
+      const { rows: parsed, errors } = parseLadderCsv(csvText);
+      return { rows: parsed, rowErrors: errors.map(({ line, message }) => `Line ${line}: ${message}`) };
+    }
+    try {
+      const isTrailing = ladder.stopLossMode === 'trailing';
+      return {
+        rows: buildLadder({
+          isCall: ladder.optionType === 'call',
+          strikeFrom: ladder.strikeFrom,
+          strikeTo: ladder.strikeTo,
+          strikeStep: ladder.strikeStep,
+          durations: ladder.durations,
+          collateral: ladder.collateralAmount || '0',
+          stop: { isTrailing, distance: parseInt(ladder.stopDistance) || 0, maxLoss: parseInt(ladder.maxLoss) || 0 },
+          spot: spotPrice,
+          volatility: parseFloat(ladder.impliedVolatility) / 100,
+          minFillPrice: ladder.minFillPrice || undefined,
+        }),
+        rowErrors: [],
+      };
+    } catch (error) {
+      return { rows: [], rowErrors: [spotPrice ? error.message : 'Waiting for the oracle price'] };
+    }
+  }, [source, csvText, ladder, spotPrice]);
+
+  const requests = useMemo(
+    () => toBatchRequests(rows, { makerAsset: collateralAddress, takerAsset: paymentAddress, oracle: oracleAddress, collateralDecimals, paymentDecimals }),
+    [rows, collateralAddress, paymentAddress, oracleAddress, collateralDecimals, paymentDecimals]
+  );
+
+  // Every option is checked against the contract rules, like the single create form does
+  const validation = validateBatch(
+    requests,
+    oracleRound && { answer: oracleRound[1], updatedAt: oracleRound[3], decimals: feedDecimals, now: Math.floor(Date.now() / 1000) },
+    { collateralDecimals, paymentDecimals }
+  );
+  const invalidRows = validation.rows.filter((errors) => Object.keys(errors).length > 0).length;
+  const isBatchValid = !validation.batch && invalidRows === 0 && rowErrors.length === 0;
+
+  const totalCollateral = batchCollateral(requests);
+  const hasEnoughBalance = collateralBalance >= totalCollateral;
+
+  // The batch call has no permit variant, so the total collateral is approved up front
+  const approval = useApproval({
+    token: collateralAddress,
+    symbol: collateralSymbol,
+    owner: address,
+    spender: managerAddress,
+    amount: totalCollateral,
+    chainId: chain?.id,
+    allowPermit: false,
+  });
+
+  const { config, error: simulationError } = usePrepareContractWrite({
+    address: managerAddress,
+    abi: PROTECTED_OPTION_MANAGER_ABI,
+    functionName: 'createProtectedOptionBatch',
+    args: [requests],
+    enabled: !!managerAddress && isPairAvailable && isBatchValid && hasEnoughBalance && approval.isReady && isChainSupported(chain?.id),
+  });
+  const revert = simulationError && isBatchValid && hasEnoughBalance && approval.isReady
+    ? Object.values(simulationErrors(simulationError))[0]
+    : undefined;
+
+  const batchTx = useTransaction(`Create ${requests.length} options`, () => navigate('/'));
+
+  const { write: createBatch, isLoading: isCreating } = useContractWrite({
+    ...config,
+    onSuccess: ({ hash }) => batchTx.track(hash),
+    onError: batchTx.fail,
+  });
+
+  const handleChange = (field, value) => setLadder((prev) => ({ ...prev, [field]: value }));
+
+  const toggleDuration = (value) => setLadder((prev) => ({
+    ...prev,
+    durations: prev.durations.includes(value)
+      ? prev.durations.filter((duration) => duration !== value)
+      : [...prev.durations, value].sort((a, b) => a - b),
+  }));
+
+  const handleCsvFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setCsvText(String(reader.result));
+    reader.readAsText(file);
+  };
+
+  if (!isConnected) {
+    return (
+      <div className="text-center py-16">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Connect Your Wallet</h3>
+        <p className="text-gray-500 mb-6">Connect your wallet to create option ladders.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="bg-white shadow-sm rounded-lg border border-gray-200">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h1 className="text-xl font-semibold text-gray-900">Option Ladder</h1>
+          <p className="text-sm text-gray-600 mt-1">
+            Create up to {MAX_BATCH_SIZE} protected options across strikes and expiries in one transaction
+          </p>
+        </div>
+
+        <form className="p-6 space-y-6">
+          {/* Pair */}
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Pair</label>
+              <select
+                value={`${collateralSymbol}/${paymentSymbol}`}
+                onChange={(e) => {
+                  const [collateral, payment] = e.target.value.split('/');
+                  setSelectedAssets({ collateral, payment });
+                }}
+                className={inputClass}
+              >
+                {availablePairs.map(({ collateral, payment }) => (
+                  <option key={`${collateral}/${payment}`} value={`${collateral}/${payment}`}>{collateral} / {payment}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Rows from</label>
+              <div className="grid grid-cols-2 gap-2">
+                {['builder', 'csv'].map((value) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setSource(value)}
+                    className={`p-3 rounded-lg border-2 text-sm font-medium transition-colors ${
+                      source === value ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                  >
+                    {value === 'builder' ? 'Strike range' : 'CSV import'}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {source === 'builder' ? (
+            <div className="space-y-4">
+              <div className="grid grid-cols-4 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Type</label>
+                  <select value={ladder.optionType} onChange={(e) => handleChange('optionType', e.target.value)} className={inputClass}>
+                    <option value="call">Calls</option>
+                    <option value="put">Puts</option>
+                  </select>
+                </div>
+                {[['strikeFrom', 'Strike from'], ['strikeTo', 'Strike to'], ['strikeStep', 'Step']].map(([field, label]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                    <input type="number" value={ladder[field]} onChange={(e) => handleChange(field, e.target.value)} className={inputClass} />
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Expiries</label>
+                <div className="flex flex-wrap gap-2">
+                  {EXPIRY_PRESETS.map(({ label, value }) => (
+                    <button
+                      key={value}
+                      type="button"
+                      onClick={() => toggleDuration(value)}
+                      className={`px-3 py-2 rounded-md border text-sm transition-colors ${
+                        ladder.durations.includes(value) ? 'border-blue-500 bg-blue-50 text-blue-700' : 'border-gray-200 hover:border-gray-300'
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Collateral per option ({collateralSymbol})</label>
+                  <input type="number" value={ladder.collateralAmount} onChange={(e) => handleChange('collateralAmount', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Implied volatility (%)</label>
+                  <input type="number" value={ladder.impliedVolatility} onChange={(e) => handleChange('impliedVolatility', e.target.value)} className={inputClass} />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Min. price ({paymentSymbol} per {collateralSymbol})</label>
+                  <input type="number" value={ladder.minFillPrice} placeholder="Suggested" onChange={(e) => handleChange('minFillPrice', e.target.value)} className={inputClass} />
+                </div>
+              </div>
+
+              {/* Shared stop-loss rule */}
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Stop-loss</label>
+                  <select value={ladder.stopLossMode} onChange={(e) => handleChange('stopLossMode', e.target.value)} className={inputClass}>
+                    <option value="fixed">Fixed</option>
+                    <option value="trailing">Trailing</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Distance from spot (bp)</label>
+                  <input type="number" value={ladder.stopDistance} onChange={(e) => handleChange('stopDistance', e.target.value)} className={inputClass} />
+                </div>
+                {ladder.stopLossMode === 'fixed' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Max loss (bp)</label>
+                    <input type="number" value={ladder.maxLoss} onChange={(e) => handleChange('maxLoss', e.target.value)} className={inputClass} />
+                  </div>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">
+                {ladder.optionType === 'call' ? 'Below' : 'Above'} the spot price{spotPrice ? ` of ${formatPrice(spotPrice.toFixed(2))}` : ''};
+                premiums are the Black-Scholes value of each option's collateral.
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-700">
+                One option per line: {CSV_COLUMNS.join(', ')}
+              </label>
+              <input type="file" accept=".csv,text/csv" onChange={(e) => handleCsvFile(e.target.files?.[0])} className="text-sm" />
+              <textarea
+                rows={6}
+                value={csvText}
+                onChange={(e) => setCsvText(e.target.value)}
+                placeholder={'type,strike,duration,collateral,premium,stop_loss,max_loss,min_price\ncall,2100,7d,0.5,25,1950,500,100\nput,1900,1d,0.5,20,trailing,500'}
+                className={`${inputClass} font-mono text-sm`}
+              />
+            </div>
+          )}
+
+          {/* Preview */}
+          {rowErrors.length > 0 && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-4 text-sm text-red-700 space-y-1">
+              {rowErrors.map((message) => <div key={message}>{message}</div>)}
+            </div>
+          )}
+
+          {rows.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4">Type</th>
+                    <th className="py-2 pr-4">Strike</th>
+                    <th className="py-2 pr-4">Expiry</th>
+                    <th className="py-2 pr-4">Collateral</th>
+                    <th className="py-2 pr-4">Premium</th>
+                    <th className="py-2 pr-4">Stop-loss</th>
+                    <th className="py-2">Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={index} className="border-b border-gray-100">
+                      <td className="py-2 pr-4 capitalize">{row.isCall ? 'call' : 'put'}</td>
+                      <td className="py-2 pr-4">{formatPrice(row.strike)}</td>
+                      <td className="py-2 pr-4">{formatDuration(row.duration)}</td>
+                      <td className="py-2 pr-4">{row.collateral} {collateralSymbol}</td>
+                      <td className="py-2 pr-4">{Number(row.premium).toFixed(2)} {paymentSymbol}</td>
+                      <td className="py-2 pr-4">
+                        {row.isTrailing ? `Trailing ${row.maxLoss / 100}%` : `${formatPrice(row.stopLossPrice)} (max ${row.maxLoss / 100}%)`}
+                      </td>
+                      <td className="py-2 text-red-600">
+                        {Object.values(validation.rows[index] ?? {}).map((error) => error.message).join('; ')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="text-sm text-gray-700 mt-2">
+                {rows.length} options, {formatUnits(totalCollateral, collateralDecimals)} {collateralSymbol} collateral in total
+              </div>
+            </div>
+          )}
+
+          {validation.batch && (
+            <div className="text-sm text-red-600">
+              {validation.batch.message}. {validation.batch.fix}
+            </div>
+          )}
+
+          {!hasEnoughBalance && rows.length > 0 && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-4">
+              <div className="flex">
+                <ExclamationTriangleIcon className="w-5 h-5 text-red-400" />
+                <p className="ml-3 text-sm text-red-700">
+                  Insufficient balance. Required: {formatUnits(totalCollateral, collateralDecimals)} {collateralSymbol}, you have {formatUnits(collateralBalance, collateralDecimals)}
+                </p>
+              </div>
+            </div>
+          )}
+
+          {isBatchValid && hasEnoughBalance && approval.method === 'approve' && (
+            <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4">
+              <div className="flex justify-between items-start">
+                <div className="flex">
+                  <InformationCircleIcon className="w-5 h-5 text-yellow-400" />
+                  <p className="ml-3 text-sm text-yellow-700">
+                    Approve {formatUnits(totalCollateral, collateralDecimals)} {collateralSymbol}, the collateral of the whole ladder.
+                  </p>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => approval.approve?.()}
+                  disabled={!approval.approve || approval.isApproving}
+                  className="bg-yellow-600 text-white px-4 py-2 rounded-md text-sm font-medium hover:bg-yellow-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+                >
+                  {approval.isApproving ? 'Approving...' : `Approve ${collateralSymbol}`}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {revert && (
+            <div className="bg-red-50 border-l-4 border-red-400 p-4">
+              <div className="flex">
+                <ExclamationTriangleIcon className="w-5 h-5 text-red-400" />
+                <div className="ml-3">
+                  <p className="text-sm text-red-700">This transaction would revert: {revert.message}</p>
+                  {revert.fix && <p className="text-xs text-red-600 mt-1">{revert.fix}</p>}
+                </div>
+              </div>
+            </div>
+          )}
+
+          <button
+            type="button"
+            onClick={() => createBatch?.()}
+            disabled={!createBatch || isCreating || batchTx.isPending || !isBatchValid || !hasEnoughBalance || !approval.isReady}
+            className="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+          >
+            {isCreating ? 'Creating Options...' : batchTx.isPending ? 'Waiting for confirmation...' : `Create ${rows.length} Protected Options`}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default LadderBuilder;
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from 'react';
+import { useAccount, useContractRead, useContractWrite, useSignTypedData } from 'wagmi';
+import { toast } from 'react-hot-toast';
+import { ZeroAddress } from 'ethers';
+import { getContractAddress, isContractDeployed, MOCK_ERC20_ABI } from '../contracts';
+import useTransaction from '../hooks/useTransaction';
+import {
+  buildOrderTypedData,
+  buildProtectedOptionOrder,
+  serializeSignedOrder,
+} from '../utils/limitOrder';
+
+// Lets the maker of a sold protected option sign a 1inch Limit Order Protocol v4 order for it.
+// Only the holder may fill the order. `position` is the raw getProtectedOption struct.
+const LimitOrderPanel = ({ position, chainId }) => {
+  const { address } = useAccount();
+  const [signedOrder, setSignedOrder] = useState('');
+
+  const limitOrderProtocol = getContractAddress(chainId, 'LIMIT_ORDER_PROTOCOL');
+  const integration = getContractAddress(chainId, 'INTEGRATION');
+  const isAvailable = isContractDeployed(chainId, 'LIMIT_ORDER_PROTOCOL') && isContractDeployed(chainId, 'INTEGRATION');
+  const isMaker = !!address && position?.maker?.toLowerCase() === address.toLowerCase();
+  const isSold = !!position?.holder && position.holder !== ZeroAddress;
+
+  // The protocol pulls the maker asset from the maker's wallet, not from the manager's escrow
+  const { data: allowance, refetch: refetchAllowance } = useContractRead({
+    address: position?.makerAsset,
+    abi: MOCK_ERC20_ABI,
+    functionName: 'allowance',
+    args: [address, limitOrderProtocol],
+    enabled: isAvailable && isMaker,
+    watch: true,
+  });
+
+  const approveTx = useTransaction('Approve collateral', () => refetchAllowance());
+
+  const { write: approve, isLoading: isApproving } = useContractWrite({
+    address: position?.makerAsset,
+    abi: MOCK_ERC20_ABI,
+    functionName: 'approve',
+    args: [limitOrderProtocol, position?.makingAmount],
+    onSuccess: ({ hash }) => approveTx.track(hash),
+    onError: approveTx.fail,
+  });
+
+  const built = useMemo(() => {
+    if (!isAvailable || !isMaker || !isSold) return null;
+    return buildProtectedOptionOrder({
+      maker: position.maker,
+      makerAsset: position.makerAsset,
+      takerAsset: position.takerAsset,
+      makingAmount: position.makingAmount,
+      takingAmount: position.minTakingAmount,
+      integration,
+      optionId: position.optionId,
+      stopLossId: position.stopLossId,
+      expiresAt: position.expiresAt,
+      allowedSender: position.holder,
+    });
+  }, [isAvailable, isMaker, isSold, position, integration]);
+
+  const typedData = built ? buildOrderTypedData(built.order, chainId, limitOrderProtocol) : undefined;
+  const { signTypedDataAsync, isLoading: isSigning } = useSignTypedData(typedData);
+
+  const signOrder = async () => {
+    try {
+      const signature = await signTypedDataAsync();
+      setSignedOrder(serializeSignedOrder({
+        ...built,
+        signature,
+        chainId,
+        verifyingContract: limitOrderProtocol,
+      }));
+      toast.success('Limit order signed');
+    } catch (error) {
+      toast.error('Failed to sign order: ' + (error.shortMessage || error.message));
+    }
+  };
+
+  const copyOrder = async () => {
+    await navigator.clipboard.writeText(signedOrder);
+    toast.success('Order copied');
+  };
+
+  if (!isMaker) return null;
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
+      <h3 className="text-lg font-medium text-gray-900 mb-2">1inch Limit Order</h3>
+
+      {!isAvailable ? (
+        <p className="text-sm text-gray-500">The Limit Order Protocol is not available on this network.</p>
+      ) : !isSold ? (
+        <p className="text-sm text-gray-500">Orders can be signed once a buyer has paid the premium; only the holder can fill them.</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-500 mb-4">
+            Sign an order the holder can fill on 1inch. Fills are priced from the option payoff and blocked once
+            the stop-loss triggers or the option expires. The collateral comes from your wallet.
+          </p>
+
+          {allowance !== undefined && allowance < position.makingAmount ? (
+            <button
+              onClick={() => approve?.()}
+              disabled={!approve || isApproving || approveTx.isPending}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 disabled:bg-gray-300"
+            >
+              {isApproving || approveTx.isPending ? 'Approving...' : 'Approve Collateral'}
+            </button>
+          ) : (
+            <button
+              onClick={signOrder}
+              disabled={!built || isSigning}
+              className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 disabled:bg-gray-300"
+            >
+              {isSigning ? 'Signing...' : 'Sign Limit Order'}
+            </button>
+          )}
+
+          {signedOrder && (
+            <div className="mt-4">
+              <textarea
+                readOnly
+                value={signedOrder}
+                rows={8}
+                className="w-full p-2 border border-gray-300 rounded-md font-mono text-xs"
+              />
+              <button
+                onClick={copyOrder}
+                className="w-full mt-2 bg-white text-blue-700 border border-blue-300 py-2 px-4 rounded-md text-sm font-medium hover:bg-blue-50"
+              >
+                Copy Order
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LimitOrderPanel;
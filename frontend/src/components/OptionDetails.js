@@ -1,8 +1,10 @@
+/* global BigInt */
+
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAccount, useContractRead, useContractWrite, useNetwork } from 'wagmi';
 import { toast } from 'react-hot-toast';
-import { formatUnits, parseUnits } from 'ethers';
+import { formatUnits, isAddress, parseUnits } from 'ethers';
 import { 
   ArrowLeftIcon, 
   CheckCircleIcon, 
@@ -12,7 +14,27 @@ import {
   ArrowTrendingUpIcon,
   ArrowTrendingDownIcon
 } from '@heroicons/react/24/outline';
-import { getContractAddress, PROTECTED_OPTION_MANAGER_ABI } from '../contracts';
+import {
+  getContractAddress,
+  MOCK_ERC20_ABI,
+  PROTECTED_OPTION_MANAGER_ABI,
+  protectedOptionManager,
+  protectedOptionPosition,
+  stopLossProtection,
+} from '../contracts';
+import useProtectedOption from '../hooks/useProtectedOption';
+import useTransaction from '../hooks/useTransaction';
+import PayoffPanel from './PayoffPanel';
+import LimitOrderPanel from './LimitOrderPanel';
+
+// Parses a token amount typed by the user; anything unparsable counts as zero
+const toUnits = (value, decimals = 18) => {
+  try {
+    return parseUnits(value || '0', decimals);
+  } catch (error) {
+    return 0n;
+  }
+};
 
 const OptionDetails = () => {
   const { id } = useParams();
@@ -21,12 +43,19 @@ const OptionDetails = () => {
   const { chain } = useNetwork();
   
   const [executionAmount, setExecutionAmount] = useState('');
+  const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [recipient, setRecipient] = useState('');
   const [refreshing, setRefreshing] = useState(false);
 
-  // Contract address
+  // Contract addresses
   const managerAddress = getContractAddress(chain?.id, 'PROTECTED_OPTION_MANAGER');
+  const stopLossAddress = getContractAddress(chain?.id, 'STOP_LOSS_PROTECTION');
+  const positionTokenAddress = getContractAddress(chain?.id, 'POSITION_TOKEN');
+
+  // Live position, status and configs; the sample below is shown until they load
+  const { option: liveOption, refetch: refetchLiveOption } = useProtectedOption(id, chain?.id);
 
-  // Sample option data (in real app, fetch from contracts/events on Polygon)
+  // Sample option data (shown when the contracts are not deployed on this chain)
   const sampleOption = {
     id: id,
     type: 'CALL',
@@ -56,6 +85,38 @@ const OptionDetails = () => {
     enabled: !!managerAddress && !!id,
   });
 
+  // Stop-loss level and trailing state
+  const stopLossId = optionData?.stopLossId;
+
+  const { data: stopLossConfig, refetch: refetchStopLoss } = useContractRead({
+    address: stopLossAddress,
+    ...stopLossProtection.stopLossConfigs(stopLossId),
+    enabled: !!stopLossId,
+    watch: true,
+  });
+
+  const { data: trailingStop, refetch: refetchTrailing } = useContractRead({
+    address: stopLossAddress,
+    ...stopLossProtection.trailingStops(stopLossId),
+    enabled: !!stopLossId,
+    watch: true,
+  });
+
+  const isTrailing = !!trailingStop?.[0];
+
+  // Ratchet the trailing stop to the latest oracle price (permissionless)
+  const pokeStopLossTx = useTransaction('Update trailing stop', () => {
+    refetchStopLoss();
+    refetchTrailing();
+  });
+
+  const { write: pokeStopLoss, isLoading: isPoking } = useContractWrite({
+    address: stopLossAddress,
+    ...stopLossProtection.poke(stopLossId),
+    onSuccess: ({ hash }) => pokeStopLossTx.track(hash),
+    onError: pokeStopLossTx.fail,
+  });
+
   // Check if can execute
   const { data: canExecuteData } = useContractRead({
     address: managerAddress,
@@ -65,37 +126,130 @@ const OptionDetails = () => {
     enabled: !!managerAddress && !!id,
   });
 
-  // Execute option
+  // Writer and holder views: the maker writes the option, the owner of its position token alone may execute
+  const isMaker = !!address && optionData?.maker?.toLowerCase() === address.toLowerCase();
+  const isHolder = !!address && optionData?.holder?.toLowerCase() === address.toLowerCase();
+  const takingAmount = toUnits(executionAmount, liveOption?.paymentDecimals);
+  const withdrawUnits = toUnits(withdrawAmount, liveOption?.collateralDecimals);
+
+  // Collateral the entered payment buys; fills beyond the remaining collateral are repriced
+  const { data: executionQuote } = useContractRead({
+    address: managerAddress,
+    ...protectedOptionManager.quoteExecution(id, takingAmount),
+    enabled: !!liveOption && takingAmount > 0n,
+    watch: true,
+  });
+
+  // The premium is paid in the taker asset, pulled by the manager
+  const { data: premiumAllowance, refetch: refetchPremiumAllowance } = useContractRead({
+    address: optionData?.takerAsset,
+    abi: MOCK_ERC20_ABI,
+    functionName: 'allowance',
+    args: [address, managerAddress],
+    enabled: !!liveOption && !liveOption.isSold && !isMaker,
+    watch: true,
+  });
+
+  const approvePremiumTx = useTransaction('Approve premium', () => {
+    refetchPremiumAllowance();
+  });
+
+  const { write: approvePremium, isLoading: isApprovingPremium } = useContractWrite({
+    address: optionData?.takerAsset,
+    abi: MOCK_ERC20_ABI,
+    functionName: 'approve',
+    args: [managerAddress, liveOption?.premiumAmount],
+    onSuccess: ({ hash }) => approvePremiumTx.track(hash),
+    onError: approvePremiumTx.fail,
+  });
+
+  const buyOptionTx = useTransaction('Buy option', () => {
+    refetchOption();
+    refetchLiveOption();
+  });
+
+  const { write: buyOption, isLoading: isBuying } = useContractWrite({
+    address: managerAddress,
+    ...protectedOptionManager.buyProtectedOption(id),
+    onSuccess: ({ hash }) => buyOptionTx.track(hash),
+    onError: buyOptionTx.fail,
+  });
+
+  // Hand the position token, and with it the right to execute, to another wallet
+  const transferPositionTx = useTransaction('Transfer position', () => {
+    setRecipient('');
+    refetchOption();
+    refetchLiveOption();
+  });
+
+  const { write: transferPosition, isLoading: isTransferring } = useContractWrite({
+    address: positionTokenAddress,
+    ...protectedOptionPosition.safeTransferFrom(address, recipient, id ? BigInt(id) : 0n),
+    onSuccess: ({ hash }) => transferPositionTx.track(hash),
+    onError: transferPositionTx.fail,
+  });
+
+  // Execute option, fully or in part
+  const executeOptionTx = useTransaction('Execute option', () => {
+    setExecutionAmount('');
+    refetchOption();
+    refetchLiveOption();
+  });
+
   const { write: executeOption, isLoading: isExecuting } = useContractWrite({
     address: managerAddress,
     abi: PROTECTED_OPTION_MANAGER_ABI,
     functionName: 'executeProtectedOption',
-    args: [id, parseUnits(executionAmount || '0', 18)],
-    onSuccess: () => {
-      toast.success('Option executed successfully!');
-      refetchOption();
-    },
-    onError: (error) => {
-      toast.error('Failed to execute option: ' + error.message);
-    },
+    args: [id, takingAmount],
+    onSuccess: ({ hash }) => executeOptionTx.track(hash),
+    onError: executeOptionTx.fail,
   });
 
   // Cancel option
+  const cancelOptionTx = useTransaction('Cancel option', () => {
+    refetchOption();
+    refetchLiveOption();
+  });
+
   const { write: cancelOption, isLoading: isCancelling } = useContractWrite({
     address: managerAddress,
     abi: PROTECTED_OPTION_MANAGER_ABI,
     functionName: 'cancelProtectedOption',
     args: [id],
-    onSuccess: () => {
-      toast.success('Option cancelled successfully!');
-      refetchOption();
-    },
-    onError: (error) => {
-      toast.error('Failed to cancel option: ' + error.message);
-    },
+    onSuccess: ({ hash }) => cancelOptionTx.track(hash),
+    onError: cancelOptionTx.fail,
+  });
+
+  // Maker takes back part of the unfilled collateral; the rest stays open to fills
+  const withdrawCollateralTx = useTransaction('Withdraw collateral', () => {
+    setWithdrawAmount('');
+    refetchOption();
+    refetchLiveOption();
+  });
+
+  const { write: withdrawCollateral, isLoading: isWithdrawing } = useContractWrite({
+    address: managerAddress,
+    ...protectedOptionManager.withdrawCollateral(id, withdrawUnits),
+    onSuccess: ({ hash }) => withdrawCollateralTx.track(hash),
+    onError: withdrawCollateralTx.fail,
+  });
+
+  // Fire the stop-loss: records the trigger on chain and returns the collateral to the maker
+  const triggerStopLossTx = useTransaction('Trigger stop-loss', () => {
+    refetchOption();
+    refetchLiveOption();
+    refetchStopLoss();
+  });
+
+  const { write: triggerStopLoss, isLoading: isTriggering } = useContractWrite({
+    address: managerAddress,
+    ...protectedOptionManager.triggerStopLoss(id),
+    onSuccess: ({ hash }) => triggerStopLossTx.track(hash),
+    onError: triggerStopLossTx.fail,
   });
 
   const formatPrice = (price) => {
+    if (price === undefined) return '—';
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
       currency: 'USD',
@@ -122,7 +276,7 @@ const OptionDetails = () => {
   const refreshData = async () => {
     setRefreshing(true);
     try {
-      await refetchOption();
+      await Promise.all([refetchOption(), refetchLiveOption()]);
       toast.success('Data refreshed');
     } catch (error) {
       toast.error('Failed to refresh data');
@@ -142,7 +296,11 @@ const OptionDetails = () => {
     );
   }
 
-  const option = sampleOption; // Use sample data for demonstration (will be replaced with real contract data)
+  const option = liveOption || sampleOption;
+
+  // Prefer the on-chain stop-loss over the sample values once it has loaded
+  const stopLossPrice = stopLossConfig ? formatUnits(stopLossConfig[0], 8) : option.stopLossPrice;
+  const maxLoss = stopLossConfig ? Number(stopLossConfig[1]) / 100 : option.maxLoss;
 
   return (
     <div className="max-w-4xl mx-auto">
@@ -215,25 +373,30 @@ const OptionDetails = () => {
               </div>
               <div>
                 <p className="text-sm font-medium text-gray-500">Collateral</p>
-                <p className="text-lg font-semibold">{option.collateral} WETH</p>
+                <p className="text-lg font-semibold">{option.collateral} {option.collateralSymbol || 'WETH'}</p>
               </div>
             </div>
-          </div>
 
-          {/* Price Chart Placeholder */}
-          <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Price Movement</h3>
-            <div className="h-64 bg-gray-50 rounded-lg flex items-center justify-center">
-              <div className="text-center">
-                <div className="w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center mx-auto mb-4">
-                  <ArrowTrendingUpIcon className="w-8 h-8 text-blue-600" />
+            {option.remainingCollateral !== undefined && (
+              <div className="mt-4">
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-gray-500">Fill Progress</span>
+                  <span className="font-medium">
+                    {option.remainingCollateral} of {option.collateral} {option.collateralSymbol} open
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-green-500 h-2 rounded-full" style={{ width: `${option.fillPercent}%` }} />
                 </div>
-                <p className="text-gray-500">Price chart would be displayed here</p>
-                <p className="text-sm text-gray-400 mt-1">Integration with price feeds coming soon</p>
               </div>
-            </div>
+            )}
           </div>
 
+          {/* Greeks and payoff scenarios, truncated at the stop-loss */}
+          {option.status === 'ACTIVE' && (
+            <PayoffPanel option={{ ...option, stopLossPrice }} />
+          )}
+
           {/* Option Timeline */}
           <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Timeline</h3>
@@ -273,12 +436,24 @@ const OptionDetails = () => {
             
             <div className="space-y-3">
               <div className="flex justify-between">
-                <span className="text-sm text-gray-500">Stop-Loss Price</span>
-                <span className="text-sm font-medium">{formatPrice(option.stopLossPrice)}</span>
+                <span className="text-sm text-gray-500">Mode</span>
+                <span className="text-sm font-medium">{isTrailing ? 'Trailing' : 'Fixed'}</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-sm text-gray-500">{isTrailing ? 'Trailing Level' : 'Stop-Loss Price'}</span>
+                <span className="text-sm font-medium">{formatPrice(stopLossPrice)}</span>
               </div>
+              {isTrailing && (
+                <div className="flex justify-between">
+                  <span className="text-sm text-gray-500">
+                    {option.type === 'CALL' ? 'Highest Price Seen' : 'Lowest Price Seen'}
+                  </span>
+                  <span className="text-sm font-medium">{formatPrice(formatUnits(trailingStop[1], 8))}</span>
+                </div>
+              )}
               <div className="flex justify-between">
-                <span className="text-sm text-gray-500">Max Loss</span>
-                <span className="text-sm font-medium">{option.maxLoss}%</span>
+                <span className="text-sm text-gray-500">{isTrailing ? 'Trailing Distance' : 'Max Loss'}</span>
+                <span className="text-sm font-medium">{maxLoss}%</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-sm text-gray-500">Status</span>
@@ -288,6 +463,16 @@ const OptionDetails = () => {
               </div>
             </div>
 
+            {isTrailing && !option.stopLossTriggered && (
+              <button
+                onClick={() => pokeStopLoss?.()}
+                disabled={!pokeStopLoss || isPoking || pokeStopLossTx.isPending}
+                className="w-full mt-4 bg-white text-blue-700 border border-blue-300 py-2 px-4 rounded-md text-sm font-medium hover:bg-blue-50 disabled:opacity-50"
+              >
+                {(isPoking || pokeStopLossTx.isPending) ? 'Updating...' : 'Update Trailing Stop'}
+              </button>
+            )}
+
             {option.stopLossTriggered && (
               <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3">
                 <div className="flex">
@@ -308,10 +493,41 @@ const OptionDetails = () => {
 
             {option.status === 'ACTIVE' && !option.stopLossTriggered && (
               <div className="space-y-4">
-                {option.isInMoney && (
+                {/* Buyer view: pay the premium to become the holder */}
+                {!option.isSold && !isMaker && (
+                  <div>
+                    <div className="flex justify-between text-sm mb-2">
+                      <span className="text-gray-500">Premium</span>
+                      <span className="font-medium">{option.premium ?? '—'} {option.paymentSymbol || 'USDC'}</span>
+                    </div>
+                    {premiumAllowance !== undefined && premiumAllowance < option.premiumAmount ? (
+                      <button
+                        onClick={() => approvePremium?.()}
+                        disabled={!approvePremium || isApprovingPremium || approvePremiumTx.isPending}
+                        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 disabled:bg-gray-300"
+                      >
+                        {(isApprovingPremium || approvePremiumTx.isPending) ? 'Approving...' : `Approve ${option.paymentSymbol}`}
+                      </button>
+                    ) : (
+                      <button
+                        onClick={() => buyOption?.()}
+                        disabled={!liveOption || !buyOption || isBuying || buyOptionTx.isPending}
+                        className="w-full bg-blue-600 text-white py-2 px-4 rounded-md font-medium hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                      >
+                        {(isBuying || buyOptionTx.isPending) ? 'Buying...' : 'Buy Option'}
+                      </button>
+                    )}
+                    <p className="mt-1 text-xs text-gray-500">
+                      The premium goes to the writer. Only the holder can execute the option.
+                    </p>
+                  </div>
+                )}
+
+                {/* Holder view */}
+                {isHolder && option.isInMoney && (
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Execution Amount (USDC)
+                      Execution Amount ({option.paymentSymbol || 'USDC'})
                     </label>
                     <input
                       type="number"
@@ -320,33 +536,108 @@ const OptionDetails = () => {
                       placeholder="2200.00"
                       className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                     />
+                    {executionQuote && takingAmount > 0n && (
+                      <p className="mt-1 text-xs text-gray-500">
+                        Receive {formatUnits(executionQuote[0], option.collateralDecimals)} {option.collateralSymbol}
+                        {executionQuote[1] < takingAmount &&
+                          ` for ${formatUnits(executionQuote[1], option.paymentDecimals)} ${option.paymentSymbol} (all that is left)`}
+                      </p>
+                    )}
                     <button
                       onClick={() => executeOption?.()}
-                      disabled={!executeOption || isExecuting || !executionAmount}
+                      disabled={!executeOption || isExecuting || executeOptionTx.isPending || !executionAmount}
                       className="w-full mt-2 bg-green-600 text-white py-2 px-4 rounded-md font-medium hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
                     >
-                      {isExecuting ? 'Executing...' : 'Execute Option'}
+                      {(isExecuting || executeOptionTx.isPending) ? 'Executing...' : 'Execute Option'}
+                    </button>
+                  </div>
+                )}
+
+                {isHolder && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Transfer Position
+                    </label>
+                    <input
+                      type="text"
+                      value={recipient}
+                      onChange={(e) => setRecipient(e.target.value)}
+                      placeholder="0x..."
+                      className="w-full p-2 border border-gray-300 rounded-md font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                      onClick={() => transferPosition?.()}
+                      disabled={!transferPosition || isTransferring || transferPositionTx.isPending || !isAddress(recipient)}
+                      className="w-full mt-2 bg-white text-blue-700 border border-blue-300 py-2 px-4 rounded-md font-medium hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      {(isTransferring || transferPositionTx.isPending) ? 'Transferring...' : 'Transfer'}
+                    </button>
+                    <p className="mt-1 text-xs text-gray-500">
+                      The option is an NFT: whoever owns it becomes the holder and the only one who can execute it.
+                    </p>
+                  </div>
+                )}
+
+                {/* Writer view: unsold options can be resized or cancelled */}
+                {isMaker && !option.isSold && option.remainingMakingAmount > 0n && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Withdraw Collateral ({option.collateralSymbol})
+                    </label>
+                    <div className="flex space-x-2">
+                      <input
+                        type="number"
+                        value={withdrawAmount}
+                        onChange={(e) => setWithdrawAmount(e.target.value)}
+                        placeholder={option.remainingCollateral}
+                        className="flex-1 p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <button
+                        onClick={() => setWithdrawAmount(option.remainingCollateral)}
+                        className="px-3 text-sm text-blue-700 border border-blue-300 rounded-md hover:bg-blue-50"
+                      >
+                        Max
+                      </button>
+                    </div>
+                    <button
+                      onClick={() => withdrawCollateral?.()}
+                      disabled={!withdrawCollateral || isWithdrawing || withdrawCollateralTx.isPending || withdrawUnits === 0n || withdrawUnits > option.remainingMakingAmount}
+                      className="w-full mt-2 bg-white text-blue-700 border border-blue-300 py-2 px-4 rounded-md font-medium hover:bg-blue-50 disabled:opacity-50"
+                    >
+                      {(isWithdrawing || withdrawCollateralTx.isPending) ? 'Withdrawing...' : 'Withdraw'}
                     </button>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Whatever you leave stays open to fills. Withdrawing everything closes the option.
+                    </p>
                   </div>
                 )}
 
-                <button
-                  onClick={() => cancelOption?.()}
-                  disabled={!cancelOption || isCancelling}
-                  className="w-full bg-red-600 text-white py-2 px-4 rounded-md font-medium hover:bg-red-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
-                >
-                  {isCancelling ? 'Cancelling...' : 'Cancel Option'}
-                </button>
+                {isMaker && !option.isSold && (
+                  <button
+                    onClick={() => cancelOption?.()}
+                    disabled={!cancelOption || isCancelling || cancelOptionTx.isPending}
+                    className="w-full bg-red-600 text-white py-2 px-4 rounded-md font-medium hover:bg-red-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                  >
+                    {(isCancelling || cancelOptionTx.isPending) ? 'Cancelling...' : 'Cancel Option'}
+                  </button>
+                )}
+
+                {isMaker && option.isSold && (
+                  <p className="text-sm text-gray-500">
+                    Sold. The collateral stays in escrow for the holder until the option is executed, expires or
+                    stops out.
+                  </p>
+                )}
               </div>
             )}
 
             {option.stopLossTriggered && (
               <button
-                onClick={() => cancelOption?.()}
-                disabled={!cancelOption || isCancelling}
+                onClick={() => triggerStopLoss?.()}
+                disabled={!triggerStopLoss || isTriggering || triggerStopLossTx.isPending}
                 className="w-full bg-gray-600 text-white py-2 px-4 rounded-md font-medium hover:bg-gray-700 disabled:bg-gray-300"
               >
-                {isCancelling ? 'Processing...' : 'Claim Collateral'}
+                {(isTriggering || triggerStopLossTx.isPending) ? 'Processing...' : 'Claim Collateral'}
               </button>
             )}
 
@@ -359,6 +650,11 @@ const OptionDetails = () => {
             )}
           </div>
 
+          {/* Signed 1inch order for the maker to share */}
+          {option.status === 'ACTIVE' && !option.stopLossTriggered && (
+            <LimitOrderPanel position={optionData} chainId={chain?.id} />
+          )}
+
           {/* Option Details */}
           <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4">Details</h3>
@@ -368,9 +664,13 @@ const OptionDetails = () => {
                 <span className="text-gray-500">Maker</span>
                 <span className="font-mono">{option.maker}</span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-gray-500">Holder</span>
+                <span className="font-mono">{option.isSold ? option.holder : 'Not sold'}</span>
+              </div>
               <div className="flex justify-between">
                 <span className="text-gray-500">Premium</span>
-                <span>{option.premium} USDC</span>
+                <span>{option.premium} {option.paymentSymbol || 'USDC'}</span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-500">Time Left</span>
@@ -0,0 +1,207 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ReferenceLine,
+  ReferenceArea,
+} from 'recharts';
+import { blackScholes, secondsToYears } from '../utils/blackScholes';
+import { breakEvenPrice, buildPayoffCurve, payoffAt } from '../utils/payoff';
+
+const formatUsd = (value) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 2,
+}).format(value);
+
+// Greeks and buyer P&L scenarios for one option; all figures are for the whole position
+const PayoffPanel = ({ option }) => {
+  const [impliedVolatility, setImpliedVolatility] = useState('80');
+  const [scenarioPrice, setScenarioPrice] = useState(null);
+
+  const isCall = option.type === 'CALL';
+  const strike = parseFloat(option.strikePrice);
+  const spot = parseFloat(option.currentPrice);
+  const amount = parseFloat(option.collateral);
+  const premium = parseFloat(option.premium) || 0;
+  const stopLossPrice = parseFloat(option.stopLossPrice);
+  const volatility = parseFloat(impliedVolatility) / 100;
+  const timeToExpiry = secondsToYears(Math.max((option.expires - new Date()) / 1000, 0));
+
+  const params = useMemo(() => ({
+    isCall,
+    strike,
+    premium,
+    amount,
+    stopLossPrice,
+    timeToExpiry,
+    volatility: volatility >= 0 ? volatility : undefined,
+  }), [isCall, strike, premium, amount, stopLossPrice, timeToExpiry, volatility]);
+
+  const isPriced = strike > 0 && amount > 0 && spot > 0;
+
+  const greeks = useMemo(() => {
+    if (!isPriced || !(volatility >= 0)) return null;
+    const quote = blackScholes({ isCall, spot, strike, timeToExpiry, volatility });
+    return {
+      delta: quote.delta * amount,
+      gamma: quote.gamma * amount,
+      theta: quote.theta * amount,
+      vega: quote.vega * amount,
+      fairValue: quote.premium * amount,
+    };
+  }, [isPriced, isCall, spot, strike, timeToExpiry, volatility, amount]);
+
+  const curve = useMemo(() => (isPriced ? buildPayoffCurve(params, { spot }) : []), [isPriced, params, spot]);
+
+  if (!isPriced) {
+    return (
+      <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Greeks & Payoff</h3>
+        <p className="text-sm text-gray-500">
+          {option.priceError ? `Oracle price unavailable: ${option.priceError}` : 'Waiting for the oracle price...'}
+        </p>
+      </div>
+    );
+  }
+
+  const breakEven = breakEvenPrice(params);
+  const selectedPrice = scenarioPrice ?? spot;
+  const scenario = payoffAt(params, selectedPrice);
+  const chartLow = curve[0].price;
+  const chartHigh = curve[curve.length - 1].price;
+
+  return (
+    <div className="bg-white shadow-sm rounded-lg border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Greeks & Payoff</h3>
+        <label className="flex items-center text-sm text-gray-500">
+          Implied Vol (%)
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={impliedVolatility}
+            onChange={(e) => setImpliedVolatility(e.target.value)}
+            className="ml-2 w-20 p-1 border border-gray-300 rounded-md text-gray-900"
+          />
+        </label>
+      </div>
+
+      {greeks && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+          <div>
+            <p className="text-sm font-medium text-gray-500">Fair Value</p>
+            <p className="text-lg font-semibold">{formatUsd(greeks.fairValue)}</p>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Delta</p>
+            <p className="text-lg font-semibold">{greeks.delta.toFixed(3)} {option.collateralSymbol}</p>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Gamma</p>
+            <p className="text-lg font-semibold">{greeks.gamma.toFixed(5)}</p>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Theta / day</p>
+            <p className="text-lg font-semibold text-red-600">{formatUsd(greeks.theta)}</p>
+          </div>
+          <div>
+            <p className="text-sm font-medium text-gray-500">Vega / vol pt</p>
+            <p className="text-lg font-semibold">{formatUsd(greeks.vega)}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart
+            data={curve}
+            onClick={(state) => state?.activeLabel !== undefined && setScenarioPrice(Number(state.activeLabel))}
+          >
+            <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+            <XAxis
+              dataKey="price"
+              type="number"
+              domain={[chartLow, chartHigh]}
+              tickFormatter={(value) => `$${Math.round(value)}`}
+              fontSize={12}
+            />
+            <YAxis tickFormatter={(value) => `$${Math.round(value)}`} fontSize={12} width={60} />
+            <Tooltip
+              labelFormatter={(value) => `Price ${formatUsd(value)}`}
+              formatter={(value, name) => [formatUsd(value), name]}
+            />
+            {/* Region where the stop-loss cancels the option */}
+            {stopLossPrice > 0 && (
+              <ReferenceArea
+                x1={isCall ? chartLow : stopLossPrice}
+                x2={isCall ? stopLossPrice : chartHigh}
+                fill="#fee2e2"
+                fillOpacity={0.6}
+              />
+            )}
+            <ReferenceLine y={0} stroke="#9ca3af" />
+            <ReferenceLine x={strike} stroke="#2563eb" strokeDasharray="4 4" label={{ value: 'Strike', fontSize: 11, position: 'top' }} />
+            {stopLossPrice > 0 && (
+              <ReferenceLine x={stopLossPrice} stroke="#dc2626" label={{ value: 'Stop', fontSize: 11, position: 'top' }} />
+            )}
+            <ReferenceLine x={breakEven} stroke="#16a34a" strokeDasharray="4 4" label={{ value: 'Break-even', fontSize: 11, position: 'insideTopRight' }} />
+            <ReferenceLine x={selectedPrice} stroke="#6b7280" strokeDasharray="2 2" />
+            <Line type="linear" dataKey="atExpiry" name="At expiry (no stop)" stroke="#9ca3af" strokeDasharray="5 5" dot={false} />
+            <Line type="linear" dataKey="withStopLoss" name="At expiry (with stop)" stroke="#2563eb" strokeWidth={2} dot={false} />
+            {greeks && <Line type="monotone" dataKey="today" name="Today" stroke="#16a34a" dot={false} />}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* Scenario explorer */}
+      <div className="mt-4">
+        <div className="flex justify-between text-sm text-gray-500 mb-1">
+          <span>Scenario price: <span className="font-medium text-gray-900">{formatUsd(selectedPrice)}</span></span>
+          {scenarioPrice !== null && (
+            <button type="button" onClick={() => setScenarioPrice(null)} className="text-blue-600 hover:text-blue-700">
+              Reset to spot
+            </button>
+          )}
+        </div>
+        <input
+          type="range"
+          min={chartLow}
+          max={chartHigh}
+          step={(chartHigh - chartLow) / 200}
+          value={selectedPrice}
+          onChange={(e) => setScenarioPrice(Number(e.target.value))}
+          className="w-full"
+        />
+        <div className="grid grid-cols-3 gap-4 mt-2 text-sm">
+          <div>
+            <p className="text-gray-500">At expiry (no stop)</p>
+            <p className="font-medium">{formatUsd(scenario.atExpiry)}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">At expiry (with stop)</p>
+            <p className={`font-medium ${scenario.withStopLoss < scenario.atExpiry ? 'text-red-600' : ''}`}>
+              {formatUsd(scenario.withStopLoss)}
+            </p>
+          </div>
+          <div>
+            <p className="text-gray-500">Today</p>
+            <p className="font-medium">{scenario.today === null ? '—' : formatUsd(scenario.today)}</p>
+          </div>
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+          Buyer P&L including the {formatUsd(premium)} premium. In the shaded region the stop-loss cancels the
+          option and the collateral returns to the maker.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default PayoffPanel;
@@ -0,0 +1,1029 @@
+// Generated by scripts/export-abis.js from Hardhat artifacts - do not edit by hand.
+// Each builder returns an { abi, functionName, args } config for wagmi hooks;
+// spread it next to the contract address: useContractRead({ address, ...builder(args) }).
+
+import ProtectedOptionManagerAbi from './abis/ProtectedOptionManager.json';
+import ProtectedOptionPositionAbi from './abis/ProtectedOptionPosition.json';
+import OptionsCalculatorAbi from './abis/OptionsCalculator.json';
+import StopLossProtectionAbi from './abis/StopLossProtection.json';
+import OneinchProtectedOptionsIntegrationAbi from './abis/OneinchProtectedOptionsIntegration.json';
+import OracleAdapterAbi from './abis/OracleAdapter.json';
+
+/**
+ * @typedef {Object} CollateralPermit
+ * @property {number} permitType
+ * @property {bigint} nonce
+ * @property {bigint} deadline
+ * @property {`0x${string}`} signature
+ */
+
+/**
+ * @typedef {Object} OptionRequest
+ * @property {boolean} isCall
+ * @property {bigint} strikePrice
+ * @property {bigint} premium
+ * @property {bigint} optionDuration
+ * @property {`0x${string}`} makerAsset
+ * @property {`0x${string}`} takerAsset
+ * @property {bigint} makingAmount
+ * @property {bigint} minTakingAmount
+ * @property {boolean} isTrailing
+ * @property {bigint} stopLossPrice
+ * @property {bigint} maxLoss
+ * @property {`0x${string}`} oracle
+ */
+
+/**
+ * @typedef {Object} Order
+ * @property {bigint} salt
+ * @property {bigint} maker
+ * @property {bigint} receiver
+ * @property {bigint} makerAsset
+ * @property {bigint} takerAsset
+ * @property {bigint} makingAmount
+ * @property {bigint} takingAmount
+ * @property {bigint} makerTraits
+ */
+
+/**
+ * @typedef {Object} ProtectedOption
+ * @property {`0x${string}`} optionId
+ * @property {`0x${string}`} stopLossId
+ * @property {`0x${string}`} maker
+ * @property {`0x${string}`} holder
+ * @property {`0x${string}`} makerAsset
+ * @property {`0x${string}`} takerAsset
+ * @property {bigint} makingAmount
+ * @property {bigint} remainingMakingAmount
+ * @property {bigint} minTakingAmount
+ * @property {bigint} createdAt
+ * @property {bigint} expiresAt
+ * @property {boolean} isActive
+ * @property {boolean} isCall
+ */
+
+/**
+ * @typedef {Object} ProtectedOptionData
+ * @property {`0x${string}`} optionId
+ * @property {`0x${string}`} stopLossId
+ * @property {bigint} minPayoff
+ * @property {boolean} enforceStopLoss
+ */
+
+export const protectedOptionManager = {
+  abi: ProtectedOptionManagerAbi,
+  addressKey: 'PROTECTED_OPTION_MANAGER',
+
+  /**
+   * buyProtectedOption(bytes32) nonpayable
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'buyProtectedOption', args: unknown[] }} call config resolving to void
+   */
+  buyProtectedOption: (protectedOptionId) => ({ abi: ProtectedOptionManagerAbi, functionName: 'buyProtectedOption', args: [protectedOptionId] }),
+
+  /**
+   * cancelProtectedOption(bytes32) nonpayable
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'cancelProtectedOption', args: unknown[] }} call config resolving to void
+   */
+  cancelProtectedOption: (protectedOptionId) => ({ abi: ProtectedOptionManagerAbi, functionName: 'cancelProtectedOption', args: [protectedOptionId] }),
+
+  /**
+   * canExecuteOption(bytes32) view
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'canExecuteOption', args: unknown[] }} call config resolving to [boolean, string]
+   */
+  canExecuteOption: (protectedOptionId) => ({ abi: ProtectedOptionManagerAbi, functionName: 'canExecuteOption', args: [protectedOptionId] }),
+
+  /**
+   * createProtectedOption(bool, uint256, uint256, uint256, address, address, uint256, uint256, uint256, uint256, address) nonpayable
+   * @param {boolean} isCall
+   * @param {bigint} strikePrice
+   * @param {bigint} premium
+   * @param {bigint} optionDuration
+   * @param {`0x${string}`} makerAsset
+   * @param {`0x${string}`} takerAsset
+   * @param {bigint} makingAmount
+   * @param {bigint} minTakingAmount
+   * @param {bigint} stopLossPrice
+   * @param {bigint} maxLoss
+   * @param {`0x${string}`} oracle
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'createProtectedOption', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  createProtectedOption: (isCall, strikePrice, premium, optionDuration, makerAsset, takerAsset, makingAmount, minTakingAmount, stopLossPrice, maxLoss, oracle) => ({ abi: ProtectedOptionManagerAbi, functionName: 'createProtectedOption', args: [isCall, strikePrice, premium, optionDuration, makerAsset, takerAsset, makingAmount, minTakingAmount, stopLossPrice, maxLoss, oracle] }),
+
+  /**
+   * createProtectedOptionBatch(tuple[]) nonpayable
+   * @param {OptionRequest[]} requests
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'createProtectedOptionBatch', args: unknown[] }} call config resolving to `0x${string}`[]
+   */
+  createProtectedOptionBatch: (requests) => ({ abi: ProtectedOptionManagerAbi, functionName: 'createProtectedOptionBatch', args: [requests] }),
+
+  /**
+   * createProtectedOptionWithPermit(bool, uint256, uint256, uint256, address, address, uint256, uint256, uint256, uint256, address, tuple) nonpayable
+   * @param {boolean} isCall
+   * @param {bigint} strikePrice
+   * @param {bigint} premium
+   * @param {bigint} optionDuration
+   * @param {`0x${string}`} makerAsset
+   * @param {`0x${string}`} takerAsset
+   * @param {bigint} makingAmount
+   * @param {bigint} minTakingAmount
+   * @param {bigint} stopLossPrice
+   * @param {bigint} maxLoss
+   * @param {`0x${string}`} oracle
+   * @param {CollateralPermit} permit
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'createProtectedOptionWithPermit', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  createProtectedOptionWithPermit: (isCall, strikePrice, premium, optionDuration, makerAsset, takerAsset, makingAmount, minTakingAmount, stopLossPrice, maxLoss, oracle, permit) => ({ abi: ProtectedOptionManagerAbi, functionName: 'createProtectedOptionWithPermit', args: [isCall, strikePrice, premium, optionDuration, makerAsset, takerAsset, makingAmount, minTakingAmount, stopLossPrice, maxLoss, oracle, permit] }),
+
+  /**
+   * createTrailingProtectedOption(bool, uint256, uint256, uint256, address, address, uint256, uint256, uint256, address) nonpayable
+   * @param {boolean} isCall
+   * @param {bigint} strikePrice
+   * @param {bigint} premium
+   * @param {bigint} optionDuration
+   * @param {`0x${string}`} makerAsset
+   * @param {`0x${string}`} takerAsset
+   * @param {bigint} makingAmount
+   * @param {bigint} minTakingAmount
+   * @param {bigint} trailingDistance
+   * @param {`0x${string}`} oracle
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'createTrailingProtectedOption', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  createTrailingProtectedOption: (isCall, strikePrice, premium, optionDuration, makerAsset, takerAsset, makingAmount, minTakingAmount, trailingDistance, oracle) => ({ abi: ProtectedOptionManagerAbi, functionName: 'createTrailingProtectedOption', args: [isCall, strikePrice, premium, optionDuration, makerAsset, takerAsset, makingAmount, minTakingAmount, trailingDistance, oracle] }),
+
+  /**
+   * emergencyRecover(address, uint256) nonpayable
+   * @param {`0x${string}`} token
+   * @param {bigint} amount
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'emergencyRecover', args: unknown[] }} call config resolving to void
+   */
+  emergencyRecover: (token, amount) => ({ abi: ProtectedOptionManagerAbi, functionName: 'emergencyRecover', args: [token, amount] }),
+
+  /**
+   * executedOptions(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'executedOptions', args: unknown[] }} call config resolving to boolean
+   */
+  executedOptions: (arg0) => ({ abi: ProtectedOptionManagerAbi, functionName: 'executedOptions', args: [arg0] }),
+
+  /**
+   * executeProtectedOption(bytes32, uint256) nonpayable
+   * @param {`0x${string}`} protectedOptionId
+   * @param {bigint} takingAmount
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'executeProtectedOption', args: unknown[] }} call config resolving to void
+   */
+  executeProtectedOption: (protectedOptionId, takingAmount) => ({ abi: ProtectedOptionManagerAbi, functionName: 'executeProtectedOption', args: [protectedOptionId, takingAmount] }),
+
+  /**
+   * getOptionStatus(bytes32) view
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'getOptionStatus', args: unknown[] }} call config resolving to [boolean, bigint, bigint, boolean]
+   */
+  getOptionStatus: (protectedOptionId) => ({ abi: ProtectedOptionManagerAbi, functionName: 'getOptionStatus', args: [protectedOptionId] }),
+
+  /**
+   * getProtectedOption(bytes32) view
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'getProtectedOption', args: unknown[] }} call config resolving to ProtectedOption
+   */
+  getProtectedOption: (protectedOptionId) => ({ abi: ProtectedOptionManagerAbi, functionName: 'getProtectedOption', args: [protectedOptionId] }),
+
+  /**
+   * getUserOptions(address) view
+   * @param {`0x${string}`} user
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'getUserOptions', args: unknown[] }} call config resolving to `0x${string}`[]
+   */
+  getUserOptions: (user) => ({ abi: ProtectedOptionManagerAbi, functionName: 'getUserOptions', args: [user] }),
+
+  /**
+   * MAX_BATCH_SIZE() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'MAX_BATCH_SIZE', args: unknown[] }} call config resolving to bigint
+   */
+  MAX_BATCH_SIZE: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'MAX_BATCH_SIZE', args: [] }),
+
+  /**
+   * MAX_OPTION_DURATION() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'MAX_OPTION_DURATION', args: unknown[] }} call config resolving to bigint
+   */
+  MAX_OPTION_DURATION: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'MAX_OPTION_DURATION', args: [] }),
+
+  /**
+   * MIN_OPTION_DURATION() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'MIN_OPTION_DURATION', args: unknown[] }} call config resolving to bigint
+   */
+  MIN_OPTION_DURATION: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'MIN_OPTION_DURATION', args: [] }),
+
+  /**
+   * onPositionTransfer(bytes32, address) nonpayable
+   * @param {`0x${string}`} protectedOptionId
+   * @param {`0x${string}`} to
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'onPositionTransfer', args: unknown[] }} call config resolving to void
+   */
+  onPositionTransfer: (protectedOptionId, to) => ({ abi: ProtectedOptionManagerAbi, functionName: 'onPositionTransfer', args: [protectedOptionId, to] }),
+
+  /**
+   * optionsCalculator() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'optionsCalculator', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  optionsCalculator: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'optionsCalculator', args: [] }),
+
+  /**
+   * owner() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'owner', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  owner: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'owner', args: [] }),
+
+  /**
+   * PERMIT2() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'PERMIT2', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  PERMIT2: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'PERMIT2', args: [] }),
+
+  /**
+   * positionToken() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'positionToken', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  positionToken: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'positionToken', args: [] }),
+
+  /**
+   * protectedOptionCounter() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'protectedOptionCounter', args: unknown[] }} call config resolving to bigint
+   */
+  protectedOptionCounter: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'protectedOptionCounter', args: [] }),
+
+  /**
+   * protectedOptions(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'protectedOptions', args: unknown[] }} call config resolving to [`0x${string}`, `0x${string}`, `0x${string}`, `0x${string}`, `0x${string}`, `0x${string}`, bigint, bigint, bigint, bigint, bigint, boolean, boolean]
+   */
+  protectedOptions: (arg0) => ({ abi: ProtectedOptionManagerAbi, functionName: 'protectedOptions', args: [arg0] }),
+
+  /**
+   * quoteExecution(bytes32, uint256) view
+   * @param {`0x${string}`} protectedOptionId
+   * @param {bigint} takingAmount
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'quoteExecution', args: unknown[] }} call config resolving to [bigint, bigint]
+   */
+  quoteExecution: (protectedOptionId, takingAmount) => ({ abi: ProtectedOptionManagerAbi, functionName: 'quoteExecution', args: [protectedOptionId, takingAmount] }),
+
+  /**
+   * renounceOwnership() nonpayable
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'renounceOwnership', args: unknown[] }} call config resolving to void
+   */
+  renounceOwnership: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'renounceOwnership', args: [] }),
+
+  /**
+   * setPositionToken(address) nonpayable
+   * @param {`0x${string}`} _positionToken
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'setPositionToken', args: unknown[] }} call config resolving to void
+   */
+  setPositionToken: (_positionToken) => ({ abi: ProtectedOptionManagerAbi, functionName: 'setPositionToken', args: [_positionToken] }),
+
+  /**
+   * setStopLossWindow(uint256, uint8) nonpayable
+   * @param {bigint} timeWindow
+   * @param {number} triggerMode
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'setStopLossWindow', args: unknown[] }} call config resolving to void
+   */
+  setStopLossWindow: (timeWindow, triggerMode) => ({ abi: ProtectedOptionManagerAbi, functionName: 'setStopLossWindow', args: [timeWindow, triggerMode] }),
+
+  /**
+   * stopLossProtection() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'stopLossProtection', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  stopLossProtection: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'stopLossProtection', args: [] }),
+
+  /**
+   * stopLossTimeWindow() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'stopLossTimeWindow', args: unknown[] }} call config resolving to bigint
+   */
+  stopLossTimeWindow: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'stopLossTimeWindow', args: [] }),
+
+  /**
+   * stopLossTriggerMode() view
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'stopLossTriggerMode', args: unknown[] }} call config resolving to number
+   */
+  stopLossTriggerMode: () => ({ abi: ProtectedOptionManagerAbi, functionName: 'stopLossTriggerMode', args: [] }),
+
+  /**
+   * transferOwnership(address) nonpayable
+   * @param {`0x${string}`} newOwner
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'transferOwnership', args: unknown[] }} call config resolving to void
+   */
+  transferOwnership: (newOwner) => ({ abi: ProtectedOptionManagerAbi, functionName: 'transferOwnership', args: [newOwner] }),
+
+  /**
+   * triggerStopLoss(bytes32) nonpayable
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'triggerStopLoss', args: unknown[] }} call config resolving to void
+   */
+  triggerStopLoss: (protectedOptionId) => ({ abi: ProtectedOptionManagerAbi, functionName: 'triggerStopLoss', args: [protectedOptionId] }),
+
+  /**
+   * userOptions(address, uint256) view
+   * @param {`0x${string}`} arg0
+   * @param {bigint} arg1
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'userOptions', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  userOptions: (arg0, arg1) => ({ abi: ProtectedOptionManagerAbi, functionName: 'userOptions', args: [arg0, arg1] }),
+
+  /**
+   * withdrawCollateral(bytes32, uint256) nonpayable
+   * @param {`0x${string}`} protectedOptionId
+   * @param {bigint} amount
+   * @returns {{ abi: typeof ProtectedOptionManagerAbi, functionName: 'withdrawCollateral', args: unknown[] }} call config resolving to void
+   */
+  withdrawCollateral: (protectedOptionId, amount) => ({ abi: ProtectedOptionManagerAbi, functionName: 'withdrawCollateral', args: [protectedOptionId, amount] }),
+};
+
+export const protectedOptionPosition = {
+  abi: ProtectedOptionPositionAbi,
+  addressKey: 'POSITION_TOKEN',
+
+  /**
+   * approve(address, uint256) nonpayable
+   * @param {`0x${string}`} to
+   * @param {bigint} tokenId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'approve', args: unknown[] }} call config resolving to void
+   */
+  approve: (to, tokenId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'approve', args: [to, tokenId] }),
+
+  /**
+   * balanceOf(address) view
+   * @param {`0x${string}`} owner
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'balanceOf', args: unknown[] }} call config resolving to bigint
+   */
+  balanceOf: (owner) => ({ abi: ProtectedOptionPositionAbi, functionName: 'balanceOf', args: [owner] }),
+
+  /**
+   * getApproved(uint256) view
+   * @param {bigint} tokenId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'getApproved', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  getApproved: (tokenId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'getApproved', args: [tokenId] }),
+
+  /**
+   * getPositions(address) view
+   * @param {`0x${string}`} owner
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'getPositions', args: unknown[] }} call config resolving to `0x${string}`[]
+   */
+  getPositions: (owner) => ({ abi: ProtectedOptionPositionAbi, functionName: 'getPositions', args: [owner] }),
+
+  /**
+   * isApprovedForAll(address, address) view
+   * @param {`0x${string}`} owner
+   * @param {`0x${string}`} operator
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'isApprovedForAll', args: unknown[] }} call config resolving to boolean
+   */
+  isApprovedForAll: (owner, operator) => ({ abi: ProtectedOptionPositionAbi, functionName: 'isApprovedForAll', args: [owner, operator] }),
+
+  /**
+   * mint(address, bytes32) nonpayable
+   * @param {`0x${string}`} to
+   * @param {`0x${string}`} protectedOptionId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'mint', args: unknown[] }} call config resolving to void
+   */
+  mint: (to, protectedOptionId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'mint', args: [to, protectedOptionId] }),
+
+  /**
+   * name() view
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'name', args: unknown[] }} call config resolving to string
+   */
+  name: () => ({ abi: ProtectedOptionPositionAbi, functionName: 'name', args: [] }),
+
+  /**
+   * optionsCalculator() view
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'optionsCalculator', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  optionsCalculator: () => ({ abi: ProtectedOptionPositionAbi, functionName: 'optionsCalculator', args: [] }),
+
+  /**
+   * ownerOf(uint256) view
+   * @param {bigint} tokenId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'ownerOf', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  ownerOf: (tokenId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'ownerOf', args: [tokenId] }),
+
+  /**
+   * protectedOptionManager() view
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'protectedOptionManager', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  protectedOptionManager: () => ({ abi: ProtectedOptionPositionAbi, functionName: 'protectedOptionManager', args: [] }),
+
+  /**
+   * safeTransferFrom(address, address, uint256) nonpayable
+   * @param {`0x${string}`} from
+   * @param {`0x${string}`} to
+   * @param {bigint} tokenId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'safeTransferFrom', args: unknown[] }} call config resolving to void
+   */
+  safeTransferFrom: (from, to, tokenId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'safeTransferFrom', args: [from, to, tokenId] }),
+
+  /**
+   * safeTransferFrom(address, address, uint256, bytes) nonpayable
+   * @param {`0x${string}`} from
+   * @param {`0x${string}`} to
+   * @param {bigint} tokenId
+   * @param {`0x${string}`} data
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'safeTransferFrom', args: unknown[] }} call config resolving to void
+   */
+  'safeTransferFrom(address,address,uint256,bytes)': (from, to, tokenId, data) => ({ abi: ProtectedOptionPositionAbi, functionName: 'safeTransferFrom', args: [from, to, tokenId, data] }),
+
+  /**
+   * setApprovalForAll(address, bool) nonpayable
+   * @param {`0x${string}`} operator
+   * @param {boolean} approved
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'setApprovalForAll', args: unknown[] }} call config resolving to void
+   */
+  setApprovalForAll: (operator, approved) => ({ abi: ProtectedOptionPositionAbi, functionName: 'setApprovalForAll', args: [operator, approved] }),
+
+  /**
+   * stopLossProtection() view
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'stopLossProtection', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  stopLossProtection: () => ({ abi: ProtectedOptionPositionAbi, functionName: 'stopLossProtection', args: [] }),
+
+  /**
+   * supportsInterface(bytes4) view
+   * @param {`0x${string}`} interfaceId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'supportsInterface', args: unknown[] }} call config resolving to boolean
+   */
+  supportsInterface: (interfaceId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'supportsInterface', args: [interfaceId] }),
+
+  /**
+   * symbol() view
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'symbol', args: unknown[] }} call config resolving to string
+   */
+  symbol: () => ({ abi: ProtectedOptionPositionAbi, functionName: 'symbol', args: [] }),
+
+  /**
+   * tokenByIndex(uint256) view
+   * @param {bigint} index
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'tokenByIndex', args: unknown[] }} call config resolving to bigint
+   */
+  tokenByIndex: (index) => ({ abi: ProtectedOptionPositionAbi, functionName: 'tokenByIndex', args: [index] }),
+
+  /**
+   * tokenOfOwnerByIndex(address, uint256) view
+   * @param {`0x${string}`} owner
+   * @param {bigint} index
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'tokenOfOwnerByIndex', args: unknown[] }} call config resolving to bigint
+   */
+  tokenOfOwnerByIndex: (owner, index) => ({ abi: ProtectedOptionPositionAbi, functionName: 'tokenOfOwnerByIndex', args: [owner, index] }),
+
+  /**
+   * tokenURI(uint256) view
+   * @param {bigint} tokenId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'tokenURI', args: unknown[] }} call config resolving to string
+   */
+  tokenURI: (tokenId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'tokenURI', args: [tokenId] }),
+
+  /**
+   * totalSupply() view
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'totalSupply', args: unknown[] }} call config resolving to bigint
+   */
+  totalSupply: () => ({ abi: ProtectedOptionPositionAbi, functionName: 'totalSupply', args: [] }),
+
+  /**
+   * transferFrom(address, address, uint256) nonpayable
+   * @param {`0x${string}`} from
+   * @param {`0x${string}`} to
+   * @param {bigint} tokenId
+   * @returns {{ abi: typeof ProtectedOptionPositionAbi, functionName: 'transferFrom', args: unknown[] }} call config resolving to void
+   */
+  transferFrom: (from, to, tokenId) => ({ abi: ProtectedOptionPositionAbi, functionName: 'transferFrom', args: [from, to, tokenId] }),
+};
+
+export const optionsCalculator = {
+  abi: OptionsCalculatorAbi,
+  addressKey: 'OPTIONS_CALCULATOR',
+
+  /**
+   * authorizedCallers(address) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'authorizedCallers', args: unknown[] }} call config resolving to boolean
+   */
+  authorizedCallers: (arg0) => ({ abi: OptionsCalculatorAbi, functionName: 'authorizedCallers', args: [arg0] }),
+
+  /**
+   * deactivateOption(bytes32) nonpayable
+   * @param {`0x${string}`} optionId
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'deactivateOption', args: unknown[] }} call config resolving to void
+   */
+  deactivateOption: (optionId) => ({ abi: OptionsCalculatorAbi, functionName: 'deactivateOption', args: [optionId] }),
+
+  /**
+   * getFairPremium(bytes32, uint256) view
+   * @param {`0x${string}`} optionId
+   * @param {bigint} volatility
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'getFairPremium', args: unknown[] }} call config resolving to bigint
+   */
+  getFairPremium: (optionId, volatility) => ({ abi: OptionsCalculatorAbi, functionName: 'getFairPremium', args: [optionId, volatility] }),
+
+  /**
+   * getIntrinsicValue(bytes32) view
+   * @param {`0x${string}`} optionId
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'getIntrinsicValue', args: unknown[] }} call config resolving to [bigint, bigint]
+   */
+  getIntrinsicValue: (optionId) => ({ abi: OptionsCalculatorAbi, functionName: 'getIntrinsicValue', args: [optionId] }),
+
+  /**
+   * getMakingAmount(bytes32, uint256) view
+   * @param {`0x${string}`} optionId
+   * @param {bigint} takingAmount
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'getMakingAmount', args: unknown[] }} call config resolving to bigint
+   */
+  getMakingAmount: (optionId, takingAmount) => ({ abi: OptionsCalculatorAbi, functionName: 'getMakingAmount', args: [optionId, takingAmount] }),
+
+  /**
+   * getTakingAmount(bytes32, uint256) view
+   * @param {`0x${string}`} optionId
+   * @param {bigint} makingAmount
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'getTakingAmount', args: unknown[] }} call config resolving to bigint
+   */
+  getTakingAmount: (optionId, makingAmount) => ({ abi: OptionsCalculatorAbi, functionName: 'getTakingAmount', args: [optionId, makingAmount] }),
+
+  /**
+   * isInTheMoney(bytes32) view
+   * @param {`0x${string}`} optionId
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'isInTheMoney', args: unknown[] }} call config resolving to boolean
+   */
+  isInTheMoney: (optionId) => ({ abi: OptionsCalculatorAbi, functionName: 'isInTheMoney', args: [optionId] }),
+
+  /**
+   * optionConfigs(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'optionConfigs', args: unknown[] }} call config resolving to [boolean, bigint, bigint, bigint, `0x${string}`, bigint, boolean, number, number]
+   */
+  optionConfigs: (arg0) => ({ abi: OptionsCalculatorAbi, functionName: 'optionConfigs', args: [arg0] }),
+
+  /**
+   * owner() view
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'owner', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  owner: () => ({ abi: OptionsCalculatorAbi, functionName: 'owner', args: [] }),
+
+  /**
+   * quotePremium(bool, uint256, uint256, uint256, uint256) pure
+   * @param {boolean} isCall
+   * @param {bigint} spot
+   * @param {bigint} strikePrice
+   * @param {bigint} timeToExpiry
+   * @param {bigint} volatility
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'quotePremium', args: unknown[] }} call config resolving to bigint
+   */
+  quotePremium: (isCall, spot, strikePrice, timeToExpiry, volatility) => ({ abi: OptionsCalculatorAbi, functionName: 'quotePremium', args: [isCall, spot, strikePrice, timeToExpiry, volatility] }),
+
+  /**
+   * renounceOwnership() nonpayable
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'renounceOwnership', args: unknown[] }} call config resolving to void
+   */
+  renounceOwnership: () => ({ abi: OptionsCalculatorAbi, functionName: 'renounceOwnership', args: [] }),
+
+  /**
+   * setAuthorizedCaller(address, bool) nonpayable
+   * @param {`0x${string}`} caller
+   * @param {boolean} authorized
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'setAuthorizedCaller', args: unknown[] }} call config resolving to void
+   */
+  setAuthorizedCaller: (caller, authorized) => ({ abi: OptionsCalculatorAbi, functionName: 'setAuthorizedCaller', args: [caller, authorized] }),
+
+  /**
+   * setOptionConfig(bytes32, bool, uint256, uint256, uint256, address, uint256, uint8, uint8) nonpayable
+   * @param {`0x${string}`} optionId
+   * @param {boolean} isCall
+   * @param {bigint} strikePrice
+   * @param {bigint} premium
+   * @param {bigint} expiration
+   * @param {`0x${string}`} oracle
+   * @param {bigint} multiplier
+   * @param {number} makerDecimals
+   * @param {number} takerDecimals
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'setOptionConfig', args: unknown[] }} call config resolving to void
+   */
+  setOptionConfig: (optionId, isCall, strikePrice, premium, expiration, oracle, multiplier, makerDecimals, takerDecimals) => ({ abi: OptionsCalculatorAbi, functionName: 'setOptionConfig', args: [optionId, isCall, strikePrice, premium, expiration, oracle, multiplier, makerDecimals, takerDecimals] }),
+
+  /**
+   * transferOwnership(address) nonpayable
+   * @param {`0x${string}`} newOwner
+   * @returns {{ abi: typeof OptionsCalculatorAbi, functionName: 'transferOwnership', args: unknown[] }} call config resolving to void
+   */
+  transferOwnership: (newOwner) => ({ abi: OptionsCalculatorAbi, functionName: 'transferOwnership', args: [newOwner] }),
+};
+
+export const stopLossProtection = {
+  abi: StopLossProtectionAbi,
+  addressKey: 'STOP_LOSS_PROTECTION',
+
+  /**
+   * authorizedCallers(address) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'authorizedCallers', args: unknown[] }} call config resolving to boolean
+   */
+  authorizedCallers: (arg0) => ({ abi: StopLossProtectionAbi, functionName: 'authorizedCallers', args: [arg0] }),
+
+  /**
+   * calculateDynamicStopLoss(bytes32, uint256) view
+   * @param {`0x${string}`} stopLossId
+   * @param {bigint} currentEntryPrice
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'calculateDynamicStopLoss', args: unknown[] }} call config resolving to bigint
+   */
+  calculateDynamicStopLoss: (stopLossId, currentEntryPrice) => ({ abi: StopLossProtectionAbi, functionName: 'calculateDynamicStopLoss', args: [stopLossId, currentEntryPrice] }),
+
+  /**
+   * checkStopLoss(bytes32) view
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'checkStopLoss', args: unknown[] }} call config resolving to boolean
+   */
+  checkStopLoss: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'checkStopLoss', args: [stopLossId] }),
+
+  /**
+   * configureStopLoss(bytes32, uint256, uint256, uint256, address, bool) nonpayable
+   * @param {`0x${string}`} stopLossId
+   * @param {bigint} stopLossPrice
+   * @param {bigint} maxLoss
+   * @param {bigint} timeWindow
+   * @param {`0x${string}`} oracle
+   * @param {boolean} isLowerBound
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'configureStopLoss', args: unknown[] }} call config resolving to void
+   */
+  configureStopLoss: (stopLossId, stopLossPrice, maxLoss, timeWindow, oracle, isLowerBound) => ({ abi: StopLossProtectionAbi, functionName: 'configureStopLoss', args: [stopLossId, stopLossPrice, maxLoss, timeWindow, oracle, isLowerBound] }),
+
+  /**
+   * configureTrailingStopLoss(bytes32, uint256, uint256, address, bool) nonpayable
+   * @param {`0x${string}`} stopLossId
+   * @param {bigint} trailingDistance
+   * @param {bigint} timeWindow
+   * @param {`0x${string}`} oracle
+   * @param {boolean} isLowerBound
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'configureTrailingStopLoss', args: unknown[] }} call config resolving to bigint
+   */
+  configureTrailingStopLoss: (stopLossId, trailingDistance, timeWindow, oracle, isLowerBound) => ({ abi: StopLossProtectionAbi, functionName: 'configureTrailingStopLoss', args: [stopLossId, trailingDistance, timeWindow, oracle, isLowerBound] }),
+
+  /**
+   * deactivateStopLoss(bytes32) nonpayable
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'deactivateStopLoss', args: unknown[] }} call config resolving to void
+   */
+  deactivateStopLoss: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'deactivateStopLoss', args: [stopLossId] }),
+
+  /**
+   * getPriceInfo(bytes32) view
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'getPriceInfo', args: unknown[] }} call config resolving to [bigint, bigint]
+   */
+  getPriceInfo: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'getPriceInfo', args: [stopLossId] }),
+
+  /**
+   * getWindowState(bytes32) view
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'getWindowState', args: unknown[] }} call config resolving to [bigint, boolean, bigint, bigint, boolean]
+   */
+  getWindowState: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'getWindowState', args: [stopLossId] }),
+
+  /**
+   * MAX_WINDOW_ROUNDS() view
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'MAX_WINDOW_ROUNDS', args: unknown[] }} call config resolving to bigint
+   */
+  MAX_WINDOW_ROUNDS: () => ({ abi: StopLossProtectionAbi, functionName: 'MAX_WINDOW_ROUNDS', args: [] }),
+
+  /**
+   * MIN_TIME_WINDOW() view
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'MIN_TIME_WINDOW', args: unknown[] }} call config resolving to bigint
+   */
+  MIN_TIME_WINDOW: () => ({ abi: StopLossProtectionAbi, functionName: 'MIN_TIME_WINDOW', args: [] }),
+
+  /**
+   * multiStopLossPredicate(bytes32[], bool) view
+   * @param {`0x${string}`[]} stopLossIds
+   * @param {boolean} requireAll
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'multiStopLossPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  multiStopLossPredicate: (stopLossIds, requireAll) => ({ abi: StopLossProtectionAbi, functionName: 'multiStopLossPredicate', args: [stopLossIds, requireAll] }),
+
+  /**
+   * owner() view
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'owner', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  owner: () => ({ abi: StopLossProtectionAbi, functionName: 'owner', args: [] }),
+
+  /**
+   * poke(bytes32) nonpayable
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'poke', args: unknown[] }} call config resolving to bigint
+   */
+  poke: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'poke', args: [stopLossId] }),
+
+  /**
+   * renounceOwnership() nonpayable
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'renounceOwnership', args: unknown[] }} call config resolving to void
+   */
+  renounceOwnership: () => ({ abi: StopLossProtectionAbi, functionName: 'renounceOwnership', args: [] }),
+
+  /**
+   * setAuthorizedCaller(address, bool) nonpayable
+   * @param {`0x${string}`} caller
+   * @param {boolean} authorized
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'setAuthorizedCaller', args: unknown[] }} call config resolving to void
+   */
+  setAuthorizedCaller: (caller, authorized) => ({ abi: StopLossProtectionAbi, functionName: 'setAuthorizedCaller', args: [caller, authorized] }),
+
+  /**
+   * setTriggerMode(bytes32, uint8) nonpayable
+   * @param {`0x${string}`} stopLossId
+   * @param {number} triggerMode
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'setTriggerMode', args: unknown[] }} call config resolving to void
+   */
+  setTriggerMode: (stopLossId, triggerMode) => ({ abi: StopLossProtectionAbi, functionName: 'setTriggerMode', args: [stopLossId, triggerMode] }),
+
+  /**
+   * stopLossConfigs(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'stopLossConfigs', args: unknown[] }} call config resolving to [bigint, bigint, bigint, `0x${string}`, boolean, boolean, bigint]
+   */
+  stopLossConfigs: (arg0) => ({ abi: StopLossProtectionAbi, functionName: 'stopLossConfigs', args: [arg0] }),
+
+  /**
+   * stopLossPredicate(bytes32) view
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'stopLossPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  stopLossPredicate: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'stopLossPredicate', args: [stopLossId] }),
+
+  /**
+   * trailingStops(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'trailingStops', args: unknown[] }} call config resolving to [boolean, bigint]
+   */
+  trailingStops: (arg0) => ({ abi: StopLossProtectionAbi, functionName: 'trailingStops', args: [arg0] }),
+
+  /**
+   * transferOwnership(address) nonpayable
+   * @param {`0x${string}`} newOwner
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'transferOwnership', args: unknown[] }} call config resolving to void
+   */
+  transferOwnership: (newOwner) => ({ abi: StopLossProtectionAbi, functionName: 'transferOwnership', args: [newOwner] }),
+
+  /**
+   * triggerModes(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'triggerModes', args: unknown[] }} call config resolving to number
+   */
+  triggerModes: (arg0) => ({ abi: StopLossProtectionAbi, functionName: 'triggerModes', args: [arg0] }),
+
+  /**
+   * triggerRecords(bytes32) view
+   * @param {`0x${string}`} arg0
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'triggerRecords', args: unknown[] }} call config resolving to [bigint, bigint]
+   */
+  triggerRecords: (arg0) => ({ abi: StopLossProtectionAbi, functionName: 'triggerRecords', args: [arg0] }),
+
+  /**
+   * triggerStopLoss(bytes32) nonpayable
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof StopLossProtectionAbi, functionName: 'triggerStopLoss', args: unknown[] }} call config resolving to bigint
+   */
+  triggerStopLoss: (stopLossId) => ({ abi: StopLossProtectionAbi, functionName: 'triggerStopLoss', args: [stopLossId] }),
+};
+
+export const oneinchProtectedOptionsIntegration = {
+  abi: OneinchProtectedOptionsIntegrationAbi,
+  addressKey: 'INTEGRATION',
+
+  /**
+   * _internalProtectedOptionPredicate(bytes) view
+   * @param {`0x${string}`} extraData
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: '_internalProtectedOptionPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  _internalProtectedOptionPredicate: (extraData) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: '_internalProtectedOptionPredicate', args: [extraData] }),
+
+  /**
+   * _safeDecode(bytes) pure
+   * @param {`0x${string}`} extraData
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: '_safeDecode', args: unknown[] }} call config resolving to ProtectedOptionData
+   */
+  _safeDecode: (extraData) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: '_safeDecode', args: [extraData] }),
+
+  /**
+   * combinedProtectedOptionPredicate(bytes32, bytes32, uint256) view
+   * @param {`0x${string}`} optionId
+   * @param {`0x${string}`} stopLossId
+   * @param {bigint} expirationTime
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'combinedProtectedOptionPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  combinedProtectedOptionPredicate: (optionId, stopLossId, expirationTime) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'combinedProtectedOptionPredicate', args: [optionId, stopLossId, expirationTime] }),
+
+  /**
+   * encodeProtectedOptionData(bytes32, bytes32, uint256, bool) pure
+   * @param {`0x${string}`} optionId
+   * @param {`0x${string}`} stopLossId
+   * @param {bigint} minPayoff
+   * @param {boolean} enforceStopLoss
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'encodeProtectedOptionData', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  encodeProtectedOptionData: (optionId, stopLossId, minPayoff, enforceStopLoss) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'encodeProtectedOptionData', args: [optionId, stopLossId, minPayoff, enforceStopLoss] }),
+
+  /**
+   * getMakingAmount(tuple, bytes, bytes32, address, uint256, uint256, bytes) view
+   * @param {Order} arg0
+   * @param {`0x${string}`} arg1
+   * @param {`0x${string}`} arg2
+   * @param {`0x${string}`} taker
+   * @param {bigint} takingAmount
+   * @param {bigint} arg5
+   * @param {`0x${string}`} extraData
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'getMakingAmount', args: unknown[] }} call config resolving to bigint
+   */
+  getMakingAmount: (arg0, arg1, arg2, taker, takingAmount, arg5, extraData) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'getMakingAmount', args: [arg0, arg1, arg2, taker, takingAmount, arg5, extraData] }),
+
+  /**
+   * getProtectedOptionStatus(bytes32, bytes32) view
+   * @param {`0x${string}`} optionId
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'getProtectedOptionStatus', args: unknown[] }} call config resolving to [boolean, bigint, bigint, boolean]
+   */
+  getProtectedOptionStatus: (optionId, stopLossId) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'getProtectedOptionStatus', args: [optionId, stopLossId] }),
+
+  /**
+   * getTakingAmount(tuple, bytes, bytes32, address, uint256, uint256, bytes) view
+   * @param {Order} arg0
+   * @param {`0x${string}`} arg1
+   * @param {`0x${string}`} arg2
+   * @param {`0x${string}`} taker
+   * @param {bigint} makingAmount
+   * @param {bigint} arg5
+   * @param {`0x${string}`} extraData
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'getTakingAmount', args: unknown[] }} call config resolving to bigint
+   */
+  getTakingAmount: (arg0, arg1, arg2, taker, makingAmount, arg5, extraData) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'getTakingAmount', args: [arg0, arg1, arg2, taker, makingAmount, arg5, extraData] }),
+
+  /**
+   * multiStopLossPredicate(bytes32[], bool) view
+   * @param {`0x${string}`[]} stopLossIds
+   * @param {boolean} requireAll
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'multiStopLossPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  multiStopLossPredicate: (stopLossIds, requireAll) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'multiStopLossPredicate', args: [stopLossIds, requireAll] }),
+
+  /**
+   * optionsCalculator() view
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'optionsCalculator', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  optionsCalculator: () => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'optionsCalculator', args: [] }),
+
+  /**
+   * owner() view
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'owner', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  owner: () => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'owner', args: [] }),
+
+  /**
+   * protectedOptionManager() view
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'protectedOptionManager', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  protectedOptionManager: () => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'protectedOptionManager', args: [] }),
+
+  /**
+   * protectedOptionPredicate(bytes) view
+   * @param {`0x${string}`} extraData
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'protectedOptionPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  protectedOptionPredicate: (extraData) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'protectedOptionPredicate', args: [extraData] }),
+
+  /**
+   * renounceOwnership() nonpayable
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'renounceOwnership', args: unknown[] }} call config resolving to void
+   */
+  renounceOwnership: () => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'renounceOwnership', args: [] }),
+
+  /**
+   * singleStopLossPredicate(bytes32) view
+   * @param {`0x${string}`} stopLossId
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'singleStopLossPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  singleStopLossPredicate: (stopLossId) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'singleStopLossPredicate', args: [stopLossId] }),
+
+  /**
+   * stopLossProtection() view
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'stopLossProtection', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  stopLossProtection: () => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'stopLossProtection', args: [] }),
+
+  /**
+   * timeBasedPredicate(uint256) view
+   * @param {bigint} expirationTime
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'timeBasedPredicate', args: unknown[] }} call config resolving to boolean
+   */
+  timeBasedPredicate: (expirationTime) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'timeBasedPredicate', args: [expirationTime] }),
+
+  /**
+   * transferOwnership(address) nonpayable
+   * @param {`0x${string}`} newOwner
+   * @returns {{ abi: typeof OneinchProtectedOptionsIntegrationAbi, functionName: 'transferOwnership', args: unknown[] }} call config resolving to void
+   */
+  transferOwnership: (newOwner) => ({ abi: OneinchProtectedOptionsIntegrationAbi, functionName: 'transferOwnership', args: [newOwner] }),
+};
+
+export const oracleAdapter = {
+  abi: OracleAdapterAbi,
+  addressKey: 'ETH_USD_ORACLE_ADAPTER',
+
+  /**
+   * decimals() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'decimals', args: unknown[] }} call config resolving to number
+   */
+  decimals: () => ({ abi: OracleAdapterAbi, functionName: 'decimals', args: [] }),
+
+  /**
+   * description() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'description', args: unknown[] }} call config resolving to string
+   */
+  description: () => ({ abi: OracleAdapterAbi, functionName: 'description', args: [] }),
+
+  /**
+   * getFeedStatus() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'getFeedStatus', args: unknown[] }} call config resolving to [bigint, boolean, bigint, boolean]
+   */
+  getFeedStatus: () => ({ abi: OracleAdapterAbi, functionName: 'getFeedStatus', args: [] }),
+
+  /**
+   * getRoundData(uint80) view
+   * @param {bigint} _roundId
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'getRoundData', args: unknown[] }} call config resolving to [bigint, bigint, bigint, bigint, bigint]
+   */
+  getRoundData: (_roundId) => ({ abi: OracleAdapterAbi, functionName: 'getRoundData', args: [_roundId] }),
+
+  /**
+   * latestRoundData() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'latestRoundData', args: unknown[] }} call config resolving to [bigint, bigint, bigint, bigint, bigint]
+   */
+  latestRoundData: () => ({ abi: OracleAdapterAbi, functionName: 'latestRoundData', args: [] }),
+
+  /**
+   * maxDeviation() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'maxDeviation', args: unknown[] }} call config resolving to bigint
+   */
+  maxDeviation: () => ({ abi: OracleAdapterAbi, functionName: 'maxDeviation', args: [] }),
+
+  /**
+   * owner() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'owner', args: unknown[] }} call config resolving to `0x${string}`
+   */
+  owner: () => ({ abi: OracleAdapterAbi, functionName: 'owner', args: [] }),
+
+  /**
+   * primary() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'primary', args: unknown[] }} call config resolving to [`0x${string}`, bigint, number]
+   */
+  primary: () => ({ abi: OracleAdapterAbi, functionName: 'primary', args: [] }),
+
+  /**
+   * renounceOwnership() nonpayable
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'renounceOwnership', args: unknown[] }} call config resolving to void
+   */
+  renounceOwnership: () => ({ abi: OracleAdapterAbi, functionName: 'renounceOwnership', args: [] }),
+
+  /**
+   * secondary() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'secondary', args: unknown[] }} call config resolving to [`0x${string}`, bigint, number]
+   */
+  secondary: () => ({ abi: OracleAdapterAbi, functionName: 'secondary', args: [] }),
+
+  /**
+   * SECONDARY_ROUND_FLAG() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'SECONDARY_ROUND_FLAG', args: unknown[] }} call config resolving to bigint
+   */
+  SECONDARY_ROUND_FLAG: () => ({ abi: OracleAdapterAbi, functionName: 'SECONDARY_ROUND_FLAG', args: [] }),
+
+  /**
+   * setFeeds(address, uint256, address, uint256) nonpayable
+   * @param {`0x${string}`} primaryFeed
+   * @param {bigint} primaryMaxPriceAge
+   * @param {`0x${string}`} secondaryFeed
+   * @param {bigint} secondaryMaxPriceAge
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'setFeeds', args: unknown[] }} call config resolving to void
+   */
+  setFeeds: (primaryFeed, primaryMaxPriceAge, secondaryFeed, secondaryMaxPriceAge) => ({ abi: OracleAdapterAbi, functionName: 'setFeeds', args: [primaryFeed, primaryMaxPriceAge, secondaryFeed, secondaryMaxPriceAge] }),
+
+  /**
+   * setMaxDeviation(uint256) nonpayable
+   * @param {bigint} _maxDeviation
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'setMaxDeviation', args: unknown[] }} call config resolving to void
+   */
+  setMaxDeviation: (_maxDeviation) => ({ abi: OracleAdapterAbi, functionName: 'setMaxDeviation', args: [_maxDeviation] }),
+
+  /**
+   * transferOwnership(address) nonpayable
+   * @param {`0x${string}`} newOwner
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'transferOwnership', args: unknown[] }} call config resolving to void
+   */
+  transferOwnership: (newOwner) => ({ abi: OracleAdapterAbi, functionName: 'transferOwnership', args: [newOwner] }),
+
+  /**
+   * version() view
+   * @returns {{ abi: typeof OracleAdapterAbi, functionName: 'version', args: unknown[] }} call config resolving to bigint
+   */
+  version: () => ({ abi: OracleAdapterAbi, functionName: 'version', args: [] }),
+};
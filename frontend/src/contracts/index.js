@@ -1,28 +1,23 @@
-// Contract ABIs (simplified for frontend use)
-export const PROTECTED_OPTION_MANAGER_ABI = [
-  "function createProtectedOption(bool isCall, uint256 strikePrice, uint256 premium, uint256 optionDuration, address makerAsset, address takerAsset, uint256 makingAmount, uint256 minTakingAmount, uint256 stopLossPrice, uint256 maxLoss, address oracle) external returns (bytes32)",
-  "function executeProtectedOption(bytes32 protectedOptionId, uint256 takingAmount) external",
-  "function cancelProtectedOption(bytes32 protectedOptionId) external", 
-  "function getProtectedOption(bytes32 protectedOptionId) external view returns (tuple(bytes32 optionId, bytes32 stopLossId, bool isCall, address maker, bool isActive, uint256 createdAt, uint256 expiresAt))",
-  "function canExecuteOption(bytes32 protectedOptionId) external view returns (bool canExecute, string memory reason)",
-  "event ProtectedOptionCreated(bytes32 indexed protectedOptionId, address indexed maker, bool isCall, uint256 strikePrice)",
-  "event ProtectedOptionExecuted(bytes32 indexed protectedOptionId, address indexed executor, uint256 payoff)",
-  "event ProtectedOptionCancelled(bytes32 indexed protectedOptionId, string reason)"
-];
-
-export const OPTIONS_CALCULATOR_ABI = [
-  "function isInTheMoney(bytes32 optionId) external view returns (bool)",
-  "function getIntrinsicValue(bytes32 optionId) external view returns (uint256 intrinsicValue, uint256 currentPrice)",
-  "function getMakingAmount(bytes32 optionId, uint256 takingAmount) external view returns (uint256)",
-  "function getTakingAmount(bytes32 optionId, uint256 makingAmount) external view returns (uint256)"
-];
-
-export const STOP_LOSS_PROTECTION_ABI = [
-  "function stopLossPredicate(bytes32 stopLossId) external view returns (bool isValid)",
-  "function checkStopLoss(bytes32 stopLossId) external view returns (bool isTriggered, uint256 currentPrice, uint256 threshold)"
-];
-
-export const MOCK_ERC20_ABI = [
+import { parseAbi } from 'viem';
+import ProtectedOptionManagerAbi from './abis/ProtectedOptionManager.json';
+import ProtectedOptionPositionAbi from './abis/ProtectedOptionPosition.json';
+import OptionsCalculatorAbi from './abis/OptionsCalculator.json';
+import StopLossProtectionAbi from './abis/StopLossProtection.json';
+import OneinchProtectedOptionsIntegrationAbi from './abis/OneinchProtectedOptionsIntegration.json';
+import deploymentRegistry from './deployments.json';
+
+// Contract ABIs - exported from Hardhat artifacts by `npm run export-abis`, never edited by hand
+export const PROTECTED_OPTION_MANAGER_ABI = ProtectedOptionManagerAbi;
+export const POSITION_TOKEN_ABI = ProtectedOptionPositionAbi;
+export const OPTIONS_CALCULATOR_ABI = OptionsCalculatorAbi;
+export const STOP_LOSS_PROTECTION_ABI = StopLossProtectionAbi;
+export const INTEGRATION_ABI = OneinchProtectedOptionsIntegrationAbi;
+
+// Typed call builders generated alongside the ABIs
+export * from './generated';
+
+// Mock contracts are not exported from artifacts; parse their human-readable ABIs for viem
+export const MOCK_ERC20_ABI = parseAbi([
   "function name() external view returns (string)",
   "function symbol() external view returns (string)",
   "function decimals() external view returns (uint8)",
@@ -33,69 +28,156 @@ export const MOCK_ERC20_ABI = [
   "function transfer(address to, uint256 value) external returns (bool)",
   "function transferFrom(address from, address to, uint256 value) external returns (bool)",
   "function mint(address to, uint256 amount) external"
-];
+]);
 
-export const MOCK_ORACLE_ABI = [
+export const MOCK_ORACLE_ABI = parseAbi([
   "function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
   "function setLatestPrice(int256 price) external",
   "function decimals() external view returns (uint8)"
-];
-
-// Contract addresses (will be updated after deployment)
-export const CONTRACT_ADDRESSES = {
-  // Base Sepolia testnet
-  84532: {
-    PROTECTED_OPTION_MANAGER: "0x0000000000000000000000000000000000000000", // Update after deployment
-    OPTIONS_CALCULATOR: "0x0000000000000000000000000000000000000000",
-    STOP_LOSS_PROTECTION: "0x0000000000000000000000000000000000000000", 
-    INTEGRATION: "0x0000000000000000000000000000000000000000",
-    MOCK_WETH: "0x0000000000000000000000000000000000000000",
-    MOCK_USDC: "0x0000000000000000000000000000000000000000",
-    MOCK_ORACLE: "0x0000000000000000000000000000000000000000",
-  },
-  // Polygon mainnet - REAL infrastructure - DEPLOYED! ✅
+]);
+
+// EIP-2612 and ERC-5267 reads used to detect permit support; tokens lacking them fail the read
+export const ERC20_PERMIT_ABI = parseAbi([
+  "function name() external view returns (string)",
+  "function version() external view returns (string)",
+  "function nonces(address owner) external view returns (uint256)",
+  "function DOMAIN_SEPARATOR() external view returns (bytes32)",
+  "function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "function allowance(address owner, address spender) external view returns (uint256)",
+  "function approve(address spender, uint256 value) external returns (bool)"
+]);
+
+// Addresses of our own contracts, written by the deploy scripts (see scripts/registry.js)
+export const DEPLOYMENTS = deploymentRegistry.chains;
+
+// Third-party infrastructure (tokens, Chainlink feeds) that is not deployed by this repo
+export const EXTERNAL_ADDRESSES = {
+  // Polygon mainnet - REAL infrastructure
   137: {
-    PROTECTED_OPTION_MANAGER: "0x3dD6101E01Ae44FFC642b65E0F9F92218EB5487a", // ✅ DEPLOYED  
-    OPTIONS_CALCULATOR: "0xF4bB79d53E5ce1D955e62aB0da851E1621B92884",     // ✅ DEPLOYED
-    STOP_LOSS_PROTECTION: "0x609DEb414D76D67ca6CC44E911254ba83FBa3009",  // ✅ DEPLOYED
-    INTEGRATION: "0x53597B830E8711a42Ebb965b6A4c236A7fdb5Dcb",          // ✅ DEPLOYED
-    // Real Polygon token addresses - WETH/USDC focused
+    // Real Polygon token addresses (see ASSET_REGISTRY for the ones the create form trades)
     WMATIC: "0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270",              // Wrapped MATIC
     WETH: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619",                // Wrapped Ethereum  
     USDC: "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174",                // USD Coin (bridged)
     USDC_NATIVE: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",         // Native USDC
+    WBTC: "0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6",                // Wrapped Bitcoin
+    DAI: "0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063",                 // Dai Stablecoin
     // Real Chainlink oracle addresses  
     MATIC_USD_ORACLE: "0xAB594600376Ec9fD91F8e885dADF0CE036862dE0",     // MATIC/USD Price Feed
     ETH_USD_ORACLE: "0xF9680D99D6C9589e2a93a78A04A279e509205945",       // ETH/USD Price Feed
     USDC_USD_ORACLE: "0xfE4A8FD3EE02d90A6aCa4c623d1BF2425C2e9bB7",      // USDC/USD Price Feed
+    BTC_USD_ORACLE: "0xc907E116054Ad103354f2D350FD2514433D57F6f",       // BTC/USD Price Feed
+    // 1inch Limit Order Protocol v4 (same address on every supported chain)
+    LIMIT_ORDER_PROTOCOL: "0x111111125421cA6dc452d289314280a0f8842A65",
   },
   // Ethereum Sepolia testnet (for testing only - limited real infrastructure)
   11155111: {
-    PROTECTED_OPTION_MANAGER: "0x0000000000000000000000000000000000000000",
-    OPTIONS_CALCULATOR: "0x0000000000000000000000000000000000000000",
-    STOP_LOSS_PROTECTION: "0x0000000000000000000000000000000000000000",
-    INTEGRATION: "0x0000000000000000000000000000000000000000", 
     // Sepolia has limited real tokens - using testnet versions
     WETH: "0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14",                 // WETH on Sepolia
     // Note: Limited oracle and token availability on testnets
   },
-  // Local hardhat network
-  31337: {
-    PROTECTED_OPTION_MANAGER: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0",
-    OPTIONS_CALCULATOR: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
-    STOP_LOSS_PROTECTION: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
-    INTEGRATION: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9",
-    MOCK_WETH: "0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9",
-    MOCK_USDC: "0x5FC8d32690cc91D4c39d9d3abcBD16989F875707",
-    MOCK_ORACLE: "0x0165878A594ca255338adfa4d48449f69242Eb8F",
-  }
 };
 
+// Deployed contracts take precedence over external addresses with the same key
+export const CONTRACT_ADDRESSES = Object.fromEntries(
+  [...new Set([...Object.keys(EXTERNAL_ADDRESSES), ...Object.keys(DEPLOYMENTS)])].map((chainId) => [
+    chainId,
+    { ...EXTERNAL_ADDRESSES[chainId], ...DEPLOYMENTS[chainId]?.contracts },
+  ])
+);
+
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
 export const getContractAddress = (chainId, contractName) => {
-  return CONTRACT_ADDRESSES[chainId]?.[contractName] || "0x0000000000000000000000000000000000000000";
+  return CONTRACT_ADDRESSES[chainId]?.[contractName] || ZERO_ADDRESS;
+};
+
+export const isContractDeployed = (chainId, contractName) => {
+  return getContractAddress(chainId, contractName) !== ZERO_ADDRESS;
+};
+
+// Tokens the create form can trade. `feed` names the USD feed pricing the token (`<feed>_USD_ORACLE`);
+// stablecoins are quoted in dollars directly. `decimals` is a fallback until the token is read on chain
+export const ASSETS = {
+  WETH: { symbol: 'WETH', name: 'Wrapped Ether', decimals: 18, feed: 'ETH' },
+  WBTC: { symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8, feed: 'BTC' },
+  WMATIC: { symbol: 'WMATIC', name: 'Wrapped Matic', decimals: 18, feed: 'MATIC' },
+  USDC: { symbol: 'USDC', name: 'USD Coin', decimals: 6, feed: 'USD' },
+  DAI: { symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18, feed: 'USD' },
+};
+
+// Registry key of each asset's token per chain; test networks use the MOCK_ tokens the deploy script records
+const TESTNET_ASSET_KEYS = {
+  WETH: 'MOCK_WETH',
+  WBTC: 'MOCK_WBTC',
+  WMATIC: 'MOCK_WMATIC',
+  USDC: 'MOCK_USDC',
+  DAI: 'MOCK_DAI',
+};
+
+export const ASSET_REGISTRY = {
+  137: { WETH: 'WETH', WBTC: 'WBTC', WMATIC: 'WMATIC', USDC: 'USDC', DAI: 'DAI' },
+  84532: TESTNET_ASSET_KEYS,
+  11155111: { ...TESTNET_ASSET_KEYS, WETH: 'WETH' },
+  31337: TESTNET_ASSET_KEYS,
+};
+
+// Local deployments use mock feeds recorded under MOCK_<key>; the ETH/USD mock predates that scheme
+const mockKey = (key) => (key === 'ETH_USD_ORACLE' ? 'MOCK_ORACLE' : `MOCK_${key}`);
+
+const resolveOracle = (chainId, key) =>
+  isContractDeployed(chainId, key) ? getContractAddress(chainId, key) : getContractAddress(chainId, mockKey(key));
+
+/**
+ * Assets deployed on a chain, with their token address and the USD feed pricing them
+ * (ZERO_ADDRESS for stablecoins, and for tokens whose feed is missing)
+ */
+export const getAssets = (chainId) =>
+  Object.entries(ASSET_REGISTRY[chainId] ?? {})
+    .map(([symbol, key]) => ({
+      ...ASSETS[symbol],
+      address: getContractAddress(chainId, key),
+      oracle: isUsdQuoted(symbol) ? ZERO_ADDRESS : resolveOracle(chainId, `${ASSETS[symbol].feed}_USD_ORACLE`),
+    }))
+    .filter((asset) => asset.address !== ZERO_ADDRESS);
+
+export const getAsset = (chainId, symbol) => getAssets(chainId).find((asset) => asset.symbol === symbol);
+
+export const getAssetAddress = (chainId, symbol) => getAsset(chainId, symbol)?.address ?? ZERO_ADDRESS;
+
+/**
+ * Registry key of the oracle pricing `collateral` in units of `payment`: the collateral's USD feed
+ * when paid in a stablecoin, otherwise a CrossRateOracle deployed for the pair (e.g. ETH_BTC_ORACLE)
+ */
+export const getPairOracleKey = (collateral, payment) => {
+  const base = ASSETS[collateral]?.feed;
+  const quote = ASSETS[payment]?.feed;
+  return `${base}_${quote}_ORACLE`;
+};
+
+export const getPairOracle = (chainId, collateral, payment) =>
+  resolveOracle(chainId, getPairOracleKey(collateral, payment));
+
+// Whether prices of the pair are quoted in dollars
+export const isUsdQuoted = (payment) => ASSETS[payment]?.feed === 'USD';
+
+/**
+ * Collateral / payment pairs with both tokens and a pricing oracle on the chain. Stablecoins
+ * are only offered as payment.
+ */
+export const getAvailablePairs = (chainId) => {
+  const assets = getAssets(chainId);
+  return assets.flatMap(({ symbol: collateral }) =>
+    isUsdQuoted(collateral)
+      ? []
+      : assets
+        .map(({ symbol }) => symbol)
+        .filter((payment) => payment !== collateral && getPairOracle(chainId, collateral, payment) !== ZERO_ADDRESS)
+        .map((payment) => ({ collateral, payment }))
+  );
 };
 
 export const CHAIN_NAMES = {
+  137: "Polygon",
   84532: "Base Sepolia",
   11155111: "Ethereum Sepolia", 
   31337: "Hardhat Local",
@@ -103,4 +185,9 @@ export const CHAIN_NAMES = {
   1: "Ethereum Mainnet"
 };
 
-export const SUPPORTED_CHAINS = [84532, 11155111, 31337]; // Base Sepolia, Ethereum Sepolia, Local 
\ No newline at end of file
+// Chains with a ProtectedOptionManager in the deployment registry; redeploying to a new chain adds it here
+export const SUPPORTED_CHAINS = Object.keys(DEPLOYMENTS)
+  .map(Number)
+  .filter((chainId) => isContractDeployed(chainId, 'PROTECTED_OPTION_MANAGER'));
+
+export const isChainSupported = (chainId) => SUPPORTED_CHAINS.includes(chainId); 
\ No newline at end of file
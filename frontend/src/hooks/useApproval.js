@@ -0,0 +1,122 @@
+/* global BigInt */
+
+import { useCallback, useState } from 'react';
+import { useContractReads, useContractWrite, usePrepareContractWrite, useSignTypedData } from 'wagmi';
+import { toast } from 'react-hot-toast';
+import { ERC20_PERMIT_ABI, ZERO_ADDRESS } from '../contracts';
+import {
+  PERMIT2_ADDRESS,
+  PERMIT_VALIDITY,
+  buildErc2612TypedData,
+  buildPermit2TypedData,
+  chooseApprovalMethod,
+  encodeCollateralPermit,
+  randomPermit2Nonce,
+  supportsErc2612,
+} from '../utils/permit';
+import { formatError } from '../utils/errors';
+import { resultOf } from './useProtectedOptions';
+import useTransaction from './useTransaction';
+
+const nowInSeconds = () => BigInt(Math.floor(Date.now() / 1000));
+
+/**
+ * Gets `amount` of `token` approved to `spender` the cheapest way the token allows (see
+ * utils/permit): nothing when the allowance already covers it, a signed EIP-2612 or Permit2 permit,
+ * or an approve() transaction for exactly the amount. A signed permit costs no transaction; pass
+ * it to createProtectedOptionWithPermit and the collateral moves with the option.
+ *
+ * @param {object} params token, symbol, owner, spender, amount (bigint), chainId, and allowPermit
+ *   (false when the write that follows has no permit variant)
+ * @returns {{ method, isReady, permit, sign, approve, reset, isSigning, isApproving, refetch }} method
+ *   is undefined until the allowance has loaded; isReady once the write can go ahead
+ */
+const useApproval = ({ token, symbol, owner, spender, amount, chainId, allowPermit = true }) => {
+  const enabled = !!token && token !== ZERO_ADDRESS && !!owner && !!spender;
+
+  // Permit reads fail on tokens without EIP-2612 or ERC-5267; those entries just stay undefined
+  const { data, refetch } = useContractReads({
+    contracts: [
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'allowance', args: [owner, spender] },
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'allowance', args: [owner, PERMIT2_ADDRESS] },
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'nonces', args: [owner] },
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'DOMAIN_SEPARATOR' },
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'name' },
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'eip712Domain' },
+      { address: token, abi: ERC20_PERMIT_ABI, functionName: 'version' },
+    ],
+    enabled,
+    watch: true,
+  });
+
+  const allowance = resultOf(data?.[0]);
+  const permit2Allowance = resultOf(data?.[1]) ?? 0n;
+  const nonce = resultOf(data?.[2]);
+  // ERC-5267 tokens publish their EIP-712 name and version; older ones at most a version()
+  const domain = resultOf(data?.[5]);
+  const name = domain?.[1] ?? resultOf(data?.[4]);
+  const version = domain?.[2] ?? resultOf(data?.[6]) ?? '1';
+  const supportsPermit = nonce !== undefined
+    && supportsErc2612({ name, version, chainId, token, domainSeparator: resultOf(data?.[3]) });
+
+  const method = allowance === undefined
+    ? undefined
+    : chooseApprovalMethod({ amount, allowance, supportsPermit, permit2Allowance, allowPermit });
+
+  // A signature only covers the token, owner, spender and amount it was made for, and an
+  // EIP-2612 one only until the token's nonce moves on
+  const [signed, setSigned] = useState();
+  const permitKey = `${chainId}:${token}:${owner}:${spender}:${amount}:${method}:${nonce}`;
+  const permit = signed?.key === permitKey && signed.deadline > nowInSeconds() ? signed.permit : undefined;
+
+  const { signTypedDataAsync, isLoading: isSigning } = useSignTypedData();
+
+  const sign = useCallback(async () => {
+    const deadline = nowInSeconds() + BigInt(PERMIT_VALIDITY);
+    const permit2Nonce = randomPermit2Nonce();
+    const typedData = method === 'permit2'
+      ? buildPermit2TypedData({ chainId, token, amount, spender, nonce: permit2Nonce, deadline })
+      : buildErc2612TypedData({ name, version, chainId, token, owner, spender, value: amount, nonce, deadline });
+
+    try {
+      const signature = await signTypedDataAsync(typedData);
+      setSigned({ key: permitKey, deadline, permit: encodeCollateralPermit(method, { signature, deadline, nonce: permit2Nonce }) });
+      toast.success(`${symbol} permit signed`);
+    } catch (error) {
+      console.error(`${symbol} permit failed:`, error);
+      toast.error(`${symbol} permit failed: ${formatError(error)}`);
+    }
+  }, [method, chainId, token, amount, spender, name, version, owner, nonce, signTypedDataAsync, permitKey, symbol]);
+
+  const approveTx = useTransaction(`Approve ${symbol}`, () => refetch());
+
+  // Exactly the amount needed, never an unlimited allowance
+  const { config } = usePrepareContractWrite({
+    address: token,
+    abi: ERC20_PERMIT_ABI,
+    functionName: 'approve',
+    args: [spender, amount],
+    enabled: enabled && method === 'approve' && amount > 0n,
+  });
+
+  const { write: approve, isLoading: isApproving } = useContractWrite({
+    ...config,
+    onSuccess: ({ hash }) => approveTx.track(hash),
+    onError: approveTx.fail,
+  });
+
+  return {
+    method,
+    isReady: method === 'allowance' || !!permit,
+    permit,
+    sign,
+    approve,
+    // Drops a signed permit, e.g. once the write that used it is mined
+    reset: () => setSigned(undefined),
+    isSigning,
+    isApproving: isApproving || approveTx.isPending,
+    refetch,
+  };
+};
+
+export default useApproval;
@@ -0,0 +1,94 @@
+import { useMemo } from 'react';
+import { useContractReads } from 'wagmi';
+import {
+  getContractAddress,
+  isContractDeployed,
+  protectedOptionManager,
+  optionsCalculator,
+  stopLossProtection,
+  MOCK_ERC20_ABI,
+} from '../contracts';
+import { resultOf, toOptionView } from './useProtectedOptions';
+
+/**
+ * Loads a single protected option with its live status (getOptionStatus), strike/premium
+ * and stop-loss configs and token metadata. Shaped like the entries of useProtectedOptions.
+ */
+const useProtectedOption = (id, chainId) => {
+  const managerAddress = getContractAddress(chainId, 'PROTECTED_OPTION_MANAGER');
+  const calculatorAddress = getContractAddress(chainId, 'OPTIONS_CALCULATOR');
+  const stopLossAddress = getContractAddress(chainId, 'STOP_LOSS_PROTECTION');
+  const isDeployed = isContractDeployed(chainId, 'PROTECTED_OPTION_MANAGER');
+
+  // 1. Position, live status and execution flag
+  const {
+    data: optionResults,
+    error: optionError,
+    isLoading: optionLoading,
+    refetch,
+  } = useContractReads({
+    contracts: [
+      { address: managerAddress, ...protectedOptionManager.getProtectedOption(id) },
+      { address: managerAddress, ...protectedOptionManager.getOptionStatus(id) },
+      { address: managerAddress, ...protectedOptionManager.executedOptions(id) },
+    ],
+    enabled: !!id && isDeployed,
+    watch: true,
+  });
+
+  const position = resultOf(optionResults?.[0]);
+  // Unknown IDs read back as an empty position
+  const exists = !!position && position.createdAt > 0n;
+
+  // 2. Strike / stop-loss configs and token metadata (static once created)
+  const detailContracts = useMemo(() => (exists ? [
+    { address: calculatorAddress, ...optionsCalculator.optionConfigs(position.optionId) },
+    { address: stopLossAddress, ...stopLossProtection.stopLossConfigs(position.stopLossId) },
+    ...[position.makerAsset, position.takerAsset].flatMap((asset) => [
+      { address: asset, abi: MOCK_ERC20_ABI, functionName: 'symbol' },
+      { address: asset, abi: MOCK_ERC20_ABI, functionName: 'decimals' },
+    ]),
+  ] : []), [exists, position, calculatorAddress, stopLossAddress]);
+
+  const {
+    data: detailResults,
+    error: detailsError,
+    isLoading: detailsLoading,
+  } = useContractReads({
+    contracts: detailContracts,
+    enabled: detailContracts.length > 0,
+    watch: true,
+  });
+
+  const option = useMemo(() => {
+    if (!exists || !detailResults) return null;
+
+    const token = (offset) => ({
+      symbol: resultOf(detailResults[offset]) || 'TOKEN',
+      decimals: resultOf(detailResults[offset + 1]) ?? 18,
+    });
+
+    return toOptionView({
+      id,
+      position,
+      status: resultOf(optionResults[1]),
+      statusError: optionResults[1]?.error,
+      executed: resultOf(optionResults[2]),
+      optionConfig: resultOf(detailResults[0]),
+      stopLossConfig: resultOf(detailResults[1]),
+      makerToken: token(2),
+      takerToken: token(4),
+      now: Date.now(),
+    });
+  }, [id, exists, position, optionResults, detailResults]);
+
+  return {
+    option,
+    isDeployed,
+    isLoading: optionLoading || detailsLoading || (exists && !detailResults),
+    error: optionError || detailsError,
+    refetch,
+  };
+};
+
+export default useProtectedOption;
@@ -0,0 +1,200 @@
+import { useMemo } from 'react';
+import { useContractRead, useContractReads } from 'wagmi';
+import { formatUnits, ZeroAddress } from 'ethers';
+import {
+  getContractAddress,
+  isContractDeployed,
+  protectedOptionManager,
+  protectedOptionPosition,
+  optionsCalculator,
+  stopLossProtection,
+  MOCK_ERC20_ABI,
+} from '../contracts';
+
+// Reads per option in the first batch: getProtectedOption, getOptionStatus, executedOptions
+const OPTION_READS = 3;
+
+// Oracle prices, strikes and stop-loss levels all use 8 decimals
+export const PRICE_DECIMALS = 8;
+
+const shortId = (id) => `${id.slice(0, 6)}...${id.slice(-4)}`;
+
+export const resultOf = (entry) => (entry?.status === 'success' ? entry.result : undefined);
+
+const deriveStatus = (position, executed, now) => {
+  if (executed) return 'EXECUTED';
+  if (!position.isActive) return 'CANCELLED';
+  if (Number(position.expiresAt) * 1000 <= now) return 'EXPIRED';
+  return 'ACTIVE';
+};
+
+/**
+ * Shapes the raw contract reads of one position into the object the views render.
+ * optionConfigs / stopLossConfigs are public getters, so they come back as arrays.
+ */
+export const toOptionView = ({ id, position, status, statusError, executed, optionConfig, stopLossConfig, makerToken, takerToken, now }) => {
+  const [isInMoney, currentPrice, intrinsicValue, stopLossValid] = status || [];
+  const optionStatus = deriveStatus(position, executed, now);
+
+  return {
+    id,
+    shortId: shortId(id),
+    type: position.isCall ? 'CALL' : 'PUT',
+    asset: `${makerToken.symbol}/${takerToken.symbol}`,
+    maker: position.maker,
+    holder: position.holder,
+    isSold: position.holder !== ZeroAddress,
+    makerAsset: position.makerAsset,
+    takerAsset: position.takerAsset,
+    optionId: position.optionId,
+    stopLossId: position.stopLossId,
+    collateral: formatUnits(position.makingAmount, makerToken.decimals),
+    collateralSymbol: makerToken.symbol,
+    collateralDecimals: makerToken.decimals,
+    remainingCollateral: formatUnits(position.remainingMakingAmount, makerToken.decimals),
+    remainingMakingAmount: position.remainingMakingAmount,
+    // Like the 1inch remaining amount, fills and maker withdrawals both count towards progress
+    fillPercent: Number(((position.makingAmount - position.remainingMakingAmount) * 10000n) / position.makingAmount) / 100,
+    paymentSymbol: takerToken.symbol,
+    paymentDecimals: takerToken.decimals,
+    minTakingAmount: formatUnits(position.minTakingAmount, takerToken.decimals),
+    strikePrice: optionConfig ? formatUnits(optionConfig[1], PRICE_DECIMALS) : undefined,
+    premium: optionConfig ? formatUnits(optionConfig[2], takerToken.decimals) : undefined,
+    premiumAmount: optionConfig?.[2],
+    stopLossPrice: stopLossConfig ? formatUnits(stopLossConfig[0], PRICE_DECIMALS) : undefined,
+    maxLoss: stopLossConfig ? Number(stopLossConfig[1]) / 100 : undefined,
+    // getOptionStatus returns zeroes for inactive options and reverts on stale oracle data
+    currentPrice: status && optionStatus === 'ACTIVE' ? formatUnits(currentPrice, PRICE_DECIMALS) : undefined,
+    intrinsicValue: status && optionStatus === 'ACTIVE' ? formatUnits(intrinsicValue, PRICE_DECIMALS) : undefined,
+    priceError: statusError?.shortMessage || statusError?.message,
+    createdAt: new Date(Number(position.createdAt) * 1000),
+    expires: new Date(Number(position.expiresAt) * 1000),
+    status: optionStatus,
+    isInMoney: optionStatus === 'ACTIVE' && !!isInMoney,
+    stopLossTriggered: optionStatus === 'ACTIVE' && !!status && !stopLossValid,
+  };
+};
+
+/**
+ * Loads every protected option written (role 'writer') or held (role 'buyer') by `owner`
+ * on the connected chain. Written options are enumerated through ProtectedOptionManager.getUserOptions,
+ * held ones by ownership of ProtectedOptionPosition tokens, so bought and transferred-in positions
+ * both show up. Each is enriched with the calculator/stop-loss configs and the live option status.
+ */
+const useProtectedOptions = (owner, chainId, role = 'writer') => {
+  const managerAddress = getContractAddress(chainId, 'PROTECTED_OPTION_MANAGER');
+  const positionTokenAddress = getContractAddress(chainId, 'POSITION_TOKEN');
+  const calculatorAddress = getContractAddress(chainId, 'OPTIONS_CALCULATOR');
+  const stopLossAddress = getContractAddress(chainId, 'STOP_LOSS_PROTECTION');
+  const isDeployed = isContractDeployed(chainId, 'PROTECTED_OPTION_MANAGER')
+    && (role !== 'buyer' || isContractDeployed(chainId, 'POSITION_TOKEN'));
+
+  // 1. Enumerate the user's option IDs
+  const {
+    data: optionIds,
+    error: idsError,
+    isLoading: idsLoading,
+    refetch: refetchIds,
+  } = useContractRead({
+    ...(role === 'buyer'
+      ? { address: positionTokenAddress, ...protectedOptionPosition.getPositions(owner) }
+      : { address: managerAddress, ...protectedOptionManager.getUserOptions(owner) }),
+    enabled: !!owner && isDeployed,
+    watch: true,
+  });
+
+  const ids = useMemo(() => optionIds || [], [optionIds]);
+
+  // 2. Position, live status and execution flag for every ID
+  const optionContracts = useMemo(() => ids.flatMap((id) => [
+    { address: managerAddress, ...protectedOptionManager.getProtectedOption(id) },
+    { address: managerAddress, ...protectedOptionManager.getOptionStatus(id) },
+    { address: managerAddress, ...protectedOptionManager.executedOptions(id) },
+  ]), [ids, managerAddress]);
+
+  const {
+    data: optionResults,
+    error: optionsError,
+    isLoading: optionsLoading,
+    refetch: refetchOptions,
+  } = useContractReads({
+    contracts: optionContracts,
+    enabled: optionContracts.length > 0,
+    watch: true,
+  });
+
+  const positions = useMemo(() => {
+    if (!optionResults) return [];
+    return ids.map((id, i) => ({
+      id,
+      position: resultOf(optionResults[i * OPTION_READS]),
+      status: resultOf(optionResults[i * OPTION_READS + 1]),
+      statusError: optionResults[i * OPTION_READS + 1]?.error,
+      executed: resultOf(optionResults[i * OPTION_READS + 2]),
+    })).filter(({ position }) => !!position);
+  }, [ids, optionResults]);
+
+  // 3. Strike / stop-loss configs and token metadata (static once created)
+  const assets = useMemo(() => [...new Set(
+    positions.flatMap(({ position }) => [position.makerAsset, position.takerAsset])
+  )], [positions]);
+
+  const detailContracts = useMemo(() => [
+    ...positions.flatMap(({ position }) => [
+      { address: calculatorAddress, ...optionsCalculator.optionConfigs(position.optionId) },
+      { address: stopLossAddress, ...stopLossProtection.stopLossConfigs(position.stopLossId) },
+    ]),
+    ...assets.flatMap((asset) => [
+      { address: asset, abi: MOCK_ERC20_ABI, functionName: 'symbol' },
+      { address: asset, abi: MOCK_ERC20_ABI, functionName: 'decimals' },
+    ]),
+  ], [positions, assets, calculatorAddress, stopLossAddress]);
+
+  const {
+    data: detailResults,
+    error: detailsError,
+    isLoading: detailsLoading,
+  } = useContractReads({
+    contracts: detailContracts,
+    enabled: detailContracts.length > 0,
+  });
+
+  const options = useMemo(() => {
+    if (!detailResults) return [];
+
+    const tokenOffset = positions.length * 2;
+    const tokens = Object.fromEntries(assets.map((asset, i) => [asset, {
+      symbol: resultOf(detailResults[tokenOffset + i * 2]) || shortId(asset),
+      decimals: resultOf(detailResults[tokenOffset + i * 2 + 1]) ?? 18,
+    }]));
+    const now = Date.now();
+
+    return positions.map(({ id, position, status, statusError, executed }, i) => toOptionView({
+      id,
+      position,
+      status,
+      statusError,
+      executed,
+      optionConfig: resultOf(detailResults[i * 2]),
+      stopLossConfig: resultOf(detailResults[i * 2 + 1]),
+      makerToken: tokens[position.makerAsset],
+      takerToken: tokens[position.takerAsset],
+      now,
+    }));
+  }, [positions, assets, detailResults]);
+
+  const refetch = async () => {
+    await refetchIds();
+    await refetchOptions();
+  };
+
+  return {
+    options,
+    isDeployed,
+    isLoading: idsLoading || optionsLoading || detailsLoading || (positions.length > 0 && !detailResults),
+    error: idsError || optionsError || detailsError,
+    refetch,
+  };
+};
+
+export default useProtectedOptions;
@@ -0,0 +1,113 @@
+import { useCallback, useRef, useState } from 'react';
+import { usePublicClient } from 'wagmi';
+import { decodeEventLog } from 'viem';
+import { toast } from 'react-hot-toast';
+import { formatError } from '../utils/errors';
+
+// Confirmations to wait for before treating a transaction as final
+const CONFIRMATIONS = 1;
+
+/**
+ * Arguments of the first `eventName` event a contract emitted in a receipt
+ * @param {object} receipt Transaction receipt
+ * @param {string} address Emitting contract
+ * @param {Array} abi ABI declaring the event
+ * @param {string} eventName e.g. 'ProtectedOptionCreated'
+ */
+export const findEvent = (receipt, address, abi, eventName) => {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address.toLowerCase()) continue;
+    try {
+      const event = decodeEventLog({ abi, data: log.data, topics: log.topics });
+      if (event.eventName === eventName) return event.args;
+    } catch {
+      // Events the ABI does not declare
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Replays a reverted transaction against the state it ran on to recover its custom error
+ */
+const revertReason = async (publicClient, receipt) => {
+  try {
+    const transaction = await publicClient.getTransaction({ hash: receipt.transactionHash });
+    await publicClient.call({
+      account: transaction.from,
+      to: transaction.to,
+      data: transaction.input,
+      value: transaction.value,
+      blockNumber: receipt.blockNumber - 1n,
+    });
+    return undefined;
+  } catch (error) {
+    return formatError(error);
+  }
+};
+
+/**
+ * Follows one kind of write from the wallet's hash to a final receipt. Status moves from 'idle' to
+ * 'pending' when the hash arrives, then 'confirmed', 'reverted', 'replaced' (the wallet sped up or
+ * cancelled it with another transaction) or 'failed'. Each step is toasted, with reverts decoded
+ * by utils/errors into a message and a suggested fix.
+ *
+ * Usage: `useContractWrite({ ..., onSuccess: ({ hash }) => tx.track(hash), onError: tx.fail })`
+ *
+ * @param {string} action What the transaction does, e.g. 'Create option'
+ * @param {Function} [onConfirmed] Called with the receipt once the transaction is mined successfully
+ */
+const useTransaction = (action, onConfirmed) => {
+  const publicClient = usePublicClient();
+  const [state, setState] = useState({ status: 'idle', hash: undefined, receipt: undefined, error: undefined });
+  // Latest callback without re-creating `track` on every render
+  const onConfirmedRef = useRef(onConfirmed);
+  onConfirmedRef.current = onConfirmed;
+
+  const fail = useCallback((error) => {
+    console.error(`${action} failed:`, error);
+    setState((prev) => ({ ...prev, status: 'failed', error }));
+    toast.error(`${action} failed: ${formatError(error)}`);
+  }, [action]);
+
+  const track = useCallback(async (hash) => {
+    setState({ status: 'pending', hash, receipt: undefined, error: undefined });
+    const toastId = toast.loading(`${action}: waiting for confirmation...`);
+    let replaced = false;
+
+    try {
+      const receipt = await publicClient.waitForTransactionReceipt({
+        hash,
+        confirmations: CONFIRMATIONS,
+        onReplaced: (replacement) => {
+          // A repriced transaction does the same thing; anything else no longer does what was asked
+          replaced = replacement.reason !== 'repriced';
+          setState((prev) => ({ ...prev, hash: replacement.transaction.hash }));
+        },
+      });
+
+      if (replaced) {
+        setState((prev) => ({ ...prev, status: 'replaced', receipt }));
+        toast.error(`${action}: the transaction was replaced in the wallet`, { id: toastId });
+      } else if (receipt.status === 'reverted') {
+        const reason = await revertReason(publicClient, receipt);
+        setState((prev) => ({ ...prev, status: 'reverted', receipt }));
+        toast.error(`${action} reverted${reason ? `: ${reason}` : ''}`, { id: toastId });
+      } else {
+        setState((prev) => ({ ...prev, status: 'confirmed', receipt }));
+        toast.success(`${action} confirmed`, { id: toastId });
+        onConfirmedRef.current?.(receipt);
+      }
+      return receipt;
+    } catch (error) {
+      console.error(`${action} failed:`, error);
+      setState((prev) => ({ ...prev, status: 'failed', error }));
+      toast.error(`${action} failed: ${formatError(error)}`, { id: toastId });
+      return undefined;
+    }
+  }, [action, publicClient]);
+
+  return { ...state, isPending: state.status === 'pending', track, fail };
+};
+
+export default useTransaction;
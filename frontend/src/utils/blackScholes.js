@@ -0,0 +1,83 @@
+// Black-Scholes pricing for European calls and puts.
+// Pure functions with no dependencies, shared by the create form and the Node tooling/tests.
+// Uses the same normal CDF approximation as contracts/libraries/BlackScholes.sol so
+// client-side quotes line up with OptionsCalculator.quotePremium.
+
+export const SECONDS_PER_YEAR = 365 * 24 * 60 * 60;
+
+// Abramowitz & Stegun 26.2.17, absolute error below 7.5e-8
+const P = 0.2316419;
+const B = [0.31938153, -0.356563782, 1.781477937, -1.821255978, 1.330274429];
+
+export const normPdf = (x) => Math.exp(-(x * x) / 2) / Math.sqrt(2 * Math.PI);
+
+export const normCdf = (x) => {
+  if (x < 0) return 1 - normCdf(-x);
+
+  const t = 1 / (1 + P * x);
+  const polynomial = B.reduceRight((acc, b) => (acc + b) * t, 0);
+  return 1 - normPdf(x) * polynomial;
+};
+
+export const secondsToYears = (seconds) => seconds / SECONDS_PER_YEAR;
+
+/**
+ * Fair premium and Greeks of one unit of underlying.
+ * @param {object} params
+ * @param {boolean} params.isCall Call (true) or put (false)
+ * @param {number} params.spot Current price of the underlying
+ * @param {number} params.strike Strike price
+ * @param {number} params.timeToExpiry Time to expiration in years (see secondsToYears)
+ * @param {number} params.volatility Annualised implied volatility, 0.8 = 80%
+ * @param {number} [params.riskFreeRate=0] Annualised continuously compounded rate, 0.05 = 5%
+ * @returns {{ premium: number, delta: number, gamma: number, theta: number, vega: number, rho: number }}
+ *   theta per calendar day, vega per volatility point (1%), rho per rate point (1%)
+ */
+export const blackScholes = ({ isCall, spot, strike, timeToExpiry, volatility, riskFreeRate = 0 }) => {
+  if (!(spot > 0) || !(strike > 0)) throw new Error('Spot and strike must be positive');
+  if (!(timeToExpiry >= 0) || !(volatility >= 0)) throw new Error('Time to expiry and volatility cannot be negative');
+
+  // Expired or zero volatility: only intrinsic value is left
+  if (timeToExpiry === 0 || volatility === 0) {
+    const intrinsic = isCall ? Math.max(spot - strike, 0) : Math.max(strike - spot, 0);
+    return {
+      premium: intrinsic,
+      delta: intrinsic > 0 ? (isCall ? 1 : -1) : 0,
+      gamma: 0,
+      theta: 0,
+      vega: 0,
+      rho: 0
+    };
+  }
+
+  const volSqrtT = volatility * Math.sqrt(timeToExpiry);
+  const d1 = (Math.log(spot / strike) + (riskFreeRate + (volatility * volatility) / 2) * timeToExpiry) / volSqrtT;
+  const d2 = d1 - volSqrtT;
+  const discount = Math.exp(-riskFreeRate * timeToExpiry);
+  const density = normPdf(d1);
+
+  const gamma = density / (spot * volSqrtT);
+  const vega = (spot * density * Math.sqrt(timeToExpiry)) / 100;
+  const decay = -(spot * density * volatility) / (2 * Math.sqrt(timeToExpiry));
+
+  if (isCall) {
+    return {
+      // The CDF approximation can leave deep out-of-the-money quotes marginally negative
+      premium: Math.max(spot * normCdf(d1) - strike * discount * normCdf(d2), 0),
+      delta: normCdf(d1),
+      gamma,
+      theta: (decay - riskFreeRate * strike * discount * normCdf(d2)) / 365,
+      vega,
+      rho: (strike * timeToExpiry * discount * normCdf(d2)) / 100
+    };
+  }
+
+  return {
+    premium: Math.max(strike * discount * normCdf(-d2) - spot * normCdf(-d1), 0),
+    delta: normCdf(d1) - 1,
+    gamma,
+    theta: (decay + riskFreeRate * strike * discount * normCdf(-d2)) / 365,
+    vega,
+    rho: -(strike * timeToExpiry * discount * normCdf(-d2)) / 100
+  };
+};
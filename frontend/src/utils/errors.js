@@ -0,0 +1,203 @@
+// Custom errors of the protocol contracts, keyed by selector.
+// Each entry has a stable code, a readable message and a suggested fix. decodeError finds the revert
+// data in errors thrown by viem (the React app), ethers (scripts, keeper) or a wallet, and classifies
+// everything else (rejections, RPC congestion, require strings, panics) the same way.
+// Pure functions on top of ethers, shared by the React app and the Node tooling/tests.
+
+import { Interface, id } from 'ethers';
+
+// [signature, code, message, fix]; errors shared by several contracts have one entry per signature
+const ERROR_DEFINITIONS = [
+  // ProtectedOptionManager
+  ['InvalidOptionDuration()', 'INVALID_OPTION_DURATION', 'The option duration is outside the allowed range', 'Choose a duration between 1 hour and 30 days'],
+  ['OptionNotFound()', 'OPTION_NOT_FOUND', 'No protected option exists with this ID', 'Check the option ID and the connected network'],
+  ['OptionNotActive()', 'OPTION_NOT_ACTIVE', 'The option is no longer active', 'It was executed, cancelled or stopped out; refresh to see its status'],
+  ['OptionExpired()', 'OPTION_EXPIRED', 'The option has expired', 'Expired options can only be cancelled, which returns the collateral to the maker'],
+  ['UnauthorizedAccess()', 'UNAUTHORIZED_ACCESS', 'This wallet is not allowed to perform this action', 'Only the maker can cancel or withdraw, only the holder can execute, and makers cannot buy their own options'],
+  ['StopLossTriggered()', 'STOP_LOSS_TRIGGERED', 'The stop-loss has triggered', 'The option can no longer be bought or executed; trigger the stop-loss to return the collateral'],
+  ['InsufficientAmount()', 'INSUFFICIENT_AMOUNT', 'The amount is zero or more than the option allows', 'Enter a positive amount no larger than the remaining collateral'],
+  ['InvalidConfiguration()', 'INVALID_CONFIGURATION', 'The token addresses or stop-loss window are invalid', 'Pick both tokens and keep the stop-loss window between 1 minute and 30 days'],
+  ['OptionAlreadySold()', 'OPTION_ALREADY_SOLD', 'The option has already been bought', 'Pick another option from the dashboard'],
+  ['InvalidPermit()', 'INVALID_PERMIT', 'The collateral permit signature was rejected', 'Sign the permit again, or approve the collateral instead'],
+  ['InvalidBatchSize()', 'INVALID_BATCH_SIZE', 'A batch must hold between 1 and 20 options', 'Split the ladder into several batches'],
+
+  // OptionsCalculator
+  ['InvalidOptionConfig()', 'INVALID_OPTION_CONFIG', 'The option is inactive or its strike, expiry or oracle is invalid', 'Use a positive strike, a future expiry and a price feed address'],
+  ['InvalidVolatility()', 'INVALID_VOLATILITY', 'The implied volatility is out of range', 'Enter a volatility of at most 1000%'],
+  ['StalePrice()', 'STALE_PRICE', 'The oracle price is too old', 'Wait for the price feed to update, or use an oracle adapter with a fallback feed'],
+  ['UnauthorizedCaller()', 'UNAUTHORIZED_CALLER', 'The caller is not authorized on the calculator or stop-loss contract', 'Run scripts/setup-permissions.js to authorize the manager and the integration'],
+
+  // StopLossProtection
+  ['InvalidStopLossConfig()', 'INVALID_STOP_LOSS_CONFIG', 'The stop-loss price or oracle is missing', 'Enter a stop-loss price above zero and pick a price feed'],
+  ['InvalidMaxLoss()', 'INVALID_MAX_LOSS', 'The maximum loss or trailing distance is out of range', 'Enter between 0.01% and 90% (1 to 9000 basis points)'],
+  ['InvalidTimeWindow()', 'INVALID_TIME_WINDOW', 'The stop-loss time window is too short', 'Use a window of at least 60 seconds'],
+  ['StopLossNotActive()', 'STOP_LOSS_NOT_ACTIVE', 'The stop-loss is no longer active', 'It already triggered or its option was closed'],
+  ['NotTrailingStop()', 'NOT_TRAILING_STOP', 'Only trailing stops can be updated', 'Fixed stop-losses keep the price they were created with'],
+  ['StopLossNotTriggered()', 'STOP_LOSS_NOT_TRIGGERED', 'The stop-loss has not triggered', 'The price must stay past the stop for the whole time window'],
+
+  // OneinchProtectedOptionsIntegration
+  ['InvalidExtraData()', 'INVALID_EXTRA_DATA', 'The limit order does not reference a protected option', 'Rebuild the order with buildProtectedOptionOrder'],
+  ['InsufficientPayoff()', 'INSUFFICIENT_PAYOFF', 'The fill pays less than the option is worth', 'Increase the taking amount to at least the quoted price'],
+  ['OptionOutOfMoney()', 'OPTION_OUT_OF_MONEY', 'The option is out of the money', 'Wait until the price moves past the strike'],
+
+  // ProtectedOptionPosition
+  ['UnauthorizedMinter()', 'UNAUTHORIZED_MINTER', 'Only the manager can mint or update position tokens', 'Buy the option through ProtectedOptionManager'],
+
+  // OracleAdapter and CrossRateOracle
+  ['InvalidFeedConfig()', 'INVALID_FEED_CONFIG', 'The price feed settings are invalid', 'Use two different non-zero feeds, staleness limits above zero and a deviation of at most 100%'],
+  ['NoValidPrice()', 'NO_VALID_PRICE', 'Neither price feed has a fresh answer', 'Wait for one of the feeds to update'],
+  ['PriceDeviationTooHigh(int256,int256)', 'PRICE_DEVIATION_TOO_HIGH', 'The primary and fallback feeds disagree', 'Wait for the feeds to converge, or raise the adapter\'s maximum deviation'],
+  ['StalePrice(address)', 'STALE_FEED', 'One of the pair\'s price feeds is too old', 'Wait for that feed to update'],
+  ['InvalidPrice(address)', 'INVALID_FEED_PRICE', 'One of the pair\'s price feeds reported a non-positive price', 'Check the feed before using the pair'],
+  ['RoundNotFound(uint80)', 'ROUND_NOT_FOUND', 'No feed history covers the requested time', 'Use a shorter stop-loss window'],
+
+  // Permit2, pulling collateral for createProtectedOptionWithPermit
+  ['SignatureExpired(uint256)', 'PERMIT_EXPIRED', 'The collateral permit has expired', 'Sign a new permit'],
+  ['InvalidNonce()', 'PERMIT_NONCE_USED', 'The collateral permit was already used', 'Sign a new permit'],
+  ['InvalidSigner()', 'INVALID_PERMIT_SIGNER', 'The collateral permit was signed by another wallet or for other terms', 'Sign the permit again from the maker wallet'],
+  ['InvalidSignatureLength()', 'INVALID_PERMIT_SIGNATURE', 'The collateral permit signature is malformed', 'Sign the permit again'],
+
+  // OpenZeppelin
+  ['OwnableUnauthorizedAccount(address)', 'NOT_OWNER', 'Only the contract owner can do this', 'Send the transaction from the owner account'],
+  ['OwnableInvalidOwner(address)', 'INVALID_OWNER', 'The new owner address is invalid', 'Transfer ownership to a non-zero address'],
+  ['ReentrancyGuardReentrantCall()', 'REENTRANT_CALL', 'The contract was re-entered', 'Call the manager directly rather than from a token callback'],
+  ['SafeERC20FailedOperation(address)', 'TOKEN_TRANSFER_FAILED', 'A token transfer failed', 'Check the token balance and the allowance given to the manager'],
+  ['ERC721NonexistentToken(uint256)', 'NONEXISTENT_POSITION', 'The position token does not exist', 'Only bought options have a position token'],
+  ['ERC721IncorrectOwner(address,uint256,address)', 'NOT_POSITION_OWNER', 'This wallet does not own the position token', 'Switch to the wallet holding the position'],
+  ['ERC721InsufficientApproval(address,uint256)', 'POSITION_NOT_APPROVED', 'This wallet may not transfer the position token', 'Transfer from the owner, or have the owner approve this wallet'],
+  ['ERC721InvalidReceiver(address)', 'INVALID_POSITION_RECEIVER', 'The recipient cannot receive position tokens', 'Send to a wallet or a contract implementing onERC721Received'],
+  ['ERC721InvalidSender(address)', 'INVALID_POSITION_SENDER', 'The position token was sent from an invalid address', 'Transfer from the current owner'],
+  ['ERC721InvalidOwner(address)', 'INVALID_POSITION_OWNER', 'The zero address cannot own position tokens', 'Use a non-zero address'],
+  ['ERC721InvalidApprover(address)', 'INVALID_POSITION_APPROVER', 'This wallet may not approve the position token', 'Approve from the owner of the position'],
+  ['ERC721InvalidOperator(address)', 'INVALID_POSITION_OPERATOR', 'The operator address is invalid', 'Use a non-zero operator'],
+  ['ERC721OutOfBoundsIndex(address,uint256)', 'POSITION_INDEX_OUT_OF_BOUNDS', 'No position token at this index', 'Read balanceOf first and stay below it'],
+  ['ERC721EnumerableForbiddenBatchMint()', 'BATCH_MINT_FORBIDDEN', 'Position tokens cannot be batch minted', 'Mint positions one at a time'],
+  ['StringsInsufficientHexLength(uint256,uint256)', 'HEX_LENGTH', 'A value did not fit the on-chain metadata', 'Report this as a bug'],
+  ['SafeCastOverflowedUintDowncast(uint8,uint256)', 'VALUE_OUT_OF_RANGE', 'A price or timestamp is too large to record', 'Check the oracle answer and stop-loss level'],
+  ['CheckpointUnorderedInsertion()', 'UNORDERED_STOP_LEVEL', 'A trailing stop level was recorded out of order', 'Report this as a bug'],
+];
+
+const ERROR_INTERFACE = new Interface(ERROR_DEFINITIONS.map(([signature]) => `error ${signature}`));
+
+export const PROTOCOL_ERRORS = Object.fromEntries(
+  ERROR_DEFINITIONS.map(([signature, code, message, fix]) => {
+    const selector = id(signature).slice(0, 10);
+    const name = signature.slice(0, signature.indexOf('('));
+    return [selector, { selector, signature, name, code, message, fix }];
+  })
+);
+
+// Solidity panic codes (Panic(uint256))
+const PANIC_MESSAGES = {
+  0x01: 'An internal assertion failed',
+  0x11: 'An arithmetic overflow or underflow occurred',
+  0x12: 'Division by zero',
+  0x32: 'An array index was out of bounds',
+};
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+// RPC failures that are worth retrying, reported by public Polygon endpoints under load
+const CONGESTION_PATTERN = /circuit breaker is open|rate limit|internal error|too many requests/i;
+const REJECTION_PATTERN = /user (rejected|denied)|rejected the request/i;
+
+const isRevertData = (value) => typeof value === 'string' && /^0x[0-9a-fA-F]{8}/.test(value);
+
+/**
+ * Revert data anywhere in an error thrown by viem, ethers, Hardhat or a wallet provider
+ * (`data`, ethers' `info.error.data`, viem's `cause` chain, nested `error` objects)
+ */
+export const findRevertData = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 6) return undefined;
+  if (isRevertData(error.data)) return error.data;
+  if (isRevertData(error.raw)) return error.raw;
+  // viem keeps only the selector of errors missing from the ABI it decoded with
+  if (isRevertData(error.signature)) return error.signature;
+
+  for (const nested of [error.data, error.error, error.cause, error.info?.error]) {
+    const data = findRevertData(nested, depth + 1);
+    if (data) return data;
+  }
+  return undefined;
+};
+
+// viem (ContractFunctionRevertedError.data) and ethers (error.revert) may have decoded the error already
+const findDecodedError = (error, depth = 0) => {
+  if (!error || typeof error !== 'object' || depth > 6) return undefined;
+  if (typeof error.data?.errorName === 'string') return { name: error.data.errorName, args: error.data.args ?? [] };
+  if (typeof error.revert?.name === 'string') return { name: error.revert.name, args: [...(error.revert.args ?? [])] };
+  return findDecodedError(error.cause, depth + 1) ?? findDecodedError(error.error, depth + 1);
+};
+
+const entryByName = (name, args) =>
+  Object.values(PROTOCOL_ERRORS).find(
+    (entry) => entry.name === name && ERROR_INTERFACE.getError(entry.signature).inputs.length === args.length
+  );
+
+/**
+ * Decodes revert data into its protocol error, a require() reason or a panic
+ * @param {string} data Revert data, starting with the 4-byte selector
+ * @returns {{ code, name, message, fix, args } | undefined} undefined for selectors the protocol does not use
+ */
+export const decodeRevertData = (data) => {
+  const selector = data.slice(0, 10).toLowerCase();
+
+  if (selector === ERROR_STRING_SELECTOR || selector === PANIC_SELECTOR) {
+    try {
+      const [value] = ERROR_INTERFACE.parseError(data).args;
+      return selector === ERROR_STRING_SELECTOR
+        ? { code: 'REVERT_REASON', name: 'Error', message: value, fix: undefined, args: [value] }
+        : { code: 'PANIC', name: 'Panic', message: PANIC_MESSAGES[Number(value)] ?? `Panic 0x${value.toString(16)}`, fix: 'Report this as a bug', args: [value] };
+    } catch {
+      return undefined;
+    }
+  }
+
+  const entry = PROTOCOL_ERRORS[selector];
+  if (!entry) return undefined;
+
+  let args = [];
+  try {
+    args = [...ERROR_INTERFACE.parseError(data).args];
+  } catch {
+    // Selector only (viem's `signature`), or truncated data
+  }
+  return { code: entry.code, name: entry.name, message: entry.message, fix: entry.fix, args };
+};
+
+/**
+ * Classifies any error thrown while reading or writing the contracts
+ * @returns {{ code: string, name?: string, message: string, fix?: string, args: Array }}
+ */
+export const decodeError = (error) => {
+  const decoded = findDecodedError(error);
+  const entry = decoded && entryByName(decoded.name, decoded.args);
+  if (entry) {
+    return { code: entry.code, name: entry.name, message: entry.message, fix: entry.fix, args: decoded.args };
+  }
+
+  const data = findRevertData(error);
+  const fromData = data && decodeRevertData(data);
+  if (fromData) return fromData;
+
+  const text = [error?.shortMessage, error?.message, error?.details].filter(Boolean).join(' ');
+  if (error?.name === 'UserRejectedRequestError' || error?.code === 4001 || error?.code === 'ACTION_REJECTED' || REJECTION_PATTERN.test(text)) {
+    return { code: 'USER_REJECTED', message: 'Transaction cancelled in the wallet', fix: undefined, args: [] };
+  }
+  if (CONGESTION_PATTERN.test(text)) {
+    return { code: 'NETWORK_CONGESTION', message: 'The RPC endpoint is overloaded', fix: 'Try again in a few seconds', args: [] };
+  }
+  if (decoded) {
+    return { code: 'UNKNOWN_CONTRACT_ERROR', name: decoded.name, message: decoded.name, fix: undefined, args: decoded.args };
+  }
+  return { code: 'UNKNOWN_ERROR', message: error?.shortMessage || error?.message || String(error), fix: undefined, args: [] };
+};
+
+/**
+ * One-line description of an error, with the suggested fix when there is one
+ */
+export const formatError = (error) => {
+  const { message, fix } = decodeError(error);
+  return fix ? `${message}. ${fix}` : message;
+};
@@ -0,0 +1,195 @@
+// Option ladders for createProtectedOptionBatch.
+// buildLadder spreads options over a strike range and a set of expiries with one stop-loss rule;
+// parseLadderCsv reads the same rows from a spreadsheet export. Rows are in display units
+// (prices in the quote currency, amounts in tokens) until toBatchRequests turns them into the
+// OptionRequest structs the contract takes, and validateBatch checks those like a single create.
+// Pure functions on top of ethers, shared by the ladder builder and the Node tooling/tests.
+
+/* global BigInt */
+
+import { parseUnits } from 'ethers';
+import { blackScholes, secondsToYears } from './blackScholes.js';
+import { PROTOCOL_ERRORS } from './errors.js';
+import { PRICE_DECIMALS, defaultMinFillPrice, minTakingAmountFor, validateOption } from './validation.js';
+
+// ProtectedOptionManager.MAX_BATCH_SIZE
+export const MAX_BATCH_SIZE = 20;
+
+// Column order of a ladder CSV; the header row and the last column are optional
+export const CSV_COLUMNS = ['type', 'strike', 'duration', 'collateral', 'premium', 'stop_loss', 'max_loss', 'min_price'];
+
+const DURATION_UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60, w: 7 * 24 * 60 * 60 };
+
+/**
+ * Seconds in a duration such as '3600', '12h', '7d' or '2w'
+ * @returns {number | undefined} undefined when the text is not a duration
+ */
+export const parseDuration = (text) => {
+  const match = /^(\d+)\s*([smhdw]?)$/i.exec(String(text).trim());
+  if (!match) return undefined;
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+};
+
+// Plain decimal text of a float, without exponent notation or float noise
+const toDecimal = (value, digits) => value.toFixed(digits).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+
+/**
+ * Rows of a ladder: every strike from `strikeFrom` to `strikeTo` in steps of `strikeStep`, at every
+ * duration, each on `collateral` tokens.
+ *
+ * The stop-loss rule is shared: `distance` basis points beyond the spot price, below it for calls
+ * and above it for puts. Trailing ladders use the distance as the trail; fixed ones place the stop
+ * that far from `spot` with `maxLoss` as the slippage limit. Premiums are the Black-Scholes value
+ * of the collateral when a `volatility` is given, else the flat `premium` per option. A shared
+ * `minFillPrice` sets every option's minimum payment per collateral token; without it each option
+ * gets defaultMinFillPrice.
+ *
+ * @param {object} params isCall, strikeFrom, strikeTo, strikeStep, durations (seconds),
+ *   collateral, stop { isTrailing, distance, maxLoss }, spot, premium or volatility (0.8 = 80%),
+ *   and optionally minFillPrice
+ * @returns {Array<object>} Rows { isCall, strike, duration, collateral, premium, isTrailing, stopLossPrice, maxLoss, minFillPrice }
+ */
+export const buildLadder = ({ isCall, strikeFrom, strikeTo, strikeStep, durations, collateral, stop, spot, premium, volatility, minFillPrice }) => {
+  const from = Number(strikeFrom);
+  const to = Number(strikeTo);
+  const step = Number(strikeStep);
+  if (!(from > 0) || !(to >= from)) throw new Error('Strike range must be positive and ascending');
+  if (!(step > 0) && to !== from) throw new Error('Strike step must be positive');
+  if (!(Number(collateral) > 0)) throw new Error('Collateral per option must be positive');
+  if (!stop.isTrailing && !(spot > 0)) throw new Error('A fixed stop-loss needs the spot price');
+
+  const strikes = [];
+  // Tolerates float drift so the last strike of e.g. 0.1 steps is not dropped
+  for (let i = 0; from + i * step <= to + step * 1e-9; i++) {
+    strikes.push(from + i * step);
+    if (!(step > 0)) break;
+  }
+
+  const distance = Number(stop.distance);
+  const stopLossPrice = stop.isTrailing
+    ? undefined
+    : toDecimal(spot * (isCall ? 10000 - distance : 10000 + distance) / 10000, PRICE_DECIMALS);
+
+  return durations.flatMap((duration) => strikes.map((strike) => ({
+    isCall,
+    strike: toDecimal(strike, PRICE_DECIMALS),
+    duration,
+    collateral: String(collateral),
+    premium: volatility === undefined
+      ? String(premium)
+      : toDecimal(blackScholes({ isCall, spot, strike, timeToExpiry: secondsToYears(duration), volatility }).premium * Number(collateral), 8),
+    isTrailing: !!stop.isTrailing,
+    stopLossPrice,
+    maxLoss: stop.isTrailing ? distance : Number(stop.maxLoss),
+    minFillPrice: minFillPrice ? String(minFillPrice) : undefined,
+  })));
+};
+
+const isNumber = (text) => /^\d+(\.\d+)?$/.test(text);
+
+/**
+ * Ladder rows from CSV text with the CSV_COLUMNS columns, e.g. `call,2100,7d,0.5,25,1950,500,100`.
+ * `stop_loss` is a price, or `trailing` to trail by `max_loss` basis points. `min_price` is the
+ * minimum payment per collateral token, defaultMinFillPrice when left out. Blank lines and lines
+ * starting with # are skipped.
+ * @returns {{ rows: Array<object>, errors: Array<{ line: number, message: string }> }} rows in
+ *   buildLadder's shape, and one error per line that could not be read (lines count from 1)
+ */
+export const parseLadderCsv = (text) => {
+  const rows = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const cells = raw.split(',').map((cell) => cell.trim());
+    if (cells.every((cell) => cell === '') || cells[0].startsWith('#')) return;
+    if (cells[0].toLowerCase() === CSV_COLUMNS[0]) return;
+
+    if (cells.length !== CSV_COLUMNS.length && cells.length !== CSV_COLUMNS.length - 1) {
+      errors.push({ line, message: `Expected ${CSV_COLUMNS.length - 1} or ${CSV_COLUMNS.length} columns (${CSV_COLUMNS.join(', ')}), got ${cells.length}` });
+      return;
+    }
+    const [type, strike, durationText, collateral, premium, stopLoss, maxLoss, minFillPrice = ''] = cells;
+    const duration = parseDuration(durationText);
+    const isTrailing = stopLoss.toLowerCase() === 'trailing';
+
+    const problem = (!['call', 'put'].includes(type.toLowerCase()) && `Unknown option type "${type}"; use call or put`)
+      || (!isNumber(strike) && `Strike "${strike}" is not a number`)
+      || (duration === undefined && `Duration "${durationText}" is not a number of seconds or like 12h / 7d`)
+      || (!isNumber(collateral) && `Collateral "${collateral}" is not a number`)
+      || (!isNumber(premium) && `Premium "${premium}" is not a number`)
+      || (!isTrailing && !isNumber(stopLoss) && `Stop-loss "${stopLoss}" is not a price or "trailing"`)
+      || (!/^\d+$/.test(maxLoss) && `Max loss "${maxLoss}" is not a whole number of basis points`)
+      || (minFillPrice !== '' && !isNumber(minFillPrice) && `Minimum price "${minFillPrice}" is not a number`);
+    if (problem) {
+      errors.push({ line, message: problem });
+      return;
+    }
+
+    rows.push({
+      isCall: type.toLowerCase() === 'call',
+      strike,
+      duration,
+      collateral,
+      premium,
+      isTrailing,
+      stopLossPrice: isTrailing ? undefined : stopLoss,
+      maxLoss: Number(maxLoss),
+      minFillPrice: minFillPrice || undefined,
+    });
+  });
+
+  return { rows, errors };
+};
+
+// parseUnits, dropping digits the token cannot hold
+const toUnits = (value, decimals) => {
+  const [whole, fraction = ''] = String(value).split('.');
+  return parseUnits(fraction ? `${whole}.${fraction.slice(0, decimals)}` : whole, decimals);
+};
+
+/**
+ * OptionRequest structs for createProtectedOptionBatch. Each option's minimum payment comes from
+ * its minFillPrice through minTakingAmountFor, as in the single create form.
+ * @param {Array<object>} rows From buildLadder or parseLadderCsv
+ * @param {object} pair makerAsset, takerAsset, oracle, collateralDecimals, paymentDecimals
+ */
+export const toBatchRequests = (rows, { makerAsset, takerAsset, oracle, collateralDecimals, paymentDecimals }) =>
+  rows.map((row) => {
+    const makingAmount = toUnits(row.collateral, collateralDecimals);
+    const strikePrice = toUnits(row.strike, PRICE_DECIMALS);
+    const minFillPrice = row.minFillPrice ? toUnits(row.minFillPrice, PRICE_DECIMALS) : defaultMinFillPrice({ strikePrice });
+    return {
+      isCall: row.isCall,
+      strikePrice,
+      premium: toUnits(row.premium, paymentDecimals),
+      optionDuration: BigInt(row.duration),
+      makerAsset,
+      takerAsset,
+      makingAmount,
+      minTakingAmount: minTakingAmountFor({ makingAmount, minFillPrice, collateralDecimals, paymentDecimals }),
+      isTrailing: row.isTrailing,
+      stopLossPrice: row.isTrailing ? 0n : toUnits(row.stopLossPrice, PRICE_DECIMALS),
+      maxLoss: BigInt(row.maxLoss),
+      oracle,
+    };
+  });
+
+// Total collateral a batch escrows, which is what has to be approved
+export const batchCollateral = (requests) => requests.reduce((total, request) => total + request.makingAmount, 0n);
+
+/**
+ * Checks a batch the way createProtectedOptionBatch would: its size, then every option with
+ * validateOption (see there for `round`)
+ * @param {object} [pair] collateralDecimals and paymentDecimals, to check the minimum payments
+ * @returns {{ batch?: { code, message, fix }, rows: Array<Object<string, { code, message, fix }>> }}
+ *   rows holds the errors of each request by field, empty for the ones that would succeed
+ */
+export const validateBatch = (requests, round, pair = {}) => {
+  const { collateralDecimals, paymentDecimals } = pair;
+  const rows = requests.map((request) => validateOption({ ...request, collateralDecimals, paymentDecimals }, round));
+  if (requests.length > 0 && requests.length <= MAX_BATCH_SIZE) return { rows };
+
+  const { code, message, fix } = Object.values(PROTOCOL_ERRORS).find((entry) => entry.code === 'INVALID_BATCH_SIZE');
+  return { batch: { code, message, fix }, rows };
+};
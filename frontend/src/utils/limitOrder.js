@@ -0,0 +1,330 @@
+// 1inch Limit Order Protocol v4 orders for protected options.
+// Builds the order struct, maker traits and extension that route the protocol's amount getters
+// and predicate through OneinchProtectedOptionsIntegration, and the EIP-712 payload the maker signs.
+// Pure functions on top of ethers, shared by the option page and the Node tooling/tests.
+
+/* global BigInt */
+
+import { AbiCoder, Interface, Signature, TypedDataEncoder, concat, getAddress, keccak256, toBeHex } from 'ethers';
+
+// Same address on every chain the protocol is deployed to
+export const LIMIT_ORDER_PROTOCOL_ADDRESS = '0x111111125421cA6dc452d289314280a0f8842A65';
+
+export const EIP712_DOMAIN_NAME = '1inch Limit Order Protocol';
+export const EIP712_DOMAIN_VERSION = '4';
+
+export const ORDER_TYPES = {
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'receiver', type: 'address' },
+    { name: 'makerAsset', type: 'address' },
+    { name: 'takerAsset', type: 'address' },
+    { name: 'makingAmount', type: 'uint256' },
+    { name: 'takingAmount', type: 'uint256' },
+    { name: 'makerTraits', type: 'uint256' },
+  ],
+};
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// MakerTraits layout (MakerTraitsLib.sol): flags in the high bits, then series, nonce, expiry
+// and the low 80 bits of the allowed sender
+const NO_PARTIAL_FILLS_FLAG = 1n << 255n;
+const ALLOW_MULTIPLE_FILLS_FLAG = 1n << 254n;
+const HAS_EXTENSION_FLAG = 1n << 249n;
+const EXPIRATION_OFFSET = 80n;
+const NONCE_OFFSET = 120n;
+const SERIES_OFFSET = 160n;
+const UINT40_MAX = (1n << 40n) - 1n;
+const UINT80_MAX = (1n << 80n) - 1n;
+const UINT160_MAX = (1n << 160n) - 1n;
+
+// TakerTraits layout (TakerTraitsLib.sol)
+const MAKER_AMOUNT_FLAG = 1n << 255n;
+const ARGS_HAS_TARGET_FLAG = 1n << 251n;
+const ARGS_EXTENSION_LENGTH_OFFSET = 224n;
+const ARGS_INTERACTION_LENGTH_OFFSET = 200n;
+const THRESHOLD_MASK = (1n << 185n) - 1n;
+
+// Extension fields in the order of their offsets (ExtensionLib.DynamicField)
+const EXTENSION_FIELDS = [
+  'makerAssetSuffix',
+  'takerAssetSuffix',
+  'makingAmountData',
+  'takingAmountData',
+  'predicate',
+  'makerPermit',
+  'preInteraction',
+  'postInteraction',
+];
+
+const LIMIT_ORDER_PROTOCOL_INTERFACE = new Interface([
+  'function arbitraryStaticCall(address target, bytes data) view returns (uint256)',
+]);
+
+const INTEGRATION_INTERFACE = new Interface([
+  'function protectedOptionPredicate(bytes extraData) view returns (bool)',
+]);
+
+const byteLength = (hex) => (hex.length - 2) / 2;
+
+const checkUint40 = (name, value) => {
+  if (value < 0n || value > UINT40_MAX) throw new Error(`${name} must fit in 40 bits`);
+  return value;
+};
+
+/**
+ * Packs the maker's fill rules into MakerTraits.
+ * @param {object} [params]
+ * @param {string} [params.allowedSender] Only this taker may fill (low 80 bits are compared); anyone by default
+ * @param {bigint|number} [params.expiry=0] Unix time after which the order cannot be filled, 0 for never
+ * @param {bigint|number} [params.nonce=0] Nonce or epoch, only checked for single-fill orders
+ * @param {bigint|number} [params.series=0] Epoch series
+ * @param {boolean} [params.allowPartialFills=true]
+ * @param {boolean} [params.allowMultipleFills=true] Track the remaining amount per order hash
+ * @returns {bigint}
+ */
+export const buildMakerTraits = ({
+  allowedSender = ZERO_ADDRESS,
+  expiry = 0,
+  nonce = 0,
+  series = 0,
+  allowPartialFills = true,
+  allowMultipleFills = true,
+} = {}) => (
+  (checkUint40('Series', BigInt(series)) << SERIES_OFFSET)
+  | (checkUint40('Nonce', BigInt(nonce)) << NONCE_OFFSET)
+  | (checkUint40('Expiry', BigInt(expiry)) << EXPIRATION_OFFSET)
+  | (BigInt(allowedSender) & UINT80_MAX)
+  | (allowPartialFills ? 0n : NO_PARTIAL_FILLS_FLAG)
+  | (allowMultipleFills ? ALLOW_MULTIPLE_FILLS_FLAG : 0n)
+);
+
+/**
+ * Encodes an order extension: 32 bytes of cumulative end offsets (one uint32 per field,
+ * lowest field first) followed by the fields themselves and any custom data.
+ * @param {object} fields Hex strings keyed by extension field name, missing fields are empty
+ * @returns {string} Extension bytes, '0x' when every field is empty
+ */
+export const buildExtension = (fields = {}, customData = '0x') => {
+  const values = EXTENSION_FIELDS.map((name) => fields[name] || '0x');
+  if (values.every((value) => value === '0x') && customData === '0x') return '0x';
+
+  let end = 0;
+  const offsets = values.reduce((acc, value, i) => {
+    end += byteLength(value);
+    return acc | (BigInt(end) << BigInt(32 * i));
+  }, 0n);
+
+  return concat([toBeHex(offsets, 32), ...values, customData]);
+};
+
+/**
+ * Builds an order and ties it to its extension: the lowest 160 bits of the salt must equal
+ * the lowest 160 bits of the extension hash, which is how the protocol authenticates it.
+ * @returns {{ order: object, extension: string }}
+ */
+export const buildOrder = ({
+  maker,
+  receiver = ZERO_ADDRESS,
+  makerAsset,
+  takerAsset,
+  makingAmount,
+  takingAmount,
+  makerTraits = buildMakerTraits(),
+}, extension = '0x') => {
+  const hasExtension = extension !== '0x';
+
+  return {
+    order: {
+      salt: hasExtension ? BigInt(keccak256(extension)) & UINT160_MAX : 1n,
+      maker: getAddress(maker),
+      receiver: getAddress(receiver),
+      makerAsset: getAddress(makerAsset),
+      takerAsset: getAddress(takerAsset),
+      makingAmount: BigInt(makingAmount),
+      takingAmount: BigInt(takingAmount),
+      makerTraits: hasExtension ? BigInt(makerTraits) | HAS_EXTENSION_FLAG : BigInt(makerTraits),
+    },
+    extension,
+  };
+};
+
+/**
+ * Same layout as OneinchProtectedOptionsIntegration.encodeProtectedOptionData
+ */
+export const encodeProtectedOptionData = ({ optionId, stopLossId, minPayoff = 0n, enforceStopLoss = true }) => (
+  AbiCoder.defaultAbiCoder().encode(
+    ['bytes32', 'bytes32', 'uint256', 'bool'],
+    [optionId, stopLossId, minPayoff, enforceStopLoss]
+  )
+);
+
+/**
+ * Order predicate calling integration.protectedOptionPredicate(extraData). LOP predicates are
+ * static calls back into the protocol: arbitraryStaticCall forwards to the integration and the
+ * predicate passes when it returns exactly 1 (true).
+ */
+export const buildProtectedOptionPredicate = (integration, extraData) => (
+  LIMIT_ORDER_PROTOCOL_INTERFACE.encodeFunctionData('arbitraryStaticCall', [
+    getAddress(integration),
+    INTEGRATION_INTERFACE.encodeFunctionData('protectedOptionPredicate', [extraData]),
+  ])
+);
+
+/**
+ * Limit order for a protected option. The integration prices every fill from the option payoff
+ * (makingAmountData / takingAmountData) and the predicate blocks fills while the option is out
+ * of the money or its stop-loss has triggered; the expiry is enforced through the maker traits.
+ * @param {object} params
+ * @param {string} params.maker Signer of the order; it pays the maker asset from its own balance
+ * @param {string} params.integration OneinchProtectedOptionsIntegration address
+ * @param {string} params.optionId OptionsCalculator config ID
+ * @param {string} params.stopLossId StopLossProtection config ID
+ * @param {bigint|number} params.expiresAt Option expiration (unix seconds)
+ * @param {bigint} params.makingAmount Collateral offered
+ * @param {bigint} params.takingAmount Nominal taker amount; actual amounts come from the integration
+ * @param {bigint} [params.minPayoff=0n] Smallest making amount the integration quotes per fill
+ * @param {boolean} [params.enforceStopLoss=true]
+ * @param {boolean} [params.allowPartialFills=true]
+ * @param {string} [params.allowedSender] Only this taker may fill, e.g. the option holder; anyone by default
+ * @returns {{ order: object, extension: string }}
+ */
+export const buildProtectedOptionOrder = ({
+  maker,
+  receiver,
+  makerAsset,
+  takerAsset,
+  makingAmount,
+  takingAmount,
+  integration,
+  optionId,
+  stopLossId,
+  expiresAt,
+  minPayoff = 0n,
+  enforceStopLoss = true,
+  allowPartialFills = true,
+  allowedSender,
+  nonce = 0,
+}) => {
+  const extraData = encodeProtectedOptionData({ optionId, stopLossId, minPayoff, enforceStopLoss });
+  const amountData = concat([getAddress(integration), extraData]);
+
+  const extension = buildExtension({
+    makingAmountData: amountData,
+    takingAmountData: amountData,
+    predicate: buildProtectedOptionPredicate(integration, extraData),
+  });
+
+  return buildOrder({
+    maker,
+    receiver,
+    makerAsset,
+    takerAsset,
+    makingAmount,
+    takingAmount,
+    makerTraits: buildMakerTraits({ allowedSender, expiry: expiresAt, nonce, allowPartialFills }),
+  }, extension);
+};
+
+/**
+ * EIP-712 payload for signTypedData (ethers signers and wagmi both take domain/types/message)
+ */
+export const buildOrderTypedData = (order, chainId, verifyingContract = LIMIT_ORDER_PROTOCOL_ADDRESS) => ({
+  domain: {
+    name: EIP712_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId: Number(chainId),
+    verifyingContract: getAddress(verifyingContract),
+  },
+  types: ORDER_TYPES,
+  primaryType: 'Order',
+  message: order,
+});
+
+/**
+ * Order hash as computed by LimitOrderProtocol.hashOrder
+ */
+export const hashOrder = (order, chainId, verifyingContract) => {
+  const { domain, types, message } = buildOrderTypedData(order, chainId, verifyingContract);
+  return TypedDataEncoder.hash(domain, types, message);
+};
+
+/**
+ * Signs an order with an ethers signer
+ * @returns {Promise<string>} 65-byte signature
+ */
+export const signOrder = async (signer, order, chainId, verifyingContract) => {
+  const { domain, types, message } = buildOrderTypedData(order, chainId, verifyingContract);
+  return signer.signTypedData(domain, types, message);
+};
+
+/**
+ * Splits a signature into the compact (r, vs) form fillOrder / fillOrderArgs take
+ */
+export const toCompactSignature = (signature) => {
+  const { r, yParityAndS } = Signature.from(signature);
+  return { r, vs: yParityAndS };
+};
+
+/**
+ * Taker-side fill settings for fillOrderArgs.
+ * @param {object} [params]
+ * @param {boolean} [params.makingAmount=false] `amount` is the making amount instead of the taking amount
+ * @param {bigint} [params.threshold=0n] Max taking amount (or min making amount with makingAmount), 0 for none
+ * @param {string} [params.target] Receiver of the maker asset, the taker by default
+ * @param {string} [params.extension='0x'] The order's extension, required when it has one
+ * @param {string} [params.interaction='0x'] Taker interaction
+ * @returns {{ traits: bigint, args: string }}
+ */
+export const buildTakerTraits = ({
+  makingAmount = false,
+  threshold = 0n,
+  target,
+  extension = '0x',
+  interaction = '0x',
+} = {}) => ({
+  traits: (BigInt(threshold) & THRESHOLD_MASK)
+    | (makingAmount ? MAKER_AMOUNT_FLAG : 0n)
+    | (target ? ARGS_HAS_TARGET_FLAG : 0n)
+    | (BigInt(byteLength(extension)) << ARGS_EXTENSION_LENGTH_OFFSET)
+    | (BigInt(byteLength(interaction)) << ARGS_INTERACTION_LENGTH_OFFSET),
+  args: concat([target ? getAddress(target) : '0x', extension, interaction]),
+});
+
+const ORDER_AMOUNT_FIELDS = ['salt', 'makingAmount', 'takingAmount', 'makerTraits'];
+
+/**
+ * JSON for sharing a signed order with takers; bigints are written as decimal strings
+ */
+export const serializeSignedOrder = ({ order, extension, signature, chainId, verifyingContract = LIMIT_ORDER_PROTOCOL_ADDRESS }) => (
+  JSON.stringify({
+    chainId: Number(chainId),
+    verifyingContract: getAddress(verifyingContract),
+    orderHash: hashOrder(order, chainId, verifyingContract),
+    order: Object.fromEntries(Object.entries(order).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])),
+    extension,
+    signature,
+  }, null, 2)
+);
+
+/**
+ * Reads a shared order back and checks that its extension and hash still match
+ */
+export const parseSignedOrder = (json) => {
+  const parsed = JSON.parse(json);
+  const order = {
+    ...parsed.order,
+    ...Object.fromEntries(ORDER_AMOUNT_FIELDS.map((key) => [key, BigInt(parsed.order[key])])),
+  };
+
+  if (parsed.extension !== '0x' && (BigInt(keccak256(parsed.extension)) & UINT160_MAX) !== (order.salt & UINT160_MAX)) {
+    throw new Error('Order extension does not match its salt');
+  }
+  if (hashOrder(order, parsed.chainId, parsed.verifyingContract) !== parsed.orderHash) {
+    throw new Error('Order hash mismatch');
+  }
+
+  return { ...parsed, order };
+};
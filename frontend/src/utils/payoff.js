@@ -0,0 +1,57 @@
+// Buyer P&L scenarios for a protected option, used by the payoff chart on the option page.
+// The stop-loss works like a knock-out: once the price is beyond it the option is cancelled,
+// the collateral goes back to the maker and the buyer is left with the premium paid.
+
+import { blackScholes } from './blackScholes.js';
+
+// How far the chart extends beyond the strike, spot and stop-loss levels
+const PRICE_RANGE = 0.3;
+
+export const isBeyondStop = (isCall, price, stopLossPrice) => {
+  if (!(stopLossPrice > 0)) return false;
+  // Calls carry a lower-bound stop, puts an upper-bound one
+  return isCall ? price <= stopLossPrice : price >= stopLossPrice;
+};
+
+export const breakEvenPrice = ({ isCall, strike, premium, amount }) => {
+  const premiumPerUnit = premium / amount;
+  return isCall ? strike + premiumPerUnit : strike - premiumPerUnit;
+};
+
+/**
+ * Buyer P&L at `price` for the whole position.
+ * @returns {{ price: number, atExpiry: number, withStopLoss: number, today: number | null }}
+ *   atExpiry ignores the stop-loss, withStopLoss knocks the option out beyond it and
+ *   today is the Black-Scholes value (with the stop-loss) when volatility is given
+ */
+export const payoffAt = ({ isCall, strike, premium, amount, stopLossPrice, timeToExpiry, volatility }, price) => {
+  const intrinsic = isCall ? Math.max(price - strike, 0) : Math.max(strike - price, 0);
+  const knockedOut = isBeyondStop(isCall, price, stopLossPrice);
+  const atExpiry = intrinsic * amount - premium;
+
+  let today = null;
+  if (volatility >= 0 && timeToExpiry >= 0) {
+    today = knockedOut
+      ? -premium
+      : blackScholes({ isCall, spot: price, strike, timeToExpiry, volatility }).premium * amount - premium;
+  }
+
+  return {
+    price,
+    atExpiry,
+    withStopLoss: knockedOut ? -premium : atExpiry,
+    today
+  };
+};
+
+/**
+ * Evenly spaced P&L scenarios covering the strike, spot, stop-loss and break-even levels
+ */
+export const buildPayoffCurve = (params, { spot, points = 81 } = {}) => {
+  const levels = [params.strike, spot, params.stopLossPrice, breakEvenPrice(params)].filter((level) => level > 0);
+  const low = Math.min(...levels) * (1 - PRICE_RANGE);
+  const high = Math.max(...levels) * (1 + PRICE_RANGE);
+  const step = (high - low) / (points - 1);
+
+  return Array.from({ length: points }, (_, i) => payoffAt(params, low + step * i));
+};
@@ -0,0 +1,109 @@
+// Collateral approvals for new options.
+// chooseApprovalMethod picks how the maker lets ProtectedOptionManager pull the collateral: an
+// allowance already in place, an EIP-2612 permit signed for the token itself, a Permit2 transfer
+// when the token is approved to Permit2, or an approve() transaction for exactly the amount.
+// The builders return the EIP-712 payloads to sign and the CollateralPermit struct that
+// createProtectedOptionWithPermit takes.
+// Pure functions on top of ethers, shared by the create form and the Node tooling/tests.
+
+import { TypedDataEncoder, randomBytes, toBigInt } from 'ethers';
+
+// Uniswap Permit2, deployed at the same address on every chain
+export const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+// ProtectedOptionManager.PermitType
+export const PERMIT_TYPE = { ERC2612: 0, PERMIT2: 1 };
+
+// How long a signed permit stays usable, in seconds
+export const PERMIT_VALIDITY = 30 * 60;
+
+export const ERC2612_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+export const PERMIT2_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+  ],
+};
+
+const erc2612Domain = ({ name, version, chainId, token }) => ({
+  name,
+  version,
+  chainId: Number(chainId),
+  verifyingContract: token,
+});
+
+/**
+ * Whether a token implements EIP-2612 with the given domain, i.e. its DOMAIN_SEPARATOR matches
+ * the one built from its name, EIP-712 version and chain. Tokens without permit, or with a
+ * non-standard one (DAI on Ethereum), fail the comparison and fall back to approvals.
+ * @param {object} token { name, version, chainId, token (address), domainSeparator }
+ */
+export const supportsErc2612 = ({ name, version, chainId, token, domainSeparator }) => {
+  if (!name || !version || !domainSeparator) return false;
+  return TypedDataEncoder.hashDomain(erc2612Domain({ name, version, chainId, token })).toLowerCase()
+    === domainSeparator.toLowerCase();
+};
+
+/**
+ * How the collateral gets to the manager, cheapest first
+ * @param {object} state amount, allowance (to the manager), supportsPermit (EIP-2612),
+ *   permit2Allowance (token allowance to Permit2) and allowPermit (false where the create
+ *   call has no permit variant)
+ * @returns {'allowance' | 'erc2612' | 'permit2' | 'approve'}
+ */
+export const chooseApprovalMethod = ({ amount, allowance = 0n, supportsPermit = false, permit2Allowance = 0n, allowPermit = true }) => {
+  if (allowance >= amount) return 'allowance';
+  if (allowPermit && supportsPermit) return 'erc2612';
+  if (allowPermit && permit2Allowance >= amount) return 'permit2';
+  return 'approve';
+};
+
+/**
+ * EIP-712 payload of an EIP-2612 permit for `value` tokens
+ */
+export const buildErc2612TypedData = ({ name, version, chainId, token, owner, spender, value, nonce, deadline }) => ({
+  domain: erc2612Domain({ name, version, chainId, token }),
+  types: ERC2612_TYPES,
+  primaryType: 'Permit',
+  message: { owner, spender, value, nonce, deadline },
+});
+
+/**
+ * EIP-712 payload of a Permit2 SignatureTransfer of `amount` tokens to `spender`
+ */
+export const buildPermit2TypedData = ({ chainId, token, amount, spender, nonce, deadline }) => ({
+  domain: { name: 'Permit2', chainId: Number(chainId), verifyingContract: PERMIT2_ADDRESS },
+  types: PERMIT2_TYPES,
+  primaryType: 'PermitTransferFrom',
+  message: { permitted: { token, amount }, spender, nonce, deadline },
+});
+
+// Permit2 nonces are unordered: a random 256-bit value is unused in practice
+export const randomPermit2Nonce = () => toBigInt(randomBytes(32));
+
+/**
+ * CollateralPermit struct for createProtectedOptionWithPermit
+ * @param {'erc2612' | 'permit2'} method
+ * @param {object} signed { signature, deadline, nonce (Permit2 only) }
+ */
+export const encodeCollateralPermit = (method, { signature, deadline, nonce = 0n }) => ({
+  permitType: method === 'permit2' ? PERMIT_TYPE.PERMIT2 : PERMIT_TYPE.ERC2612,
+  nonce: method === 'permit2' ? nonce : 0n,
+  deadline,
+  signature,
+});
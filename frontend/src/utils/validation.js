@@ -0,0 +1,219 @@
+// Pre-flight checks for createProtectedOption and createTrailingProtectedOption.
+// validateOption applies the rules ProtectedOptionManager, OptionsCalculator and StopLossProtection
+// enforce, plus the stop-loss side and oracle freshness against the latest round, and reports them
+// per form field. simulationErrors maps a revert from the eth_call simulation onto the same fields,
+// and fillPriceAt and the helpers after it turn the maker's minimum price into minTakingAmount.
+// Pure functions, shared by the create form and the Node tooling/tests.
+
+/* global BigInt */
+
+import { PROTOCOL_ERRORS, decodeError } from './errors.js';
+
+// ProtectedOptionManager
+export const MIN_OPTION_DURATION = 60 * 60; // 1 hour
+export const MAX_OPTION_DURATION = 30 * 24 * 60 * 60; // 30 days
+
+// StopLossProtection
+export const MAX_LOSS_BP = 9000; // 90%
+export const MAX_PRICE_AGE = 300; // Oldest oracle answer a stop-loss accepts, in seconds
+
+// Strikes and stop-loss prices are sent with 8 decimals (PriceScaling.sol)
+export const PRICE_DECIMALS = 8;
+
+// OptionsCalculator
+export const MIN_INTRINSIC_DIVISOR = 200000; // Intrinsic values up to strike / 200000 are dust and never filled
+export const MANAGER_MULTIPLIER = 1; // ProtectedOptionManager configures every option with this multiplier
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// The form field each protocol error points at; anything else is shown for the whole form
+const ERROR_FIELDS = {
+  INVALID_OPTION_DURATION: 'duration',
+  INSUFFICIENT_AMOUNT: 'collateralAmount',
+  INVALID_CONFIGURATION: 'assets',
+  INVALID_STOP_LOSS_CONFIG: 'stopLossPrice',
+  INVALID_MAX_LOSS: 'maxLoss',
+  STALE_PRICE: 'oracle',
+  STALE_FEED: 'oracle',
+  INVALID_FEED_PRICE: 'oracle',
+  NO_VALID_PRICE: 'oracle',
+  PRICE_DEVIATION_TOO_HIGH: 'oracle',
+};
+
+// OptionsCalculator.setOptionConfig and StopLossProtection use require() for these
+const REASON_FIELDS = {
+  'Invalid strike price': ['strikePrice', 'Enter a strike price above zero'],
+  'Invalid expiration': ['duration', 'Choose a longer duration'],
+  'Invalid oracle': ['oracle', 'Pick a pair with a price feed on this network'],
+  'Invalid price': ['oracle', 'The feed reported a non-positive price; use another price source'],
+};
+
+const protocolError = (code) => {
+  const { message, fix } = Object.values(PROTOCOL_ERRORS).find((entry) => entry.code === code);
+  return { code, message, fix };
+};
+
+const reasonError = (reason) => ({ code: 'REVERT_REASON', message: reason, fix: REASON_FIELDS[reason][1] });
+
+const toPriceDecimals = (answer, decimals) => {
+  if (decimals > PRICE_DECIMALS) return answer / 10n ** BigInt(decimals - PRICE_DECIMALS);
+  return answer * 10n ** BigInt(PRICE_DECIMALS - decimals);
+};
+
+/**
+ * Payment tokens OptionsCalculator charges per collateral token at an intrinsic value:
+ * strike * 100 / (intrinsic value * multiplier), which falls the deeper the option is in the money
+ * @param {object} params strikePrice and intrinsicValue (8 decimals), multiplier
+ * @returns {bigint} Fill price with PRICE_DECIMALS decimals
+ */
+export const fillPriceAt = ({ strikePrice, intrinsicValue, multiplier = MANAGER_MULTIPLIER }) =>
+  BigInt(strikePrice) * 100n * 10n ** BigInt(PRICE_DECIMALS) / (BigInt(intrinsicValue) * BigInt(multiplier));
+
+/**
+ * Suggested minimum fill price: the calculator's price where the intrinsic value reaches the strike,
+ * i.e. a put at zero or a call at twice the strike
+ * @returns {bigint} With PRICE_DECIMALS decimals
+ */
+export const defaultMinFillPrice = ({ strikePrice, multiplier = MANAGER_MULTIPLIER }) =>
+  fillPriceAt({ strikePrice, intrinsicValue: strikePrice, multiplier });
+
+/**
+ * Highest price the calculator ever charges: the fill price just above the dust intrinsic value.
+ * A minimum fill price above it blocks every fill.
+ * @returns {bigint} With PRICE_DECIMALS decimals
+ */
+export const maxFillPrice = ({ strikePrice, multiplier = MANAGER_MULTIPLIER }) =>
+  fillPriceAt({ strikePrice, intrinsicValue: BigInt(strikePrice) / BigInt(MIN_INTRINSIC_DIVISOR) + 1n, multiplier });
+
+/**
+ * Oracle price beyond which fills cost less than `minFillPrice` and revert with InsufficientAmount
+ * @param {object} params isCall, strikePrice and minFillPrice (8 decimals), multiplier
+ * @returns {bigint | undefined} Price with PRICE_DECIMALS decimals, above the strike for calls and
+ *   below it for puts; undefined when a put can be filled all the way down to zero
+ */
+export const fillLimitPrice = ({ isCall, strikePrice, minFillPrice, multiplier = MANAGER_MULTIPLIER }) => {
+  const strike = BigInt(strikePrice);
+  const maxIntrinsic = strike * 100n * 10n ** BigInt(PRICE_DECIMALS) / (BigInt(minFillPrice) * BigInt(multiplier));
+  if (isCall) return strike + maxIntrinsic;
+  return maxIntrinsic >= strike ? undefined : strike - maxIntrinsic;
+};
+
+/**
+ * minTakingAmount for `makingAmount` of collateral at a minimum fill price. executeProtectedOption
+ * applies it pro rata, so fills clear it until the price passes fillLimitPrice.
+ * @param {object} params makingAmount, minFillPrice (payment tokens per collateral token, 8 decimals),
+ *   collateralDecimals and paymentDecimals
+ * @returns {bigint} In payment token decimals
+ */
+export const minTakingAmountFor = ({ makingAmount, minFillPrice, collateralDecimals, paymentDecimals }) =>
+  BigInt(makingAmount) * BigInt(minFillPrice) * 10n ** BigInt(paymentDecimals)
+    / 10n ** BigInt(Number(collateralDecimals) + PRICE_DECIMALS);
+
+/**
+ * Checks the arguments of a create call against the rules the contracts enforce.
+ * @param {object} option Contract arguments: isCall, strikePrice (8 decimals), optionDuration (seconds),
+ *   makerAsset, takerAsset, makingAmount, minTakingAmount, stopLossPrice (8 decimals, fixed stops only),
+ *   maxLoss (basis points; the trailing distance for trailing stops), oracle and isTrailing. With
+ *   collateralDecimals and paymentDecimals, minTakingAmount is also checked against the fill price.
+ * @param {object} [round] Latest oracle round { answer, updatedAt, decimals } and the current time `now`,
+ *   both in seconds; the stop-loss side and freshness are only checked when it is given
+ * @returns {Object<string, { code, message, fix }>} Errors by field, empty when the call should succeed
+ */
+export const validateOption = (option, round) => {
+  const errors = {};
+  const add = (field, error) => {
+    if (!errors[field]) errors[field] = error;
+  };
+
+  const duration = BigInt(option.optionDuration ?? 0);
+  if (duration < BigInt(MIN_OPTION_DURATION) || duration > BigInt(MAX_OPTION_DURATION)) {
+    add('duration', protocolError('INVALID_OPTION_DURATION'));
+  }
+  const makingAmount = BigInt(option.makingAmount ?? 0);
+  const minTakingAmount = BigInt(option.minTakingAmount ?? 0);
+  if (makingAmount === 0n || minTakingAmount === 0n) add('collateralAmount', protocolError('INSUFFICIENT_AMOUNT'));
+  if (!option.makerAsset || option.makerAsset === ZERO_ADDRESS || !option.takerAsset || option.takerAsset === ZERO_ADDRESS) {
+    add('assets', protocolError('INVALID_CONFIGURATION'));
+  }
+  if (BigInt(option.strikePrice ?? 0) === 0n) add('strikePrice', reasonError('Invalid strike price'));
+
+  // Minimum payment per collateral token, comparable with the calculator's fill price
+  const hasDecimals = option.collateralDecimals !== undefined && option.paymentDecimals !== undefined;
+  const minFillPrice = hasDecimals && makingAmount > 0n && BigInt(option.strikePrice ?? 0) > 0n
+    ? minTakingAmount * 10n ** BigInt(Number(option.collateralDecimals) + PRICE_DECIMALS)
+      / (makingAmount * 10n ** BigInt(option.paymentDecimals))
+    : undefined;
+  if (minFillPrice !== undefined && minFillPrice > maxFillPrice({ strikePrice: option.strikePrice })) {
+    add('minFillPrice', {
+      code: 'MIN_PAYMENT_BLOCKS_FILLS',
+      message: 'The minimum payment is above any price the calculator charges, so the option could never be exercised',
+      fix: 'Lower the minimum price per collateral token',
+    });
+  }
+  if (!option.oracle || option.oracle === ZERO_ADDRESS) add('oracle', reasonError('Invalid oracle'));
+
+  const maxLoss = BigInt(option.maxLoss ?? 0);
+  if (maxLoss === 0n || maxLoss > BigInt(MAX_LOSS_BP)) add('maxLoss', protocolError('INVALID_MAX_LOSS'));
+
+  const stopLossPrice = BigInt(option.stopLossPrice ?? 0);
+  if (!option.isTrailing && stopLossPrice === 0n) add('stopLossPrice', protocolError('INVALID_STOP_LOSS_CONFIG'));
+
+  if (!round) return errors;
+
+  const answer = BigInt(round.answer);
+  if (answer <= 0n) {
+    add('oracle', reasonError('Invalid price'));
+    return errors;
+  }
+  // Trailing stops read the price as they are created and revert; a fixed stop on a stale feed
+  // could not be triggered until the feed updates
+  if (BigInt(round.now) - BigInt(round.updatedAt) > BigInt(MAX_PRICE_AGE)) {
+    add('oracle', protocolError('STALE_PRICE'));
+  }
+
+  // Calls carry a lower-bound stop and puts an upper-bound one; a stop already beyond the price
+  // could be triggered as soon as its window has passed
+  const price = toPriceDecimals(answer, Number(round.decimals ?? PRICE_DECIMALS));
+  if (!option.isTrailing && stopLossPrice > 0n) {
+    if (option.isCall && stopLossPrice >= price) {
+      add('stopLossPrice', {
+        code: 'STOP_LOSS_ABOVE_PRICE',
+        message: 'A call\'s stop-loss must be below the current oracle price',
+        fix: 'Lower the stop-loss price',
+      });
+    } else if (!option.isCall && stopLossPrice <= price) {
+      add('stopLossPrice', {
+        code: 'STOP_LOSS_BELOW_PRICE',
+        message: 'A put\'s stop-loss must be above the current oracle price',
+        fix: 'Raise the stop-loss price',
+      });
+    }
+  }
+
+  // Fills cost less the deeper in the money, so a floor can already be out of reach at today's price
+  if (minFillPrice !== undefined && minFillPrice > 0n) {
+    const limit = fillLimitPrice({ isCall: option.isCall, strikePrice: option.strikePrice, minFillPrice });
+    if (limit !== undefined && (option.isCall ? price > limit : price < limit)) {
+      add('minFillPrice', {
+        code: 'MIN_PAYMENT_BLOCKS_FILLS_NOW',
+        message: 'At the current oracle price a fill costs less than the minimum payment and would revert',
+        fix: 'Lower the minimum price per collateral token',
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Form field a failed simulation points at, with the decoded reason
+ * @param {Error} error Error from the eth_call simulation (viem, ethers or the wallet)
+ * @returns {Object<string, { code, message, fix }>} One entry, under 'form' when no field is at fault
+ */
+export const simulationErrors = (error) => {
+  const { code, message, fix } = decodeError(error);
+  if (code === 'REVERT_REASON' && REASON_FIELDS[message]) {
+    return { [REASON_FIELDS[message][0]]: reasonError(message) };
+  }
+  return { [ERROR_FIELDS[code] ?? 'form']: { code, message, fix } };
+};
@@ -7,14 +7,29 @@ require("dotenv").config();
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.24",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 1000000,
+    compilers: [
+      {
+        version: "0.8.24",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1000000,
+          },
+          viaIR: true,
+        },
       },
-      viaIR: true,
-    },
+      {
+        // 1inch Limit Order Protocol v4, compiled for the local fill tests (contracts/mocks/LimitOrderProtocol.sol)
+        version: "0.8.23",
+        settings: {
+          optimizer: {
+            enabled: true,
+            runs: 1000000,
+          },
+          viaIR: true,
+        },
+      },
+    ],
   },
   networks: {
     hardhat: {
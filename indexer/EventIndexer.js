@@ -0,0 +1,211 @@
+const { ethers } = require("ethers");
+
+// Indexed event fragments, taken from the ABIs exported to the frontend by scripts/export-abis.js
+// (ownership events are left out on purpose)
+const eventsOf = (abi, names) => abi.filter((item) => item.type === "event" && names.includes(item.name));
+
+const MANAGER_EVENTS = eventsOf(require("../frontend/src/contracts/abis/ProtectedOptionManager.json"), [
+  "ProtectedOptionCreated",
+  "ProtectedOptionPurchased",
+  "ProtectedOptionTransferred",
+  "ProtectedOptionExecuted",
+  "ProtectedOptionFilled",
+  "CollateralWithdrawn",
+  "ProtectedOptionCancelled",
+  "StopLossActivated"
+]);
+
+const STOP_LOSS_EVENTS = eventsOf(require("../frontend/src/contracts/abis/StopLossProtection.json"), [
+  "StopLossConfigured",
+  "StopLossTriggered",
+  "StopLossDeactivated",
+  "TrailingStopUpdated"
+]);
+
+/**
+ * @title EventIndexer
+ * @dev Scans ProtectedOptionManager and StopLossProtection logs into a JsonStore.
+ * Resumes from the store's last processed block and rolls back when the block
+ * hashes it recorded no longer match the chain (e.g. after evm_revert on Hardhat).
+ */
+class EventIndexer {
+  constructor({
+    provider,
+    store,
+    managerAddress,
+    stopLossAddress,
+    startBlock = 0,
+    batchSize = 2000,
+    confirmations = 0,
+    logger = console
+  }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+    this.logger = logger;
+
+    this.contracts = {
+      [ethers.getAddress(managerAddress)]: {
+        name: "ProtectedOptionManager",
+        iface: new ethers.Interface(MANAGER_EVENTS)
+      },
+      [ethers.getAddress(stopLossAddress)]: {
+        name: "StopLossProtection",
+        iface: new ethers.Interface(STOP_LOSS_EVENTS)
+      }
+    };
+
+    this._timer = null;
+    this._syncing = false;
+  }
+
+  /**
+   * @dev Binds the store to the provider's chain; must be called before sync()
+   */
+  async initialize() {
+    const { chainId } = await this.provider.getNetwork();
+    this.chainId = Number(chainId);
+    this.store.initialize(this.chainId, Object.keys(this.contracts));
+  }
+
+  /**
+   * @dev Indexes every confirmed block not yet processed
+   * @return processed Number of new events stored
+   */
+  async sync() {
+    if (this._syncing) return 0;
+    this._syncing = true;
+
+    try {
+      const head = (await this.provider.getBlockNumber()) - this.confirmations;
+      await this._handleReorg(head);
+
+      let processed = 0;
+      let fromBlock = this._nextBlock();
+
+      while (fromBlock <= head) {
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+        processed += await this._indexRange(fromBlock, toBlock);
+        fromBlock = toBlock + 1;
+      }
+
+      return processed;
+    } finally {
+      this._syncing = false;
+    }
+  }
+
+  /**
+   * @dev Polls the chain every `intervalMs` until stop() is called
+   */
+  start(intervalMs = 4000) {
+    const tick = async () => {
+      try {
+        const processed = await this.sync();
+        if (processed > 0) {
+          this.logger.log(`Indexed ${processed} events up to block ${this.store.lastBlock}`);
+        }
+      } catch (error) {
+        this.logger.error("Indexer sync failed:", error.message);
+      }
+      if (this._timer) this._timer = setTimeout(tick, intervalMs);
+    };
+
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _nextBlock() {
+    const lastBlock = this.store.lastBlock;
+    return lastBlock === null ? this.startBlock : lastBlock + 1;
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({
+      address: Object.keys(this.contracts),
+      fromBlock,
+      toBlock
+    });
+
+    const blocks = {};
+    const getBlock = async (number) => {
+      if (!blocks[number]) blocks[number] = await this.provider.getBlock(number);
+      return blocks[number];
+    };
+
+    const events = [];
+    for (const log of logs) {
+      const contract = this.contracts[ethers.getAddress(log.address)];
+      const parsed = contract.iface.parseLog(log);
+      if (!parsed) continue;
+
+      const block = await getBlock(log.blockNumber);
+      events.push({
+        id: `${log.transactionHash}-${log.index}`,
+        contract: contract.name,
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: block.timestamp,
+        args: this._serializeArgs(parsed)
+      });
+    }
+
+    events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    // Always remember the range's last block so the next sync can check it for reorgs
+    const lastBlock = await getBlock(toBlock);
+    const blockHashes = Object.fromEntries(
+      Object.values(blocks).map((block) => [block.number, block.hash])
+    );
+    blockHashes[lastBlock.number] = lastBlock.hash;
+
+    this.store.commit(events, toBlock, blockHashes);
+    return events.length;
+  }
+
+  async _handleReorg(head) {
+    const lastBlock = this.store.lastBlock;
+    if (lastBlock === null || this.store.recentBlocks.length === 0) return;
+
+    // Walk back through the recorded hashes until one still matches the chain
+    const recent = [...this.store.recentBlocks].reverse();
+    for (const { number, hash } of recent) {
+      if (number > head) continue;
+
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        if (number < lastBlock) {
+          this.logger.warn(`Reorg detected, rolling back from block ${lastBlock} to ${number}`);
+          this.store.rollback(number);
+        }
+        return;
+      }
+    }
+
+    // No common ancestor in the recorded window: rebuild from scratch
+    this.logger.warn(`Reorg deeper than the recorded window, re-indexing from block ${this.startBlock}`);
+    this.store.rollback(this.startBlock - 1);
+  }
+
+  _serializeArgs(parsed) {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return args;
+  }
+}
+
+module.exports = EventIndexer;
+module.exports.MANAGER_EVENTS = MANAGER_EVENTS;
+module.exports.STOP_LOSS_EVENTS = STOP_LOSS_EVENTS;
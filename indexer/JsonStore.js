@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+
+const STORE_VERSION = 1;
+
+/**
+ * @title JsonStore
+ * @dev File-backed store for indexed events. Keeps the last processed block and a
+ * window of recent block hashes so the indexer can detect and roll back reorgs.
+ */
+class JsonStore {
+  constructor(filePath, { maxRecentBlocks = 128 } = {}) {
+    this.filePath = filePath;
+    this.maxRecentBlocks = maxRecentBlocks;
+    this.state = this._load();
+  }
+
+  get lastBlock() {
+    return this.state.lastBlock;
+  }
+
+  get events() {
+    return this.state.events;
+  }
+
+  get recentBlocks() {
+    return this.state.recentBlocks;
+  }
+
+  /**
+   * @dev Binds the store to a chain, wiping it if it was built against a different one
+   */
+  initialize(chainId, contracts) {
+    const sameChain = this.state.chainId === chainId;
+    const sameContracts = JSON.stringify(this.state.contracts) === JSON.stringify(contracts);
+
+    if (!sameChain || !sameContracts) {
+      this.state = this._emptyState();
+      this.state.chainId = chainId;
+      this.state.contracts = contracts;
+      this.save();
+    }
+  }
+
+  /**
+   * @dev Appends a processed block range atomically
+   * @param events Decoded events in the range, ordered by block and log index
+   * @param toBlock Last block of the range
+   * @param blockHashes Hashes of blocks seen in the range, keyed by block number
+   */
+  commit(events, toBlock, blockHashes) {
+    this.state.events.push(...events);
+    this.state.lastBlock = toBlock;
+
+    for (const [number, hash] of Object.entries(blockHashes)) {
+      this.state.recentBlocks.push({ number: Number(number), hash });
+    }
+    this.state.recentBlocks.sort((a, b) => a.number - b.number);
+    this.state.recentBlocks = this.state.recentBlocks.slice(-this.maxRecentBlocks);
+
+    this.save();
+  }
+
+  /**
+   * @dev Drops everything above `blockNumber` (used when a reorg is detected)
+   */
+  rollback(blockNumber) {
+    this.state.events = this.state.events.filter((event) => event.blockNumber <= blockNumber);
+    this.state.recentBlocks = this.state.recentBlocks.filter((block) => block.number <= blockNumber);
+    this.state.lastBlock = blockNumber;
+    this.save();
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpFile = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpFile, this.filePath);
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return this._emptyState();
+
+    const state = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    if (state.version !== STORE_VERSION) return this._emptyState();
+    return state;
+  }
+
+  _emptyState() {
+    return {
+      version: STORE_VERSION,
+      chainId: null,
+      contracts: null,
+      lastBlock: null,
+      recentBlocks: [],
+      events: []
+    };
+  }
+}
+
+module.exports = JsonStore;
@@ -0,0 +1,97 @@
+const path = require("path");
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+const { findDeploymentByNetwork } = require("../scripts/registry");
+
+const JsonStore = require("./JsonStore");
+const EventIndexer = require("./EventIndexer");
+const { createServer } = require("./server");
+
+/**
+ * @title Protected Options event indexer
+ * @dev Indexes ProtectedOptionManager / StopLossProtection events and serves them over HTTP.
+ *
+ * Environment:
+ *   INDEXER_NETWORK        network name of the deployment registry entry to index (default: localhost)
+ *   INDEXER_RPC_URL        JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ *   MANAGER_ADDRESS        ProtectedOptionManager address (overrides the registry)
+ *   STOP_LOSS_ADDRESS      StopLossProtection address (overrides the registry)
+ *   INDEXER_START_BLOCK    first block to scan (default: the registry's deployment block, else 0)
+ *   INDEXER_CONFIRMATIONS  blocks to wait before indexing (default: 0)
+ *   INDEXER_DATA_FILE      JSON store location (default: data/indexer-<network>.json)
+ *   INDEXER_PORT           HTTP port (default: 4000)
+ *   INDEXER_POLL_INTERVAL  polling interval in ms (default: 4000)
+ */
+function loadConfig() {
+  const network = process.env.INDEXER_NETWORK || "localhost";
+  const deployment = findDeploymentByNetwork(network);
+  const contracts = deployment ? deployment.contracts : {};
+
+  const config = {
+    network,
+    rpcUrl: process.env.INDEXER_RPC_URL || "http://127.0.0.1:8545",
+    managerAddress: process.env.MANAGER_ADDRESS || contracts.PROTECTED_OPTION_MANAGER,
+    stopLossAddress: process.env.STOP_LOSS_ADDRESS || contracts.STOP_LOSS_PROTECTION,
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK || deployment?.blockNumber || "0", 10),
+    confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || "0", 10),
+    dataFile: process.env.INDEXER_DATA_FILE || path.join(__dirname, "..", "data", `indexer-${network}.json`),
+    port: parseInt(process.env.INDEXER_PORT || "4000", 10),
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL || "4000", 10)
+  };
+
+  if (!config.managerAddress || !config.stopLossAddress) {
+    throw new Error(
+      `No contract addresses for ${network}: deploy first or set MANAGER_ADDRESS and STOP_LOSS_ADDRESS`
+    );
+  }
+
+  return config;
+}
+
+async function main() {
+  const config = loadConfig();
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const store = new JsonStore(config.dataFile);
+  const indexer = new EventIndexer({
+    provider,
+    store,
+    managerAddress: config.managerAddress,
+    stopLossAddress: config.stopLossAddress,
+    startBlock: config.startBlock,
+    confirmations: config.confirmations
+  });
+
+  await indexer.initialize();
+  console.log(`🔎 Indexing ${config.network} (chain ${indexer.chainId}) from block ${store.lastBlock ?? config.startBlock}`);
+  console.log(`ProtectedOptionManager: ${config.managerAddress}`);
+  console.log(`StopLossProtection: ${config.stopLossAddress}`);
+
+  indexer.start(config.pollInterval);
+
+  const server = createServer(indexer);
+  server.listen(config.port, () => {
+    console.log(`📡 Query API listening on http://localhost:${config.port}`);
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  JsonStore,
+  EventIndexer,
+  createServer
+};
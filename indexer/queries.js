@@ -0,0 +1,211 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @dev Folds the raw event log into one history record per protected option
+ * @param events Indexed events in chain order
+ * @return options Option histories keyed by protectedOptionId
+ */
+function buildOptionHistories(events) {
+  const options = new Map();
+  const byStopLossId = new Map();
+
+  for (const event of events) {
+    const { args } = event;
+
+    switch (event.event) {
+      case "ProtectedOptionCreated": {
+        const staged = takeStaged(byStopLossId, args.stopLossId);
+        const option = {
+          protectedOptionId: args.protectedOptionId,
+          optionId: args.optionId,
+          stopLossId: args.stopLossId,
+          maker: args.maker,
+          isCall: args.isCall,
+          status: "ACTIVE",
+          createdAt: event.timestamp,
+          createdBlock: event.blockNumber,
+          createdTx: event.transactionHash,
+          stopLoss: staged.stopLoss,
+          events: [...staged.events, summarizeEvent(event)]
+        };
+        options.set(args.protectedOptionId, option);
+        byStopLossId.set(args.stopLossId, option);
+        break;
+      }
+      case "ProtectedOptionExecuted":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.status = "EXECUTED";
+          option.executedAt = event.timestamp;
+          option.taker = args.taker;
+        });
+        break;
+      case "ProtectedOptionPurchased":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.holder = args.holder;
+          option.premium = args.premium;
+          option.purchasedAt = event.timestamp;
+        });
+        break;
+      case "ProtectedOptionTransferred":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.holder = args.to;
+        });
+        break;
+      case "ProtectedOptionFilled":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.fills = (option.fills || 0) + 1;
+          option.remainingMakingAmount = args.remainingMakingAmount;
+        });
+        break;
+      case "CollateralWithdrawn":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.remainingMakingAmount = args.remainingMakingAmount;
+        });
+        break;
+      case "ProtectedOptionCancelled":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.status = "CANCELLED";
+          option.cancelledAt = event.timestamp;
+          option.cancelReason = args.reason;
+        });
+        break;
+      case "StopLossActivated":
+        updateOption(options, args.protectedOptionId, event, (option) => {
+          option.stopLoss.triggeredAt = event.timestamp;
+          option.stopLoss.triggerPrice = args.triggerPrice;
+        });
+        break;
+      case "StopLossConfigured":
+      case "StopLossTriggered":
+      case "StopLossDeactivated":
+      case "TrailingStopUpdated":
+        applyStopLossEvent(byStopLossId, event);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return options;
+}
+
+// StopLossConfigured is emitted before ProtectedOptionCreated in the same transaction,
+// so stop-loss state is staged here until the option record exists
+function takeStaged(byStopLossId, stopLossId) {
+  const staged = byStopLossId.get(stopLossId);
+  byStopLossId.delete(stopLossId);
+  return staged || { stopLoss: { isActive: true }, events: [] };
+}
+
+function applyStopLossEvent(byStopLossId, event) {
+  const { args } = event;
+  let target = byStopLossId.get(args.stopLossId);
+  if (!target) {
+    target = { stopLoss: { isActive: true }, events: [] };
+    byStopLossId.set(args.stopLossId, target);
+  }
+
+  if (event.event === "StopLossConfigured") {
+    target.stopLoss.stopLossPrice = args.stopLossPrice;
+    target.stopLoss.maxLoss = args.maxLoss;
+    target.stopLoss.isLowerBound = args.isLowerBound;
+  } else if (event.event === "TrailingStopUpdated") {
+    target.stopLoss.isTrailing = true;
+    target.stopLoss.stopLossPrice = args.stopLossPrice;
+    target.stopLoss.referencePrice = args.referencePrice;
+  } else if (event.event === "StopLossTriggered") {
+    // Firing a stop-loss also deactivates it
+    target.stopLoss.isActive = false;
+    target.stopLoss.triggeredAt = event.timestamp;
+    target.stopLoss.triggerPrice = args.currentPrice;
+  } else {
+    target.stopLoss.isActive = false;
+  }
+  target.events.push(summarizeEvent(event));
+}
+
+function updateOption(options, protectedOptionId, event, update) {
+  const option = options.get(protectedOptionId);
+  if (!option) return;
+  update(option);
+  option.events.push(summarizeEvent(event));
+}
+
+function summarizeEvent(event) {
+  return {
+    event: event.event,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+    timestamp: event.timestamp,
+    args: event.args
+  };
+}
+
+function paginate(items, { page, pageSize }) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const current = Math.max(parseInt(page, 10) || 1, 1);
+  const start = (current - 1) * size;
+
+  return {
+    items: items.slice(start, start + size),
+    page: current,
+    pageSize: size,
+    total: items.length,
+    totalPages: Math.ceil(items.length / size)
+  };
+}
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @dev Lists option histories, newest first
+ * @param filters maker, holder, status, isCall ("true"/"false"), page, pageSize
+ */
+function queryOptions(events, filters = {}) {
+  let options = [...buildOptionHistories(events).values()];
+
+  if (filters.maker) options = options.filter((o) => sameAddress(o.maker, filters.maker));
+  if (filters.holder) options = options.filter((o) => !!o.holder && sameAddress(o.holder, filters.holder));
+  if (filters.status) options = options.filter((o) => o.status === filters.status.toUpperCase());
+  if (filters.isCall !== undefined) options = options.filter((o) => String(o.isCall) === String(filters.isCall));
+
+  options.sort((a, b) => b.createdBlock - a.createdBlock);
+  return paginate(options, filters);
+}
+
+function getOption(events, protectedOptionId) {
+  const options = buildOptionHistories(events);
+  for (const [id, option] of options) {
+    if (id.toLowerCase() === protectedOptionId.toLowerCase()) return option;
+  }
+  return null;
+}
+
+/**
+ * @dev Lists raw events, newest first
+ * @param filters event, contract, protectedOptionId, stopLossId, fromBlock, toBlock, page, pageSize
+ */
+function queryEvents(events, filters = {}) {
+  let result = events;
+
+  if (filters.event) result = result.filter((e) => e.event === filters.event);
+  if (filters.contract) result = result.filter((e) => e.contract === filters.contract);
+  if (filters.protectedOptionId) {
+    result = result.filter((e) => e.args.protectedOptionId?.toLowerCase() === filters.protectedOptionId.toLowerCase());
+  }
+  if (filters.stopLossId) {
+    result = result.filter((e) => e.args.stopLossId?.toLowerCase() === filters.stopLossId.toLowerCase());
+  }
+  if (filters.fromBlock !== undefined) result = result.filter((e) => e.blockNumber >= Number(filters.fromBlock));
+  if (filters.toBlock !== undefined) result = result.filter((e) => e.blockNumber <= Number(filters.toBlock));
+
+  return paginate([...result].reverse(), filters);
+}
+
+module.exports = {
+  buildOptionHistories,
+  queryOptions,
+  getOption,
+  queryEvents
+};
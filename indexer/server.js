@@ -0,0 +1,80 @@
+const http = require("http");
+const { queryOptions, getOption, queryEvents } = require("./queries");
+
+/**
+ * @dev Creates the read-only HTTP API over an indexer's store
+ *
+ *   GET /health                 sync status
+ *   GET /options                option histories (maker, holder, status, isCall, page, pageSize)
+ *   GET /options/:id            one option history with its events
+ *   GET /events                 raw events (event, contract, protectedOptionId, stopLossId,
+ *                               fromBlock, toBlock, page, pageSize)
+ */
+function createServer(indexer) {
+  const { store } = indexer;
+
+  const routes = [
+    {
+      pattern: /^\/health$/,
+      handler: () => ({
+        chainId: indexer.chainId,
+        lastBlock: store.lastBlock,
+        events: store.events.length
+      })
+    },
+    {
+      pattern: /^\/options$/,
+      handler: (params, query) => queryOptions(store.events, query)
+    },
+    {
+      pattern: /^\/options\/(0x[0-9a-fA-F]{64})$/,
+      handler: ([id]) => getOption(store.events, id)
+    },
+    {
+      pattern: /^\/events$/,
+      handler: (params, query) => queryEvents(store.events, query)
+    }
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+
+    // The React app is served from a different origin
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Content-Type", "application/json");
+
+    if (req.method === "OPTIONS") {
+      res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+      res.writeHead(204);
+      return res.end();
+    }
+
+    if (req.method !== "GET") {
+      res.writeHead(405);
+      return res.end(JSON.stringify({ error: "Method not allowed" }));
+    }
+
+    for (const { pattern, handler } of routes) {
+      const match = url.pathname.match(pattern);
+      if (!match) continue;
+
+      try {
+        const result = handler(match.slice(1), Object.fromEntries(url.searchParams));
+        if (result === null) {
+          res.writeHead(404);
+          return res.end(JSON.stringify({ error: "Option not found" }));
+        }
+        res.writeHead(200);
+        return res.end(JSON.stringify(result));
+      } catch (error) {
+        res.writeHead(500);
+        return res.end(JSON.stringify({ error: error.message }));
+      }
+    }
+
+    res.writeHead(404);
+    res.end(JSON.stringify({ error: "Not found" }));
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,292 @@
+const { ethers } = require("ethers");
+
+const MANAGER_ABI = require("../frontend/src/contracts/abis/ProtectedOptionManager.json");
+const STOP_LOSS_ABI = require("../frontend/src/contracts/abis/StopLossProtection.json");
+const CALCULATOR_ABI = require("../frontend/src/contracts/abis/OptionsCalculator.json");
+
+// cancelProtectedOption reverts with errors from the manager and both of its dependencies,
+// so merge their custom errors in (skipping shared names like UnauthorizedAccess)
+const withErrorsFrom = (abi, ...others) => {
+  const names = new Set(abi.filter((item) => item.type === "error").map((item) => item.name));
+  const extra = others.flat().filter((item) => item.type === "error" && !names.has(item.name) && names.add(item.name));
+  return [...abi, ...extra];
+};
+
+const KEEPER_ABI = withErrorsFrom(MANAGER_ABI, STOP_LOSS_ABI, CALCULATOR_ABI);
+
+// canExecuteOption reasons that make an option cancellable by anyone
+const CANCEL_REASONS = {
+  "Option expired": "expired",
+  "Stop-loss triggered": "stop-loss"
+};
+
+// canExecuteOption reasons after which the option can never be cancelled again
+const FINAL_REASONS = ["Option not active", "Already executed"];
+
+// ethers error codes of a failed send worth resubmitting; reverts (CALL_EXCEPTION) are not
+const RETRYABLE_SEND_CODES = [
+  "NETWORK_ERROR",
+  "SERVER_ERROR",
+  "TIMEOUT",
+  "UNKNOWN_ERROR",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED"
+];
+
+// ethers error codes after which a broadcast cancellation may still be mined
+const RETRYABLE_WAIT_CODES = ["NETWORK_ERROR", "SERVER_ERROR", "TIMEOUT", "UNKNOWN_ERROR"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// frontend/src/utils/errors.js is an ES module; it is imported before the first cycle
+let decodeError;
+const loadErrorDecoder = async () => {
+  if (!decodeError) ({ decodeError } = await import("../frontend/src/utils/errors.js"));
+};
+
+/**
+ * @title CancellationKeeper
+ * @dev Cancels protected options as soon as their stop-loss triggers or they expire, which
+ * returns the escrowed collateral to the maker. Active options are tracked from manager events;
+ * the tracked set is only a cache, every cancellation is checked against chain state first,
+ * so reorgs at most cost an extra canExecuteOption call. A cancellation is only resent when
+ * sending it failed; once broadcast, the keeper waits on that transaction, across cycles if needed.
+ */
+class CancellationKeeper {
+  constructor({
+    provider,
+    signer,
+    managerAddress,
+    startBlock = 0,
+    batchSize = 2000,
+    maxGasPrice = ethers.parseUnits("100", "gwei"),
+    maxRetries = 3,
+    retryDelayMs = 1000,
+    logger = console
+  }) {
+    this.provider = provider;
+    this.signer = signer;
+    this.manager = new ethers.Contract(managerAddress, KEEPER_ABI, provider);
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.maxGasPrice = maxGasPrice;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.logger = logger;
+
+    this.active = new Map();
+    this.pending = new Map(); // Broadcast cancellations not yet confirmed, by option
+    this.lastBlock = null;
+
+    this._timer = null;
+    this._polling = false;
+  }
+
+  /**
+   * @dev Runs one keeper cycle: syncs the tracked options, then cancels every cancellable one
+   * @return cancelled Number of options cancelled in this cycle
+   */
+  async poll() {
+    if (this._polling) return 0;
+    this._polling = true;
+
+    try {
+      await loadErrorDecoder();
+      await this._syncOptions();
+
+      let cancelled = 0;
+      for (const protectedOptionId of [...this.active.keys()]) {
+        if (await this._checkOption(protectedOptionId)) cancelled++;
+      }
+      return cancelled;
+    } finally {
+      this._polling = false;
+    }
+  }
+
+  /**
+   * @dev Polls the chain every `intervalMs` until stop() is called
+   */
+  start(intervalMs = 15000) {
+    const tick = async () => {
+      try {
+        await this.poll();
+      } catch (error) {
+        this.logger.error("Keeper cycle failed:", error.message);
+      }
+      if (this._timer) this._timer = setTimeout(tick, intervalMs);
+    };
+
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  // Scans new blocks in batches of `batchSize`, like the indexer, so RPC log range limits are never hit
+  async _syncOptions() {
+    const head = await this.provider.getBlockNumber();
+    let fromBlock = this.lastBlock === null ? this.startBlock : this.lastBlock + 1;
+
+    while (fromBlock <= head) {
+      const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      const [created, executed, cancelled] = await Promise.all([
+        this.manager.queryFilter(this.manager.filters.ProtectedOptionCreated(), fromBlock, toBlock),
+        this.manager.queryFilter(this.manager.filters.ProtectedOptionExecuted(), fromBlock, toBlock),
+        this.manager.queryFilter(this.manager.filters.ProtectedOptionCancelled(), fromBlock, toBlock)
+      ]);
+
+      for (const event of created) {
+        this.active.set(event.args.protectedOptionId, { maker: event.args.maker });
+      }
+      for (const event of [...executed, ...cancelled]) {
+        this.active.delete(event.args.protectedOptionId);
+        this.pending.delete(event.args.protectedOptionId);
+      }
+
+      this.lastBlock = toBlock;
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  async _checkOption(protectedOptionId) {
+    let canExecute;
+    let reason;
+    try {
+      [canExecute, reason] = await this.manager.canExecuteOption(protectedOptionId);
+    } catch (error) {
+      // Usually a stale oracle; the stop-loss cannot be evaluated until the feed updates
+      this.logger.warn(`Skipping ${protectedOptionId}: status check failed (${this._describeError(error)})`);
+      return false;
+    }
+
+    if (canExecute) return false;
+
+    if (FINAL_REASONS.includes(reason)) {
+      this.active.delete(protectedOptionId);
+      this.pending.delete(protectedOptionId);
+      return false;
+    }
+
+    const trigger = CANCEL_REASONS[reason];
+    if (!trigger) return false;
+
+    return this._cancel(protectedOptionId, trigger);
+  }
+
+  async _cancel(protectedOptionId, trigger) {
+    // An earlier cycle broadcast a cancellation; wait for it unless the node has dropped it
+    const pendingTx = this.pending.get(protectedOptionId);
+    if (pendingTx) {
+      if (await this.provider.getTransaction(pendingTx.hash)) return this._confirm(protectedOptionId, trigger, pendingTx);
+      this.logger.warn(`Cancellation of ${protectedOptionId} in ${pendingTx.hash} was dropped, sending it again`);
+      this.pending.delete(protectedOptionId);
+    }
+
+    const from = await this.signer.getAddress();
+    const data = this.manager.interface.encodeFunctionData("cancelProtectedOption", [protectedOptionId]);
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+
+      // Simulate first so reverts never cost gas; on a retry this also catches a failed send that
+      // reached the chain after all
+      try {
+        await this.manager.cancelProtectedOption.staticCall(protectedOptionId, { from });
+      } catch (error) {
+        this.logger.warn(`Not cancelling ${protectedOptionId} (${trigger}): simulation reverted with ${this._describeError(error)}`);
+        if (decodeError(error).code === "OPTION_NOT_ACTIVE") this.active.delete(protectedOptionId);
+        return false;
+      }
+
+      const fees = await this._feeOverrides();
+      if (!fees) {
+        this.logger.warn(`Deferring ${protectedOptionId} (${trigger}): gas price above cap of ${ethers.formatUnits(this.maxGasPrice, "gwei")} gwei`);
+        return false;
+      }
+
+      let tx;
+      try {
+        tx = await this.signer.sendTransaction({ to: await this.manager.getAddress(), data, ...fees });
+      } catch (error) {
+        const retryable = RETRYABLE_SEND_CODES.includes(error.code) && attempt < this.maxRetries;
+        this.logger.error(
+          `Cancellation of ${protectedOptionId} failed (attempt ${attempt + 1}/${this.maxRetries + 1}): ${this._describeError(error)}`
+        );
+        if (!retryable) return false;
+        continue;
+      }
+
+      this.logger.log(`Cancelling ${protectedOptionId} (${trigger}) in ${tx.hash}`);
+      this.pending.set(protectedOptionId, tx);
+      return this._confirm(protectedOptionId, trigger, tx);
+    }
+
+    return false;
+  }
+
+  // Waits for a broadcast cancellation. Transient errors keep waiting on the same transaction,
+  // which is left pending for the next cycle if they persist
+  async _confirm(protectedOptionId, trigger, tx) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+
+      let receipt;
+      try {
+        receipt = await tx.wait();
+      } catch (error) {
+        this.logger.error(
+          `Waiting for cancellation of ${protectedOptionId} in ${tx.hash} failed (attempt ${attempt + 1}/${this.maxRetries + 1}): ${this._describeError(error)}`
+        );
+        if (RETRYABLE_WAIT_CODES.includes(error.code)) continue;
+
+        // Replaced or otherwise final; the next cycle checks the option again
+        this.pending.delete(protectedOptionId);
+        return false;
+      }
+
+      this.pending.delete(protectedOptionId);
+      if (receipt.status !== 1) {
+        this.logger.error(`Cancellation of ${protectedOptionId} reverted in ${tx.hash}`);
+        return false;
+      }
+
+      const { maker } = this.active.get(protectedOptionId) || {};
+      this.active.delete(protectedOptionId);
+      this.logger.log(
+        `Cancelled ${protectedOptionId} (${trigger}) in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}; collateral returned to ${maker}`
+      );
+      return true;
+    }
+
+    this.logger.warn(`Still waiting for cancellation of ${protectedOptionId} in ${tx.hash}; checking again next cycle`);
+    return false;
+  }
+
+  // Caps what the keeper pays per gas; returns null while the network price is above the cap
+  async _feeOverrides() {
+    const feeData = await this.provider.getFeeData();
+    const currentPrice = feeData.gasPrice ?? feeData.maxFeePerGas;
+    if (currentPrice !== null && currentPrice > this.maxGasPrice) return null;
+
+    if (feeData.maxFeePerGas !== null) {
+      const maxFeePerGas = feeData.maxFeePerGas < this.maxGasPrice ? feeData.maxFeePerGas : this.maxGasPrice;
+      const priorityFee = feeData.maxPriorityFeePerGas ?? 0n;
+      return {
+        maxFeePerGas,
+        maxPriorityFeePerGas: priorityFee < maxFeePerGas ? priorityFee : maxFeePerGas
+      };
+    }
+    return { gasPrice: currentPrice };
+  }
+
+  // Custom errors are named and explained (see frontend/src/utils/errors.js)
+  _describeError(error) {
+    const { name, message } = decodeError(error);
+    return name ? `${name}: ${message}` : message;
+  }
+}
+
+module.exports = CancellationKeeper;
@@ -0,0 +1,88 @@
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+const CancellationKeeper = require("./CancellationKeeper");
+const { findDeploymentByNetwork } = require("../scripts/registry");
+
+/**
+ * @title Protected Options keeper
+ * @dev Cancels options whose stop-loss has triggered or that have expired, returning the
+ * escrowed collateral to their makers.
+ *
+ * Environment:
+ *   KEEPER_NETWORK             network name of the deployment registry entry to watch (default: localhost)
+ *   KEEPER_RPC_URL             JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ *   KEEPER_PRIVATE_KEY         key that pays for cancellations (default: the node's first account on localhost)
+ *   MANAGER_ADDRESS            ProtectedOptionManager address (overrides the registry)
+ *   KEEPER_START_BLOCK         first block to scan for options (default: the registry's deployment block, else 0)
+ *   KEEPER_POLL_INTERVAL       polling interval in ms (default: 15000)
+ *   KEEPER_MAX_GAS_PRICE_GWEI  highest gas price the keeper pays (default: 100)
+ *   KEEPER_MAX_RETRIES         resubmissions after transient RPC errors (default: 3)
+ */
+function loadConfig() {
+  const network = process.env.KEEPER_NETWORK || "localhost";
+  const deployment = findDeploymentByNetwork(network);
+
+  const config = {
+    network,
+    rpcUrl: process.env.KEEPER_RPC_URL || "http://127.0.0.1:8545",
+    privateKey: process.env.KEEPER_PRIVATE_KEY,
+    managerAddress: process.env.MANAGER_ADDRESS || deployment?.contracts.PROTECTED_OPTION_MANAGER,
+    startBlock: parseInt(process.env.KEEPER_START_BLOCK || deployment?.blockNumber || "0", 10),
+    pollInterval: parseInt(process.env.KEEPER_POLL_INTERVAL || "15000", 10),
+    maxGasPrice: ethers.parseUnits(process.env.KEEPER_MAX_GAS_PRICE_GWEI || "100", "gwei"),
+    maxRetries: parseInt(process.env.KEEPER_MAX_RETRIES || "3", 10)
+  };
+
+  if (!config.managerAddress) {
+    throw new Error(`No ProtectedOptionManager address for ${network}: deploy first or set MANAGER_ADDRESS`);
+  }
+  if (!config.privateKey && network !== "localhost") {
+    throw new Error(`KEEPER_PRIVATE_KEY is required on ${network}`);
+  }
+
+  return config;
+}
+
+async function main() {
+  const config = loadConfig();
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const signer = config.privateKey
+    ? new ethers.Wallet(config.privateKey, provider)
+    : await provider.getSigner(0);
+
+  const keeper = new CancellationKeeper({
+    provider,
+    signer,
+    managerAddress: config.managerAddress,
+    startBlock: config.startBlock,
+    maxGasPrice: config.maxGasPrice,
+    maxRetries: config.maxRetries
+  });
+
+  console.log(`🤖 Keeper watching ${config.network} from block ${config.startBlock}`);
+  console.log(`ProtectedOptionManager: ${config.managerAddress}`);
+  console.log(`Keeper account: ${await signer.getAddress()}`);
+  console.log(`Gas price cap: ${ethers.formatUnits(config.maxGasPrice, "gwei")} gwei`);
+
+  keeper.start(config.pollInterval);
+
+  const shutdown = () => {
+    keeper.stop();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  CancellationKeeper
+};
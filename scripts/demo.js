@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 async function main() {
   console.log("🚀 1inch Protected Options Demo");
@@ -25,6 +26,10 @@ async function main() {
     await stopLossProtection.getAddress()
   );
   
+  const ProtectedOptionPosition = await ethers.getContractFactory("ProtectedOptionPosition");
+  const positionToken = await ProtectedOptionPosition.deploy(await protectedOptionManager.getAddress());
+  await protectedOptionManager.setPositionToken(await positionToken.getAddress());
+  
   const OneinchProtectedOptionsIntegration = await ethers.getContractFactory("OneinchProtectedOptionsIntegration");
   const integration = await OneinchProtectedOptionsIntegration.deploy(
     await optionsCalculator.getAddress(),
@@ -102,6 +107,11 @@ async function main() {
   
   console.log(`✅ Protected option created with ID: ${protectedOptionId}\n`);
 
+  // Bob pays Alice the premium and receives the position token, which makes him the holder
+  await protectedOptionManager.connect(bob).buyProtectedOption(protectedOptionId);
+  console.log("🎟️ Bob bought the option for 50 DAI");
+  console.log(`   Position token owner: ${await positionToken.ownerOf(protectedOptionId)}\n`);
+
   // Check option status
   const option = await protectedOptionManager.getProtectedOption(protectedOptionId);
   console.log("📊 Option Details:");
@@ -109,6 +119,7 @@ async function main() {
   console.log(`   Stop-Loss ID: ${option.stopLossId}`);
   console.log(`   Is Call: ${option.isCall}`);
   console.log(`   Maker: ${option.maker}`);
+  console.log(`   Holder: ${option.holder}`);
   console.log(`   Is Active: ${option.isActive}\n`);
 
   // Test 1: Price stays below strike - option out of the money
@@ -144,7 +155,7 @@ async function main() {
   if (canExecute2) {
     console.log("\n   💡 Option can be executed! Let's do it...");
     
-    // Bob executes the option
+    // Bob, as the position holder, executes the option
     await protectedOptionManager.connect(bob).executeProtectedOption(
       protectedOptionId,
       ethers.parseUnits("2200", 18) // Bob pays 2200 DAI
@@ -160,19 +171,21 @@ async function main() {
     
     console.log("\n📊 Final Balances:");
     console.log(`   Alice WETH: ${ethers.formatUnits(aliceWethFinal, 18)} (-1 WETH transferred)`);
-    console.log(`   Alice DAI: ${ethers.formatUnits(aliceDaiFinal, 18)} (+2200 DAI received)`);
+    console.log(`   Alice DAI: ${ethers.formatUnits(aliceDaiFinal, 18)} (50 DAI premium + payment received)`);
     console.log(`   Bob WETH: ${ethers.formatUnits(bobWethFinal, 18)} (+1 WETH received)`);
-    console.log(`   Bob DAI: ${ethers.formatUnits(bobDaiFinal, 18)} (-2200 DAI paid)`);
+    console.log(`   Bob DAI: ${ethers.formatUnits(bobDaiFinal, 18)} (premium and payment deducted)`);
     
     const optionFinal = await protectedOptionManager.getProtectedOption(protectedOptionId);
-    console.log(`\n   Option Status: ${optionFinal.isActive ? 'Active' : 'Executed'}`);
+    console.log(`\n   Option Status: ${optionFinal.isActive ? 'Partially filled' : 'Executed'}`);
+    console.log(`   Remaining collateral: ${ethers.formatUnits(optionFinal.remainingMakingAmount, 18)} WETH`);
   }
 
   // Test 3: Create another option and test stop-loss
   console.log("\n🔍 Test 3: Creating option and testing stop-loss protection");
   console.log("=" .repeat(50));
   
-  // Reset price and create new option
+  // Reset price and create new option; its stop-loss needs 5 minutes below the threshold
+  await protectedOptionManager.setStopLossWindow(300, 0);
   await ethUsdOracle.setLatestPrice(ethers.parseUnits("2000", 8));
   await weth.mint(alice.address, ethers.parseUnits("1", 18)); // Give Alice more WETH
   await weth.connect(alice).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("1", 18));
@@ -197,11 +210,19 @@ async function main() {
   
   console.log(`✅ Second option created: ${protectedOptionId2}`);
   
-  // Price drops below stop-loss
-  console.log("\n💔 Price drops to $1,900 (below stop-loss threshold)");
+  // A single round below the stop is treated as a wick
+  console.log("\n📉 Price wicks to $1,900 (below stop-loss threshold)");
   await ethUsdOracle.setLatestPrice(ethers.parseUnits("1900", 8));
   
   const option2 = await protectedOptionManager.getProtectedOption(protectedOptionId2);
+  const wickStatus = await stopLossProtection.stopLossPredicate(option2.stopLossId);
+  console.log(`   Stop-loss triggered: ${!wickStatus} (price has not stayed below for the window)`);
+  
+  // Price stays below stop-loss for the whole window
+  console.log("\n💔 Price stays at $1,900 for 5 minutes");
+  await time.increase(300);
+  await ethUsdOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+  
   const [canExecute3, reason3] = await protectedOptionManager.canExecuteOption(protectedOptionId2);
   const stopLossStatus3 = await stopLossProtection.stopLossPredicate(option2.stopLossId);
   
@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { CONTRACT_KEYS, recordDeployment } = require("./registry");
 
 /**
  * @title Polygon Mainnet Deployment Script
@@ -28,6 +29,8 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying contracts with account:", deployer.address);
   console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "MATIC");
+  const { chainId } = await ethers.provider.getNetwork();
+  const deploymentBlock = await ethers.provider.getBlockNumber();
 
   // Deploy OptionsCalculator (oracle addresses set per option via setOptionConfig)
   console.log("\n📊 Deploying OptionsCalculator...");
@@ -53,6 +56,14 @@ async function main() {
   await protectedOptionManager.waitForDeployment();
   console.log("✅ ProtectedOptionManager deployed to:", await protectedOptionManager.getAddress());
   
+  // Deploy ProtectedOptionPosition (ERC-721 positions minted to option buyers)
+  console.log("\n🎟️ Deploying ProtectedOptionPosition...");
+  const ProtectedOptionPosition = await ethers.getContractFactory("ProtectedOptionPosition");
+  const positionToken = await ProtectedOptionPosition.deploy(await protectedOptionManager.getAddress());
+  await positionToken.waitForDeployment();
+  await protectedOptionManager.setPositionToken(await positionToken.getAddress());
+  console.log("✅ ProtectedOptionPosition deployed to:", await positionToken.getAddress());
+  
   // Deploy OneinchProtectedOptionsIntegration
   console.log("\n🔗 Deploying OneinchProtectedOptionsIntegration...");
   const OneinchProtectedOptionsIntegration = await ethers.getContractFactory("OneinchProtectedOptionsIntegration");
@@ -80,12 +91,27 @@ async function main() {
   await stopLossProtection.setAuthorizedCaller(await integration.getAddress(), true);
   console.log("✅ Integration contract authorized on core contracts");
 
+  const registryEntry = recordDeployment({
+    chainId: Number(chainId),
+    network: network.name,
+    deployer: deployer.address,
+    blockNumber: deploymentBlock,
+    contracts: {
+      [CONTRACT_KEYS.OptionsCalculator]: await optionsCalculator.getAddress(),
+      [CONTRACT_KEYS.StopLossProtection]: await stopLossProtection.getAddress(),
+      [CONTRACT_KEYS.ProtectedOptionManager]: await protectedOptionManager.getAddress(),
+      [CONTRACT_KEYS.OneinchProtectedOptionsIntegration]: await integration.getAddress(),
+      POSITION_TOKEN: await positionToken.getAddress()
+    }
+  });
+
   console.log("\n🎉 DEPLOYMENT COMPLETE!");
   console.log("=====================================");
   console.log("📋 Contract Addresses:");
   console.log("OptionsCalculator:", await optionsCalculator.getAddress());
   console.log("StopLossProtection:", await stopLossProtection.getAddress());
   console.log("ProtectedOptionManager:", await protectedOptionManager.getAddress());
+  console.log("ProtectedOptionPosition:", await positionToken.getAddress());
   console.log("OneinchProtectedOptionsIntegration:", await integration.getAddress());
   
   console.log("\n🌐 Real Polygon Infrastructure Used:");
@@ -98,18 +124,18 @@ async function main() {
   console.log("USDC/USD Oracle:", POLYGON_ADDRESSES.ORACLES.USDC_USD);
   
   console.log("\n📝 Frontend Configuration:");
-  console.log("Update frontend/src/contracts/index.js with these addresses for chain ID 137");
+  console.log(`Recorded deployment v${registryEntry.version} for chain ID ${chainId} in the deployment registry`);
   
   console.log("\n🚀 Next Steps:");
   console.log("1. Verify contracts on Polygonscan");
-  console.log("2. Update frontend configuration with deployed addresses");
-  console.log("3. Test with real MATIC, USDC, and other Polygon tokens");
-  console.log("4. Integrate with 1inch Limit Order Protocol on Polygon");
+  console.log("2. Test with real MATIC, USDC, and other Polygon tokens");
+  console.log("3. Integrate with 1inch Limit Order Protocol on Polygon");
 
   return {
     optionsCalculator: await optionsCalculator.getAddress(),
     stopLossProtection: await stopLossProtection.getAddress(),
     protectedOptionManager: await protectedOptionManager.getAddress(),
+    positionToken: await positionToken.getAddress(),
     integration: await integration.getAddress(),
     realAddresses: POLYGON_ADDRESSES
   };
@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
+const { CONTRACT_KEYS, recordDeployment } = require("./registry");
 
 async function main() {
   console.log("🚀 Deploying Protected Options to testnet...");
@@ -7,6 +8,8 @@ async function main() {
   const [deployer] = await ethers.getSigners();
   console.log("Deploying with account:", deployer.address);
   console.log("Account balance:", ethers.formatEther(await deployer.provider.getBalance(deployer.address)), "ETH");
+  const { chainId } = await ethers.provider.getNetwork();
+  const deploymentBlock = await ethers.provider.getBlockNumber();
 
   // Deploy contracts
   console.log("\n📦 Deploying core contracts...");
@@ -32,7 +35,14 @@ async function main() {
   await protectedOptionManager.waitForDeployment();
   console.log("✅ ProtectedOptionManager deployed to:", await protectedOptionManager.getAddress());
 
-  // 4. Deploy 1inch Integration
+  // 4. Deploy ProtectedOptionPosition and hand it to the manager
+  const ProtectedOptionPosition = await ethers.getContractFactory("ProtectedOptionPosition");
+  const positionToken = await ProtectedOptionPosition.deploy(await protectedOptionManager.getAddress());
+  await positionToken.waitForDeployment();
+  await protectedOptionManager.setPositionToken(await positionToken.getAddress());
+  console.log("✅ ProtectedOptionPosition deployed to:", await positionToken.getAddress());
+
+  // 5. Deploy 1inch Integration
   const OneinchProtectedOptionsIntegration = await ethers.getContractFactory("OneinchProtectedOptionsIntegration");
   const integration = await OneinchProtectedOptionsIntegration.deploy(
     await optionsCalculator.getAddress(),
@@ -92,12 +102,13 @@ async function main() {
   console.log("\n📋 Deployment Summary");
   console.log("=" .repeat(50));
   console.log("Network:", network.name);
-  console.log("Chain ID:", network.config.chainId || "Unknown");
+  console.log("Chain ID:", chainId.toString());
   console.log("");
   console.log("Core Contracts:");
   console.log("- OptionsCalculator:", await optionsCalculator.getAddress());
   console.log("- StopLossProtection:", await stopLossProtection.getAddress());
   console.log("- ProtectedOptionManager:", await protectedOptionManager.getAddress());
+  console.log("- ProtectedOptionPosition:", await positionToken.getAddress());
   console.log("- Integration:", await integration.getAddress());
   console.log("");
   console.log("Test Infrastructure:");
@@ -105,45 +116,26 @@ async function main() {
   console.log("- Mock DAI:", await mockDAI.getAddress());
   console.log("- Mock Oracle:", await mockOracle.getAddress());
   
-  console.log("");
-  console.log("🎉 Deployment completed successfully!");
-  console.log("");
-  console.log("📝 Update frontend/src/contracts/index.js with these addresses:");
-  console.log(`
-  // ${network.name} (Chain ID: ${network.config.chainId})
-  ${network.config.chainId}: {
-    PROTECTED_OPTION_MANAGER: "${await protectedOptionManager.getAddress()}",
-    OPTIONS_CALCULATOR: "${await optionsCalculator.getAddress()}",
-    STOP_LOSS_PROTECTION: "${await stopLossProtection.getAddress()}",
-    INTEGRATION: "${await integration.getAddress()}",
-    MOCK_WETH: "${await mockWETH.getAddress()}",
-    MOCK_DAI: "${await mockDAI.getAddress()}",
-    MOCK_ORACLE: "${await mockOracle.getAddress()}",
-  },`);
-
-  // Save deployment info
-  const deploymentInfo = {
+  const registryEntry = recordDeployment({
+    chainId: Number(chainId),
     network: network.name,
-    chainId: network.config.chainId,
-    timestamp: new Date().toISOString(),
     deployer: deployer.address,
+    blockNumber: deploymentBlock,
     contracts: {
-      ProtectedOptionManager: await protectedOptionManager.getAddress(),
-      OptionsCalculator: await optionsCalculator.getAddress(),
-      StopLossProtection: await stopLossProtection.getAddress(),
-      Integration: await integration.getAddress(),
-      MockWETH: await mockWETH.getAddress(),
-      MockDAI: await mockDAI.getAddress(),
-      MockOracle: await mockOracle.getAddress(),
+      [CONTRACT_KEYS.OptionsCalculator]: await optionsCalculator.getAddress(),
+      [CONTRACT_KEYS.StopLossProtection]: await stopLossProtection.getAddress(),
+      [CONTRACT_KEYS.ProtectedOptionManager]: await protectedOptionManager.getAddress(),
+      [CONTRACT_KEYS.OneinchProtectedOptionsIntegration]: await integration.getAddress(),
+      POSITION_TOKEN: await positionToken.getAddress(),
+      MOCK_WETH: await mockWETH.getAddress(),
+      MOCK_DAI: await mockDAI.getAddress(),
+      MOCK_ORACLE: await mockOracle.getAddress(),
     }
-  };
+  });
 
-  const fs = require('fs');
-  fs.writeFileSync(
-    `deployments/${network.name}-${Date.now()}.json`, 
-    JSON.stringify(deploymentInfo, null, 2)
-  );
-  console.log("\n💾 Deployment info saved to deployments/ directory");
+  console.log("");
+  console.log("🎉 Deployment completed successfully!");
+  console.log(`💾 Recorded deployment v${registryEntry.version} for chain ${chainId} in the deployment registry`);
 }
 
 main()
@@ -1,6 +1,5 @@
 const { ethers, network } = require("hardhat");
-const fs = require("fs");
-const path = require("path");
+const { CONTRACT_KEYS, recordDeployment } = require("./registry");
 
 // Known oracle addresses for different networks
 const ORACLES = {
@@ -25,18 +24,60 @@ const ORACLES = {
   }
 };
 
+// Staleness limits and agreement threshold for OracleAdapter deployments
+const ADAPTER_SETTINGS = {
+  primaryMaxPriceAge: 300,    // Match the stop-loss staleness limit
+  secondaryMaxPriceAge: 3600, // Fallback feeds often have a longer heartbeat
+  maxDeviation: 200           // 2%
+};
+
+async function deployOracleAdapter(primaryFeed, secondaryFeed, description) {
+  const OracleAdapter = await ethers.getContractFactory("OracleAdapter");
+  const adapter = await OracleAdapter.deploy(
+    primaryFeed,
+    ADAPTER_SETTINGS.primaryMaxPriceAge,
+    secondaryFeed,
+    ADAPTER_SETTINGS.secondaryMaxPriceAge,
+    ADAPTER_SETTINGS.maxDeviation,
+    description
+  );
+  await adapter.waitForDeployment();
+  return adapter.getAddress();
+}
+
+// Cross pairs priced from two USD feeds, deployed wherever both feeds are known
+const CROSS_PAIRS = [["ETH", "BTC"], ["MATIC", "ETH"]];
+
+// Staleness limit for each leg of a CrossRateOracle, matching the calculator's own limit
+const CROSS_RATE_MAX_PRICE_AGE = 3600;
+
+async function deployCrossRateOracle(baseFeed, quoteFeed, description) {
+  const CrossRateOracle = await ethers.getContractFactory("CrossRateOracle");
+  const crossOracle = await CrossRateOracle.deploy(
+    baseFeed,
+    CROSS_RATE_MAX_PRICE_AGE,
+    quoteFeed,
+    CROSS_RATE_MAX_PRICE_AGE,
+    description
+  );
+  await crossOracle.waitForDeployment();
+  return crossOracle.getAddress();
+}
+
 async function main() {
   console.log(`Deploying to network: ${network.name}`);
   console.log(`Block number: ${await ethers.provider.getBlockNumber()}`);
 
+  const { chainId } = await ethers.provider.getNetwork();
   const [deployer] = await ethers.getSigners();
   console.log(`Deploying with account: ${deployer.address}`);
   console.log(`Account balance: ${ethers.formatEther(await ethers.provider.getBalance(deployer.address))} ETH`);
 
   const deploymentData = {
+    chainId: Number(chainId),
     network: network.name,
     deployer: deployer.address,
-    timestamp: new Date().toISOString(),
+    blockNumber: await ethers.provider.getBlockNumber(),
     contracts: {}
   };
 
@@ -48,7 +89,7 @@ async function main() {
   
   const optionsCalculatorAddress = await optionsCalculator.getAddress();
   console.log(`OptionsCalculator deployed to: ${optionsCalculatorAddress}`);
-  deploymentData.contracts.OptionsCalculator = optionsCalculatorAddress;
+  deploymentData.contracts[CONTRACT_KEYS.OptionsCalculator] = optionsCalculatorAddress;
 
   // Step 2: Deploy StopLossProtection
   console.log("\n2. Deploying StopLossProtection...");
@@ -58,7 +99,7 @@ async function main() {
   
   const stopLossProtectionAddress = await stopLossProtection.getAddress();
   console.log(`StopLossProtection deployed to: ${stopLossProtectionAddress}`);
-  deploymentData.contracts.StopLossProtection = stopLossProtectionAddress;
+  deploymentData.contracts[CONTRACT_KEYS.StopLossProtection] = stopLossProtectionAddress;
 
   // Step 3: Deploy ProtectedOptionManager
   console.log("\n3. Deploying ProtectedOptionManager...");
@@ -71,10 +112,21 @@ async function main() {
   
   const protectedOptionManagerAddress = await protectedOptionManager.getAddress();
   console.log(`ProtectedOptionManager deployed to: ${protectedOptionManagerAddress}`);
-  deploymentData.contracts.ProtectedOptionManager = protectedOptionManagerAddress;
+  deploymentData.contracts[CONTRACT_KEYS.ProtectedOptionManager] = protectedOptionManagerAddress;
 
-  // Step 4: Deploy OneinchProtectedOptionsIntegration
-  console.log("\n4. Deploying OneinchProtectedOptionsIntegration...");
+  // Step 4: Deploy ProtectedOptionPosition (the ERC-721 minted to option buyers)
+  console.log("\n4. Deploying ProtectedOptionPosition...");
+  const ProtectedOptionPosition = await ethers.getContractFactory("ProtectedOptionPosition");
+  const positionToken = await ProtectedOptionPosition.deploy(protectedOptionManagerAddress);
+  await positionToken.waitForDeployment();
+  
+  const positionTokenAddress = await positionToken.getAddress();
+  console.log(`ProtectedOptionPosition deployed to: ${positionTokenAddress}`);
+  deploymentData.contracts.POSITION_TOKEN = positionTokenAddress;
+  await protectedOptionManager.setPositionToken(positionTokenAddress);
+
+  // Step 5: Deploy OneinchProtectedOptionsIntegration
+  console.log("\n5. Deploying OneinchProtectedOptionsIntegration...");
   const OneinchProtectedOptionsIntegration = await ethers.getContractFactory("OneinchProtectedOptionsIntegration");
   const integration = await OneinchProtectedOptionsIntegration.deploy(
     optionsCalculatorAddress,
@@ -85,10 +137,10 @@ async function main() {
   
   const integrationAddress = await integration.getAddress();
   console.log(`OneinchProtectedOptionsIntegration deployed to: ${integrationAddress}`);
-  deploymentData.contracts.OneinchProtectedOptionsIntegration = integrationAddress;
+  deploymentData.contracts[CONTRACT_KEYS.OneinchProtectedOptionsIntegration] = integrationAddress;
 
-  // Step 5: Set up authorizations
-  console.log("\n5. Setting up authorizations...");
+  // Step 6: Set up authorizations
+  console.log("\n6. Setting up authorizations...");
   
   console.log("Authorizing ProtectedOptionManager in OptionsCalculator...");
   await optionsCalculator.setAuthorizedCaller(protectedOptionManagerAddress, true);
@@ -102,23 +154,27 @@ async function main() {
   console.log("Authorizing Integration in StopLossProtection...");
   await stopLossProtection.setAuthorizedCaller(integrationAddress, true);
 
-  // Step 6: Deploy example/demo contracts (if not mainnet)
+  // USD feeds of the mock assets, used where a network has no known oracles
+  let mockFeeds = {};
+
+  // Step 7: Deploy example/demo contracts (if not mainnet)
   if (network.name !== "mainnet") {
-    console.log("\n6. Deploying example tokens for testing...");
+    console.log("\n7. Deploying example tokens for testing...");
     
     const MockERC20 = await ethers.getContractFactory("MockERC20");
     
-    const tokenA = await MockERC20.deploy("Token A", "TKA", 18);
-    await tokenA.waitForDeployment();
-    const tokenAAddress = await tokenA.getAddress();
-    console.log(`Token A deployed to: ${tokenAAddress}`);
-    deploymentData.contracts.TokenA = tokenAAddress;
+    // Same symbols and decimals as the real WETH/USDC pair the frontend trades
+    const mockWeth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+    await mockWeth.waitForDeployment();
+    const mockWethAddress = await mockWeth.getAddress();
+    console.log(`Mock WETH deployed to: ${mockWethAddress}`);
+    deploymentData.contracts.MOCK_WETH = mockWethAddress;
     
-    const tokenB = await MockERC20.deploy("Token B", "TKB", 18);
-    await tokenB.waitForDeployment();
-    const tokenBAddress = await tokenB.getAddress();
-    console.log(`Token B deployed to: ${tokenBAddress}`);
-    deploymentData.contracts.TokenB = tokenBAddress;
+    const mockUsdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await mockUsdc.waitForDeployment();
+    const mockUsdcAddress = await mockUsdc.getAddress();
+    console.log(`Mock USDC deployed to: ${mockUsdcAddress}`);
+    deploymentData.contracts.MOCK_USDC = mockUsdcAddress;
 
     // Deploy mock oracle
     const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
@@ -129,22 +185,88 @@ async function main() {
     await mockOracle.waitForDeployment();
     const mockOracleAddress = await mockOracle.getAddress();
     console.log(`Mock Oracle deployed to: ${mockOracleAddress}`);
-    deploymentData.contracts.MockOracle = mockOracleAddress;
+    deploymentData.contracts.MOCK_ORACLE = mockOracleAddress;
+
+    // A second feed with other decimals behind an adapter, to exercise fallback and normalisation
+    const mockOracleSecondary = await MockChainlinkOracle.deploy(ethers.parseUnits("2000", 18), 18);
+    await mockOracleSecondary.waitForDeployment();
+    deploymentData.contracts.MOCK_ORACLE_SECONDARY = await mockOracleSecondary.getAddress();
+    deploymentData.contracts.ETH_USD_ORACLE_ADAPTER = await deployOracleAdapter(
+      mockOracleAddress,
+      deploymentData.contracts.MOCK_ORACLE_SECONDARY,
+      "ETH / USD"
+    );
+    console.log(`Oracle Adapter deployed to: ${deploymentData.contracts.ETH_USD_ORACLE_ADAPTER}`);
+
+    // The other assets of the frontend's asset registry, with USD feeds for the volatile ones
+    const mockWbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+    await mockWbtc.waitForDeployment();
+    deploymentData.contracts.MOCK_WBTC = await mockWbtc.getAddress();
+    const mockWmatic = await MockERC20.deploy("Wrapped Matic", "WMATIC", 18);
+    await mockWmatic.waitForDeployment();
+    deploymentData.contracts.MOCK_WMATIC = await mockWmatic.getAddress();
+    const mockDai = await MockERC20.deploy("Dai Stablecoin", "DAI", 18);
+    await mockDai.waitForDeployment();
+    deploymentData.contracts.MOCK_DAI = await mockDai.getAddress();
+
+    const mockBtcOracle = await MockChainlinkOracle.deploy(ethers.parseUnits("40000", 8), 8);
+    await mockBtcOracle.waitForDeployment();
+    deploymentData.contracts.MOCK_BTC_USD_ORACLE = await mockBtcOracle.getAddress();
+    const mockMaticOracle = await MockChainlinkOracle.deploy(ethers.parseUnits("0.8", 8), 8);
+    await mockMaticOracle.waitForDeployment();
+    deploymentData.contracts.MOCK_MATIC_USD_ORACLE = await mockMaticOracle.getAddress();
+
+    // Cross rates below are derived from the mock feeds on networks without known oracles
+    mockFeeds = {
+      ETH_USD: mockOracleAddress,
+      BTC_USD: deploymentData.contracts.MOCK_BTC_USD_ORACLE,
+      MATIC_USD: deploymentData.contracts.MOCK_MATIC_USD_ORACLE
+    };
+
+    // The 1inch Limit Order Protocol only exists on public chains; run a copy on local nodes
+    // (with the mock WETH, so orders cannot unwrap to native ETH)
+    if (network.name === "hardhat" || network.name === "localhost") {
+      const LimitOrderProtocol = await ethers.getContractFactory("LimitOrderProtocol");
+      const limitOrderProtocol = await LimitOrderProtocol.deploy(mockWethAddress);
+      await limitOrderProtocol.waitForDeployment();
+      const limitOrderProtocolAddress = await limitOrderProtocol.getAddress();
+      console.log(`Limit Order Protocol deployed to: ${limitOrderProtocolAddress}`);
+      deploymentData.contracts.LIMIT_ORDER_PROTOCOL = limitOrderProtocolAddress;
+    }
 
     // Mint some tokens to deployer for testing
     console.log("Minting test tokens...");
-    await tokenA.mint(deployer.address, ethers.parseUnits("10000", 18));
-    await tokenB.mint(deployer.address, ethers.parseUnits("10000", 18));
+    await mockWeth.mint(deployer.address, ethers.parseUnits("10000", 18));
+    await mockUsdc.mint(deployer.address, ethers.parseUnits("10000", 6));
+    await mockWbtc.mint(deployer.address, ethers.parseUnits("100", 8));
+    await mockWmatic.mint(deployer.address, ethers.parseUnits("100000", 18));
+    await mockDai.mint(deployer.address, ethers.parseUnits("10000", 18));
   }
 
-  // Step 7: Save deployment information
-  const deploymentsDir = path.join(__dirname, "..", "deployments");
-  if (!fs.existsSync(deploymentsDir)) {
-    fs.mkdirSync(deploymentsDir, { recursive: true });
+  // Public networks get an adapter when a fallback ETH/USD feed is provided
+  if (!deploymentData.contracts.ETH_USD_ORACLE_ADAPTER && ORACLES[network.name]?.ETH_USD && process.env.SECONDARY_ETH_USD_ORACLE) {
+    deploymentData.contracts.ETH_USD_ORACLE_ADAPTER = await deployOracleAdapter(
+      ORACLES[network.name].ETH_USD,
+      process.env.SECONDARY_ETH_USD_ORACLE,
+      "ETH / USD"
+    );
+    console.log(`\nOracle Adapter deployed to: ${deploymentData.contracts.ETH_USD_ORACLE_ADAPTER}`);
   }
 
-  const deploymentFile = path.join(deploymentsDir, `${network.name}.json`);
-  fs.writeFileSync(deploymentFile, JSON.stringify(deploymentData, null, 2));
+  // A cross rate oracle for each pair whose two USD feeds are known (or mocked)
+  const feeds = ORACLES[network.name] ?? mockFeeds;
+  for (const [base, quote] of CROSS_PAIRS) {
+    const key = `${base}_${quote}_ORACLE`;
+    const baseFeed = feeds[`${base}_USD`];
+    const quoteFeed = feeds[`${quote}_USD`];
+    if (deploymentData.contracts[key] || !baseFeed || !quoteFeed) continue;
+
+    deploymentData.contracts[key] = await deployCrossRateOracle(baseFeed, quoteFeed, `${base} / ${quote}`);
+    console.log(`${base}/${quote} Cross Rate Oracle deployed to: ${deploymentData.contracts[key]}`);
+  }
+
+  // Step 8: Record the deployment in the registry (the in-process hardhat chain is thrown away on exit)
+  const registryEntry = network.name !== "hardhat" ? recordDeployment(deploymentData) : null;
 
   console.log("\n" + "=".repeat(50));
   console.log("DEPLOYMENT SUMMARY");
@@ -155,13 +277,23 @@ async function main() {
   console.log(`OptionsCalculator: ${optionsCalculatorAddress}`);
   console.log(`StopLossProtection: ${stopLossProtectionAddress}`);
   console.log(`ProtectedOptionManager: ${protectedOptionManagerAddress}`);
+  console.log(`ProtectedOptionPosition: ${positionTokenAddress}`);
   console.log(`OneinchProtectedOptionsIntegration: ${integrationAddress}`);
 
-  if (deploymentData.contracts.TokenA) {
+  if (deploymentData.contracts.MOCK_WETH) {
     console.log(`\nTest Contracts:`);
-    console.log(`Token A: ${deploymentData.contracts.TokenA}`);
-    console.log(`Token B: ${deploymentData.contracts.TokenB}`);
-    console.log(`Mock Oracle: ${deploymentData.contracts.MockOracle}`);
+    console.log(`Mock WETH: ${deploymentData.contracts.MOCK_WETH}`);
+    console.log(`Mock USDC: ${deploymentData.contracts.MOCK_USDC}`);
+    console.log(`Mock Oracle: ${deploymentData.contracts.MOCK_ORACLE}`);
+    console.log(`Mock Oracle (secondary): ${deploymentData.contracts.MOCK_ORACLE_SECONDARY}`);
+    console.log(`Mock WBTC: ${deploymentData.contracts.MOCK_WBTC}`);
+    console.log(`Mock WMATIC: ${deploymentData.contracts.MOCK_WMATIC}`);
+    console.log(`Mock DAI: ${deploymentData.contracts.MOCK_DAI}`);
+    console.log(`Mock BTC Oracle: ${deploymentData.contracts.MOCK_BTC_USD_ORACLE}`);
+    console.log(`Mock MATIC Oracle: ${deploymentData.contracts.MOCK_MATIC_USD_ORACLE}`);
+    if (deploymentData.contracts.LIMIT_ORDER_PROTOCOL) {
+      console.log(`Limit Order Protocol: ${deploymentData.contracts.LIMIT_ORDER_PROTOCOL}`);
+    }
   }
 
   console.log(`\nKnown Oracles for ${network.name}:`);
@@ -173,7 +305,11 @@ async function main() {
     console.log("No known oracles for this network");
   }
 
-  console.log(`\nDeployment data saved to: ${deploymentFile}`);
+  if (registryEntry) {
+    console.log(`\nRecorded deployment v${registryEntry.version} for chain ${deploymentData.chainId} in the deployment registry`);
+  } else {
+    console.log("\nIn-process hardhat network: deployment not recorded");
+  }
   console.log("=".repeat(50));
 
   // Verify contracts on Etherscan (if API key is provided)
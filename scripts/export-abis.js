@@ -0,0 +1,161 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title ABI export
+ * @dev Copies the ABIs of the core contracts from Hardhat artifacts into the frontend
+ * and generates JSDoc-typed call builders for them. Run with `npm run export-abis`
+ * after changing a contract; test/AbiSyncTest.js fails until the export is refreshed.
+ */
+
+// Contracts exported to the frontend, keyed by their CONTRACT_ADDRESSES name
+const EXPORTED_CONTRACTS = {
+  ProtectedOptionManager: "PROTECTED_OPTION_MANAGER",
+  ProtectedOptionPosition: "POSITION_TOKEN",
+  OptionsCalculator: "OPTIONS_CALCULATOR",
+  StopLossProtection: "STOP_LOSS_PROTECTION",
+  OneinchProtectedOptionsIntegration: "INTEGRATION",
+  OracleAdapter: "ETH_USD_ORACLE_ADAPTER"
+};
+
+const FRONTEND_CONTRACTS_DIR = path.join(__dirname, "..", "frontend", "src", "contracts");
+const ABI_DIR = path.join(FRONTEND_CONTRACTS_DIR, "abis");
+const WRAPPERS_FILE = path.join(FRONTEND_CONTRACTS_DIR, "generated.js");
+
+const lowerFirst = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+
+// "struct ProtectedOptionManager.ProtectedOption" -> "ProtectedOption"
+const structName = (param) => param.internalType.replace(/^struct /, "").split(".").pop().replace(/\[\d*\]$/, "");
+
+function jsType(param, structs) {
+  const arrayMatch = param.type.match(/^(.*)\[\d*\]$/);
+  if (arrayMatch) {
+    return `${jsType({ ...param, type: arrayMatch[1], internalType: param.internalType.replace(/\[\d*\]$/, "") }, structs)}[]`;
+  }
+  if (param.type === "tuple") {
+    const name = structName(param);
+    structs.set(name, param.components);
+    return name;
+  }
+  const intMatch = param.type.match(/^u?int(\d*)$/);
+  // viem decodes integers of up to 48 bits as numbers, wider ones as bigints
+  if (intMatch) return Number(intMatch[1] || 256) <= 48 ? "number" : "bigint";
+  if (param.type === "bool") return "boolean";
+  if (param.type === "string") return "string";
+  if (param.type === "address" || param.type.startsWith("bytes")) return "`0x${string}`";
+  return "unknown";
+}
+
+function returnType(outputs, structs) {
+  if (outputs.length === 0) return "void";
+  if (outputs.length === 1) return jsType(outputs[0], structs);
+  return `[${outputs.map((output) => jsType(output, structs)).join(", ")}]`;
+}
+
+function renderContract(contractName, addressKey, abi, structs) {
+  const instanceName = lowerFirst(contractName);
+  const functions = abi
+    .filter((item) => item.type === "function")
+    .sort((a, b) => a.name.localeCompare(b.name) || a.inputs.length - b.inputs.length);
+  const seen = new Set();
+
+  const builders = functions.map((fn) => {
+    const params = fn.inputs.map((input, i) => ({ ...input, name: input.name || `arg${i}` }));
+    const signature = `${fn.name}(${fn.inputs.map((input) => input.type).join(", ")})`;
+    const docLines = [
+      `   * ${signature} ${fn.stateMutability}`,
+      ...params.map((param) => `   * @param {${jsType(param, structs)}} ${param.name}`),
+      `   * @returns {{ abi: typeof ${contractName}Abi, functionName: '${fn.name}', args: unknown[] }} call config resolving to ${returnType(fn.outputs, structs)}`
+    ];
+    const args = params.map((param) => param.name).join(", ");
+    // Overloads after the shortest are keyed by signature, as ethers does: builder['fn(address,bytes)']
+    const key = seen.has(fn.name) ? `'${signature.replace(/ /g, "")}'` : fn.name;
+    seen.add(fn.name);
+
+    return [
+      "  /**",
+      ...docLines,
+      "   */",
+      `  ${key}: (${args}) => ({ abi: ${contractName}Abi, functionName: '${fn.name}', args: [${args}] }),`
+    ].join("\n");
+  });
+
+  return [
+    `export const ${instanceName} = {`,
+    `  abi: ${contractName}Abi,`,
+    `  addressKey: '${addressKey}',`,
+    "",
+    builders.join("\n\n"),
+    "};"
+  ].join("\n");
+}
+
+function renderStruct(name, components, structs) {
+  return [
+    "/**",
+    ` * @typedef {Object} ${name}`,
+    ...components.map((component) => ` * @property {${jsType(component, structs)}} ${component.name}`),
+    " */"
+  ].join("\n");
+}
+
+/**
+ * @dev Builds the content of every exported file from compiled artifacts
+ * @return files Map of absolute file path to file content
+ */
+async function buildExports(artifacts = hre.artifacts) {
+  const files = new Map();
+  const structs = new Map();
+  const imports = [];
+  const contracts = [];
+
+  for (const [contractName, addressKey] of Object.entries(EXPORTED_CONTRACTS)) {
+    const { abi } = await artifacts.readArtifact(contractName);
+    files.set(path.join(ABI_DIR, `${contractName}.json`), JSON.stringify(abi, null, 2) + "\n");
+    imports.push(`import ${contractName}Abi from './abis/${contractName}.json';`);
+    contracts.push(renderContract(contractName, addressKey, abi, structs));
+  }
+
+  const typedefs = [...structs.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, components]) => renderStruct(name, components, structs));
+
+  const wrappers = [
+    "// Generated by scripts/export-abis.js from Hardhat artifacts - do not edit by hand.",
+    "// Each builder returns an { abi, functionName, args } config for wagmi hooks;",
+    "// spread it next to the contract address: useContractRead({ address, ...builder(args) }).",
+    "",
+    ...imports,
+    "",
+    typedefs.join("\n\n"),
+    "",
+    contracts.join("\n\n"),
+    ""
+  ].join("\n");
+  files.set(WRAPPERS_FILE, wrappers);
+
+  return files;
+}
+
+async function main() {
+  await hre.run("compile");
+
+  const files = await buildExports();
+  fs.mkdirSync(ABI_DIR, { recursive: true });
+  for (const [filePath, content] of files) {
+    fs.writeFileSync(filePath, content);
+    console.log(`✅ Wrote ${path.relative(process.cwd(), filePath)}`);
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { buildExports, EXPORTED_CONTRACTS };
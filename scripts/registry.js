@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @title Deployment registry
+ * @dev Single source of deployed addresses, keyed by chainId. Every deploy script records
+ * into it and the frontend, indexer and maintenance scripts read from it. The file lives
+ * under frontend/src so the React app can import it and picks up a redeploy on reload.
+ *
+ * {
+ *   "version": 1,                     // registry schema version
+ *   "chains": {
+ *     "<chainId>": {
+ *       "network": "localhost",
+ *       "version": 3,                 // bumped on every deployment to this chain
+ *       "deployer": "0x...",
+ *       "blockNumber": 12,            // first block worth indexing
+ *       "timestamp": "2024-01-01T00:00:00.000Z",
+ *       "contracts": { "PROTECTED_OPTION_MANAGER": "0x...", ... }
+ *     }
+ *   }
+ * }
+ */
+
+const REGISTRY_FILE = path.join(__dirname, "..", "frontend", "src", "contracts", "deployments.json");
+const REGISTRY_VERSION = 1;
+
+// Registry keys for the core contracts, as used by the frontend's getContractAddress
+const CONTRACT_KEYS = {
+  OptionsCalculator: "OPTIONS_CALCULATOR",
+  StopLossProtection: "STOP_LOSS_PROTECTION",
+  ProtectedOptionManager: "PROTECTED_OPTION_MANAGER",
+  OneinchProtectedOptionsIntegration: "INTEGRATION"
+};
+
+function readRegistry(file = REGISTRY_FILE) {
+  if (!fs.existsSync(file)) {
+    return { version: REGISTRY_VERSION, chains: {} };
+  }
+
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (registry.version !== REGISTRY_VERSION) {
+    throw new Error(`Unsupported deployment registry version ${registry.version} in ${file}`);
+  }
+  return registry;
+}
+
+function getDeployment(chainId, file = REGISTRY_FILE) {
+  return readRegistry(file).chains[String(chainId)] || null;
+}
+
+/**
+ * @dev Looks up a deployment and fails loudly when a required contract is missing
+ * @param chainId Chain to read
+ * @param keys Registry keys that must be present
+ */
+function requireDeployment(chainId, keys = Object.values(CONTRACT_KEYS), file = REGISTRY_FILE) {
+  const deployment = getDeployment(chainId, file);
+  if (!deployment) {
+    throw new Error(`No deployment registered for chain ${chainId}: run a deploy script first`);
+  }
+
+  const missing = keys.filter((key) => !deployment.contracts[key]);
+  if (missing.length > 0) {
+    throw new Error(`Deployment on chain ${chainId} is missing ${missing.join(", ")}`);
+  }
+  return deployment;
+}
+
+function findDeploymentByNetwork(network, file = REGISTRY_FILE) {
+  const entry = Object.entries(readRegistry(file).chains).find(([, deployment]) => deployment.network === network);
+  return entry ? { chainId: Number(entry[0]), ...entry[1] } : null;
+}
+
+/**
+ * @dev Replaces the deployment of a chain and bumps its version
+ * @param deployment chainId, network, deployer, blockNumber and contracts (registry key => address)
+ * @return entry The recorded registry entry
+ */
+function recordDeployment({ chainId, network, deployer, blockNumber, contracts }, file = REGISTRY_FILE) {
+  const registry = readRegistry(file);
+  const previous = registry.chains[String(chainId)];
+
+  const entry = {
+    network,
+    version: previous ? previous.version + 1 : 1,
+    deployer,
+    blockNumber,
+    timestamp: new Date().toISOString(),
+    contracts
+  };
+  registry.chains[String(chainId)] = entry;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(registry, null, 2) + "\n");
+  fs.renameSync(tmpFile, file);
+
+  return entry;
+}
+
+module.exports = {
+  REGISTRY_FILE,
+  REGISTRY_VERSION,
+  CONTRACT_KEYS,
+  readRegistry,
+  getDeployment,
+  requireDeployment,
+  findDeploymentByNetwork,
+  recordDeployment
+};
@@ -1,15 +1,16 @@
 const { ethers } = require("hardhat");
-
-// Deployed contract addresses on Polygon
-const DEPLOYED_ADDRESSES = {
-  OPTIONS_CALCULATOR: "0xF4bB79d53E5ce1D955e62aB0da851E1621B92884",
-  STOP_LOSS_PROTECTION: "0x609DEb414D76D67ca6CC44E911254ba83FBa3009", 
-  PROTECTED_OPTION_MANAGER: "0x3dD6101E01Ae44FFC642b65E0F9F92218EB5487a",
-  INTEGRATION: "0x53597B830E8711a42Ebb965b6A4c236A7fdb5Dcb"
-};
+const { requireDeployment } = require("./registry");
 
 async function main() {
+  // The shared frontend utils are ES modules
+  const { formatError } = await import("../frontend/src/utils/errors.js");
+
   console.log("🔧 Setting up permissions for deployed contracts...");
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployment = requireDeployment(chainId);
+  const DEPLOYED_ADDRESSES = deployment.contracts;
+  console.log(`Using deployment v${deployment.version} for chain ${chainId}`);
   
   // Get contract instances
   const optionsCalculator = await ethers.getContractAt("OptionsCalculator", DEPLOYED_ADDRESSES.OPTIONS_CALCULATOR);
@@ -22,7 +23,7 @@ async function main() {
     await optionsCalculator.setAuthorizedCaller(DEPLOYED_ADDRESSES.PROTECTED_OPTION_MANAGER, true);
     console.log("✅ ProtectedOptionManager authorized on OptionsCalculator");
   } catch (error) {
-    console.log("⚠️  ProtectedOptionManager authorization on OptionsCalculator failed or already set:", error.message);
+    console.log("⚠️  ProtectedOptionManager authorization on OptionsCalculator failed or already set:", formatError(error));
   }
   
   // Authorize ProtectedOptionManager on StopLossProtection
@@ -30,7 +31,7 @@ async function main() {
     await stopLossProtection.setAuthorizedCaller(DEPLOYED_ADDRESSES.PROTECTED_OPTION_MANAGER, true);
     console.log("✅ ProtectedOptionManager authorized on StopLossProtection");
   } catch (error) {
-    console.log("⚠️  ProtectedOptionManager authorization on StopLossProtection failed or already set:", error.message);
+    console.log("⚠️  ProtectedOptionManager authorization on StopLossProtection failed or already set:", formatError(error));
   }
   
   console.log("\n⚙️ Authorizing Integration contract...");
@@ -40,7 +41,7 @@ async function main() {
     await optionsCalculator.setAuthorizedCaller(DEPLOYED_ADDRESSES.INTEGRATION, true);
     console.log("✅ Integration contract authorized on OptionsCalculator");
   } catch (error) {
-    console.log("⚠️  Integration authorization on OptionsCalculator failed or already set:", error.message);
+    console.log("⚠️  Integration authorization on OptionsCalculator failed or already set:", formatError(error));
   }
   
   // Authorize Integration contract on StopLossProtection  
@@ -48,12 +49,12 @@ async function main() {
     await stopLossProtection.setAuthorizedCaller(DEPLOYED_ADDRESSES.INTEGRATION, true);
     console.log("✅ Integration contract authorized on StopLossProtection");
   } catch (error) {
-    console.log("⚠️  Integration authorization on StopLossProtection failed or already set:", error.message);
+    console.log("⚠️  Integration authorization on StopLossProtection failed or already set:", formatError(error));
   }
   
   console.log("\n🎉 Permission setup complete!");
   console.log("\n📋 Contract Status:");
-  console.log("✅ All contracts deployed on Polygon mainnet");
+  console.log(`✅ All contracts deployed on ${deployment.network}`);
   console.log("✅ Permissions configured");
   console.log("✅ Ready for real WETH/USDC trading");
   console.log("✅ Connected to real Chainlink oracles");
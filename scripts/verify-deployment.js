@@ -1,12 +1,5 @@
 const { ethers } = require("hardhat");
-
-// Deployed contract addresses on Polygon
-const DEPLOYED_ADDRESSES = {
-  OPTIONS_CALCULATOR: "0xF4bB79d53E5ce1D955e62aB0da851E1621B92884",
-  STOP_LOSS_PROTECTION: "0x609DEb414D76D67ca6CC44E911254ba83FBa3009", 
-  PROTECTED_OPTION_MANAGER: "0x3dD6101E01Ae44FFC642b65E0F9F92218EB5487a",
-  INTEGRATION: "0x53597B830E8711a42Ebb965b6A4c236A7fdb5Dcb"
-};
+const { requireDeployment } = require("./registry");
 
 // Real Polygon infrastructure
 const POLYGON_REAL = {
@@ -16,11 +9,19 @@ const POLYGON_REAL = {
 };
 
 async function main() {
+  // The shared frontend utils are ES modules
+  const { formatError } = await import("../frontend/src/utils/errors.js");
+
   console.log("🔍 Verifying deployment on Polygon mainnet...");
   console.log("===============================================");
   
   const [deployer] = await ethers.getSigners();
   console.log("Testing with account:", deployer.address);
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const deployment = requireDeployment(chainId);
+  const DEPLOYED_ADDRESSES = deployment.contracts;
+  console.log(`Using deployment v${deployment.version} for chain ${chainId}`);
   
   // Get contract instances
   const optionsCalculator = await ethers.getContractAt("OptionsCalculator", DEPLOYED_ADDRESSES.OPTIONS_CALCULATOR);
@@ -57,7 +58,7 @@ async function main() {
     console.log("✅ Price updated at:", new Date(Number(updatedAt) * 1000).toISOString());
     
   } catch (error) {
-    console.log("⚠️  Error during testing:", error.message);
+    console.log("⚠️  Error during testing:", formatError(error));
   }
   
   console.log("\n🌐 Real Infrastructure Verification:");
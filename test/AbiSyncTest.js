@@ -0,0 +1,46 @@
+const { expect } = require("chai");
+const { artifacts } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+const { buildExports } = require("../scripts/export-abis");
+
+describe("Frontend ABI export", function () {
+  let files;
+
+  before(async function () {
+    files = await buildExports(artifacts);
+  });
+
+  it("Should match the compiled artifacts (run `npm run export-abis` if this fails)", async function () {
+    for (const [filePath, expected] of files) {
+      const relativePath = path.relative(path.join(__dirname, ".."), filePath);
+      expect(fs.existsSync(filePath), `${relativePath} is missing`).to.be.true;
+      expect(fs.readFileSync(filePath, "utf8"), `${relativePath} is out of date`).to.equal(expected);
+    }
+  });
+
+  it("Should export the full getProtectedOption tuple", async function () {
+    const { abi } = await artifacts.readArtifact("ProtectedOptionManager");
+    const getProtectedOption = abi.find((item) => item.name === "getProtectedOption");
+
+    expect(getProtectedOption.outputs[0].type).to.equal("tuple");
+    expect(getProtectedOption.outputs[0].components.map((c) => c.name)).to.include.members([
+      "optionId",
+      "stopLossId",
+      "maker",
+      "expiresAt",
+      "isCall"
+    ]);
+  });
+
+  it("Should type integers the way viem decodes them", async function () {
+    const generated = [...files].find(([filePath]) => filePath.endsWith("generated.js"))[1];
+
+    // uint8 decimals and enums come back as numbers, uint256 amounts as bigints
+    expect(generated).to.contain("@param {number} makerDecimals");
+    expect(generated).to.contain("@param {number} triggerMode");
+    expect(generated).to.contain("@property {number} permitType");
+    expect(generated).to.contain("@property {bigint} makingAmount");
+  });
+});
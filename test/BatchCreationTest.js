@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let MAX_BATCH_SIZE, batchCollateral, buildLadder, parseLadderCsv, toBatchRequests, validateBatch, decodeError;
+
+describe("Batch option creation", function () {
+  before(async function () {
+    ({
+      MAX_BATCH_SIZE,
+      batchCollateral,
+      buildLadder,
+      parseLadderCsv,
+      toBatchRequests,
+      validateBatch
+    } = await import("../frontend/src/utils/ladder.js"));
+    ({ decodeError } = await import("../frontend/src/utils/errors.js"));
+  });
+
+  let manager;
+  let stopLossProtection;
+  let oracle;
+  let weth;
+  let usdc;
+  let maker;
+  let pair;
+
+  const price = (value) => ethers.parseUnits(value, 8);
+  const DAY = 24 * 3600;
+
+  // Calls from $2100 to $2300 at 1 and 7 days, stopped out 5% below the $2000 spot
+  const ladder = (overrides = {}) => buildLadder({
+    isCall: true,
+    strikeFrom: 2100,
+    strikeTo: 2300,
+    strikeStep: 100,
+    durations: [DAY, 7 * DAY],
+    collateral: "0.5",
+    stop: { isTrailing: false, distance: 500, maxLoss: 500 },
+    spot: 2000,
+    volatility: 0.8,
+    ...overrides
+  });
+
+  // IDs of the options a batch created, from its ProtectedOptionCreated events
+  const createdIds = async (tx) => (await (await tx).wait()).logs
+    .map((log) => manager.interface.parseLog(log))
+    .filter((event) => event?.name === "ProtectedOptionCreated")
+    .map((event) => event.args.protectedOptionId);
+
+  beforeEach(async function () {
+    [, maker] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    oracle = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(price("2000"), 8);
+
+    const optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+    stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+    manager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+    await optionsCalculator.setAuthorizedCaller(await manager.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await manager.getAddress(), true);
+
+    await weth.mint(maker.address, ethers.parseUnits("10", 18));
+    await weth.connect(maker).approve(await manager.getAddress(), ethers.MaxUint256);
+
+    pair = {
+      makerAsset: await weth.getAddress(),
+      takerAsset: await usdc.getAddress(),
+      oracle: await oracle.getAddress(),
+      collateralDecimals: 18,
+      paymentDecimals: 6
+    };
+  });
+
+  it("Should build a ladder over every strike and expiry with a shared stop", async function () {
+    const rows = ladder();
+    expect(rows.map((row) => `${row.strike}@${row.duration}`)).to.deep.equal([
+      `2100@${DAY}`, `2200@${DAY}`, `2300@${DAY}`,
+      `2100@${7 * DAY}`, `2200@${7 * DAY}`, `2300@${7 * DAY}`
+    ]);
+    expect(rows.every((row) => row.stopLossPrice === "1900")).to.be.true;
+    // Further out of the money is cheaper, longer-dated is dearer
+    expect(Number(rows[0].premium)).to.be.greaterThan(Number(rows[1].premium));
+    expect(Number(rows[3].premium)).to.be.greaterThan(Number(rows[0].premium));
+
+    const puts = ladder({ isCall: false, strikeFrom: 1800, strikeTo: 1800, durations: [DAY] });
+    expect(puts).to.have.length(1);
+    expect(puts[0].stopLossPrice).to.equal("2100");
+
+    const requests = toBatchRequests(rows, pair);
+    expect(requests[0].strikePrice).to.equal(price("2100"));
+    expect(requests[0].minTakingAmount).to.equal(ethers.parseUnits("50", 6));
+    expect(batchCollateral(requests)).to.equal(ethers.parseUnits("3", 18));
+  });
+
+  it("Should create and escrow every option of a batch in one transaction", async function () {
+    const requests = toBatchRequests(ladder(), pair);
+    const [, answer, , updatedAt] = await oracle.latestRoundData();
+    const validation = validateBatch(requests, { answer, updatedAt, decimals: 8, now: await time.latest() });
+    expect(validation.batch).to.be.undefined;
+    expect(validation.rows.every((errors) => Object.keys(errors).length === 0)).to.be.true;
+
+    expect(await manager.connect(maker).createProtectedOptionBatch.staticCall(requests)).to.have.length(6);
+    const create = manager.connect(maker).createProtectedOptionBatch(requests);
+    await expect(create).to.changeTokenBalances(weth, [maker, manager], [-ethers.parseUnits("3", 18), ethers.parseUnits("3", 18)]);
+
+    const ids = await createdIds(create);
+    expect(new Set(ids).size).to.equal(6);
+
+    const option = await manager.getProtectedOption(ids[4]);
+    expect(option.maker).to.equal(maker.address);
+    expect(option.makingAmount).to.equal(ethers.parseUnits("0.5", 18));
+  });
+
+  it("Should mix fixed and trailing stops from a CSV import", async function () {
+    const { rows, errors } = parseLadderCsv([
+      "type,strike,duration,collateral,premium,stop_loss,max_loss",
+      "call,2100,7d,0.5,25,1950,500",
+      "",
+      "# hedges",
+      "put,1900,12h,0.25,20,trailing,800,150",
+      "straddle,2000,1d,1,10,1900,500",
+      "put,1900,soon,1,10,2100,500",
+      "call,2100,1d,1"
+    ].join("\n"));
+
+    expect(errors.map((error) => error.line)).to.deep.equal([6, 7, 8]);
+    expect(errors[0].message).to.contain("straddle");
+    expect(rows).to.have.length(2);
+    expect(rows[1]).to.include({ isCall: false, duration: 12 * 3600, isTrailing: true, maxLoss: 800, minFillPrice: "150" });
+
+    // min_price is per collateral token; without it the strike's suggested 100 USDC applies
+    const requests = toBatchRequests(rows, pair);
+    expect(requests.map((request) => request.minTakingAmount))
+      .to.deep.equal([ethers.parseUnits("50", 6), ethers.parseUnits("37.5", 6)]);
+
+    const ids = await createdIds(manager.connect(maker).createProtectedOptionBatch(requests));
+
+    const fixed = await manager.getProtectedOption(ids[0]);
+    const trailing = await manager.getProtectedOption(ids[1]);
+    expect((await stopLossProtection.stopLossConfigs(fixed.stopLossId)).stopLossPrice).to.equal(price("1950"));
+    // Trails 8% above the $2000 spot
+    expect((await stopLossProtection.stopLossConfigs(trailing.stopLossId)).stopLossPrice).to.equal(price("2160"));
+  });
+
+  it("Should revert the whole batch when one option or the size is invalid", async function () {
+    const requests = toBatchRequests(ladder(), pair);
+    requests[2] = { ...requests[2], optionDuration: 600n };
+    expect(validateBatch(requests).rows[2]).to.have.property("duration");
+
+    await expect(manager.connect(maker).createProtectedOptionBatch(requests))
+      .to.be.revertedWithCustomError(manager, "InvalidOptionDuration");
+    expect(await weth.balanceOf(await manager.getAddress())).to.equal(0n);
+
+    const oversized = toBatchRequests(ladder({ strikeTo: 2100 + MAX_BATCH_SIZE * 100, durations: [DAY] }), pair);
+    expect(oversized).to.have.length(MAX_BATCH_SIZE + 1);
+    expect(validateBatch(oversized).batch.code).to.equal("INVALID_BATCH_SIZE");
+    expect(await manager.MAX_BATCH_SIZE()).to.equal(BigInt(MAX_BATCH_SIZE));
+
+    for (const batch of [oversized, []]) {
+      const error = await manager.connect(maker).createProtectedOptionBatch(batch).catch((e) => e);
+      expect(decodeError(error).code).to.equal("INVALID_BATCH_SIZE");
+    }
+  });
+});
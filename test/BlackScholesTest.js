@@ -0,0 +1,170 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let blackScholes, normCdf, secondsToYears, SECONDS_PER_YEAR, breakEvenPrice, buildPayoffCurve, payoffAt;
+
+describe("Black-Scholes Pricing", function () {
+  before(async function () {
+    ({
+      blackScholes,
+      normCdf,
+      secondsToYears,
+      SECONDS_PER_YEAR
+    } = await import("../frontend/src/utils/blackScholes.js"));
+    ({ breakEvenPrice, buildPayoffCurve, payoffAt } = await import("../frontend/src/utils/payoff.js"));
+  });
+
+  let optionsCalculator;
+  let mockOracle;
+
+  const SPOT = 2000;
+  const toFeed = (price) => ethers.parseUnits(price.toFixed(8), 8);
+  const fromFeed = (value) => Number(ethers.formatUnits(value, 8));
+
+  before(async function () {
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    mockOracle = await MockChainlinkOracle.deploy(toFeed(SPOT), 8);
+
+    const OptionsCalculator = await ethers.getContractFactory("OptionsCalculator");
+    optionsCalculator = await OptionsCalculator.deploy();
+  });
+
+  describe("JS pricing library", function () {
+    it("Should match reference prices", async function () {
+      // Hull, Options Futures and Other Derivatives: S=42, K=40, r=10%, sigma=20%, T=0.5
+      const params = { spot: 42, strike: 40, timeToExpiry: 0.5, volatility: 0.2, riskFreeRate: 0.1 };
+      expect(blackScholes({ ...params, isCall: true }).premium).to.be.closeTo(4.76, 0.005);
+      expect(blackScholes({ ...params, isCall: false }).premium).to.be.closeTo(0.81, 0.005);
+
+      expect(normCdf(0)).to.be.closeTo(0.5, 1e-7);
+      expect(normCdf(1.96)).to.be.closeTo(0.9750021, 1e-7);
+    });
+
+    it("Should satisfy put-call parity", async function () {
+      const params = { spot: SPOT, strike: 2100, timeToExpiry: secondsToYears(7 * 86400), volatility: 0.8, riskFreeRate: 0.05 };
+      const call = blackScholes({ ...params, isCall: true });
+      const put = blackScholes({ ...params, isCall: false });
+
+      const forward = SPOT - 2100 * Math.exp(-0.05 * params.timeToExpiry);
+      expect(call.premium - put.premium).to.be.closeTo(forward, 1e-4);
+      expect(call.delta - put.delta).to.be.closeTo(1, 1e-6);
+      expect(call.gamma).to.equal(put.gamma);
+      expect(call.vega).to.equal(put.vega);
+    });
+
+    it("Should match finite-difference Greeks", async function () {
+      const params = { isCall: true, spot: SPOT, strike: 2100, timeToExpiry: 0.1, volatility: 0.8 };
+      const quote = blackScholes(params);
+      const priced = (overrides) => blackScholes({ ...params, ...overrides }).premium;
+
+      expect(quote.delta).to.be.closeTo((priced({ spot: SPOT + 0.01 }) - priced({ spot: SPOT - 0.01 })) / 0.02, 1e-4);
+      expect(quote.vega).to.be.closeTo((priced({ volatility: 0.81 }) - priced({ volatility: 0.79 })) / 2, 1e-3);
+      expect(quote.theta).to.be.closeTo(priced({ timeToExpiry: 0.1 - 1 / 365 }) - quote.premium, 0.05);
+    });
+
+    it("Should fall back to intrinsic value at expiry", async function () {
+      const expired = blackScholes({ isCall: false, spot: SPOT, strike: 2100, timeToExpiry: 0, volatility: 0.8 });
+      expect(expired.premium).to.equal(100);
+      expect(expired.delta).to.equal(-1);
+
+      expect(() => blackScholes({ isCall: true, spot: 0, strike: 2100, timeToExpiry: 1, volatility: 0.8 }))
+        .to.throw("Spot and strike must be positive");
+    });
+  });
+
+  describe("On-chain approximation", function () {
+    it("Should track the JS library across strikes and maturities", async function () {
+      for (const isCall of [true, false]) {
+        for (const strike of [1500, 1900, 2000, 2100, 2600]) {
+          for (const seconds of [3600, 86400, 30 * 86400]) {
+            const expected = blackScholes({ isCall, spot: SPOT, strike, timeToExpiry: seconds / SECONDS_PER_YEAR, volatility: 0.8 });
+            const quoted = await optionsCalculator.quotePremium(isCall, toFeed(SPOT), toFeed(strike), seconds, ethers.parseUnits("0.8", 18));
+
+            // Within $0.01 on a $2000 underlying
+            expect(fromFeed(quoted)).to.be.closeTo(expected.premium, 0.01);
+          }
+        }
+      }
+    });
+
+    it("Should price configured options from the oracle and expiration", async function () {
+      const optionId = ethers.keccak256(ethers.toUtf8Bytes("fair-premium"));
+      const expiration = (await time.latest()) + 7 * 86400;
+      await optionsCalculator.setOptionConfig(optionId, true, toFeed(2100), ethers.parseUnits("50", 18), expiration, await mockOracle.getAddress(), 1, 18, 18);
+
+      const premium = await optionsCalculator.getFairPremium(optionId, ethers.parseUnits("0.8", 18));
+      const expected = blackScholes({
+        isCall: true,
+        spot: SPOT,
+        strike: 2100,
+        timeToExpiry: secondsToYears(expiration - await time.latest()),
+        volatility: 0.8
+      });
+      expect(fromFeed(premium)).to.be.closeTo(expected.premium, 0.01);
+
+      await expect(optionsCalculator.getFairPremium(optionId, ethers.parseUnits("11", 18)))
+        .to.be.revertedWithCustomError(optionsCalculator, "InvalidVolatility");
+    });
+
+    it("Should quote intrinsic value without time or volatility", async function () {
+      expect(await optionsCalculator.quotePremium(true, toFeed(2200), toFeed(2100), 0, ethers.parseUnits("0.8", 18)))
+        .to.equal(toFeed(100));
+      expect(await optionsCalculator.quotePremium(false, toFeed(2200), toFeed(2100), 3600, 0)).to.equal(0);
+      await expect(optionsCalculator.quotePremium(true, 0, toFeed(2100), 3600, ethers.parseUnits("0.8", 18)))
+        .to.be.revertedWithCustomError(optionsCalculator, "InvalidOptionConfig");
+    });
+
+    it("Should quote intrinsic value when the variance rounds to zero", async function () {
+      // 1e-9 volatility over a minute is far below 1e-18 of variance
+      const tinyVolatility = ethers.parseUnits("0.000000001", 18);
+      expect(await optionsCalculator.quotePremium(true, toFeed(2200), toFeed(2100), 60, tinyVolatility))
+        .to.equal(toFeed(100));
+      expect(await optionsCalculator.quotePremium(false, toFeed(2000), toFeed(2100), 1, 1n)).to.equal(toFeed(100));
+      expect(await optionsCalculator.quotePremium(false, toFeed(2200), toFeed(2100), 60, tinyVolatility)).to.equal(0);
+    });
+  });
+
+  describe("Payoff scenarios", function () {
+    // 2 WETH call struck at $2100, $100 premium, stop-loss at $1900
+    const position = { isCall: true, strike: 2100, premium: 100, amount: 2, stopLossPrice: 1900, timeToExpiry: 0.1, volatility: 0.8 };
+
+    it("Should knock the payoff out beyond the stop-loss", async function () {
+      const aboveStop = payoffAt(position, 1950);
+      expect(aboveStop.withStopLoss).to.equal(-100);
+      expect(aboveStop.today).to.be.greaterThan(-100);
+
+      const atStop = payoffAt(position, 1900);
+      expect(atStop.withStopLoss).to.equal(-100);
+      expect(atStop.today).to.equal(-100);
+
+      // Puts stop out above the level instead
+      const put = { ...position, isCall: false, strike: 1900, stopLossPrice: 2100 };
+      expect(payoffAt(put, 1800).withStopLoss).to.equal(100);
+      expect(payoffAt(put, 2150).withStopLoss).to.equal(-100);
+      expect(payoffAt(put, 2150).atExpiry).to.equal(-100);
+    });
+
+    it("Should break even once intrinsic value covers the premium", async function () {
+      expect(breakEvenPrice(position)).to.equal(2150);
+      expect(payoffAt(position, 2150).atExpiry).to.be.closeTo(0, 1e-9);
+      expect(payoffAt(position, 2250).withStopLoss).to.equal(200);
+      expect(breakEvenPrice({ ...position, isCall: false })).to.equal(2050);
+
+      // The model value today converges to the expiry payoff
+      expect(payoffAt({ ...position, timeToExpiry: 0 }, 2250).today).to.equal(200);
+      expect(payoffAt({ ...position, volatility: undefined }, 2250).today).to.equal(null);
+    });
+
+    it("Should build a curve covering the strike, spot, stop-loss and break-even", async function () {
+      const curve = buildPayoffCurve(position, { spot: SPOT, points: 41 });
+      expect(curve).to.have.length(41);
+
+      const prices = curve.map((point) => point.price);
+      expect(Math.min(...prices)).to.be.lessThan(1900);
+      expect(Math.max(...prices)).to.be.greaterThan(2150);
+      expect(prices).to.deep.equal([...prices].sort((a, b) => a - b));
+    });
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Cross Rate Oracle", function () {
+  let crossOracle;
+  let ethUsdFeed;
+  let btcUsdFeed;
+  let snapshot;
+
+  const ETH_MAX_AGE = 300;
+  const BTC_MAX_AGE = 3600;
+
+  // ETH / USD reports with 8 decimals, BTC / USD with 18; the pair always answers with 8
+  const ethUsd = (price) => ethers.parseUnits(price, 8);
+  const btcUsd = (price) => ethers.parseUnits(price, 18);
+  const ethBtc = (rate) => ethers.parseUnits(rate, 8);
+
+  const latestAnswer = async () => (await crossOracle.latestRoundData())[1];
+
+  // Stop-loss tests move the chain clock; rewind it for later suites
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    ethUsdFeed = await MockChainlinkOracle.deploy(ethUsd("2000"), 8);
+    btcUsdFeed = await MockChainlinkOracle.deploy(btcUsd("40000"), 18);
+
+    const CrossRateOracle = await ethers.getContractFactory("CrossRateOracle");
+    crossOracle = await CrossRateOracle.deploy(
+      await ethUsdFeed.getAddress(),
+      ETH_MAX_AGE,
+      await btcUsdFeed.getAddress(),
+      BTC_MAX_AGE,
+      "ETH / BTC"
+    );
+  });
+
+  describe("Cross rate", function () {
+    it("Should divide the base feed by the quote feed with 8 decimals", async function () {
+      expect(await crossOracle.decimals()).to.equal(8);
+      expect(await crossOracle.description()).to.equal("ETH / BTC");
+      expect(await latestAnswer()).to.equal(ethBtc("0.05"));
+
+      await ethUsdFeed.setLatestPrice(ethUsd("2400"));
+      expect(await latestAnswer()).to.equal(ethBtc("0.06"));
+
+      await btcUsdFeed.setLatestPrice(btcUsd("48000"));
+      const [, answer, , updatedAt] = await crossOracle.latestRoundData();
+      expect(answer).to.equal(ethBtc("0.05"));
+      expect(updatedAt).to.equal(await time.latest());
+    });
+
+    it("Should check the staleness of both feeds against their own limits", async function () {
+      // Ten minutes without updates: too old for ETH / USD, fine for BTC / USD
+      await time.increase(600);
+      await expect(crossOracle.latestRoundData())
+        .to.be.revertedWithCustomError(crossOracle, "StalePrice")
+        .withArgs(await ethUsdFeed.getAddress());
+
+      await ethUsdFeed.setLatestPrice(ethUsd("2000"));
+      expect(await latestAnswer()).to.equal(ethBtc("0.05"));
+
+      await btcUsdFeed.setStalePrice();
+      await expect(crossOracle.latestRoundData())
+        .to.be.revertedWithCustomError(crossOracle, "StalePrice")
+        .withArgs(await btcUsdFeed.getAddress());
+
+      await btcUsdFeed.setLatestPrice(0);
+      await expect(crossOracle.latestRoundData())
+        .to.be.revertedWithCustomError(crossOracle, "InvalidPrice")
+        .withArgs(await btcUsdFeed.getAddress());
+    });
+
+    it("Should pair historical rounds with the quote answer of their time", async function () {
+      await ethUsdFeed.setLatestPrice(ethUsd("2200"));
+      const ethUpdatedAt = await time.latest();
+      await time.increase(30);
+      await btcUsdFeed.setLatestPrice(btcUsd("44000"));
+      const btcUpdatedAt = await time.latest();
+      await time.increase(30);
+      await ethUsdFeed.setLatestPrice(ethUsd("2640"));
+
+      // Round IDs are the times the cross rate changed, whichever feed moved
+      const [roundId, answer] = await crossOracle.latestRoundData();
+      expect(roundId).to.equal(await time.latest());
+      expect(answer).to.equal(ethBtc("0.06"));
+
+      const [btcRoundId, btcAnswer] = await crossOracle.getRoundData(roundId - 1n);
+      expect(btcRoundId).to.equal(btcUpdatedAt);
+      expect(btcAnswer).to.equal(ethBtc("0.05"));
+
+      // $2200 was published while BTC was still at $40,000
+      const [ethRoundId, ethAnswer] = await crossOracle.getRoundData(btcRoundId - 1n);
+      expect(ethRoundId).to.equal(ethUpdatedAt);
+      expect(ethAnswer).to.equal(ethBtc("0.055"));
+    });
+
+    it("Should reject invalid feed settings", async function () {
+      const CrossRateOracle = await ethers.getContractFactory("CrossRateOracle");
+      const ethFeed = await ethUsdFeed.getAddress();
+      const btcFeed = await btcUsdFeed.getAddress();
+
+      await expect(CrossRateOracle.deploy(ethFeed, 300, ethFeed, 300, "ETH / ETH"))
+        .to.be.revertedWithCustomError(CrossRateOracle, "InvalidFeedConfig");
+      await expect(CrossRateOracle.deploy(ethFeed, 300, ethers.ZeroAddress, 300, "ETH / ?"))
+        .to.be.revertedWithCustomError(CrossRateOracle, "InvalidFeedConfig");
+      await expect(CrossRateOracle.deploy(ethFeed, 0, btcFeed, 300, "ETH / BTC"))
+        .to.be.revertedWithCustomError(CrossRateOracle, "InvalidFeedConfig");
+    });
+  });
+
+  describe("Protected options", function () {
+    let optionsCalculator;
+    let stopLossProtection;
+    let protectedOptionManager;
+    let weth;
+    let wbtc;
+    let maker;
+    let holder;
+    let protectedOptionId;
+    let option;
+
+    const STOP_LOSS_WINDOW = 60;
+
+    // Refreshes both legs so neither goes stale while the stop-loss window passes
+    const holdPrices = async (eth, btc) => {
+      await ethUsdFeed.setLatestPrice(ethUsd(eth));
+      await btcUsdFeed.setLatestPrice(btcUsd(btc));
+      await time.increase(STOP_LOSS_WINDOW);
+      await ethUsdFeed.setLatestPrice(ethUsd(eth));
+      await btcUsdFeed.setLatestPrice(btcUsd(btc));
+    };
+
+    beforeEach(async function () {
+      [, maker, holder] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+      wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+
+      optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+      stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+      protectedOptionManager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+        await optionsCalculator.getAddress(),
+        await stopLossProtection.getAddress()
+      );
+      await protectedOptionManager.setStopLossWindow(STOP_LOSS_WINDOW, 0);
+      await optionsCalculator.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+      await stopLossProtection.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+
+      const positionToken = await (await ethers.getContractFactory("ProtectedOptionPosition")).deploy(
+        await protectedOptionManager.getAddress()
+      );
+      await protectedOptionManager.setPositionToken(await positionToken.getAddress());
+
+      await weth.mint(maker.address, ethers.parseUnits("10", 18));
+      await weth.connect(maker).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("10", 18));
+      await wbtc.mint(holder.address, ethers.parseUnits("100", 8));
+      await wbtc.connect(holder).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("100", 8));
+
+      // A WETH call struck at 0.052 BTC, paid for in WBTC, stopped out below 0.045 BTC
+      const tx = await protectedOptionManager.connect(maker).createProtectedOption(
+        true,
+        ethBtc("0.052"),
+        ethers.parseUnits("0.01", 8),
+        3600,
+        await weth.getAddress(),
+        await wbtc.getAddress(),
+        ethers.parseUnits("10", 18),
+        ethers.parseUnits("0.1", 8),
+        ethBtc("0.045"),
+        1000,
+        await crossOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      protectedOptionId = receipt.logs.find((log) => log.eventName === "ProtectedOptionCreated").args[0];
+      option = await protectedOptionManager.getProtectedOption(protectedOptionId);
+      await protectedOptionManager.connect(holder).buyProtectedOption(protectedOptionId);
+    });
+
+    it("Should price and execute a WETH call in WBTC", async function () {
+      // ETH rallies against BTC: $2400 / $40,000 = 0.06 BTC
+      await ethUsdFeed.setLatestPrice(ethUsd("2400"));
+      const [intrinsicValue, currentPrice] = await optionsCalculator.getIntrinsicValue(option.optionId);
+      expect(currentPrice).to.equal(ethBtc("0.06"));
+      expect(intrinsicValue).to.equal(ethBtc("0.008"));
+
+      const [makingAmount, takingAmount] = await protectedOptionManager.quoteExecution(
+        protectedOptionId,
+        ethers.parseUnits("1", 8)
+      );
+      const fill = protectedOptionManager.connect(holder).executeProtectedOption(protectedOptionId, takingAmount);
+      await expect(fill).to.changeTokenBalance(weth, holder, makingAmount);
+      await expect(fill).to.changeTokenBalance(wbtc, maker, takingAmount);
+    });
+
+    it("Should stop out when the quote asset rallies", async function () {
+      // ETH holds at $2000 while BTC climbs to $50,000: 0.04 BTC, below the 0.045 stop
+      await holdPrices("2000", "40000");
+      expect(await stopLossProtection.checkStopLoss(option.stopLossId)).to.be.false;
+
+      await holdPrices("2000", "50000");
+      expect(await stopLossProtection.checkStopLoss(option.stopLossId)).to.be.true;
+
+      await expect(protectedOptionManager.triggerStopLoss(protectedOptionId))
+        .to.emit(protectedOptionManager, "StopLossActivated");
+    });
+  });
+});
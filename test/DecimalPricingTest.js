@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let defaultMinFillPrice, fillLimitPrice, minTakingAmountFor, validateOption;
+
+describe("Decimal-aware Pricing", function () {
+  before(async function () {
+    ({
+      defaultMinFillPrice,
+      fillLimitPrice,
+      minTakingAmountFor,
+      validateOption
+    } = await import("../frontend/src/utils/validation.js"));
+  });
+
+  let optionsCalculator;
+  let stopLossProtection;
+  let protectedOptionManager;
+  let mockOracle;
+  let tokens;
+  let maker;
+  let holder;
+  let snapshot;
+
+  const STOP_LOSS_WINDOW = 60;
+
+  // Strikes and stop-losses are always given with 8 decimals, whatever the feed reports
+  const usd = (price) => ethers.parseUnits(price, 8);
+
+  const amountOf = async (symbol, amount) => ethers.parseUnits(amount, await tokens[symbol].decimals());
+
+  // Reports `price` with the feed's own decimals
+  const setFeedPrice = async (price) => {
+    await mockOracle.setLatestPrice(ethers.parseUnits(price, await mockOracle.decimals()));
+  };
+
+  // Writes a $2100 call on 10 collateral tokens with a $1950 stop, paid for in the payment token,
+  // with the arguments the create form sends
+  const createOption = async (collateral, payment, overrides = {}) => {
+    const { isCall, strike, stopLossPrice, minTakingAmount, minFillPrice } = { isCall: true, strike: "2100", stopLossPrice: "1950", ...overrides };
+    const makingAmount = await amountOf(collateral, "10");
+    await tokens[collateral].mint(maker.address, makingAmount);
+    await tokens[collateral].connect(maker).approve(await protectedOptionManager.getAddress(), makingAmount);
+
+    const tx = await protectedOptionManager.connect(maker).createProtectedOption(
+      isCall,
+      usd(strike),
+      await amountOf(payment, "50"),
+      3600,
+      await tokens[collateral].getAddress(),
+      await tokens[payment].getAddress(),
+      makingAmount,
+      minTakingAmount ?? minTakingAmountFor({
+        makingAmount,
+        minFillPrice: minFillPrice ?? defaultMinFillPrice({ strikePrice: usd(strike) }),
+        collateralDecimals: await tokens[collateral].decimals(),
+        paymentDecimals: await tokens[payment].decimals()
+      }),
+      usd(stopLossPrice),
+      1000,
+      await mockOracle.getAddress()
+    );
+    const receipt = await tx.wait();
+    return receipt.logs.find((log) => log.eventName === "ProtectedOptionCreated").args[0];
+  };
+
+  const buyAs = async (protectedOptionId, payment, budget) => {
+    await tokens[payment].mint(holder.address, budget);
+    await tokens[payment].connect(holder).approve(await protectedOptionManager.getAddress(), budget);
+    await protectedOptionManager.connect(holder).buyProtectedOption(protectedOptionId);
+  };
+
+  // Stop-loss tests move the chain clock; rewind it for later suites
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [, maker, holder] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    tokens = {
+      WETH: await MockERC20.deploy("Wrapped Ether", "WETH", 18),
+      USDC: await MockERC20.deploy("USD Coin", "USDC", 6),
+      WBTC: await MockERC20.deploy("Wrapped BTC", "WBTC", 8),
+    };
+
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    mockOracle = await MockChainlinkOracle.deploy(usd("2000"), 8);
+
+    optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+    stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+    protectedOptionManager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+    await protectedOptionManager.setStopLossWindow(STOP_LOSS_WINDOW, 0);
+    await optionsCalculator.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+
+    const positionToken = await (await ethers.getContractFactory("ProtectedOptionPosition")).deploy(
+      await protectedOptionManager.getAddress()
+    );
+    await protectedOptionManager.setPositionToken(await positionToken.getAddress());
+  });
+
+  describe("Token decimals", function () {
+    // At $2400 against a $2100 strike, each collateral token costs 700 payment tokens
+    for (const [collateral, payment] of [["WETH", "USDC"], ["WBTC", "USDC"], ["WETH", "WBTC"], ["WBTC", "WETH"]]) {
+      it(`Should price ${collateral} collateral paid for in ${payment}`, async function () {
+        const protectedOptionId = await createOption(collateral, payment);
+        const { optionId } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+        await setFeedPrice("2400");
+
+        const config = await optionsCalculator.optionConfigs(optionId);
+        expect(config.makerDecimals).to.equal(await tokens[collateral].decimals());
+        expect(config.takerDecimals).to.equal(await tokens[payment].decimals());
+
+        expect(await optionsCalculator.getTakingAmount(optionId, await amountOf(collateral, "4")))
+          .to.equal(await amountOf(payment, "2800"));
+        expect(await optionsCalculator.getMakingAmount(optionId, await amountOf(payment, "2800")))
+          .to.equal(await amountOf(collateral, "4"));
+
+        // The premium is a payment token amount, paid once by the buyer
+        expect(config.premium).to.equal(await amountOf(payment, "50"));
+
+        // Out of the money there is no fill to price
+        await setFeedPrice("2000");
+        await expect(optionsCalculator.getMakingAmount(optionId, await amountOf(payment, "1")))
+          .to.be.revertedWithCustomError(optionsCalculator, "OptionOutOfMoney");
+        const [quotedMaking, quotedTaking] = await protectedOptionManager.quoteExecution(
+          protectedOptionId,
+          await amountOf(payment, "1")
+        );
+        expect(quotedMaking).to.equal(0n);
+        expect(quotedTaking).to.equal(0n);
+      });
+    }
+
+    it("Should execute a WETH call paid for in 6-decimal USDC", async function () {
+      const protectedOptionId = await createOption("WETH", "USDC");
+      const payment = await amountOf("USDC", "10000");
+      await tokens.USDC.mint(holder.address, payment);
+      await tokens.USDC.connect(holder).approve(await protectedOptionManager.getAddress(), payment);
+
+      await expect(protectedOptionManager.connect(holder).buyProtectedOption(protectedOptionId))
+        .to.changeTokenBalances(tokens.USDC, [maker, holder], [await amountOf("USDC", "50"), -(await amountOf("USDC", "50"))]);
+
+      await setFeedPrice("2400");
+      const fill = protectedOptionManager.connect(holder).executeProtectedOption(protectedOptionId, await amountOf("USDC", "2800"));
+      await expect(fill).to.changeTokenBalance(tokens.WETH, holder, await amountOf("WETH", "4"));
+      await expect(fill).to.changeTokenBalance(tokens.USDC, maker, await amountOf("USDC", "2800"));
+
+      // The form's 1000 USDC floor for 10 WETH still holds pro rata
+      const [quotedMaking, quotedTaking] = await protectedOptionManager.quoteExecution(
+        protectedOptionId,
+        await amountOf("USDC", "7000")
+      );
+      expect(quotedMaking).to.equal(await amountOf("WETH", "6"));
+      expect(quotedTaking).to.equal(await amountOf("USDC", "4200"));
+    });
+  });
+
+  describe("Create form floor", function () {
+    it("Should execute form-created options deep in the money", async function () {
+      // A call at $4000: each WETH costs 2100 * 100 / 1900 = ~110.5 USDC, above the 100 USDC floor
+      const call = await createOption("WETH", "USDC");
+      await buyAs(call, "USDC", await amountOf("USDC", "10000"));
+      await setFeedPrice("4000");
+      await expect(protectedOptionManager.connect(holder).executeProtectedOption(call, await amountOf("USDC", "1000")))
+        .to.changeTokenBalance(tokens.WETH, holder, 9047619047619047619n);
+
+      // A put at $100: each WETH costs 2100 * 100 / 2000 = 105 USDC
+      await setFeedPrice("2000");
+      const put = await createOption("WETH", "USDC", { isCall: false, stopLossPrice: "2050" });
+      await buyAs(put, "USDC", await amountOf("USDC", "10000"));
+      await setFeedPrice("100");
+      await expect(protectedOptionManager.connect(holder).executeProtectedOption(put, await amountOf("USDC", "1050")))
+        .to.changeTokenBalance(tokens.WETH, holder, await amountOf("WETH", "10"));
+    });
+
+    it("Should execute until the price passes the limit of the maker's minimum price", async function () {
+      // 200 USDC per WETH holds while 2100 * 100 / intrinsic value stays above it: up to $3150
+      const minFillPrice = usd("200");
+      const limit = fillLimitPrice({ isCall: true, strikePrice: usd("2100"), minFillPrice });
+      expect(limit).to.equal(usd("3150"));
+
+      const protectedOptionId = await createOption("WETH", "USDC", { minFillPrice });
+      await buyAs(protectedOptionId, "USDC", await amountOf("USDC", "10000"));
+      const { makingAmount, minTakingAmount } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+      expect(minTakingAmount).to.equal(await amountOf("USDC", "2000"));
+
+      await setFeedPrice("3100");
+      await protectedOptionManager.connect(holder).executeProtectedOption(protectedOptionId, await amountOf("USDC", "1000"));
+
+      // Beyond the limit the form flags the floor, and the contract rejects the fill
+      await setFeedPrice("3200");
+      const [, answer, , updatedAt] = await mockOracle.latestRoundData();
+      const errors = validateOption(
+        {
+          isCall: true,
+          strikePrice: usd("2100"),
+          optionDuration: 3600,
+          makerAsset: await tokens.WETH.getAddress(),
+          takerAsset: await tokens.USDC.getAddress(),
+          makingAmount,
+          minTakingAmount,
+          stopLossPrice: usd("1950"),
+          maxLoss: 1000,
+          oracle: await mockOracle.getAddress(),
+          collateralDecimals: 18,
+          paymentDecimals: 6
+        },
+        { answer, updatedAt, decimals: 8, now: await time.latest() }
+      );
+      expect(errors.minFillPrice.code).to.equal("MIN_PAYMENT_BLOCKS_FILLS_NOW");
+      await expect(protectedOptionManager.connect(holder).executeProtectedOption(protectedOptionId, await amountOf("USDC", "1000")))
+        .to.be.revertedWithCustomError(protectedOptionManager, "InsufficientAmount");
+    });
+
+    it("Should not execute with a floor at the strike value", async function () {
+      // The floor the form used to send: 21000 USDC for 10 WETH, while a fill at $2400 costs 7000
+      const protectedOptionId = await createOption("WETH", "USDC", { minTakingAmount: await amountOf("USDC", "21000") });
+      await buyAs(protectedOptionId, "USDC", await amountOf("USDC", "10000"));
+      await setFeedPrice("2400");
+      await expect(protectedOptionManager.connect(holder).executeProtectedOption(protectedOptionId, await amountOf("USDC", "2800")))
+        .to.be.revertedWithCustomError(protectedOptionManager, "InsufficientAmount");
+    });
+  });
+
+  describe("Feed decimals", function () {
+    it("Should scale feed answers to 8 decimals for pricing", async function () {
+      await mockOracle.setDecimals(18);
+      const protectedOptionId = await createOption("WETH", "USDC");
+      const { optionId, stopLossId } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+
+      await setFeedPrice("2400");
+      const [intrinsicValue, currentPrice] = await optionsCalculator.getIntrinsicValue(optionId);
+      expect(currentPrice).to.equal(usd("2400"));
+      expect(intrinsicValue).to.equal(usd("300"));
+      expect(await optionsCalculator.getTakingAmount(optionId, await amountOf("WETH", "4")))
+        .to.equal(await amountOf("USDC", "2800"));
+
+      const [price] = await stopLossProtection.getPriceInfo(stopLossId);
+      expect(price).to.equal(usd("2400"));
+    });
+
+    it("Should compare stop-losses against scaled answers", async function () {
+      await mockOracle.setDecimals(6);
+      const protectedOptionId = await createOption("WBTC", "USDC");
+      const { stopLossId } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+
+      // $1960 with 6 decimals is above the $1950 stop
+      await setFeedPrice("1960");
+      await time.increase(STOP_LOSS_WINDOW);
+      await setFeedPrice("1960");
+      expect(await stopLossProtection.checkStopLoss(stopLossId)).to.be.false;
+
+      await setFeedPrice("1900");
+      await time.increase(STOP_LOSS_WINDOW);
+      await setFeedPrice("1900");
+      expect(await stopLossProtection.checkStopLoss(stopLossId)).to.be.true;
+      const [twapPrice] = await stopLossProtection.getWindowState(stopLossId);
+      expect(twapPrice).to.equal(usd("1900"));
+    });
+  });
+});
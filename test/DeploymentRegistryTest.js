@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  readRegistry,
+  getDeployment,
+  requireDeployment,
+  findDeploymentByNetwork,
+  recordDeployment,
+  REGISTRY_FILE
+} = require("../scripts/registry");
+
+describe("Deployment Registry", function () {
+  let registryFile;
+
+  const localDeployment = (managerAddress) => ({
+    chainId: 31337,
+    network: "localhost",
+    deployer: "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266",
+    blockNumber: 1,
+    contracts: {
+      OPTIONS_CALCULATOR: "0x5FbDB2315678afecb367f032d93F642f64180aa3",
+      STOP_LOSS_PROTECTION: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512",
+      PROTECTED_OPTION_MANAGER: managerAddress,
+      INTEGRATION: "0xCf7Ed3AccA5a467e9e704C703E8D87F634fB0Fc9"
+    }
+  });
+
+  beforeEach(function () {
+    registryFile = path.join(os.tmpdir(), `registry-test-${Date.now()}-${Math.random()}.json`);
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(registryFile)) fs.unlinkSync(registryFile);
+  });
+
+  it("Should bump the chain version on every redeploy", async function () {
+    recordDeployment(localDeployment("0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"), registryFile);
+    const redeployed = recordDeployment(localDeployment("0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9"), registryFile);
+
+    expect(redeployed.version).to.equal(2);
+    expect(getDeployment(31337, registryFile).contracts.PROTECTED_OPTION_MANAGER)
+      .to.equal("0xDc64a140Aa3E981100a9becA4E685f962f0cF6C9");
+    expect(findDeploymentByNetwork("localhost", registryFile).chainId).to.equal(31337);
+  });
+
+  it("Should keep other chains when recording a deployment", async function () {
+    recordDeployment({ ...localDeployment("0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"), chainId: 137, network: "polygon" }, registryFile);
+    recordDeployment(localDeployment("0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0"), registryFile);
+
+    expect(Object.keys(readRegistry(registryFile).chains)).to.have.members(["137", "31337"]);
+  });
+
+  it("Should reject missing chains and incomplete deployments", async function () {
+    expect(() => requireDeployment(1, undefined, registryFile)).to.throw("No deployment registered for chain 1");
+
+    const partial = localDeployment("0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0");
+    delete partial.contracts.INTEGRATION;
+    recordDeployment(partial, registryFile);
+    expect(() => requireDeployment(31337, undefined, registryFile)).to.throw("missing INTEGRATION");
+  });
+
+  it("Should ship only deployments recorded by a deploy script", async function () {
+    // The frontend offers every chain in the registry, so entries must match the current contracts
+    for (const [chainId, deployment] of Object.entries(readRegistry(REGISTRY_FILE).chains)) {
+      expect(deployment.deployer, `chain ${chainId} deployer`).to.match(/^0x[0-9a-fA-F]{40}$/);
+      expect(deployment.blockNumber, `chain ${chainId} block`).to.be.a("number");
+      expect(deployment.timestamp, `chain ${chainId} timestamp`).to.be.a("string");
+      requireDeployment(chainId, undefined, REGISTRY_FILE);
+    }
+  });
+});
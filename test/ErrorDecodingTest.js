@@ -0,0 +1,105 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+
+// Every contract the app, scripts or keeper call
+const PROTOCOL_CONTRACTS = [
+  "ProtectedOptionManager",
+  "OptionsCalculator",
+  "StopLossProtection",
+  "OneinchProtectedOptionsIntegration",
+  "ProtectedOptionPosition",
+  "OracleAdapter",
+  "CrossRateOracle"
+];
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let PROTOCOL_ERRORS, decodeError, formatError;
+
+describe("Error decoding", function () {
+  before(async function () {
+    ({ PROTOCOL_ERRORS, decodeError, formatError } = await import("../frontend/src/utils/errors.js"));
+  });
+
+  it("Should describe every custom error of the protocol contracts", async function () {
+    for (const contractName of PROTOCOL_CONTRACTS) {
+      const { abi } = await artifacts.readArtifact(contractName);
+      for (const fragment of new ethers.Interface(abi).fragments.filter((f) => f.type === "error")) {
+        const entry = PROTOCOL_ERRORS[fragment.selector];
+        expect(entry, `${contractName}.${fragment.format()} has no entry`).to.exist;
+        expect(entry.signature).to.equal(fragment.format());
+        expect(entry.message).to.be.a("string").that.is.not.empty;
+        expect(entry.fix).to.be.a("string").that.is.not.empty;
+      }
+    }
+
+    const codes = Object.values(PROTOCOL_ERRORS).map((entry) => entry.code);
+    expect(new Set(codes).size).to.equal(codes.length);
+  });
+
+  it("Should decode reverts thrown by ethers", async function () {
+    const [, maker] = await ethers.getSigners();
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    const token = await MockERC20.deploy("Token", "TK", 18);
+    const optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+    const stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+    const manager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+
+    // A 10-minute option is below MIN_OPTION_DURATION
+    const error = await manager.connect(maker).createProtectedOption(
+      true, 1n, 1n, 600, await token.getAddress(), await token.getAddress(), 1n, 1n, 1n, 100, await token.getAddress()
+    ).catch((e) => e);
+    expect(decodeError(error)).to.include({ code: "INVALID_OPTION_DURATION", name: "InvalidOptionDuration" });
+    expect(formatError(error)).to.equal(
+      "The option duration is outside the allowed range. Choose a duration between 1 hour and 30 days"
+    );
+
+    // Arguments come back with the error, and overloads are told apart by their signature
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    const ethFeed = await MockChainlinkOracle.deploy(ethers.parseUnits("2000", 8), 8);
+    const btcFeed = await MockChainlinkOracle.deploy(ethers.parseUnits("40000", 8), 8);
+    const crossOracle = await (await ethers.getContractFactory("CrossRateOracle")).deploy(
+      await ethFeed.getAddress(), 300, await btcFeed.getAddress(), 300, "ETH / BTC"
+    );
+    await btcFeed.setStalePrice();
+    const staleError = await crossOracle.latestRoundData().catch((e) => e);
+    expect(decodeError(staleError)).to.deep.include({ code: "STALE_FEED", args: [await btcFeed.getAddress()] });
+  });
+
+  it("Should decode errors in the shapes viem and wallets report them", function () {
+    const selector = (signature) => ethers.id(signature).slice(0, 10);
+
+    // Decoded against the ABI the write was sent with
+    const decoded = {
+      name: "ContractFunctionExecutionError",
+      cause: { name: "ContractFunctionRevertedError", data: { errorName: "StopLossTriggered", args: [] } }
+    };
+    expect(decodeError(decoded).code).to.equal("STOP_LOSS_TRIGGERED");
+
+    // Raised by a dependency missing from that ABI: viem keeps only the selector
+    const undecoded = {
+      name: "ContractFunctionExecutionError",
+      cause: { name: "ContractFunctionRevertedError", signature: selector("UnauthorizedCaller()") }
+    };
+    expect(decodeError(undecoded).code).to.equal("UNAUTHORIZED_CALLER");
+
+    // Raw revert data nested in a JSON-RPC error
+    const raw = { message: "execution reverted", error: { code: 3, data: selector("OptionExpired()") } };
+    expect(decodeError(raw).code).to.equal("OPTION_EXPIRED");
+
+    const reason = new ethers.Interface(["error Error(string)"]).encodeErrorResult("Error", ["Invalid oracle"]);
+    expect(decodeError({ data: reason })).to.include({ code: "REVERT_REASON", message: "Invalid oracle" });
+  });
+
+  it("Should classify wallet rejections and RPC congestion", function () {
+    expect(decodeError({ name: "UserRejectedRequestError", message: "User rejected the request." }).code)
+      .to.equal("USER_REJECTED");
+    expect(decodeError({ code: "ACTION_REJECTED", message: "user rejected action" }).code).to.equal("USER_REJECTED");
+    expect(decodeError(new Error("HTTP request failed: circuit breaker is open")).code).to.equal("NETWORK_CONGESTION");
+
+    const unknown = decodeError(new Error("something else"));
+    expect(unknown).to.include({ code: "UNKNOWN_ERROR", message: "something else" });
+  });
+});
@@ -0,0 +1,240 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { JsonStore, EventIndexer, createServer } = require("../indexer");
+const { queryOptions, getOption } = require("../indexer/queries");
+
+describe("Event Indexer", function () {
+  let optionsCalculator;
+  let stopLossProtection;
+  let protectedOptionManager;
+  let positionToken;
+  let mockOracle;
+  let mockToken1;
+  let mockToken2;
+  let user1;
+  let user2;
+  let user3;
+  let dataFile;
+
+  const STRIKE_PRICE = ethers.parseUnits("2100", 8);
+  const PREMIUM = ethers.parseUnits("50", 18);
+  const STOP_LOSS_PRICE = ethers.parseUnits("1950", 8);
+  const MAX_LOSS = 1000;
+
+  const silentLogger = { log() {}, warn() {}, error() {} };
+
+  const createOption = async (isCall = true) => {
+    const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+      isCall,
+      STRIKE_PRICE,
+      PREMIUM,
+      3600,
+      await mockToken1.getAddress(),
+      await mockToken2.getAddress(),
+      ethers.parseUnits("10", 18),
+      ethers.parseUnits("100", 18),
+      isCall ? STOP_LOSS_PRICE : ethers.parseUnits("2300", 8),
+      MAX_LOSS,
+      await mockOracle.getAddress()
+    );
+    const receipt = await tx.wait();
+    return receipt.logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+  };
+
+  const newIndexer = async (store = new JsonStore(dataFile)) => {
+    const indexer = new EventIndexer({
+      provider: ethers.provider,
+      store,
+      managerAddress: await protectedOptionManager.getAddress(),
+      stopLossAddress: await stopLossProtection.getAddress(),
+      logger: silentLogger
+    });
+    await indexer.initialize();
+    return indexer;
+  };
+
+  beforeEach(async function () {
+    [, user1, user2, user3] = await ethers.getSigners();
+    dataFile = path.join(os.tmpdir(), `indexer-test-${Date.now()}-${Math.random()}.json`);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken1 = await MockERC20.deploy("Token1", "TK1", 18);
+    mockToken2 = await MockERC20.deploy("Token2", "TK2", 18);
+
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    mockOracle = await MockChainlinkOracle.deploy(ethers.parseUnits("2000", 8), 8);
+
+    const OptionsCalculator = await ethers.getContractFactory("OptionsCalculator");
+    optionsCalculator = await OptionsCalculator.deploy();
+
+    const StopLossProtection = await ethers.getContractFactory("StopLossProtection");
+    stopLossProtection = await StopLossProtection.deploy();
+
+    const ProtectedOptionManager = await ethers.getContractFactory("ProtectedOptionManager");
+    protectedOptionManager = await ProtectedOptionManager.deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+
+    const ProtectedOptionPosition = await ethers.getContractFactory("ProtectedOptionPosition");
+    positionToken = await ProtectedOptionPosition.deploy(await protectedOptionManager.getAddress());
+    await protectedOptionManager.setPositionToken(await positionToken.getAddress());
+
+    await optionsCalculator.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+
+    await mockToken1.mint(user1.address, ethers.parseUnits("1000", 18));
+    await mockToken2.mint(user2.address, ethers.parseUnits("10000", 18));
+    await mockToken1.connect(user1).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("1000", 18));
+    await mockToken2.connect(user2).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("10000", 18));
+  });
+
+  afterEach(function () {
+    if (fs.existsSync(dataFile)) fs.unlinkSync(dataFile);
+  });
+
+  it("Should rebuild option history from created, filled, executed and cancelled events", async function () {
+    const executedId = await createOption(true);
+    const cancelledId = await createOption(false);
+
+    await protectedOptionManager.connect(user2).buyProtectedOption(executedId);
+
+    // At $2400 the whole 10 TK1 cost 7000 TK2: fill 4, then the remaining 6
+    await mockOracle.setLatestPrice(ethers.parseUnits("2400", 8));
+    await protectedOptionManager.connect(user2).executeProtectedOption(executedId, ethers.parseUnits("2800", 18));
+    await protectedOptionManager.connect(user1).cancelProtectedOption(cancelledId);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const partiallyFilled = getOption(indexer.store.events, executedId);
+    expect(partiallyFilled.status).to.equal("ACTIVE");
+    expect(partiallyFilled.holder).to.equal(user2.address);
+    expect(partiallyFilled.premium).to.equal(PREMIUM.toString());
+    expect(partiallyFilled.fills).to.equal(1);
+    expect(partiallyFilled.remainingMakingAmount).to.equal(ethers.parseUnits("6", 18).toString());
+
+    await protectedOptionManager.connect(user2).executeProtectedOption(executedId, ethers.parseUnits("5000", 18));
+    await indexer.sync();
+
+    const executed = getOption(indexer.store.events, executedId);
+    expect(executed.status).to.equal("EXECUTED");
+    expect(executed.fills).to.equal(2);
+    expect(executed.remainingMakingAmount).to.equal("0");
+    expect(executed.taker).to.equal(user2.address);
+    expect(executed.stopLoss.stopLossPrice).to.equal(STOP_LOSS_PRICE.toString());
+
+    const cancelled = getOption(indexer.store.events, cancelledId);
+    expect(cancelled.status).to.equal("CANCELLED");
+    expect(cancelled.cancelReason).to.equal("cancelled");
+    expect(cancelled.stopLoss.isActive).to.be.false;
+
+    const calls = queryOptions(indexer.store.events, { isCall: "true" });
+    expect(calls.total).to.equal(1);
+    expect(calls.items[0].protectedOptionId).to.equal(executedId);
+  });
+
+  it("Should follow position tokens to their new holder", async function () {
+    const protectedOptionId = await createOption(true);
+    await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+    await positionToken.connect(user2).transferFrom(user2.address, user3.address, protectedOptionId);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    expect(getOption(indexer.store.events, protectedOptionId).holder).to.equal(user3.address);
+    expect(queryOptions(indexer.store.events, { holder: user3.address }).total).to.equal(1);
+    expect(queryOptions(indexer.store.events, { holder: user2.address }).total).to.equal(0);
+  });
+
+  it("Should record when a stop-loss fired", async function () {
+    await protectedOptionManager.setStopLossWindow(60, 0);
+    const triggeredId = await createOption(true);
+
+    await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+    await network.provider.send("evm_increaseTime", [60]);
+    await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+    await protectedOptionManager.connect(user2).triggerStopLoss(triggeredId);
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const triggered = getOption(indexer.store.events, triggeredId);
+    expect(triggered.status).to.equal("CANCELLED");
+    expect(triggered.cancelReason).to.equal("stop-loss");
+    expect(triggered.stopLoss.isActive).to.be.false;
+    expect(triggered.stopLoss.triggerPrice).to.equal(ethers.parseUnits("1900", 8).toString());
+    expect(triggered.events.map(e => e.event)).to.include.members(["StopLossTriggered", "StopLossActivated"]);
+  });
+
+  it("Should resume from the last processed block", async function () {
+    await createOption();
+
+    const first = await newIndexer();
+    await first.sync();
+    const processedBlock = first.store.lastBlock;
+    const eventCount = first.store.events.length;
+
+    await createOption();
+
+    // A fresh store instance reads the persisted cursor from disk
+    const second = await newIndexer();
+    expect(second.store.lastBlock).to.equal(processedBlock);
+
+    const added = await second.sync();
+    expect(added).to.be.gt(0);
+    expect(second.store.events.length).to.equal(eventCount + added);
+    expect(new Set(second.store.events.map(e => e.id)).size).to.equal(second.store.events.length);
+  });
+
+  it("Should roll back events from reorged blocks", async function () {
+    const keptId = await createOption();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    const orphanedId = await createOption();
+    const indexer = await newIndexer();
+    await indexer.sync();
+    expect(indexer.store.events.some(e => e.args.protectedOptionId === orphanedId)).to.be.true;
+
+    // Replace the orphaned block with a different chain of equal length
+    await network.provider.send("evm_revert", [snapshot]);
+    await network.provider.send("evm_mine");
+    await indexer.sync();
+
+    const ids = indexer.store.events.map(e => e.args.protectedOptionId).filter(Boolean);
+    expect(ids).to.include(keptId);
+    expect(ids).to.not.include(orphanedId);
+  });
+
+  it("Should serve filtered and paginated history over HTTP", async function () {
+    for (let i = 0; i < 3; i++) {
+      await createOption();
+    }
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const server = createServer(indexer);
+    await new Promise(resolve => server.listen(0, resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const page = await (await fetch(`${baseUrl}/options?maker=${user1.address}&pageSize=2&page=2`)).json();
+      expect(page.total).to.equal(3);
+      expect(page.totalPages).to.equal(2);
+      expect(page.items).to.have.length(1);
+
+      const events = await (await fetch(`${baseUrl}/events?event=ProtectedOptionCreated`)).json();
+      expect(events.total).to.equal(3);
+
+      const missing = await fetch(`${baseUrl}/options/${ethers.ZeroHash}`);
+      expect(missing.status).to.equal(404);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,261 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { CancellationKeeper } = require("../keeper");
+
+describe("Cancellation Keeper", function () {
+  let protectedOptionManager;
+  let mockOracle;
+  let mockToken1;
+  let mockToken2;
+  let keeperAccount;
+  let user1;
+  let logs;
+  let snapshot;
+
+  const STRIKE_PRICE = ethers.parseUnits("2100", 8);
+  const PREMIUM = ethers.parseUnits("50", 18);
+  const STOP_LOSS_PRICE = ethers.parseUnits("1950", 8);
+  const MAKING_AMOUNT = ethers.parseUnits("10", 18);
+  const MAX_LOSS = 1000;
+  const STOP_LOSS_WINDOW = 60;
+
+  const logger = {
+    log: (message) => logs.push(["log", message]),
+    warn: (message) => logs.push(["warn", message]),
+    error: (message) => logs.push(["error", message])
+  };
+
+  const createOption = async (stopLossPrice = STOP_LOSS_PRICE) => {
+    const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+      true,
+      STRIKE_PRICE,
+      PREMIUM,
+      3600,
+      await mockToken1.getAddress(),
+      await mockToken2.getAddress(),
+      MAKING_AMOUNT,
+      ethers.parseUnits("100", 18),
+      stopLossPrice,
+      MAX_LOSS,
+      await mockOracle.getAddress()
+    );
+    const receipt = await tx.wait();
+    return receipt.logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+  };
+
+  // Keeps the price below the stop for the manager's whole stop-loss window
+  const breachStopLoss = async () => {
+    await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+    await time.increase(STOP_LOSS_WINDOW);
+    await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+  };
+
+  // Signer whose transactions time out the first time they are waited on, as if the RPC dropped the request
+  const timingOutSigner = (sent, beforeWait = async () => {}) => ({
+    getAddress: () => keeperAccount.getAddress(),
+    sendTransaction: async (tx) => {
+      const response = await keeperAccount.sendTransaction(tx);
+      sent.push(response.hash);
+
+      const wait = response.wait.bind(response);
+      let waits = 0;
+      response.wait = async () => {
+        if (++waits === 1) throw Object.assign(new Error("request timed out"), { code: "TIMEOUT" });
+        await beforeWait();
+        return wait();
+      };
+      return response;
+    }
+  });
+
+  const newKeeper = async (options = {}) => new CancellationKeeper({
+    provider: ethers.provider,
+    signer: keeperAccount,
+    managerAddress: await protectedOptionManager.getAddress(),
+    retryDelayMs: 0,
+    logger,
+    ...options
+  });
+
+  // Expiry and stop-loss tests move the chain clock; rewind it so later suites see wall-clock time again
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [, user1, keeperAccount] = await ethers.getSigners();
+    logs = [];
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    mockToken1 = await MockERC20.deploy("Token1", "TK1", 18);
+    mockToken2 = await MockERC20.deploy("Token2", "TK2", 18);
+
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    mockOracle = await MockChainlinkOracle.deploy(ethers.parseUnits("2000", 8), 8);
+
+    const OptionsCalculator = await ethers.getContractFactory("OptionsCalculator");
+    const optionsCalculator = await OptionsCalculator.deploy();
+
+    const StopLossProtection = await ethers.getContractFactory("StopLossProtection");
+    const stopLossProtection = await StopLossProtection.deploy();
+
+    const ProtectedOptionManager = await ethers.getContractFactory("ProtectedOptionManager");
+    protectedOptionManager = await ProtectedOptionManager.deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+    await protectedOptionManager.setStopLossWindow(STOP_LOSS_WINDOW, 0);
+
+    await optionsCalculator.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+
+    await mockToken1.mint(user1.address, ethers.parseUnits("1000", 18));
+    await mockToken1.connect(user1).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("1000", 18));
+  });
+
+  it("Should cancel options whose stop-loss triggered and keep healthy ones", async function () {
+    const triggeredId = await createOption();
+    const healthyId = await createOption(ethers.parseUnits("1800", 8));
+    const keeper = await newKeeper();
+
+    expect(await keeper.poll()).to.equal(0);
+    expect(keeper.active.size).to.equal(2);
+
+    await breachStopLoss();
+    const balanceBefore = await mockToken1.balanceOf(user1.address);
+
+    expect(await keeper.poll()).to.equal(1);
+    expect((await protectedOptionManager.getProtectedOption(triggeredId)).isActive).to.be.false;
+    expect((await protectedOptionManager.getProtectedOption(healthyId)).isActive).to.be.true;
+    expect(await mockToken1.balanceOf(user1.address)).to.equal(balanceBefore + MAKING_AMOUNT);
+    expect([...keeper.active.keys()]).to.deep.equal([healthyId]);
+    expect(logs.some(([level, message]) => level === "log" && message.includes(`Cancelled ${triggeredId} (stop-loss)`))).to.be.true;
+  });
+
+  it("Should cancel expired options", async function () {
+    const optionId = await createOption();
+    const keeper = await newKeeper();
+    await keeper.poll();
+
+    await time.increase(3700);
+    // Refresh the feed, cancellation still evaluates the stop-loss
+    await mockOracle.setLatestPrice(ethers.parseUnits("2000", 8));
+
+    expect(await keeper.poll()).to.equal(1);
+    expect((await protectedOptionManager.getProtectedOption(optionId)).isActive).to.be.false;
+    expect(logs.some(([, message]) => message.includes(`Cancelled ${optionId} (expired)`))).to.be.true;
+  });
+
+  it("Should defer cancellations while gas is above the cap", async function () {
+    const optionId = await createOption();
+    const keeper = await newKeeper({ maxGasPrice: 1n });
+
+    await breachStopLoss();
+
+    expect(await keeper.poll()).to.equal(0);
+    expect((await protectedOptionManager.getProtectedOption(optionId)).isActive).to.be.true;
+    expect(keeper.active.has(optionId)).to.be.true;
+    expect(logs.some(([level, message]) => level === "warn" && message.includes("above cap"))).to.be.true;
+  });
+
+  it("Should retry transient RPC failures", async function () {
+    const optionId = await createOption();
+
+    let attempts = 0;
+    const flakySigner = {
+      getAddress: () => keeperAccount.getAddress(),
+      sendTransaction: async (tx) => {
+        attempts++;
+        if (attempts === 1) {
+          throw Object.assign(new Error("connection reset"), { code: "NETWORK_ERROR" });
+        }
+        return keeperAccount.sendTransaction(tx);
+      }
+    };
+    const keeper = await newKeeper({ signer: flakySigner });
+
+    await breachStopLoss();
+
+    expect(await keeper.poll()).to.equal(1);
+    expect(attempts).to.equal(2);
+    expect((await protectedOptionManager.getProtectedOption(optionId)).isActive).to.be.false;
+  });
+
+  it("Should keep waiting on a broadcast cancellation instead of sending another", async function () {
+    const optionId = await createOption();
+    const sent = [];
+    const keeper = await newKeeper({ signer: timingOutSigner(sent) });
+
+    await breachStopLoss();
+
+    expect(await keeper.poll()).to.equal(1);
+    expect(sent).to.have.lengthOf(1);
+    expect(keeper.pending.size).to.equal(0);
+    expect((await protectedOptionManager.getProtectedOption(optionId)).isActive).to.be.false;
+  });
+
+  it("Should pick up a still pending cancellation in the next cycle", async function () {
+    const optionId = await createOption();
+    const sent = [];
+    // The cancellation stays in the mempool until the keeper waits on it again
+    const keeper = await newKeeper({ signer: timingOutSigner(sent, () => network.provider.send("evm_mine")), maxRetries: 0 });
+
+    await breachStopLoss();
+
+    await network.provider.send("evm_setAutomine", [false]);
+    try {
+      expect(await keeper.poll()).to.equal(0);
+      expect(keeper.pending.has(optionId)).to.be.true;
+      expect(logs.some(([level, message]) => level === "warn" && message.includes("Still waiting"))).to.be.true;
+
+      expect(await keeper.poll()).to.equal(1);
+    } finally {
+      await network.provider.send("evm_setAutomine", [true]);
+    }
+
+    expect(sent).to.have.lengthOf(1);
+    expect((await protectedOptionManager.getProtectedOption(optionId)).isActive).to.be.false;
+    expect(logs.some(([level, message]) => level === "log" && message.includes(`Cancelled ${optionId} (stop-loss)`))).to.be.true;
+  });
+
+  it("Should scan new blocks in batches", async function () {
+    const startBlock = await ethers.provider.getBlockNumber();
+    const firstId = await createOption();
+    await time.increase(60);
+    await mockOracle.setLatestPrice(ethers.parseUnits("2000", 8));
+    const secondId = await createOption();
+
+    const keeper = await newKeeper({ startBlock, batchSize: 2 });
+    const ranges = [];
+    const queryFilter = keeper.manager.queryFilter.bind(keeper.manager);
+    keeper.manager.queryFilter = (filter, fromBlock, toBlock) => {
+      ranges.push([fromBlock, toBlock]);
+      return queryFilter(filter, fromBlock, toBlock);
+    };
+
+    await keeper.poll();
+
+    const head = await ethers.provider.getBlockNumber();
+    expect(ranges.every(([fromBlock, toBlock]) => toBlock - fromBlock < 2)).to.be.true;
+    expect(Math.max(...ranges.map(([, toBlock]) => toBlock))).to.equal(head);
+    expect(keeper.lastBlock).to.equal(head);
+    expect([...keeper.active.keys()]).to.have.members([firstId, secondId]);
+  });
+
+  it("Should skip options whose status cannot be read", async function () {
+    const optionId = await createOption();
+    const keeper = await newKeeper();
+
+    await mockOracle.setStalePrice();
+
+    expect(await keeper.poll()).to.equal(0);
+    expect(keeper.active.has(optionId)).to.be.true;
+    expect(logs.some(([level, message]) => level === "warn" && message.includes("status check failed (StalePrice: The oracle price is too old)"))).to.be.true;
+  });
+});
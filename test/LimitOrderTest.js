@@ -0,0 +1,211 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { COLLATERAL, STOP_LOSS_WINDOW, deployLimitOrderFixture } = require("./fixtures/limitOrderProtocol");
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let buildOrderTypedData;
+let buildProtectedOptionPredicate;
+let encodeProtectedOptionData;
+let hashOrder;
+let parseSignedOrder;
+let serializeSignedOrder;
+
+describe("1inch Limit Orders", function () {
+  before(async function () {
+    ({
+      buildOrderTypedData,
+      buildProtectedOptionPredicate,
+      encodeProtectedOptionData,
+      hashOrder,
+      parseSignedOrder,
+      serializeSignedOrder
+    } = await import("../frontend/src/utils/limitOrder.js"));
+  });
+
+  let fixture;
+  let snapshot;
+
+  const IN_THE_MONEY = ethers.parseUnits("2200", 8);
+
+  // Keeps the oracle at `price` for `duration` seconds, refreshing it before it goes stale
+  const holdPrice = async (price, duration = STOP_LOSS_WINDOW) => {
+    await fixture.mockOracle.setLatestPrice(price);
+    for (let held = 0; held < duration; held += 240) {
+      await time.increase(Math.min(240, duration - held));
+      await fixture.mockOracle.setLatestPrice(price);
+    }
+  };
+
+  const orderHashOf = (order) => fixture.limitOrderProtocol.hashOrder(order);
+
+  // Expiry and stop-loss tests move the chain clock; rewind it for later suites
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    fixture = await loadFixture(deployLimitOrderFixture);
+  });
+
+  describe("Order building", function () {
+    it("Should hash orders and encode option data like the deployed contracts", async function () {
+      const { option, integration, limitOrderProtocol, chainId, buildOrderFor } = fixture;
+      const { order } = await buildOrderFor(option);
+
+      expect(hashOrder(order, chainId, await limitOrderProtocol.getAddress())).to.equal(await orderHashOf(order));
+
+      const optionData = { optionId: option.optionId, stopLossId: option.stopLossId, minPayoff: 123n, enforceStopLoss: true };
+      expect(encodeProtectedOptionData(optionData))
+        .to.equal(await integration.encodeProtectedOptionData(option.optionId, option.stopLossId, 123n, true));
+    });
+
+    it("Should evaluate the protected option predicate through the protocol", async function () {
+      const { option, integration, limitOrderProtocol, mockOracle } = fixture;
+      const predicate = buildProtectedOptionPredicate(
+        await integration.getAddress(),
+        encodeProtectedOptionData({ optionId: option.optionId, stopLossId: option.stopLossId })
+      );
+
+      // Out of the money at $2000 against a $2100 strike
+      expect(await limitOrderProtocol.checkPredicate(predicate)).to.be.false;
+
+      await mockOracle.setLatestPrice(IN_THE_MONEY);
+      expect(await limitOrderProtocol.checkPredicate(predicate)).to.be.true;
+    });
+
+    it("Should round-trip shared orders and reject tampered ones", async function () {
+      const { option, maker, limitOrderProtocol, chainId, buildOrderFor, signOrderFor } = fixture;
+      const verifyingContract = await limitOrderProtocol.getAddress();
+      const signed = await signOrderFor(option);
+
+      const json = serializeSignedOrder({ ...signed, chainId, verifyingContract });
+      const parsed = parseSignedOrder(json);
+      expect(parsed.order).to.deep.equal(signed.order);
+      expect(parsed.orderHash).to.equal(await orderHashOf(signed.order));
+      const { domain, types, message } = buildOrderTypedData(parsed.order, parsed.chainId, parsed.verifyingContract);
+      expect(ethers.verifyTypedData(domain, types, message, parsed.signature)).to.equal(maker.address);
+
+      const { extension: otherExtension } = await buildOrderFor(option, { minPayoff: 1n });
+      const tampered = JSON.parse(json);
+      tampered.extension = otherExtension;
+      expect(() => parseSignedOrder(JSON.stringify(tampered))).to.throw("Order extension does not match its salt");
+    });
+  });
+
+  describe("Fills", function () {
+    it("Should fill a signed protected-option order", async function () {
+      const { option, maker, taker, integration, collateralToken, paymentToken, mockOracle, signOrderFor, fillOrder } = fixture;
+      await mockOracle.setLatestPrice(IN_THE_MONEY);
+
+      const signed = await signOrderFor(option);
+
+      // Take 1 WETH of collateral; the integration prices it from the option payoff
+      const makingAmount = ethers.parseUnits("1", 18);
+      const extraData = encodeProtectedOptionData({ optionId: option.optionId, stopLossId: option.stopLossId });
+      const takingAmount = await integration.getTakingAmount(
+        signed.order, signed.extension, ethers.ZeroHash, taker.address, makingAmount, COLLATERAL, extraData
+      );
+
+      const fill = fillOrder(signed, makingAmount);
+      await expect(fill).to.changeTokenBalances(collateralToken, [maker, taker], [-makingAmount, makingAmount]);
+      await expect(fill).to.changeTokenBalances(paymentToken, [maker, taker], [takingAmount, -takingAmount]);
+
+      expect(await fixture.limitOrderProtocol.remainingInvalidatorForOrder(maker.address, await orderHashOf(signed.order)))
+        .to.equal(COLLATERAL - makingAmount);
+    });
+
+    it("Should only let the holder fill a holder-restricted order", async function () {
+      const { option, owner, taker, limitOrderProtocol, mockOracle, signOrderFor, fillOrder } = fixture;
+      await mockOracle.setLatestPrice(IN_THE_MONEY);
+
+      await expect(fillOrder(await signOrderFor(option, { allowedSender: owner.address }), ethers.parseUnits("1", 18)))
+        .to.be.revertedWithCustomError(limitOrderProtocol, "PrivateOrder");
+      await expect(fillOrder(await signOrderFor(option, { allowedSender: taker.address }), ethers.parseUnits("1", 18)))
+        .to.not.be.reverted;
+    });
+
+    it("Should reject fills while the option is out of the money", async function () {
+      const { option, limitOrderProtocol, signOrderFor, fillOrder } = fixture;
+      const signed = await signOrderFor(option);
+
+      await expect(fillOrder(signed, ethers.parseUnits("1", 18)))
+        .to.be.revertedWithCustomError(limitOrderProtocol, "PredicateIsNotTrue");
+    });
+
+    it("Should block fills once the stop-loss has triggered", async function () {
+      const { limitOrderProtocol, stopLossProtection, mockOracle, createOption, signOrderFor, fillOrder } = fixture;
+
+      // A 10% trailing stop follows the rally to $2600 and stops out at $2340, still above the strike
+      const option = await createOption(1000);
+      await mockOracle.setLatestPrice(ethers.parseUnits("2600", 8));
+      await stopLossProtection.poke(option.stopLossId);
+
+      const signed = await signOrderFor(option);
+      await fillOrder(signed, ethers.parseUnits("1", 18));
+
+      await holdPrice(ethers.parseUnits("2300", 8));
+      expect(await stopLossProtection.checkStopLoss(option.stopLossId)).to.be.true;
+
+      await expect(fillOrder(signed, ethers.parseUnits("1", 18)))
+        .to.be.revertedWithCustomError(limitOrderProtocol, "PredicateIsNotTrue");
+    });
+
+    it("Should block fills after the option expires", async function () {
+      const { option, limitOrderProtocol, mockOracle, signOrderFor, fillOrder } = fixture;
+      const signed = await signOrderFor(option);
+
+      await time.increaseTo(option.expiresAt);
+      await mockOracle.setLatestPrice(IN_THE_MONEY);
+
+      await expect(fillOrder(signed, ethers.parseUnits("1", 18)))
+        .to.be.revertedWithCustomError(limitOrderProtocol, "OrderExpired");
+    });
+
+    it("Should cap partial fills at the remaining making amount", async function () {
+      const { option, maker, taker, limitOrderProtocol, collateralToken, mockOracle, signOrderFor, fillOrder } = fixture;
+      await mockOracle.setLatestPrice(IN_THE_MONEY);
+
+      const signed = await signOrderFor(option);
+      const orderHash = await orderHashOf(signed.order);
+      const fillAmount = ethers.parseUnits("4", 18);
+
+      await fillOrder(signed, fillAmount);
+      await fillOrder(signed, fillAmount);
+      expect(await limitOrderProtocol.remainingInvalidatorForOrder(maker.address, orderHash))
+        .to.equal(COLLATERAL - fillAmount * 2n);
+
+      // Only 2 WETH are left, so asking for 4 more fills 2
+      await expect(fillOrder(signed, fillAmount))
+        .to.changeTokenBalance(collateralToken, taker, COLLATERAL - fillAmount * 2n);
+      expect(await limitOrderProtocol.remainingInvalidatorForOrder(maker.address, orderHash)).to.equal(0);
+
+      await expect(fillOrder(signed, fillAmount)).to.be.reverted;
+    });
+
+    it("Should charge takers only for the remaining collateral", async function () {
+      const { option, taker, integration, collateralToken, paymentToken, mockOracle, signOrderFor, fillOrder } = fixture;
+      await mockOracle.setLatestPrice(IN_THE_MONEY);
+
+      const signed = await signOrderFor(option);
+      await fillOrder(signed, ethers.parseUnits("8", 18));
+
+      // Offer enough payment for 5 WETH when only 2 are left
+      const extraData = encodeProtectedOptionData({ optionId: option.optionId, stopLossId: option.stopLossId });
+      const remaining = ethers.parseUnits("2", 18);
+      const quote = (makingAmount) => integration.getTakingAmount(
+        signed.order, signed.extension, ethers.ZeroHash, taker.address, makingAmount, remaining, extraData
+      );
+      const offered = await quote(ethers.parseUnits("5", 18));
+
+      const fill = fillOrder(signed, offered, { byTakingAmount: true });
+      await expect(fill).to.changeTokenBalance(collateralToken, taker, remaining);
+      await expect(fill).to.changeTokenBalance(paymentToken, taker, -(await quote(remaining)));
+    });
+  });
+});
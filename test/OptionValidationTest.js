@@ -0,0 +1,153 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let simulationErrors, validateOption;
+
+describe("Option validation", function () {
+  before(async function () {
+    ({ simulationErrors, validateOption } = await import("../frontend/src/utils/validation.js"));
+  });
+
+  let manager;
+  let oracle;
+  let weth;
+  let usdc;
+  let maker;
+
+  const price = (value) => ethers.parseUnits(value, 8);
+
+  // A WETH call struck at $2100 against a $2000 oracle, stopped out below $1950
+  const validOption = async (overrides = {}) => ({
+    isCall: true,
+    strikePrice: price("2100"),
+    optionDuration: 3600,
+    makerAsset: await weth.getAddress(),
+    takerAsset: await usdc.getAddress(),
+    makingAmount: ethers.parseUnits("1", 18),
+    minTakingAmount: ethers.parseUnits("2100", 6),
+    stopLossPrice: price("1950"),
+    maxLoss: 500,
+    oracle: await oracle.getAddress(),
+    isTrailing: false,
+    ...overrides
+  });
+
+  const latestRound = async (feed = oracle) => {
+    const [, answer, , updatedAt] = await feed.latestRoundData();
+    return { answer, updatedAt, decimals: await feed.decimals(), now: await time.latest() };
+  };
+
+  // The same arguments through eth_call, as the create form simulates them before signing
+  const simulate = (option) => {
+    const args = [
+      option.isCall,
+      option.strikePrice,
+      ethers.parseUnits("50", 6),
+      option.optionDuration,
+      option.makerAsset,
+      option.takerAsset,
+      option.makingAmount,
+      option.minTakingAmount
+    ];
+    return option.isTrailing
+      ? manager.connect(maker).createTrailingProtectedOption.staticCall(...args, option.maxLoss, option.oracle)
+      : manager.connect(maker).createProtectedOption.staticCall(...args, option.stopLossPrice, option.maxLoss, option.oracle);
+  };
+
+  beforeEach(async function () {
+    [, maker] = await ethers.getSigners();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    weth = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    oracle = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(price("2000"), 8);
+
+    const optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+    const stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+    manager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+    await optionsCalculator.setAuthorizedCaller(await manager.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await manager.getAddress(), true);
+
+    await weth.mint(maker.address, ethers.parseUnits("1", 18));
+    await weth.connect(maker).approve(await manager.getAddress(), ethers.parseUnits("1", 18));
+  });
+
+  it("Should pass options the contracts accept", async function () {
+    for (const option of [await validOption(), await validOption({ isTrailing: true, maxLoss: 9000 })]) {
+      expect(validateOption(option, await latestRound())).to.deep.equal({});
+      await simulate(option);
+    }
+  });
+
+  it("Should report the field and reason of every rejected argument", async function () {
+    const cases = [
+      [{ optionDuration: 600 }, "duration", "INVALID_OPTION_DURATION"],
+      [{ optionDuration: 31 * 24 * 3600 }, "duration", "INVALID_OPTION_DURATION"],
+      [{ makingAmount: 0n }, "collateralAmount", "INSUFFICIENT_AMOUNT"],
+      [{ minTakingAmount: 0n }, "collateralAmount", "INSUFFICIENT_AMOUNT"],
+      [{ takerAsset: ethers.ZeroAddress }, "assets", "INVALID_CONFIGURATION"],
+      [{ strikePrice: 0n }, "strikePrice", "REVERT_REASON"],
+      [{ stopLossPrice: 0n }, "stopLossPrice", "INVALID_STOP_LOSS_CONFIG"],
+      [{ maxLoss: 0 }, "maxLoss", "INVALID_MAX_LOSS"],
+      [{ maxLoss: 9001, isTrailing: true }, "maxLoss", "INVALID_MAX_LOSS"]
+    ];
+
+    for (const [overrides, field, code] of cases) {
+      const label = Object.entries(overrides).map(([name, value]) => `${name}=${value}`).join(", ");
+      const option = await validOption(overrides);
+      const errors = validateOption(option);
+      expect(Object.keys(errors), label).to.deep.equal([field]);
+      expect(errors[field].code).to.equal(code);
+
+      // The revert the simulation returns points at the same field
+      const error = await simulate(option).then(() => undefined, (e) => e);
+      expect(error, `${label} did not revert`).to.exist;
+      expect(simulationErrors(error)).to.have.property(field).that.deep.equals(errors[field]);
+    }
+  });
+
+  it("Should reject a minimum payment no fill can clear", async function () {
+    const decimals = { collateralDecimals: 18, paymentDecimals: 6 };
+    expect(validateOption(await validOption(decimals), await latestRound())).to.deep.equal({});
+
+    // The dearest fill, just above the dust intrinsic value of $0.0105, costs just under 20,000,000 USDC per WETH
+    const errors = validateOption(await validOption({ ...decimals, minTakingAmount: ethers.parseUnits("20000001", 6) }));
+    expect(Object.keys(errors)).to.deep.equal(["minFillPrice"]);
+    expect(errors.minFillPrice.code).to.equal("MIN_PAYMENT_BLOCKS_FILLS");
+  });
+
+  it("Should check the stop-loss side against the oracle price", async function () {
+    const callAbove = validateOption(await validOption({ stopLossPrice: price("2000") }), await latestRound());
+    expect(callAbove.stopLossPrice.code).to.equal("STOP_LOSS_ABOVE_PRICE");
+
+    const putBelow = validateOption(
+      await validOption({ isCall: false, strikePrice: price("1900"), stopLossPrice: price("1950") }),
+      await latestRound()
+    );
+    expect(putBelow.stopLossPrice.code).to.equal("STOP_LOSS_BELOW_PRICE");
+
+    // Feeds with other decimals are scaled like the contracts do: $2000 with 18 decimals
+    const feed18 = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(
+      ethers.parseUnits("2000", 18),
+      18
+    );
+    const putAbove = await validOption({ isCall: false, strikePrice: price("1900"), stopLossPrice: price("2050") });
+    expect(validateOption(putAbove, await latestRound(feed18))).to.deep.equal({});
+  });
+
+  it("Should reject stale oracle prices like the stop-loss contract", async function () {
+    await oracle.setStalePrice();
+    const option = await validOption({ isTrailing: true });
+
+    const errors = validateOption(option, await latestRound());
+    expect(errors.oracle.code).to.equal("STALE_PRICE");
+
+    const error = await simulate(option).catch((e) => e);
+    expect(simulationErrors(error)).to.deep.equal({ oracle: errors.oracle });
+  });
+});
@@ -0,0 +1,218 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Oracle Adapter", function () {
+  let adapter;
+  let primaryFeed;
+  let secondaryFeed;
+  let owner;
+  let user1;
+  let snapshot;
+
+  const PRIMARY_MAX_AGE = 300;
+  const SECONDARY_MAX_AGE = 3600;
+  const MAX_DEVIATION = 200; // 2%
+  const PRICE = ethers.parseUnits("2000", 8);
+
+  // The secondary feed reports with 18 decimals; the adapter always answers with 8
+  const secondaryPrice = (usd) => ethers.parseUnits(usd, 18);
+
+  const latestAnswer = async () => (await adapter.latestRoundData())[1];
+
+  // Stop-loss tests move the chain clock; rewind it for later suites
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+    primaryFeed = await MockChainlinkOracle.deploy(PRICE, 8);
+    secondaryFeed = await MockChainlinkOracle.deploy(secondaryPrice("2010"), 18);
+
+    const OracleAdapter = await ethers.getContractFactory("OracleAdapter");
+    adapter = await OracleAdapter.deploy(
+      await primaryFeed.getAddress(),
+      PRIMARY_MAX_AGE,
+      await secondaryFeed.getAddress(),
+      SECONDARY_MAX_AGE,
+      MAX_DEVIATION,
+      "ETH / USD"
+    );
+  });
+
+  describe("Price selection", function () {
+    it("Should answer with the primary feed while it is fresh", async function () {
+      expect(await adapter.decimals()).to.equal(8);
+      expect(await adapter.description()).to.equal("ETH / USD");
+      expect(await latestAnswer()).to.equal(PRICE);
+
+      const [primaryAnswer, primaryValid, secondaryAnswer, secondaryValid] = await adapter.getFeedStatus();
+      expect(primaryAnswer).to.equal(PRICE);
+      expect(primaryValid).to.be.true;
+      expect(secondaryAnswer).to.equal(ethers.parseUnits("2010", 8));
+      expect(secondaryValid).to.be.true;
+    });
+
+    it("Should fall back to the secondary feed when the primary is stale or paused", async function () {
+      await primaryFeed.setStalePrice();
+      expect(await latestAnswer()).to.equal(ethers.parseUnits("2010", 8));
+
+      await primaryFeed.setFreshPrice();
+      await primaryFeed.setPaused(true);
+      const [roundId, answer] = await adapter.latestRoundData();
+      expect(answer).to.equal(ethers.parseUnits("2010", 8));
+      expect(roundId & (await adapter.SECONDARY_ROUND_FLAG())).to.not.equal(0n);
+
+      await primaryFeed.setPaused(false);
+      expect(await latestAnswer()).to.equal(PRICE);
+    });
+
+    it("Should apply each feed's own staleness limit", async function () {
+      // Ten minutes without updates: too old for the primary, fine for the secondary
+      await time.increase(600);
+      expect(await latestAnswer()).to.equal(ethers.parseUnits("2010", 8));
+
+      await time.increase(SECONDARY_MAX_AGE);
+      await expect(adapter.latestRoundData()).to.be.revertedWithCustomError(adapter, "NoValidPrice");
+
+      await primaryFeed.setLatestPrice(PRICE);
+      expect(await latestAnswer()).to.equal(PRICE);
+    });
+
+    it("Should fall back to the secondary feed when the primary is timestamped in the future", async function () {
+      await primaryFeed.setLatestTimestamp((await time.latest()) + 60);
+      expect(await latestAnswer()).to.equal(ethers.parseUnits("2010", 8));
+
+      const [, primaryValid, , secondaryValid] = await adapter.getFeedStatus();
+      expect(primaryValid).to.be.false;
+      expect(secondaryValid).to.be.true;
+    });
+
+    it("Should reject feeds that disagree by more than the maximum deviation", async function () {
+      await secondaryFeed.setLatestPrice(secondaryPrice("2100"));
+      await expect(adapter.latestRoundData())
+        .to.be.revertedWithCustomError(adapter, "PriceDeviationTooHigh")
+        .withArgs(PRICE, ethers.parseUnits("2100", 8));
+
+      await adapter.setMaxDeviation(600);
+      expect(await latestAnswer()).to.equal(PRICE);
+    });
+
+    it("Should walk historical rounds on the feed the latest answer came from", async function () {
+      await secondaryFeed.setLatestPrice(secondaryPrice("2020"));
+      await primaryFeed.setPaused(true);
+
+      const [roundId] = await adapter.latestRoundData();
+      const [previousRoundId, previousAnswer] = await adapter.getRoundData(roundId - 1n);
+      expect(previousRoundId).to.equal(roundId - 1n);
+      expect(previousAnswer).to.equal(ethers.parseUnits("2010", 8));
+    });
+  });
+
+  describe("Configuration", function () {
+    it("Should only let the owner reconfigure the feeds", async function () {
+      await expect(adapter.connect(user1).setMaxDeviation(500))
+        .to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+      await expect(
+        adapter.connect(user1).setFeeds(await secondaryFeed.getAddress(), 60, ethers.ZeroAddress, 0)
+      ).to.be.revertedWithCustomError(adapter, "OwnableUnauthorizedAccount");
+
+      await expect(adapter.setFeeds(await secondaryFeed.getAddress(), 60, ethers.ZeroAddress, 0))
+        .to.emit(adapter, "FeedsConfigured")
+        .withArgs(await secondaryFeed.getAddress(), ethers.ZeroAddress, 60, 0);
+      expect(await latestAnswer()).to.equal(ethers.parseUnits("2010", 8));
+    });
+
+    it("Should reject invalid feed settings", async function () {
+      const primary = await primaryFeed.getAddress();
+
+      await expect(adapter.setFeeds(ethers.ZeroAddress, 60, ethers.ZeroAddress, 0))
+        .to.be.revertedWithCustomError(adapter, "InvalidFeedConfig");
+      await expect(adapter.setFeeds(primary, 60, primary, 60))
+        .to.be.revertedWithCustomError(adapter, "InvalidFeedConfig");
+      await expect(adapter.setFeeds(primary, 0, ethers.ZeroAddress, 0))
+        .to.be.revertedWithCustomError(adapter, "InvalidFeedConfig");
+      await expect(adapter.setFeeds(primary, 60, await secondaryFeed.getAddress(), 0))
+        .to.be.revertedWithCustomError(adapter, "InvalidFeedConfig");
+      await expect(adapter.setMaxDeviation(0))
+        .to.be.revertedWithCustomError(adapter, "InvalidFeedConfig");
+    });
+  });
+
+  describe("Protected options", function () {
+    let optionsCalculator;
+    let stopLossProtection;
+    let protectedOptionManager;
+    let option;
+
+    const STOP_LOSS_WINDOW = 60;
+
+    beforeEach(async function () {
+      const [, maker] = await ethers.getSigners();
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const collateralToken = await MockERC20.deploy("Token1", "TK1", 18);
+      const paymentToken = await MockERC20.deploy("Token2", "TK2", 18);
+
+      optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+      stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+      protectedOptionManager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+        await optionsCalculator.getAddress(),
+        await stopLossProtection.getAddress()
+      );
+      await protectedOptionManager.setStopLossWindow(STOP_LOSS_WINDOW, 0);
+      await optionsCalculator.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+      await stopLossProtection.setAuthorizedCaller(await protectedOptionManager.getAddress(), true);
+
+      await collateralToken.mint(maker.address, ethers.parseUnits("10", 18));
+      await collateralToken.connect(maker).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("10", 18));
+
+      // The maker picks the adapter instead of a single feed
+      const tx = await protectedOptionManager.connect(maker).createProtectedOption(
+        true,
+        ethers.parseUnits("2100", 8),
+        ethers.parseUnits("50", 18),
+        3600,
+        await collateralToken.getAddress(),
+        await paymentToken.getAddress(),
+        ethers.parseUnits("10", 18),
+        ethers.parseUnits("100", 18),
+        ethers.parseUnits("1950", 8),
+        1000,
+        await adapter.getAddress()
+      );
+      const receipt = await tx.wait();
+      const protectedOptionId = receipt.logs.find((log) => log.eventName === "ProtectedOptionCreated").args[0];
+      option = await protectedOptionManager.getProtectedOption(protectedOptionId);
+    });
+
+    it("Should keep pricing options while the primary feed is down", async function () {
+      await primaryFeed.setPaused(true);
+      await secondaryFeed.setLatestPrice(secondaryPrice("2200"));
+
+      expect(await optionsCalculator.isInTheMoney(option.optionId)).to.be.true;
+      const [intrinsicValue, currentPrice] = await optionsCalculator.getIntrinsicValue(option.optionId);
+      expect(currentPrice).to.equal(ethers.parseUnits("2200", 8));
+      expect(intrinsicValue).to.equal(ethers.parseUnits("100", 8));
+      expect(await stopLossProtection.stopLossPredicate(option.stopLossId)).to.be.true;
+    });
+
+    it("Should trigger stop-losses from the secondary feed's history", async function () {
+      await primaryFeed.setPaused(true);
+
+      await secondaryFeed.setLatestPrice(secondaryPrice("1900"));
+      expect(await stopLossProtection.stopLossPredicate(option.stopLossId)).to.be.true;
+
+      await time.increase(STOP_LOSS_WINDOW);
+      await secondaryFeed.setLatestPrice(secondaryPrice("1900"));
+      expect(await stopLossProtection.stopLossPredicate(option.stopLossId)).to.be.false;
+    });
+  });
+});
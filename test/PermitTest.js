@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { permit2Contract } = require("@1inch/solidity-utils");
+
+// The shared frontend utils are ES modules, imported in the first before hook
+let PERMIT2_ADDRESS;
+let buildErc2612TypedData;
+let buildPermit2TypedData;
+let chooseApprovalMethod;
+let encodeCollateralPermit;
+let randomPermit2Nonce;
+let supportsErc2612;
+let decodeError;
+
+describe("Collateral permits", function () {
+  before(async function () {
+    ({
+      PERMIT2_ADDRESS,
+      buildErc2612TypedData,
+      buildPermit2TypedData,
+      chooseApprovalMethod,
+      encodeCollateralPermit,
+      randomPermit2Nonce,
+      supportsErc2612
+    } = await import("../frontend/src/utils/permit.js"));
+    ({ decodeError } = await import("../frontend/src/utils/errors.js"));
+  });
+
+  let manager;
+  let oracle;
+  let usdc;
+  let maker;
+  let other;
+  let chainId;
+
+  const COLLATERAL = ethers.parseUnits("1", 18);
+  const price = (value) => ethers.parseUnits(value, 8);
+
+  // A call struck at $2100 on `collateral`, stopped out below $1950
+  const createArgs = async (collateral) => [
+    true,
+    price("2100"),
+    ethers.parseUnits("50", 6),
+    3600,
+    await collateral.getAddress(),
+    await usdc.getAddress(),
+    COLLATERAL,
+    ethers.parseUnits("2100", 6),
+    price("1950"),
+    500,
+    await oracle.getAddress()
+  ];
+
+  const deadline = async () => BigInt((await ethers.provider.getBlock("latest")).timestamp + 1800);
+
+  const signErc2612 = async (token, value = COLLATERAL) => {
+    const [, name, version] = await token.eip712Domain();
+    const typedData = buildErc2612TypedData({
+      name,
+      version,
+      chainId,
+      token: await token.getAddress(),
+      owner: maker.address,
+      spender: await manager.getAddress(),
+      value,
+      nonce: await token.nonces(maker.address),
+      deadline: await deadline()
+    });
+    const signature = await maker.signTypedData(typedData.domain, typedData.types, typedData.message);
+    return { ...typedData.message, signature };
+  };
+
+  const signPermit2 = async (token, nonce = randomPermit2Nonce()) => {
+    const typedData = buildPermit2TypedData({
+      chainId,
+      token: await token.getAddress(),
+      amount: COLLATERAL,
+      spender: await manager.getAddress(),
+      nonce,
+      deadline: await deadline()
+    });
+    const signature = await maker.signTypedData(typedData.domain, typedData.types, typedData.message);
+    return { ...typedData.message, signature };
+  };
+
+  beforeEach(async function () {
+    [, maker, other] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    oracle = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(price("2000"), 8);
+
+    const optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+    const stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+    manager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+      await optionsCalculator.getAddress(),
+      await stopLossProtection.getAddress()
+    );
+    await optionsCalculator.setAuthorizedCaller(await manager.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await manager.getAddress(), true);
+  });
+
+  describe("EIP-2612", function () {
+    let weth;
+
+    beforeEach(async function () {
+      weth = await (await ethers.getContractFactory("MockERC20Permit")).deploy("Wrapped Ether", "WETH", 18);
+      await weth.mint(maker.address, COLLATERAL);
+    });
+
+    it("Should detect permit support from the token's domain separator", async function () {
+      const [, name, version] = await weth.eip712Domain();
+      const token = await weth.getAddress();
+      const domainSeparator = await weth.DOMAIN_SEPARATOR();
+
+      expect(supportsErc2612({ name, version, chainId, token, domainSeparator })).to.be.true;
+      expect(supportsErc2612({ name, version: "2", chainId, token, domainSeparator })).to.be.false;
+      expect(supportsErc2612({ name, version, chainId, token, domainSeparator: undefined })).to.be.false;
+    });
+
+    it("Should create an option without an approval transaction", async function () {
+      const signed = await signErc2612(weth);
+      const permit = encodeCollateralPermit("erc2612", signed);
+
+      const create = manager.connect(maker).createProtectedOptionWithPermit(...(await createArgs(weth)), permit);
+      await expect(create).to.changeTokenBalances(weth, [maker, manager], [-COLLATERAL, COLLATERAL]);
+      await expect(create).to.emit(manager, "ProtectedOptionCreated");
+      expect(await weth.allowance(maker.address, await manager.getAddress())).to.equal(0n);
+    });
+
+    it("Should still create the option when the permit was front-run", async function () {
+      const signed = await signErc2612(weth);
+      const { r, s, v } = ethers.Signature.from(signed.signature);
+      await weth.connect(other).permit(maker.address, await manager.getAddress(), COLLATERAL, signed.deadline, v, r, s);
+
+      const permit = encodeCollateralPermit("erc2612", signed);
+      await expect(manager.connect(maker).createProtectedOptionWithPermit(...(await createArgs(weth)), permit))
+        .to.emit(manager, "ProtectedOptionCreated");
+    });
+
+    it("Should reject permits for other terms", async function () {
+      const tooSmall = encodeCollateralPermit("erc2612", await signErc2612(weth, COLLATERAL / 2n));
+      const error = await manager.connect(maker)
+        .createProtectedOptionWithPermit(...(await createArgs(weth)), tooSmall)
+        .catch((e) => e);
+      expect(decodeError(error).code).to.equal("INVALID_PERMIT");
+
+      const truncated = { ...tooSmall, signature: tooSmall.signature.slice(0, -2) };
+      await expect(manager.connect(maker).createProtectedOptionWithPermit(...(await createArgs(weth)), truncated))
+        .to.be.revertedWithCustomError(manager, "InvalidPermit");
+    });
+  });
+
+  describe("Permit2", function () {
+    let weth;
+    let permit2;
+
+    beforeEach(async function () {
+      permit2 = await permit2Contract();
+      weth = await (await ethers.getContractFactory("MockERC20")).deploy("Wrapped Ether", "WETH", 18);
+      await weth.mint(maker.address, COLLATERAL);
+      // The one-time approval makers usually already gave Permit2 for other apps
+      await weth.connect(maker).approve(PERMIT2_ADDRESS, ethers.MaxUint256);
+    });
+
+    it("Should use Permit2 for tokens without their own permit", async function () {
+      expect(await manager.PERMIT2()).to.equal(await permit2.getAddress());
+      const permit2Allowance = await weth.allowance(maker.address, PERMIT2_ADDRESS);
+      expect(chooseApprovalMethod({ amount: COLLATERAL, allowance: 0n, supportsPermit: false, permit2Allowance }))
+        .to.equal("permit2");
+
+      const permit = encodeCollateralPermit("permit2", await signPermit2(weth));
+      const create = manager.connect(maker).createProtectedOptionWithPermit(...(await createArgs(weth)), permit);
+      await expect(create).to.changeTokenBalances(weth, [maker, manager], [-COLLATERAL, COLLATERAL]);
+      await expect(create).to.emit(manager, "ProtectedOptionCreated");
+    });
+
+    it("Should not accept a Permit2 signature twice", async function () {
+      await weth.mint(maker.address, COLLATERAL);
+      const permit = encodeCollateralPermit("permit2", await signPermit2(weth));
+      await manager.connect(maker).createProtectedOptionWithPermit(...(await createArgs(weth)), permit);
+
+      const error = await manager.connect(maker)
+        .createProtectedOptionWithPermit(...(await createArgs(weth)), permit)
+        .catch((e) => e);
+      expect(decodeError(error).code).to.equal("PERMIT_NONCE_USED");
+    });
+  });
+
+  describe("Approval method", function () {
+    it("Should prefer an existing allowance, then permits, then an exact approval", function () {
+      const amount = COLLATERAL;
+      expect(chooseApprovalMethod({ amount, allowance: amount, supportsPermit: true })).to.equal("allowance");
+      expect(chooseApprovalMethod({ amount, allowance: 0n, supportsPermit: true, permit2Allowance: amount }))
+        .to.equal("erc2612");
+      expect(chooseApprovalMethod({ amount, allowance: 0n, permit2Allowance: amount - 1n })).to.equal("approve");
+      // Writes without a permit variant (trailing stops) always use an allowance
+      expect(chooseApprovalMethod({ amount, allowance: 0n, supportsPermit: true, allowPermit: false }))
+        .to.equal("approve");
+    });
+  });
+});
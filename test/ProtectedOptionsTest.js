@@ -1,11 +1,12 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { time, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Protected Options System", function () {
   let optionsCalculator;
   let stopLossProtection;
   let protectedOptionManager;
+  let positionToken;
   let integration;
   let mockOracle;
   let mockToken1;
@@ -13,12 +14,32 @@ describe("Protected Options System", function () {
   let owner;
   let user1;
   let user2;
+  let snapshot;
 
   const INITIAL_PRICE = ethers.parseUnits("2000", 8); // $2000 with 8 decimals
   const STRIKE_PRICE = ethers.parseUnits("2100", 8); // $2100 with 8 decimals
   const PREMIUM = ethers.parseUnits("50", 18); // 50 tokens premium
   const STOP_LOSS_PRICE = ethers.parseUnits("1950", 8); // $1950 with 8 decimals
   const MAX_LOSS = 1000; // 10% in basis points
+  const STOP_LOSS_WINDOW = 60; // Manager time window, the stop-loss minimum
+
+  // Keeps the oracle at `price` for `duration` seconds, refreshing it before it goes stale
+  const holdPrice = async (price, duration = STOP_LOSS_WINDOW) => {
+    await mockOracle.setLatestPrice(price);
+    for (let held = 0; held < duration; held += 240) {
+      await time.increase(Math.min(240, duration - held));
+      await mockOracle.setLatestPrice(price);
+    }
+  };
+
+  // Time-window tests move the chain clock; rewind it for later suites
+  before(async function () {
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    await snapshot.restore();
+  });
 
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
@@ -43,6 +64,11 @@ describe("Protected Options System", function () {
       await optionsCalculator.getAddress(),
       await stopLossProtection.getAddress()
     );
+    await protectedOptionManager.setStopLossWindow(STOP_LOSS_WINDOW, 0);
+
+    const ProtectedOptionPosition = await ethers.getContractFactory("ProtectedOptionPosition");
+    positionToken = await ProtectedOptionPosition.deploy(await protectedOptionManager.getAddress());
+    await protectedOptionManager.setPositionToken(await positionToken.getAddress());
 
     const OneinchProtectedOptionsIntegration = await ethers.getContractFactory("OneinchProtectedOptionsIntegration");
     integration = await OneinchProtectedOptionsIntegration.deploy(
@@ -79,7 +105,9 @@ describe("Protected Options System", function () {
         PREMIUM,
         Math.floor(Date.now() / 1000) + 3600, // 1 hour from now
         await mockOracle.getAddress(),
-        1 // multiplier
+        1, // multiplier
+        18, // maker token decimals
+        18 // taker token decimals
       );
     });
 
@@ -101,15 +129,15 @@ describe("Protected Options System", function () {
       expect(makingAmount).to.be.gt(0);
     });
 
-    it("Should return premium when option is out of the money", async function () {
+    it("Should not price fills when option is out of the money", async function () {
       // Set price below strike for call option
       await mockOracle.setLatestPrice(ethers.parseUnits("2000", 8));
       
-      const takingAmount = ethers.parseUnits("100", 18);
-      const makingAmount = await optionsCalculator.getMakingAmount(optionId, takingAmount);
-      
-      // Should return premium equivalent
-      expect(makingAmount).to.be.gt(0);
+      const amount = ethers.parseUnits("100", 18);
+      await expect(optionsCalculator.getMakingAmount(optionId, amount))
+        .to.be.revertedWithCustomError(optionsCalculator, "OptionOutOfMoney");
+      await expect(optionsCalculator.getTakingAmount(optionId, amount))
+        .to.be.revertedWithCustomError(optionsCalculator, "OptionOutOfMoney");
     });
 
     it("Should correctly identify in-the-money status", async function () {
@@ -153,7 +181,7 @@ describe("Protected Options System", function () {
     });
 
     it("Should return false when stop-loss is triggered", async function () {
-      await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8)); // Below stop-loss
+      await holdPrice(ethers.parseUnits("1900", 8), 3600); // Below stop-loss for the whole window
       expect(await stopLossProtection.stopLossPredicate(stopLossId)).to.be.false;
     });
 
@@ -167,6 +195,274 @@ describe("Protected Options System", function () {
     });
   });
 
+  describe("Trailing Stop-Loss", function () {
+    const TRAILING_DISTANCE = 500; // 5% in basis points
+
+    const createTrailingOption = async (isCall) => {
+      const tx = await protectedOptionManager.connect(user1).createTrailingProtectedOption(
+        isCall,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        ethers.parseUnits("10", 18),
+        ethers.parseUnits("100", 18),
+        TRAILING_DISTANCE,
+        await mockOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated");
+      return (await protectedOptionManager.getProtectedOption(event.args[0])).stopLossId;
+    };
+
+    it("Should start the stop trailingDistance below the current price", async function () {
+      const stopLossId = await createTrailingOption(true);
+
+      const config = await stopLossProtection.stopLossConfigs(stopLossId);
+      expect(config.stopLossPrice).to.equal(ethers.parseUnits("1900", 8));
+
+      const trailing = await stopLossProtection.trailingStops(stopLossId);
+      expect(trailing.isTrailing).to.be.true;
+      expect(trailing.referencePrice).to.equal(INITIAL_PRICE);
+    });
+
+    it("Should ratchet up on poke and never loosen", async function () {
+      const stopLossId = await createTrailingOption(true);
+
+      // Anyone can poke
+      await mockOracle.setLatestPrice(ethers.parseUnits("2200", 8));
+      await expect(stopLossProtection.connect(user2).poke(stopLossId))
+        .to.emit(stopLossProtection, "TrailingStopUpdated")
+        .withArgs(stopLossId, ethers.parseUnits("2200", 8), ethers.parseUnits("2090", 8));
+
+      await mockOracle.setLatestPrice(ethers.parseUnits("2100", 8));
+      await stopLossProtection.connect(user2).poke(stopLossId);
+      expect((await stopLossProtection.stopLossConfigs(stopLossId)).stopLossPrice)
+        .to.equal(ethers.parseUnits("2090", 8));
+
+      // Still above the fixed-at-creation level, but below the trailed one
+      await holdPrice(ethers.parseUnits("2050", 8));
+      expect(await stopLossProtection.stopLossPredicate(stopLossId)).to.be.false;
+      expect(await stopLossProtection.multiStopLossPredicate([stopLossId], true)).to.be.false;
+    });
+
+    it("Should trail the lowest price for puts", async function () {
+      const stopLossId = await createTrailingOption(false);
+      expect((await stopLossProtection.stopLossConfigs(stopLossId)).stopLossPrice)
+        .to.equal(ethers.parseUnits("2100", 8));
+
+      await mockOracle.setLatestPrice(ethers.parseUnits("1800", 8));
+      await stopLossProtection.poke(stopLossId);
+      expect((await stopLossProtection.stopLossConfigs(stopLossId)).stopLossPrice)
+        .to.equal(ethers.parseUnits("1890", 8));
+
+      await holdPrice(ethers.parseUnits("1900", 8));
+      expect(await stopLossProtection.stopLossPredicate(stopLossId)).to.be.false;
+    });
+
+    it("Should reject pokes on fixed and inactive stops", async function () {
+      const fixedId = ethers.keccak256(ethers.toUtf8Bytes("fixed-stoploss"));
+      await stopLossProtection.configureStopLoss(
+        fixedId,
+        STOP_LOSS_PRICE,
+        MAX_LOSS,
+        3600,
+        await mockOracle.getAddress(),
+        true
+      );
+      await expect(stopLossProtection.poke(fixedId))
+        .to.be.revertedWithCustomError(stopLossProtection, "NotTrailingStop");
+
+      const trailingId = await createTrailingOption(true);
+      await stopLossProtection.deactivateStopLoss(trailingId);
+      await expect(stopLossProtection.poke(trailingId))
+        .to.be.revertedWithCustomError(stopLossProtection, "StopLossNotActive");
+    });
+  });
+
+  describe("Time-Window Stop-Loss", function () {
+    let sustainedId;
+    let twapId;
+
+    beforeEach(async function () {
+      sustainedId = ethers.keccak256(ethers.toUtf8Bytes("sustained-stoploss"));
+      twapId = ethers.keccak256(ethers.toUtf8Bytes("twap-stoploss"));
+
+      for (const stopLossId of [sustainedId, twapId]) {
+        await stopLossProtection.configureStopLoss(
+          stopLossId,
+          STOP_LOSS_PRICE,
+          MAX_LOSS,
+          3600,
+          await mockOracle.getAddress(),
+          true
+        );
+      }
+      await stopLossProtection.setTriggerMode(twapId, 1); // TriggerMode.Twap
+
+      // An hour of history at the initial price
+      await holdPrice(INITIAL_PRICE, 3600);
+    });
+
+    it("Should ignore a single-round wick below the stop", async function () {
+      await mockOracle.setLatestPrice(ethers.parseUnits("1000", 8));
+
+      expect(await stopLossProtection.stopLossPredicate(sustainedId)).to.be.true;
+      expect(await stopLossProtection.stopLossPredicate(twapId)).to.be.true;
+      expect(await stopLossProtection.checkStopLoss(sustainedId)).to.be.false;
+
+      // The next round recovers
+      await time.increase(30);
+      await mockOracle.setLatestPrice(INITIAL_PRICE);
+      expect(await stopLossProtection.stopLossPredicate(twapId)).to.be.true;
+    });
+
+    it("Should trigger once the price stays beyond the stop for the whole window", async function () {
+      await holdPrice(ethers.parseUnits("1900", 8), 1800);
+      expect(await stopLossProtection.stopLossPredicate(sustainedId)).to.be.true;
+
+      await holdPrice(ethers.parseUnits("1900", 8), 1800);
+      expect(await stopLossProtection.stopLossPredicate(sustainedId)).to.be.false;
+      expect(await stopLossProtection.checkStopLoss(sustainedId)).to.be.true;
+
+      const [twapPrice, breachSustained] = await stopLossProtection.getWindowState(sustainedId);
+      expect(twapPrice).to.equal(ethers.parseUnits("1900", 8));
+      expect(breachSustained).to.be.true;
+    });
+
+    it("Should trigger on a TWAP breach before the breach is sustained", async function () {
+      // Half an hour at $1800 pulls the hourly average below $1950
+      await holdPrice(ethers.parseUnits("1800", 8), 1800);
+
+      const [twapPrice, breachSustained, coveredFrom] = await stopLossProtection.getWindowState(twapId);
+      expect(twapPrice).to.be.lt(STOP_LOSS_PRICE);
+      expect(breachSustained).to.be.false;
+      expect(coveredFrom).to.equal(BigInt(await time.latest()) - 3600n);
+
+      expect(await stopLossProtection.stopLossPredicate(twapId)).to.be.false;
+      expect(await stopLossProtection.stopLossPredicate(sustainedId)).to.be.true;
+    });
+
+    it("Should judge rounds before a trailing poke against the level in force then", async function () {
+      const trailingTwapId = ethers.keccak256(ethers.toUtf8Bytes("trailing-twap-stoploss"));
+      const trailingSustainedId = ethers.keccak256(ethers.toUtf8Bytes("trailing-sustained-stoploss"));
+      for (const stopLossId of [trailingTwapId, trailingSustainedId]) {
+        await stopLossProtection.configureTrailingStopLoss(stopLossId, 500, 3600, await mockOracle.getAddress(), true);
+      }
+      await stopLossProtection.setTriggerMode(trailingTwapId, 1); // TriggerMode.Twap
+
+      // A rally to $2200 ratchets the stop from $1900 to $2090, above the hour spent at $2000
+      await time.increase(60);
+      await mockOracle.setLatestPrice(ethers.parseUnits("2200", 8));
+      await stopLossProtection.poke(trailingTwapId);
+      await stopLossProtection.poke(trailingSustainedId);
+      expect((await stopLossProtection.stopLossConfigs(trailingTwapId)).stopLossPrice).to.equal(ethers.parseUnits("2090", 8));
+      await time.increase(60);
+      await mockOracle.setLatestPrice(ethers.parseUnits("2100", 8));
+
+      const [twapPrice, , , twapLevel] = await stopLossProtection.getWindowState(trailingTwapId);
+      expect(twapPrice).to.be.lt(ethers.parseUnits("2090", 8));
+      expect(twapLevel).to.be.lt(twapPrice);
+      expect(await stopLossProtection.checkStopLoss(trailingTwapId)).to.be.false;
+      expect(await stopLossProtection.checkStopLoss(trailingSustainedId)).to.be.false;
+
+      // An hour below the new level does trigger
+      await holdPrice(ethers.parseUnits("2050", 8), 3600);
+      expect(await stopLossProtection.checkStopLoss(trailingTwapId)).to.be.true;
+      expect(await stopLossProtection.checkStopLoss(trailingSustainedId)).to.be.true;
+    });
+
+    it("Should not trigger on history that does not reach the window start", async function () {
+      // A feed deployed now has no rounds before it; its first ten minutes are all far below the stop
+      const newFeed = await (await ethers.getContractFactory("MockChainlinkOracle")).deploy(ethers.parseUnits("1000", 8), 8);
+      const newFeedStopId = ethers.keccak256(ethers.toUtf8Bytes("new-feed-stoploss"));
+      await stopLossProtection.configureStopLoss(newFeedStopId, STOP_LOSS_PRICE, MAX_LOSS, 3600, await newFeed.getAddress(), true);
+      await stopLossProtection.setTriggerMode(newFeedStopId, 1); // TriggerMode.Twap
+
+      await time.increase(600);
+      await newFeed.setLatestPrice(ethers.parseUnits("1000", 8));
+      const [twapPrice, breachSustained, coveredFrom] = await stopLossProtection.getWindowState(newFeedStopId);
+      expect(twapPrice).to.equal(ethers.parseUnits("1000", 8));
+      expect(breachSustained).to.be.true;
+      expect(coveredFrom).to.be.gt(BigInt(await time.latest()) - 3600n);
+      expect(await stopLossProtection.checkStopLoss(newFeedStopId)).to.be.false;
+      await expect(stopLossProtection.triggerStopLoss(newFeedStopId))
+        .to.be.revertedWithCustomError(stopLossProtection, "StopLossNotTriggered");
+
+      // Once the rounds span the whole hour the breach counts
+      await time.increase(3000);
+      await newFeed.setLatestPrice(ethers.parseUnits("1000", 8));
+      expect(await stopLossProtection.checkStopLoss(newFeedStopId)).to.be.true;
+    });
+
+    it("Should decide from the latest rounds when the window holds more than are read", async function () {
+      const busyStopId = ethers.keccak256(ethers.toUtf8Bytes("busy-feed-stoploss"));
+      await stopLossProtection.configureStopLoss(busyStopId, STOP_LOSS_PRICE, MAX_LOSS, 300, await mockOracle.getAddress(), true);
+      expect(await stopLossProtection.MAX_WINDOW_ROUNDS()).to.equal(64n);
+
+      // 100 rounds below the stop in five minutes: the latest 64 cover only the last three
+      for (let i = 0; i < 100; i++) {
+        await time.increase(3);
+        await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+      }
+      const [, breachSustained, coveredFrom, , roundCapped] = await stopLossProtection.getWindowState(busyStopId);
+      expect(breachSustained).to.be.true;
+      expect(roundCapped).to.be.true;
+      expect(coveredFrom).to.be.gt(BigInt(await time.latest()) - 300n);
+      expect(await stopLossProtection.checkStopLoss(busyStopId)).to.be.true;
+
+      // One recovered round among the latest 64 holds the stop off
+      await mockOracle.setLatestPrice(INITIAL_PRICE);
+      for (let i = 0; i < 10; i++) {
+        await time.increase(3);
+        await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+      }
+      expect(await stopLossProtection.checkStopLoss(busyStopId)).to.be.false;
+    });
+
+    it("Should only serve recorded rounds from the mock oracle", async function () {
+      const [latestRoundId, latestAnswer] = await mockOracle.latestRoundData();
+      const [, previousAnswer, , previousUpdatedAt] = await mockOracle.getRoundData(latestRoundId - 1n);
+
+      expect(latestAnswer).to.equal(INITIAL_PRICE);
+      expect(previousAnswer).to.equal(INITIAL_PRICE);
+      expect(previousUpdatedAt).to.be.lt(await time.latest());
+      await expect(mockOracle.getRoundData(latestRoundId + 1n)).to.be.revertedWith("No data present");
+    });
+
+    it("Should apply the manager's window and trigger mode to new options", async function () {
+      await expect(protectedOptionManager.connect(user1).setStopLossWindow(600, 1))
+        .to.be.revertedWithCustomError(protectedOptionManager, "OwnableUnauthorizedAccount");
+      await expect(protectedOptionManager.setStopLossWindow(30, 1))
+        .to.be.revertedWithCustomError(protectedOptionManager, "InvalidConfiguration");
+
+      await expect(protectedOptionManager.setStopLossWindow(600, 1))
+        .to.emit(protectedOptionManager, "StopLossWindowUpdated")
+        .withArgs(600, 1);
+
+      const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+        true,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        ethers.parseUnits("10", 18),
+        ethers.parseUnits("100", 18),
+        STOP_LOSS_PRICE,
+        MAX_LOSS,
+        await mockOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      const event = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated");
+      const { stopLossId } = await protectedOptionManager.getProtectedOption(event.args[0]);
+
+      expect((await stopLossProtection.stopLossConfigs(stopLossId)).timeWindow).to.equal(600);
+      expect(await stopLossProtection.triggerModes(stopLossId)).to.equal(1);
+    });
+  });
+
   describe("ProtectedOptionManager", function () {
     it("Should create protected option successfully", async function () {
       const makingAmount = ethers.parseUnits("10", 18);
@@ -225,19 +521,24 @@ describe("Protected Options System", function () {
       const event = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated");
       const protectedOptionId = event.args[0];
 
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+
       // Set price to make option in the money
       await mockOracle.setLatestPrice(ethers.parseUnits("2200", 8));
 
       // Execute option
       const takingAmount = ethers.parseUnits("200", 18);
+      const [expectedMakingAmount] = await protectedOptionManager.quoteExecution(protectedOptionId, takingAmount);
       await protectedOptionManager.connect(user2).executeProtectedOption(
         protectedOptionId,
         takingAmount
       );
 
-      // Check that option is no longer active
+      // A fill smaller than the collateral leaves the rest open
       const option = await protectedOptionManager.getProtectedOption(protectedOptionId);
-      expect(option.isActive).to.be.false;
+      expect(option.isActive).to.be.true;
+      expect(option.remainingMakingAmount).to.equal(makingAmount - expectedMakingAmount);
+      expect(await mockToken1.balanceOf(user2.address)).to.equal(expectedMakingAmount);
     });
 
     it("Should prevent execution when stop-loss is triggered", async function () {
@@ -263,9 +564,10 @@ describe("Protected Options System", function () {
       const receipt = await tx.wait();
       const event = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated");
       const protectedOptionId = event.args[0];
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
 
-      // Trigger stop-loss by setting price below threshold
-      await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+      // Trigger stop-loss by keeping the price below threshold
+      await holdPrice(ethers.parseUnits("1900", 8));
 
       // Try to execute - should fail
       const takingAmount = ethers.parseUnits("200", 18);
@@ -302,7 +604,7 @@ describe("Protected Options System", function () {
       const protectedOptionId = event.args[0];
 
       // Trigger stop-loss
-      await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+      await holdPrice(ethers.parseUnits("1900", 8));
 
       // Cancel option
       await protectedOptionManager.connect(user2).cancelProtectedOption(protectedOptionId);
@@ -311,6 +613,60 @@ describe("Protected Options System", function () {
       expect(option.isActive).to.be.false;
     });
 
+    it("Should record the stop-loss trigger and refund the maker", async function () {
+      const makingAmount = ethers.parseUnits("10", 18);
+      const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+        true,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        makingAmount,
+        ethers.parseUnits("100", 18),
+        STOP_LOSS_PRICE,
+        MAX_LOSS,
+        await mockOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      const protectedOptionId = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+      const { optionId, stopLossId } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+
+      // Healthy stops cannot be fired
+      await expect(protectedOptionManager.connect(user2).triggerStopLoss(protectedOptionId))
+        .to.be.revertedWithCustomError(stopLossProtection, "StopLossNotTriggered");
+
+      const triggerPrice = ethers.parseUnits("1900", 8);
+      await holdPrice(triggerPrice);
+      const balanceBefore = await mockToken1.balanceOf(user1.address);
+
+      // Anyone can fire a triggered stop
+      const triggerTx = await protectedOptionManager.connect(user2).triggerStopLoss(protectedOptionId);
+      const triggeredAt = (await ethers.provider.getBlock((await triggerTx.wait()).blockNumber)).timestamp;
+
+      await expect(triggerTx)
+        .to.emit(stopLossProtection, "StopLossTriggered")
+        .withArgs(stopLossId, triggerPrice, STOP_LOSS_PRICE, triggeredAt);
+      await expect(triggerTx)
+        .to.emit(protectedOptionManager, "StopLossActivated")
+        .withArgs(protectedOptionId, triggerPrice, triggeredAt);
+      await expect(triggerTx)
+        .to.emit(protectedOptionManager, "ProtectedOptionCancelled")
+        .withArgs(protectedOptionId, user1.address, "stop-loss");
+
+      const record = await stopLossProtection.triggerRecords(stopLossId);
+      expect(record.currentPrice).to.equal(triggerPrice);
+      expect(record.triggeredAt).to.equal(triggeredAt);
+
+      expect((await stopLossProtection.stopLossConfigs(stopLossId)).isActive).to.be.false;
+      expect((await optionsCalculator.optionConfigs(optionId)).isActive).to.be.false;
+      expect((await protectedOptionManager.getProtectedOption(protectedOptionId)).isActive).to.be.false;
+      expect(await mockToken1.balanceOf(user1.address)).to.equal(balanceBefore + makingAmount);
+
+      await expect(protectedOptionManager.triggerStopLoss(protectedOptionId))
+        .to.be.revertedWithCustomError(protectedOptionManager, "OptionNotActive");
+    });
+
     it("Should check option execution conditions correctly", async function () {
       // Create option
       const makingAmount = ethers.parseUnits("10", 18);
@@ -341,14 +697,355 @@ describe("Protected Options System", function () {
       expect(canExecute).to.be.false;
       expect(reason).to.equal("Option out of the money");
 
-      // Check when in the money
+      // Check when in the money but not bought yet
       await mockOracle.setLatestPrice(ethers.parseUnits("2200", 8));
       [canExecute, reason] = await protectedOptionManager.canExecuteOption(protectedOptionId);
+      expect(canExecute).to.be.false;
+      expect(reason).to.equal("Not purchased");
+
+      // Check once a holder has bought it
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+      [canExecute, reason] = await protectedOptionManager.canExecuteOption(protectedOptionId);
       expect(canExecute).to.be.true;
       expect(reason).to.equal("Can execute");
     });
   });
 
+  describe("Partial Execution", function () {
+    const makingAmount = ethers.parseUnits("10", 18);
+    // At $2400 the payoff prices 1 TK1 at 700 TK2, so the full position costs 7000
+    const FILL_PRICE = ethers.parseUnits("2400", 8);
+    let protectedOptionId;
+
+    const createOption = async (minTakingAmount = ethers.parseUnits("100", 18)) => {
+      const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+        true,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        makingAmount,
+        minTakingAmount,
+        STOP_LOSS_PRICE,
+        MAX_LOSS,
+        await mockOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      return receipt.logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+    };
+
+    beforeEach(async function () {
+      protectedOptionId = await createOption();
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+      await mockOracle.setLatestPrice(FILL_PRICE);
+    });
+
+    it("Should track the remaining collateral across fills", async function () {
+      const fillTx = await protectedOptionManager.connect(user2).executeProtectedOption(
+        protectedOptionId,
+        ethers.parseUnits("2800", 18)
+      );
+      await expect(fillTx)
+        .to.emit(protectedOptionManager, "ProtectedOptionFilled")
+        .withArgs(protectedOptionId, user2.address, ethers.parseUnits("4", 18), ethers.parseUnits("2800", 18), ethers.parseUnits("6", 18));
+      await expect(fillTx).to.not.emit(protectedOptionManager, "ProtectedOptionExecuted");
+
+      const option = await protectedOptionManager.getProtectedOption(protectedOptionId);
+      expect(option.makingAmount).to.equal(makingAmount);
+      expect(option.remainingMakingAmount).to.equal(ethers.parseUnits("6", 18));
+      expect(option.isActive).to.be.true;
+      expect(await protectedOptionManager.executedOptions(protectedOptionId)).to.be.false;
+      expect((await protectedOptionManager.canExecuteOption(protectedOptionId))[0]).to.be.true;
+    });
+
+    it("Should reprice the fill that exhausts the collateral and close the option", async function () {
+      await protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, ethers.parseUnits("2800", 18));
+
+      // 5600 would buy 8 TK1 but only 6 are left
+      const offered = ethers.parseUnits("5600", 18);
+      const [quotedMaking, quotedTaking] = await protectedOptionManager.quoteExecution(protectedOptionId, offered);
+      expect(quotedMaking).to.equal(ethers.parseUnits("6", 18));
+      expect(quotedTaking).to.equal(ethers.parseUnits("4200", 18));
+
+      const fillTx = protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, offered);
+      await expect(fillTx).to.changeTokenBalances(mockToken2, [user1, user2], [quotedTaking, -quotedTaking]);
+      await expect(fillTx)
+        .to.emit(protectedOptionManager, "ProtectedOptionExecuted")
+        .withArgs(protectedOptionId, user2.address, quotedMaking, quotedTaking);
+
+      const option = await protectedOptionManager.getProtectedOption(protectedOptionId);
+      expect(option.remainingMakingAmount).to.equal(0);
+      expect(option.isActive).to.be.false;
+      expect(await protectedOptionManager.executedOptions(protectedOptionId)).to.be.true;
+      expect(await mockToken1.balanceOf(user2.address)).to.equal(makingAmount);
+
+      await expect(
+        protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, offered)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "OptionNotActive");
+    });
+
+    it("Should apply the minimum taking amount pro rata to each fill", async function () {
+      // 8000 for 10 TK1 is a floor of 800 per TK1, above the 700 payoff price
+      const underpricedId = await createOption(ethers.parseUnits("8000", 18));
+      await protectedOptionManager.connect(user2).buyProtectedOption(underpricedId);
+
+      await expect(
+        protectedOptionManager.connect(user2).executeProtectedOption(underpricedId, ethers.parseUnits("700", 18))
+      ).to.be.revertedWithCustomError(protectedOptionManager, "InsufficientAmount");
+      await expect(
+        protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, 0)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "InsufficientAmount");
+    });
+
+    it("Should let the maker withdraw part of the collateral before the option is sold", async function () {
+      const unsoldId = await createOption();
+
+      await expect(
+        protectedOptionManager.connect(user2).withdrawCollateral(unsoldId, 1)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "UnauthorizedAccess");
+      await expect(
+        protectedOptionManager.connect(user1).withdrawCollateral(unsoldId, ethers.parseUnits("11", 18))
+      ).to.be.revertedWithCustomError(protectedOptionManager, "InsufficientAmount");
+
+      // Keep 4 TK1 open
+      const withdrawTx = protectedOptionManager.connect(user1).withdrawCollateral(unsoldId, ethers.parseUnits("6", 18));
+      await expect(withdrawTx).to.changeTokenBalance(mockToken1, user1, ethers.parseUnits("6", 18));
+      await expect(withdrawTx)
+        .to.emit(protectedOptionManager, "CollateralWithdrawn")
+        .withArgs(unsoldId, user1.address, ethers.parseUnits("6", 18), ethers.parseUnits("4", 18));
+      expect((await protectedOptionManager.getProtectedOption(unsoldId)).isActive).to.be.true;
+
+      // Withdrawing the rest closes the option
+      await expect(protectedOptionManager.connect(user1).withdrawCollateral(unsoldId, ethers.parseUnits("4", 18)))
+        .to.emit(protectedOptionManager, "ProtectedOptionCancelled")
+        .withArgs(unsoldId, user1.address, "withdrawn");
+
+      const { optionId, stopLossId, isActive } = await protectedOptionManager.getProtectedOption(unsoldId);
+      expect(isActive).to.be.false;
+      expect((await optionsCalculator.optionConfigs(optionId)).isActive).to.be.false;
+      expect((await stopLossProtection.stopLossConfigs(stopLossId)).isActive).to.be.false;
+
+      // The holder's collateral stays put once sold
+      await expect(
+        protectedOptionManager.connect(user1).withdrawCollateral(protectedOptionId, 1)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "OptionAlreadySold");
+    });
+
+    it("Should refund only the remaining collateral after expiry", async function () {
+      await protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, ethers.parseUnits("2800", 18));
+
+      const { expiresAt } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+      await time.increaseTo(expiresAt);
+      await mockOracle.setLatestPrice(FILL_PRICE);
+
+      await expect(protectedOptionManager.connect(user2).cancelProtectedOption(protectedOptionId))
+        .to.changeTokenBalances(
+          mockToken1,
+          [user1, protectedOptionManager],
+          [ethers.parseUnits("6", 18), -ethers.parseUnits("6", 18)]
+        );
+      expect((await protectedOptionManager.getProtectedOption(protectedOptionId)).remainingMakingAmount).to.equal(0);
+    });
+  });
+
+  describe("Premium Purchase", function () {
+    let protectedOptionId;
+
+    beforeEach(async function () {
+      const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+        true,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        ethers.parseUnits("10", 18),
+        ethers.parseUnits("100", 18),
+        STOP_LOSS_PRICE,
+        MAX_LOSS,
+        await mockOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      protectedOptionId = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+    });
+
+    it("Should pay the premium to the maker and record the holder", async function () {
+      const buyTx = protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+      await expect(buyTx).to.changeTokenBalances(mockToken2, [user1, user2], [PREMIUM, -PREMIUM]);
+      await expect(buyTx)
+        .to.emit(protectedOptionManager, "ProtectedOptionPurchased")
+        .withArgs(protectedOptionId, user2.address, PREMIUM);
+
+      expect((await protectedOptionManager.getProtectedOption(protectedOptionId)).holder).to.equal(user2.address);
+      expect(await positionToken.ownerOf(protectedOptionId)).to.equal(user2.address);
+
+      await expect(
+        protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "OptionAlreadySold");
+    });
+
+    it("Should not let the maker buy their own option", async function () {
+      await expect(
+        protectedOptionManager.connect(user1).buyProtectedOption(protectedOptionId)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "UnauthorizedAccess");
+    });
+
+    it("Should only let the holder execute", async function () {
+      await mockOracle.setLatestPrice(ethers.parseUnits("2200", 8));
+
+      await expect(
+        protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, ethers.parseUnits("200", 18))
+      ).to.be.revertedWithCustomError(protectedOptionManager, "UnauthorizedAccess");
+
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+
+      await expect(
+        protectedOptionManager.connect(owner).executeProtectedOption(protectedOptionId, ethers.parseUnits("200", 18))
+      ).to.be.revertedWithCustomError(protectedOptionManager, "UnauthorizedAccess");
+      await expect(
+        protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, ethers.parseUnits("200", 18))
+      ).to.emit(protectedOptionManager, "ProtectedOptionFilled");
+    });
+
+    it("Should stop the maker from cancelling a sold option", async function () {
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+
+      await expect(
+        protectedOptionManager.connect(user1).cancelProtectedOption(protectedOptionId)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "OptionAlreadySold");
+    });
+
+    it("Should not sell options whose stop-loss has triggered", async function () {
+      await holdPrice(ethers.parseUnits("1900", 8));
+
+      await expect(
+        protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "StopLossTriggered");
+    });
+  });
+
+  describe("Position Tokens", function () {
+    let protectedOptionId;
+    let user3;
+
+    // tokenURI is a base64 JSON data URI; attributes are flattened to { trait_type: value }
+    const metadataOf = async (id) => {
+      const uri = await positionToken.tokenURI(id);
+      const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+      return { ...metadata, traits: Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value])) };
+    };
+
+    beforeEach(async function () {
+      [, , , user3] = await ethers.getSigners();
+
+      const tx = await protectedOptionManager.connect(user1).createProtectedOption(
+        true,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        ethers.parseUnits("10", 18),
+        ethers.parseUnits("100", 18),
+        STOP_LOSS_PRICE,
+        MAX_LOSS,
+        await mockOracle.getAddress()
+      );
+      const receipt = await tx.wait();
+      protectedOptionId = receipt.logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+      await protectedOptionManager.connect(user2).buyProtectedOption(protectedOptionId);
+    });
+
+    it("Should mint the position to the buyer and enumerate it by owner", async function () {
+      expect(await positionToken.ownerOf(protectedOptionId)).to.equal(user2.address);
+      expect(await positionToken.balanceOf(user2.address)).to.equal(1);
+      expect(await positionToken.getPositions(user2.address)).to.deep.equal([protectedOptionId]);
+      expect(await positionToken.getPositions(user1.address)).to.deep.equal([]);
+    });
+
+    it("Should hand the right to execute to the new owner on transfer", async function () {
+      await expect(
+        positionToken.connect(user2).transferFrom(user2.address, user3.address, protectedOptionId)
+      )
+        .to.emit(protectedOptionManager, "ProtectedOptionTransferred")
+        .withArgs(protectedOptionId, user2.address, user3.address);
+
+      expect((await protectedOptionManager.getProtectedOption(protectedOptionId)).holder).to.equal(user3.address);
+      expect(await positionToken.getPositions(user3.address)).to.deep.equal([protectedOptionId]);
+      expect(await positionToken.getPositions(user2.address)).to.deep.equal([]);
+
+      // At $2400 the whole 10 TK1 cost 7000 TK2
+      await mockOracle.setLatestPrice(ethers.parseUnits("2400", 8));
+      await expect(
+        protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, ethers.parseUnits("7000", 18))
+      ).to.be.revertedWithCustomError(protectedOptionManager, "UnauthorizedAccess");
+
+      await mockToken2.mint(user3.address, ethers.parseUnits("7000", 18));
+      await mockToken2.connect(user3).approve(await protectedOptionManager.getAddress(), ethers.parseUnits("7000", 18));
+      await expect(
+        protectedOptionManager.connect(user3).executeProtectedOption(protectedOptionId, ethers.parseUnits("7000", 18))
+      ).to.changeTokenBalance(mockToken1, user3, ethers.parseUnits("10", 18));
+    });
+
+    it("Should describe the option in its on-chain metadata", async function () {
+      const { expiresAt } = await protectedOptionManager.getProtectedOption(protectedOptionId);
+      const metadata = await metadataOf(protectedOptionId);
+
+      expect(metadata.name).to.equal("Protected Call @ 2100.00");
+      expect(metadata.traits).to.deep.equal({
+        Type: "Call",
+        Strike: "2100.00",
+        "Stop-Loss": "1950.00",
+        Expiry: Number(expiresAt),
+        Status: "Active"
+      });
+
+      await mockOracle.setLatestPrice(ethers.parseUnits("2400", 8));
+      await protectedOptionManager.connect(user2).executeProtectedOption(protectedOptionId, ethers.parseUnits("7000", 18));
+      expect((await metadataOf(protectedOptionId)).traits.Status).to.equal("Executed");
+    });
+
+    it("Should report stopped-out and expired positions", async function () {
+      const otherTx = await protectedOptionManager.connect(user1).createProtectedOption(
+        false,
+        STRIKE_PRICE,
+        PREMIUM,
+        3600,
+        await mockToken1.getAddress(),
+        await mockToken2.getAddress(),
+        ethers.parseUnits("1", 18),
+        ethers.parseUnits("100", 18),
+        ethers.parseUnits("2300", 8),
+        MAX_LOSS,
+        await mockOracle.getAddress()
+      );
+      const otherId = (await otherTx.wait()).logs.find(log => log.eventName === "ProtectedOptionCreated").args[0];
+      await protectedOptionManager.connect(user2).buyProtectedOption(otherId);
+      expect((await metadataOf(otherId)).traits.Type).to.equal("Put");
+
+      await holdPrice(ethers.parseUnits("1900", 8));
+      await protectedOptionManager.triggerStopLoss(protectedOptionId);
+      expect((await metadataOf(protectedOptionId)).traits.Status).to.equal("Stopped Out");
+
+      const { expiresAt } = await protectedOptionManager.getProtectedOption(otherId);
+      await time.increaseTo(expiresAt);
+      expect((await metadataOf(otherId)).traits.Status).to.equal("Expired");
+    });
+
+    it("Should keep minting and holder updates with the manager and its token", async function () {
+      await expect(
+        positionToken.connect(user1).mint(user1.address, ethers.ZeroHash)
+      ).to.be.revertedWithCustomError(positionToken, "UnauthorizedMinter");
+      await expect(
+        protectedOptionManager.connect(user1).onPositionTransfer(protectedOptionId, user1.address)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "UnauthorizedAccess");
+      await expect(
+        protectedOptionManager.setPositionToken(user1.address)
+      ).to.be.revertedWithCustomError(protectedOptionManager, "InvalidConfiguration");
+    });
+  });
+
   describe("1inch Integration", function () {
     let protectedOptionId;
     let optionData;
@@ -435,7 +1132,7 @@ describe("Protected Options System", function () {
 
     it("Should reject execution when stop-loss is triggered in 1inch integration", async function () {
       // Trigger stop-loss
-      await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+      await holdPrice(ethers.parseUnits("1900", 8));
 
       const order = {
         salt: 0,
@@ -470,7 +1167,7 @@ describe("Protected Options System", function () {
       expect(await integration.protectedOptionPredicate(optionData)).to.be.true;
 
       // When stop-loss is triggered
-      await mockOracle.setLatestPrice(ethers.parseUnits("1900", 8));
+      await holdPrice(ethers.parseUnits("1900", 8));
       expect(await integration.protectedOptionPredicate(optionData)).to.be.false;
 
       // When out of the money
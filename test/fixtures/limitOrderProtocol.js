@@ -0,0 +1,131 @@
+const { ethers } = require("hardhat");
+
+const STRIKE_PRICE = ethers.parseUnits("2100", 8);
+const PREMIUM = ethers.parseUnits("50", 18);
+const STOP_LOSS_PRICE = ethers.parseUnits("1950", 8);
+const MAX_LOSS = 1000;
+const COLLATERAL = ethers.parseUnits("10", 18);
+const MIN_TAKING_AMOUNT = ethers.parseUnits("100", 18);
+const STOP_LOSS_WINDOW = 60;
+
+/**
+ * @dev Deploys the real 1inch Limit Order Protocol v4 next to the protected options contracts and
+ * creates one call option for `maker`. Use with loadFixture. The maker holds collateral beyond
+ * what the manager escrows and has approved it to the protocol, so orders can be filled from the
+ * wallet; the taker has approved its payment token.
+ */
+async function deployLimitOrderFixture() {
+  const {
+    buildProtectedOptionOrder,
+    buildTakerTraits,
+    signOrder,
+    toCompactSignature
+  } = await import("../../frontend/src/utils/limitOrder.js");
+  const [owner, maker, taker] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const MockERC20 = await ethers.getContractFactory("MockERC20");
+  const collateralToken = await MockERC20.deploy("Wrapped Ether", "WETH", 18);
+  const paymentToken = await MockERC20.deploy("USD Coin", "USDC", 18);
+
+  const MockChainlinkOracle = await ethers.getContractFactory("MockChainlinkOracle");
+  const mockOracle = await MockChainlinkOracle.deploy(ethers.parseUnits("2000", 8), 8);
+
+  // WETH is only used by the protocol to unwrap native ETH, which these orders never do
+  const LimitOrderProtocol = await ethers.getContractFactory("LimitOrderProtocol");
+  const limitOrderProtocol = await LimitOrderProtocol.deploy(await collateralToken.getAddress());
+
+  const optionsCalculator = await (await ethers.getContractFactory("OptionsCalculator")).deploy();
+  const stopLossProtection = await (await ethers.getContractFactory("StopLossProtection")).deploy();
+  const protectedOptionManager = await (await ethers.getContractFactory("ProtectedOptionManager")).deploy(
+    await optionsCalculator.getAddress(),
+    await stopLossProtection.getAddress()
+  );
+  await protectedOptionManager.setStopLossWindow(STOP_LOSS_WINDOW, 0);
+
+  const integration = await (await ethers.getContractFactory("OneinchProtectedOptionsIntegration")).deploy(
+    await optionsCalculator.getAddress(),
+    await stopLossProtection.getAddress(),
+    await protectedOptionManager.getAddress()
+  );
+
+  for (const caller of [protectedOptionManager, integration]) {
+    await optionsCalculator.setAuthorizedCaller(await caller.getAddress(), true);
+    await stopLossProtection.setAuthorizedCaller(await caller.getAddress(), true);
+  }
+
+  await collateralToken.mint(maker.address, COLLATERAL * 10n);
+  await paymentToken.mint(taker.address, ethers.parseUnits("1000000", 18));
+  await collateralToken.connect(maker).approve(await protectedOptionManager.getAddress(), ethers.MaxUint256);
+  await collateralToken.connect(maker).approve(await limitOrderProtocol.getAddress(), ethers.MaxUint256);
+  await paymentToken.connect(taker).approve(await limitOrderProtocol.getAddress(), ethers.MaxUint256);
+
+  // Creates an option through the manager and returns its getProtectedOption struct
+  const createOption = async (trailingDistance) => {
+    const common = [true, STRIKE_PRICE, PREMIUM, 3600, await collateralToken.getAddress(), await paymentToken.getAddress(), COLLATERAL, MIN_TAKING_AMOUNT];
+    const tx = trailingDistance
+      ? await protectedOptionManager.connect(maker).createTrailingProtectedOption(...common, trailingDistance, await mockOracle.getAddress())
+      : await protectedOptionManager.connect(maker).createProtectedOption(...common, STOP_LOSS_PRICE, MAX_LOSS, await mockOracle.getAddress());
+    const receipt = await tx.wait();
+    const protectedOptionId = receipt.logs.find((log) => log.eventName === "ProtectedOptionCreated").args[0];
+    return protectedOptionManager.getProtectedOption(protectedOptionId);
+  };
+
+  // Order for `option` sold by the maker, as the option page builds it
+  const buildOrderFor = async (option, overrides = {}) => buildProtectedOptionOrder({
+    maker: maker.address,
+    makerAsset: option.makerAsset,
+    takerAsset: option.takerAsset,
+    makingAmount: option.makingAmount,
+    takingAmount: option.minTakingAmount,
+    integration: await integration.getAddress(),
+    optionId: option.optionId,
+    stopLossId: option.stopLossId,
+    expiresAt: option.expiresAt,
+    ...overrides
+  });
+
+  const signOrderFor = async (option, overrides) => {
+    const { order, extension } = await buildOrderFor(option, overrides);
+    const signature = await signOrder(maker, order, chainId, await limitOrderProtocol.getAddress());
+    return { order, extension, signature };
+  };
+
+  // fillOrderArgs by `taker`; `amount` is the making amount unless byTakingAmount is set
+  const fillOrder = ({ order, extension, signature }, amount, { byTakingAmount = false } = {}) => {
+    const { r, vs } = toCompactSignature(signature);
+    const { traits, args } = buildTakerTraits({ makingAmount: !byTakingAmount, extension });
+    return limitOrderProtocol.connect(taker).fillOrderArgs(order, r, vs, amount, traits, args);
+  };
+
+  const option = await createOption();
+
+  return {
+    owner,
+    maker,
+    taker,
+    chainId,
+    collateralToken,
+    paymentToken,
+    mockOracle,
+    limitOrderProtocol,
+    optionsCalculator,
+    stopLossProtection,
+    protectedOptionManager,
+    integration,
+    option,
+    createOption,
+    buildOrderFor,
+    signOrderFor,
+    fillOrder
+  };
+}
+
+module.exports = {
+  STRIKE_PRICE,
+  PREMIUM,
+  STOP_LOSS_PRICE,
+  COLLATERAL,
+  STOP_LOSS_WINDOW,
+  deployLimitOrderFixture
+};